@@ -0,0 +1,332 @@
+// Headless Node.js host to run GameServer as a dedicated server. This runs exactly the same
+// GameServer code that normally runs in a Web Worker, but instead of messaging the runtime,
+// it sends and receives messages with remote players over WebSockets. Players connect using
+// the "dedicated-client" game mode.
+import { parseArgs } from "node:util";
+import { readFile } from "node:fs/promises";
+import { fileURLToPath } from "node:url";
+import { WebSocketServer, WebSocket } from "ws";
+import { GameServer, MAX_SPECTATORS } from "../files/gameServer/gameServer.js";
+
+// Read the command line options, e.g.:
+// node dedicatedServer.js --port 8090 --players 4 --teams 0,1,0,1
+// node dedicatedServer.js --port 8090 --starting-units 0.5 --no-fog
+// node dedicatedServer.js --port 8090 --load mygame.ccsave
+const { values: options } = parseArgs({
+	options: {
+		"host":			{ type: "string", default: "localhost" },
+		"port":			{ type: "string", default: "8090" },
+		"players":		{ type: "string", default: "2" },
+		"teams":		{ type: "string" },
+		"level":		{ type: "string", default: fileURLToPath(new URL("../files/levels/default.json", import.meta.url)) },
+		"starting-units":	{ type: "string", default: "1" },
+		"no-fog":		{ type: "boolean", default: false },
+		"unit-types":	{ type: "string", default: fileURLToPath(new URL("../files/unitTypes.json", import.meta.url)) },
+		"object-data":	{ type: "string", default: fileURLToPath(new URL("./constructObjectData.json", import.meta.url)) },
+		"load":			{ type: "string" }
+	}
+});
+
+// The DedicatedServer class manages the WebSocket server and the players connected to it.
+// It waits for the expected number of players to connect and be ready, and then starts a game
+// by creating a GameServer. Messages from GameServer are then routed to players' WebSockets.
+// Once the player slots are full, or if a client asks to spectate, clients join as spectators
+// instead, who can watch the game (including one that is already in progress) but not play.
+class DedicatedServer {
+
+	// Private fields
+	#webSocketServer;				// WebSocketServer accepting player connections
+	#numPlayers;					// number of players to wait for before starting a game
+	#teams;							// team number for each player, or null for every player on their own team
+	#settings;						// match settings, in the same format as the "init" message
+	#constructObjectData;			// object data normally collected from the runtime
+	#unitTypesData;					// JSON data for the unit types
+	#levelData;						// JSON data for the level to play
+	#saveData;						// save data of a saved game to resume, or null to start a new game
+	#gameServer = null;				// GameServer, if a game is running
+	
+	// map of player number -> WebSocket for each connected player or spectator that has sent a
+	// "ready" message. Spectators use the numbers after the players, as GameServer expects.
+	#socketsByPlayer = new Map();
+	
+	constructor(host, port, numPlayers, teams, settings, constructObjectData, unitTypesData, levelData, saveData)
+	{
+		this.#numPlayers = numPlayers;
+		this.#teams = teams;
+		this.#settings = settings;
+		this.#constructObjectData = constructObjectData;
+		this.#unitTypesData = unitTypesData;
+		this.#levelData = levelData;
+		this.#saveData = saveData;
+		
+		this.#webSocketServer = new WebSocketServer({ host, port });
+		this.#webSocketServer.on("connection", socket => this.#OnConnection(socket));
+		this.#webSocketServer.on("listening", () =>
+		{
+			console.log(`Dedicated server listening on ws://${host}:${port} for ${numPlayers} players`);
+		});
+	}
+	
+	#OnConnection(socket)
+	{
+		// If all the player and spectator slots are taken, don't allow anyone else to join.
+		if (this.#socketsByPlayer.size >= this.#numPlayers + MAX_SPECTATORS)
+		{
+			socket.close(1013, "game full");
+			return;
+		}
+		
+		// The connection is assigned a player number when it sends "ready" (see #OnPlayerReady()).
+		const connection = { player: -1 };
+		socket.on("message", (data, isBinary) => this.#OnSocketMessage(socket, connection, data, isBinary));
+		socket.on("close", () => this.#OnSocketClose(connection.player));
+	}
+	
+	// Called when receiving a message from a player. Players only send JSON messages.
+	#OnSocketMessage(socket, connection, data, isBinary)
+	{
+		const player = connection.player;
+		
+		if (isBinary)
+			return;
+		
+		let msg;
+		try {
+			msg = JSON.parse(data.toString());
+		}
+		catch (err)
+		{
+			console.error(`Invalid message from player ${player}: `, err);
+			return;
+		}
+		
+		// Ignore anything that isn't a JSON object with a message type.
+		if (typeof msg !== "object" || msg === null || Array.isArray(msg) || typeof msg["type"] !== "string")
+		{
+			console.error(`Invalid message from player ${player}: missing message type`);
+			return;
+		}
+		
+		const messageType = msg["type"];
+		
+		// Handle the "ready" message specially, as it's used to start the game. Ignore anything
+		// else until then, as the connection doesn't have a player number yet.
+		if (messageType === "ready")
+		{
+			if (player === -1)
+				connection.player = this.#OnPlayerReady(socket, msg["spectate"] === true);
+		}
+		else if (player === -1)
+		{
+			return;
+		}
+		// Players send a "release" message when they end the game. In a Web Worker this terminates
+		// the worker, so don't pass it on. Instead players leaving is handled by closing their WebSocket.
+		else if (messageType === "release")
+		{
+			return;
+		}
+		else if (this.#gameServer)
+		{
+			// Tag the message with the player number and transmission mode (which for a WebSocket is
+			// always reliable ordered) and forward on to GameServer.
+			msg["player"] = player;
+			msg["transmissionMode"] = "o";
+			
+			// A message in the wrong format, e.g. from a hacked client, could throw an exception.
+			// Don't let that end the game for everyone: log the error and disconnect the player who sent it.
+			try {
+				this.#gameServer.GetMessageHandler().HandleMessage(msg);
+			}
+			catch (err)
+			{
+				console.error(`Error handling '${messageType}' message from player ${player}, disconnecting: `, err);
+				socket.close(1008, "invalid message");
+			}
+		}
+	}
+	
+	// Assign a connection that sent "ready" the lowest available player number, or a spectator number
+	// if it asked to spectate, or the player slots are all taken or the game already started. Returns the
+	// number assigned, or -1 if there are no slots left, in which case the connection is closed.
+	#OnPlayerReady(socket, spectate)
+	{
+		const isSpectator = (spectate || this.#gameServer !== null || this.#GetNumConnectedPlayers() >= this.#numPlayers);
+		const end = this.#numPlayers + MAX_SPECTATORS;
+		let player = (isSpectator ? this.#numPlayers : 0);
+		while (this.#socketsByPlayer.has(player))
+			player++;
+		
+		if (player >= end || (!isSpectator && player >= this.#numPlayers))
+		{
+			socket.close(1013, "game full");
+			return -1;
+		}
+		
+		this.#socketsByPlayer.set(player, socket);
+		console.log(`${isSpectator ? "Spectator" : "Player"} ${player} joined`);
+		
+		// If the game is already in progress, spectators can start watching straight away.
+		// Otherwise start the game once all expected players are ready.
+		if (this.#gameServer)
+			this.#SendStart(player, socket);
+		else if (this.#GetNumConnectedPlayers() === this.#numPlayers)
+			this.#StartGame();
+		
+		return player;
+	}
+	
+	// Count the connections using player numbers, not including spectators.
+	#GetNumConnectedPlayers()
+	{
+		let count = 0;
+		for (const player of this.#socketsByPlayer.keys())
+		{
+			if (player < this.#numPlayers)
+				count++;
+		}
+		
+		return count;
+	}
+	
+	// Send a "start" message with the player number a connection was assigned, and whether it is a spectator.
+	#SendStart(player, socket)
+	{
+		socket.send(JSON.stringify({
+			"type": "start",
+			"player": player,
+			"spectator": player >= this.#numPlayers
+		}));
+	}
+	
+	#StartGame()
+	{
+		console.log(`Starting game`);
+		
+		// Send each player and spectator a "start" message with the player number they were assigned.
+		for (const [player, socket] of this.#socketsByPlayer)
+		{
+			this.#SendStart(player, socket);
+		}
+		
+		// Create GameServer, passing it the function that can send a message to players,
+		// the Construct object data, unit types and level data loaded from disk, the number of
+		// players and their teams, the match settings, and any saved game to resume. This starts the game.
+		this.#gameServer = new GameServer(
+			(message, transmissionMode, forPlayer) => this.#SendMessageToPlayers(message, forPlayer),
+			this.#constructObjectData,
+			this.#unitTypesData,
+			this.#levelData,
+			this.#numPlayers,
+			this.#teams,
+			this.#settings,
+			this.#saveData
+		);
+	}
+	
+	// Called when GameServer sends a message.
+	async #SendMessageToPlayers(message, forPlayer)
+	{
+		// Binary messages (ArrayBuffers) are sent as-is; anything else is JSON.
+		const data = (message instanceof ArrayBuffer ? message : JSON.stringify(message));
+		
+		if (forPlayer === null)		// message for all players
+		{
+			for (const socket of this.#socketsByPlayer.values())
+			{
+				this.#SendToSocket(socket, data);
+			}
+		}
+		else						// message for a single player
+		{
+			const socket = this.#socketsByPlayer.get(forPlayer);
+			if (socket)
+				this.#SendToSocket(socket, data);
+		}
+	}
+	
+	#SendToSocket(socket, data)
+	{
+		if (socket.readyState === WebSocket.OPEN)
+			socket.send(data);
+	}
+	
+	#OnSocketClose(player)
+	{
+		if (player === -1)
+			return;
+		
+		this.#socketsByPlayer.delete(player);
+		
+		// Spectators leaving doesn't affect the game, but GameServer can stop sending them updates.
+		if (player >= this.#numPlayers)
+		{
+			console.log(`Spectator ${player} disconnected`);
+			this.#gameServer?.RemoveSpectator(player);
+			return;
+		}
+		
+		console.log(`Player ${player} disconnected`);
+		
+		// If a player leaves a 2 player game in progress, there is nobody left to play against, so
+		// end the game. With more players the game carries on until everyone has left. To end the game
+		// close all the other players' connections so they show a disconnected message, and release
+		// GameServer so its timers stop. Then the server is ready for a new set of players to start another game.
+		if (this.#gameServer && (this.#numPlayers === 2 || this.#GetNumConnectedPlayers() === 0))
+		{
+			console.log(`Ending game`);
+			
+			this.#gameServer.Release();
+			this.#gameServer = null;
+			
+			for (const socket of this.#socketsByPlayer.values())
+			{
+				socket.close(1000, "player disconnected");
+			}
+		}
+	}
+}
+
+// Load the Construct object data, e.g. the size and collision polygons of unit objects.
+// In a browser this is collected from the runtime, but the dedicated server has no runtime,
+// so it loads an equivalent JSON file.
+const constructObjectData = JSON.parse(await readFile(options["object-data"], "utf8"));
+
+// Load the unit types. Note clients load their own copy of files/unitTypes.json, so if a
+// different file is used here, it must still have the same unit types in the same order.
+const unitTypesData = JSON.parse(await readFile(options["unit-types"], "utf8"));
+
+// Optionally load a saved game to resume, as saved by the host's client. The save includes the
+// level it was on, so that is used instead of the level option.
+const saveData = (options["load"] ? JSON.parse(await readFile(options["load"], "utf8")) : null);
+
+// Load the level to play, in the same JSON level format the runtime loads from files/levels.
+const levelData = (saveData ? saveData["level"] : JSON.parse(await readFile(options["level"], "utf8")));
+
+// Teams are specified as a comma-separated list of the team number for each player.
+const numPlayers = Number(options["players"]);
+const teams = (options["teams"] ? options["teams"].split(",").map(Number) : null);
+
+// The match settings, which are normally chosen by the host in the lobby.
+const settings = {
+	"startingUnits": Number(options["starting-units"]),
+	"fogOfWar": !options["no-fog"]
+};
+
+// GameServer can't start a game with more players than the level has start positions for,
+// so check that on startup rather than only finding out once all the players have joined.
+if (numPlayers > levelData["players"].length)
+{
+	console.error(`Level '${levelData["name"]}' only supports ${levelData["players"].length} players`);
+	process.exit(1);
+}
+
+// A saved game must be resumed with the same number of players. Note it also restores the teams
+// the players were on and the match settings, so those options aren't used.
+if (saveData && saveData["numPlayers"] !== numPlayers)
+{
+	console.error(`Saved game is for ${saveData["numPlayers"]} players`);
+	process.exit(1);
+}
+
+new DedicatedServer(options["host"], Number(options["port"]), numPlayers, teams, settings, constructObjectData, unitTypesData, levelData, saveData);
@@ -0,0 +1,50 @@
+// The PlayerEconomy class tracks the resources of a single player. Resources are gained over
+// time from income, and spent on producing units. Note that resources are a floating point
+// number, as income is added every tick in proportion to the tick delta-time, but they are
+// rounded down whenever they are sent to the player.
+export class PlayerEconomy {
+    // Private fields
+    #player = 0; // the player number these resources belong to
+    #resources = 0; // current amount of resources
+    #income = 0; // current income in resources per second
+    constructor(player, startingResources) {
+        this.#player = player;
+        this.#resources = startingResources;
+    }
+    GetPlayer() {
+        return this.#player;
+    }
+    GetResources() {
+        return this.#resources;
+    }
+    // Set the resources directly, which is used when restoring a saved game.
+    SetResources(resources) {
+        this.#resources = resources;
+    }
+    CanAfford(amount) {
+        return this.#resources >= amount;
+    }
+    // Spend an amount of resources. Returns false without spending anything if the player
+    // can't afford it.
+    Spend(amount) {
+        if (!this.CanAfford(amount))
+            return false;
+        this.#resources -= amount;
+        return true;
+    }
+    // Add resources, e.g. as a refund when cancelling production.
+    Add(amount) {
+        this.#resources += amount;
+    }
+    GetIncome() {
+        return this.#income;
+    }
+    // The income is recalculated every tick by ServerEconomy, as it depends on which
+    // resource sources the player's team controls.
+    SetIncome(income) {
+        this.#income = income;
+    }
+    Tick(dt) {
+        this.#resources += this.#income * dt;
+    }
+}
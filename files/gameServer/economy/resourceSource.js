@@ -0,0 +1,56 @@
+import { GameServer } from "../gameServer.js";
+import * as MathUtils from "../utils/mathUtils.js";
+// A ResourceSource is a place on the map that provides resource income, as specified by the level.
+// It is controlled by whichever team last had units within its radius without any other team's
+// units there too. So a team captures a source by moving units in to it, and keeps it until
+// another team moves in while it's undefended. If units from more than one team are in range,
+// the source is contested, and stays with whichever team controlled it before.
+export class ResourceSource {
+    // Private fields
+    #gameServer; // reference to GameServer
+    #x = 0; // position of the center of the source
+    #y = 0;
+    #radius = 0; // radius around the position units must be in to control it
+    #income = 0; // resources per second provided to the controlling team
+    #controllingTeam = -1; // team that controls this source, or -1 if nobody controls it yet
+    constructor(gameServer, data) {
+        this.#gameServer = gameServer;
+        this.#x = data.x;
+        this.#y = data.y;
+        this.#radius = data.radius;
+        this.#income = data.income;
+    }
+    GetIncome() {
+        return this.#income;
+    }
+    GetControllingTeam() {
+        return this.#controllingTeam;
+    }
+    // Set the controlling team directly, which is used when restoring a saved game.
+    SetControllingTeam(team) {
+        this.#controllingTeam = team;
+    }
+    // Check which teams have units in range, and update the controlling team accordingly.
+    UpdateControl() {
+        const gameServer = this.#gameServer;
+        const x = this.#x;
+        const y = this.#y;
+        const radius = this.#radius;
+        const radiusSquared = radius * radius;
+        // Collect the teams with units in range. Use the collision grid to only check units in
+        // the collision cells covering the source. Note ForEachItemInArea() can run its callback
+        // repeatedly with the same unit, but that doesn't matter as the teams are stored in a Set.
+        const teamsInRange = new Set();
+        gameServer.GetCollisionGrid().ForEachItemInArea(x - radius, y - radius, x + radius, y + radius, (unitPlatform) => {
+            const [unitX, unitY] = unitPlatform.GetPosition();
+            if (MathUtils.DistanceSquared(x, y, unitX, unitY) <= radiusSquared) {
+                teamsInRange.add(gameServer.GetPlayerTeam(unitPlatform.GetUnit().GetPlayer()));
+            }
+            // Stop iterating as soon as a second team is found, as then the source is contested.
+            return teamsInRange.size > 1;
+        });
+        // If exactly one team has units in range, it takes control of the source.
+        if (teamsInRange.size === 1)
+            this.#controllingTeam = [...teamsInRange][0];
+    }
+}
@@ -0,0 +1,205 @@
+
+import { GameServer } from "../gameServer.js";
+import { PlayerEconomy } from "./playerEconomy.js";
+import { ResourceSource } from "./resourceSource.js";
+
+// The interval in seconds at which each player is sent an update about their economy.
+// This doesn't need to be sent every tick, as the client only uses it to display resources
+// and production progress.
+const ECONOMY_UPDATE_INTERVAL = 0.25;
+
+// The ServerEconomy class manages the economy for all players: the resources each player has,
+// their income, and the resource sources on the map which provide extra income. It also sends
+// each player regular updates about their own economy. Note these are sent only to the player
+// they are for, as players shouldn't be able to see anyone else's resources or production.
+// Spectators are sent a summary of every player's economy instead.
+export class ServerEconomy {
+
+	// Private fields
+	#gameServer;						// reference to GameServer
+	#baseIncome = 0;					// income every player gets in resources per second
+	#playerEconomies: PlayerEconomy[] = [];		// PlayerEconomy for each player
+	#resourceSources: ResourceSource[] = [];	// all resource sources in the level
+	#timeUntilUpdate = 0;				// time in seconds until sending the next economy update
+	
+	constructor(gameServer: GameServer)
+	{
+		this.#gameServer = gameServer;
+		
+		// Read the economy rules and resource sources from the level.
+		const level = gameServer.GetLevel();
+		const economyRules = level.GetEconomyRules();
+		this.#baseIncome = economyRules.baseIncome;
+		
+		for (let player = 0, len = gameServer.GetNumPlayers(); player < len; ++player)
+		{
+			this.#playerEconomies.push(new PlayerEconomy(player, economyRules.startingResources));
+		}
+		
+		for (const data of level.resourceSources())
+		{
+			this.#resourceSources.push(new ResourceSource(gameServer, data));
+		}
+	}
+	
+	GetPlayerEconomy(player: number)
+	{
+		return this.#playerEconomies[player];
+	}
+	
+	// Save the resources of each player and the team controlling each resource source, for saving
+	// the game. Note income is not saved, as it is recalculated every tick anyway.
+	SaveState()
+	{
+		return {
+			"playerResources": this.#playerEconomies.map(e => e.GetResources()),
+			"resourceSourceTeams": this.#resourceSources.map(s => s.GetControllingTeam())
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		for (const [player, resources] of state["playerResources"].entries())
+		{
+			this.#playerEconomies[player]?.SetResources(resources);
+		}
+		
+		for (const [i, team] of state["resourceSourceTeams"].entries())
+		{
+			this.#resourceSources[i]?.SetControllingTeam(team);
+		}
+		
+		// Send players an update about their restored economy straight away.
+		this.#timeUntilUpdate = 0;
+	}
+	
+	// Send every player an update about their economy on the next tick, rather than waiting for the
+	// next periodic update, e.g. so a player who rejoined the game is shown their economy promptly.
+	SendUpdatesNow()
+	{
+		this.#timeUntilUpdate = 0;
+	}
+	
+	Tick(dt: number)
+	{
+		// Update which team controls each resource source.
+		for (const resourceSource of this.#resourceSources)
+		{
+			resourceSource.UpdateControl();
+		}
+		
+		// Recalculate every player's income. Each player gets the base income, plus a share of
+		// the income from the resource sources their team controls. The income from a source is
+		// split evenly between the players on the team, so larger teams don't get more resources.
+		for (const playerEconomy of this.#playerEconomies)
+		{
+			const team = this.#gameServer.GetPlayerTeam(playerEconomy.GetPlayer());
+			const teamSize = this.#GetTeamSize(team);
+			let income = this.#baseIncome;
+			
+			for (const resourceSource of this.#resourceSources)
+			{
+				if (resourceSource.GetControllingTeam() === team)
+					income += resourceSource.GetIncome() / teamSize;
+			}
+			
+			playerEconomy.SetIncome(income);
+			playerEconomy.Tick(dt);
+		}
+		
+		// Periodically send each player an update about their economy.
+		this.#timeUntilUpdate -= dt;
+		if (this.#timeUntilUpdate <= 0)
+		{
+			this.#SendEconomyUpdates();
+			this.#timeUntilUpdate += ECONOMY_UPDATE_INTERVAL;
+		}
+	}
+	
+	#GetTeamSize(team: number)
+	{
+		let count = 0;
+		for (let player = 0, len = this.#gameServer.GetNumPlayers(); player < len; ++player)
+		{
+			if (this.#gameServer.GetPlayerTeam(player) === team)
+				count++;
+		}
+		
+		return count;
+	}
+	
+	#SendEconomyUpdates()
+	{
+		const gameServer = this.#gameServer;
+		
+		// The team controlling each resource source is the same for everyone, so only
+		// collect it once. This is in the same order as the level's resource sources.
+		const resourceSourceTeams = this.#resourceSources.map(s => s.GetControllingTeam());
+		
+		for (const playerEconomy of this.#playerEconomies)
+		{
+			const player = playerEconomy.GetPlayer();
+			
+			// Include the state of the production queue for every unit this player has that
+			// can produce units, so the player can see what is being built.
+			const production = [];
+			for (const unit of gameServer.allUnits())
+			{
+				const productionQueue = unit.GetProductionQueue();
+				if (unit.GetPlayer() === player && productionQueue)
+				{
+					production.push({
+						"id": unit.GetId(),
+						"queue": productionQueue.GetQueuedUnitTypeIds(),
+						"progress": productionQueue.GetProgress()
+					});
+				}
+			}
+			
+			// Send the update to this player only. This uses unreliable transmission, as if
+			// an update is lost, the next one will replace it shortly anyway.
+			gameServer.SendToRuntime({
+				"type": "player-economy",
+				"resources": Math.floor(playerEconomy.GetResources()),
+				"income": playerEconomy.GetIncome(),
+				"resourceSources": resourceSourceTeams,
+				"production": production
+			}, "u", player);
+		}
+		
+		this.#SendSpectatorStats(resourceSourceTeams);
+	}
+	
+	// Spectators aren't players, so don't have an economy of their own. Instead they can see a
+	// summary of every player's economy and army for their stats panel, along with the team
+	// controlling each resource source, which players are sent in their own economy updates.
+	#SendSpectatorStats(resourceSourceTeams: number[])
+	{
+		const gameServer = this.#gameServer;
+		const spectators = [...gameServer.spectators()];
+		if (spectators.length === 0)
+			return;
+		
+		const unitCounts = this.#playerEconomies.map(() => 0);
+		for (const unit of gameServer.allUnits())
+		{
+			unitCounts[unit.GetPlayer()]++;
+		}
+		
+		const msg = {
+			"type": "spectator-stats",
+			"players": this.#playerEconomies.map(playerEconomy => ({
+				"team": gameServer.GetPlayerTeam(playerEconomy.GetPlayer()),
+				"resources": Math.floor(playerEconomy.GetResources()),
+				"income": playerEconomy.GetIncome(),
+				"units": unitCounts[playerEconomy.GetPlayer()]
+			})),
+			"resourceSources": resourceSourceTeams
+		};
+		
+		for (const spectator of spectators)
+		{
+			gameServer.SendToRuntime(msg, "u", spectator);
+		}
+	}
+}
@@ -1,15 +1,32 @@
 import { ServerMessageHandler } from "./serverMessageHandler.js";
 import { ObjectData } from "./units/objectData.js";
-import { Unit } from "./units/unit.js";
+import { Unit, UNIT_STANCES } from "./units/unit.js";
+import { UnitType } from "./units/unitType.js";
 import * as NetworkEvents from "./networkEvents/networkEvents.js";
 import { CollisionGrid } from "./collisions/collisionGrid.js";
 import { ServerPathfinding } from "./serverPathfinding.js";
+import { ServerEconomy } from "./economy/serverEconomy.js";
+import { ServerVisibility } from "./serverVisibility.js";
+import { Level } from "./level.js";
+import { ReadMatchSettings, WriteMatchSettings } from "./matchSettings.js";
 import { KahanSum } from "./utils/kahanSum.js";
 import * as MathUtils from "./utils/mathUtils.js";
+import { Projectile } from "./units/projectile.js";
+import { MovableUnitPlatform } from "./units/movableUnitPlatform.js";
 // Number of ticks per second to run the server at,
 // and the equivalent value in milliseconds between ticks.
 const SERVER_TICK_RATE = 30;
 const SERVER_TICK_MS_INTERVAL = (1000 / SERVER_TICK_RATE);
+// The version of the save data format written by SaveState(). This must be incremented if the
+// format changes incompatibly, so older save data can be identified and rejected rather than
+// misread. Fields added to the format since must be restored with a default using ?? instead,
+// so that older save data still loads.
+const SAVE_DATA_VERSION = 1;
+// The maximum number of spectators who can watch a game. Spectators are numbered after the players,
+// i.e. from the number of players up to the number of players plus MAX_SPECTATORS - 1.
+export const MAX_SPECTATORS = 4;
+// The spectator vision value for seeing the whole map, rather than one player's vision.
+export const SPECTATOR_VISION_ALL = -1;
 // The GameServer class represents the state of the game and runs the main game logic.
 // It runs in a Web Worker and communicates with clients by messaging - either local messages
 // for the local player or remote players over the network.
@@ -22,35 +39,77 @@ export class GameServer {
     // map of all active projectiles by id -> Projectile
     #allProjectilesById = new Map();
     #tickTimerId = -1; // timer ID for ticking GameServer
+    #statsTimerId = -1; // timer ID for sending stats
     #lastTickTimeMs = 0; // clock time at last tick in ms
     #nextTickScheduledTimeMs = 0; // time next tick ought to run at in ms
     #gameTime = new KahanSum(); // serves as the clock for the game in seconds
     #objectData = new Map(); // name -> ObjectData
+    #unitTypesByName = new Map(); // name -> UnitType
+    #level; // Level with the layout, obstacles, starting units and victory rules
+    #settings; // match settings chosen in the lobby, such as whether there is fog of war
     // Level size
-    #layoutWidth = 35000;
-    #layoutHeight = 13000;
+    #layoutWidth = 0;
+    #layoutHeight = 0;
+    #numPlayers = 2; // number of players in the game, numbered from 0
+    #hostPlayer = 0; // the player whose client runs this GameServer (see SetHostPlayer())
+    #playerTeams; // team number for each player, indexed by player number
     #isGameOver = false; // set to true once victory/defeat condition met
+    #winningTeam = -1; // the team that won once the game is over, or -1 for a draw
+    // Spectators watching the game, with the player whose vision each one is using, or
+    // SPECTATOR_VISION_ALL if they can see the whole map.
+    #spectatorVision = new Map(); // spectator number -> vision player
     #collisionGrid; // CollisionGrid for collision cells optimisation
     #serverPathfinding; // ServerPathfinding for server-side pathfinding manager
+    #serverEconomy; // ServerEconomy for player resources and income
+    #serverVisibility; // ServerVisibility for the fog of war
     // For stats
     #statStateData = 0;
     #statDeltaData = 0;
     #statEventData = 0;
+    #statPlayerData = []; // bytes of game updates sent to each player
     #frameCount = 0;
     #timeInTickCalls = 0;
-    constructor(sendMessageFunc, constructObjectData) {
+    constructor(sendMessageFunc, constructObjectData, unitTypesData, levelData, numPlayers, playerTeams, settings, saveData) {
         // The function to send a message to the runtime is passed to the constructor.
         this.#sendMessageFunc = sendMessageFunc;
+        this.#numPlayers = numPlayers;
+        // Read the match settings, using the defaults for any that aren't specified. Note when resuming
+        // a saved game, these are replaced by the settings in the save data.
+        this.#settings = ReadMatchSettings(settings);
+        // Read the level data, which determines the layout size. Make sure the level has
+        // starting positions for all the players in the game.
+        this.#level = new Level(levelData);
+        [this.#layoutWidth, this.#layoutHeight] = this.#level.GetLayoutSize();
+        if (numPlayers > this.#level.GetPlayerCount())
+            throw new Error(`level '${this.#level.GetName()}' only supports ${this.#level.GetPlayerCount()} players, but ${numPlayers} players are in the game`);
+        // Players on the same team are allies: their units don't target or damage each other,
+        // and they win or lose together. If no teams are specified, every player is on
+        // their own team, i.e. a free-for-all where the team number is the player number.
+        if (playerTeams && playerTeams.length === numPlayers)
+            this.#playerTeams = [...playerTeams];
+        else
+            this.#playerTeams = Array.from({ length: numPlayers }, (_, player) => player);
         this.#serverMessageHandler = new ServerMessageHandler(this);
         // Read the object data passed from the runtime in to ObjectData classes.
         for (const entry of constructObjectData) {
             this.#objectData.set(entry["name"], new ObjectData(this, entry));
         }
+        // Read the unit types data in to UnitType classes. Note this must come after reading the
+        // object data, as unit types refer to the object data for the objects they use.
+        // The ID of each unit type is its index in the data.
+        for (const [id, entry] of unitTypesData.entries()) {
+            const unitType = new UnitType(this, id, entry);
+            this.#unitTypesByName.set(unitType.GetName(), unitType);
+        }
         // Create the collision grid and server-side pathfinding controller
         this.#collisionGrid = new CollisionGrid(this);
         this.#serverPathfinding = new ServerPathfinding(this);
-        // Initialize a game.
-        this.Init();
+        // Create the economy, which reads the starting resources and resource sources from the level.
+        this.#serverEconomy = new ServerEconomy(this);
+        // Create the visibility grids for the fog of war.
+        this.#serverVisibility = new ServerVisibility(this);
+        // Initialize a game, or resume a saved game if save data was provided.
+        this.Init(saveData);
     }
     // Provide a GameServer method to send a message to the runtime for convenience.
     // This also specifies a transmission mode (reliable ordered, reliable unordered,
@@ -61,43 +120,252 @@ export class GameServer {
     GetMessageHandler() {
         return this.#serverMessageHandler;
     }
-    Init() {
-        // Add 500 starting units for each player in rows opposing each other.
-        const randomOffset = ((v) => (v / -2) + Math.random() * v);
-        for (let i = 0; i < 500; ++i) {
-            // Use a formula to arrange units in 5 rows
-            const x = 5000 + i * 50;
-            const y = 2000 + (i % 5) * 350;
-            // Add player 0 unit along the top
-            this._AddUnitAtPosition(0, x + randomOffset(50), y + randomOffset(50), Math.PI / 2 + randomOffset(0.5));
-            // Add player 1 unit along the bottom
-            this._AddUnitAtPosition(1, x + randomOffset(50), this.#layoutHeight - y + randomOffset(50), Math.PI / -2 + randomOffset(0.5));
+    Init(saveData) {
+        // If resuming a saved game, restore everything from the save data. Otherwise add each
+        // player's starting units as specified by the level. If the match settings ask for fewer
+        // starting units, that proportion of each entry in the level's list of units is used, with
+        // at least one of each. So players still get every kind of unit, and are never left with
+        // no units, which would mean they were defeated straight away.
+        if (saveData) {
+            this.#RestoreState(saveData);
         }
-        this.SendToRuntime({
-            "type": "create-initial-state",
-            "layoutSize": [this.#layoutWidth, this.#layoutHeight]
-        });
-        // Initialise the number of full unit updates to be sending out every tick,
-        // based on the starting number of units.
-        this.#serverMessageHandler.UpdateNumFullUpdatesPerTick();
+        else {
+            for (let player = 0; player < this.#numPlayers; ++player) {
+                for (const { unitType, x, y, angle } of this.#level.playerUnits(player, this.#settings.startingUnits)) {
+                    this._AddUnitAtPosition(player, this.GetUnitTypeByName(unitType), x, y, angle);
+                }
+            }
+        }
+        this.#SendInitialState();
         // Start ticking the game
         this.#lastTickTimeMs = performance.now();
         this.#nextTickScheduledTimeMs = this.#lastTickTimeMs + SERVER_TICK_MS_INTERVAL;
         this.#Tick();
         // Every 1 second send a stats message for testing purposes
-        setInterval(() => this.#SendStats(), 1000);
+        this.#statsTimerId = setInterval(() => this.#SendStats(), 1000);
+    }
+    // Tell clients to create the initial state of the game, and start sending full updates
+    // for every unit. This is sent when the game starts, and again if a saved game is loaded.
+    // It can also be sent to just one player when they rejoin the game (see ResyncPlayer()).
+    #SendInitialState(forPlayer = null) {
+        this.SendToRuntime({
+            "type": "create-initial-state",
+            "level": this.#level.GetData(),
+            "numPlayers": this.#numPlayers,
+            "teams": this.#playerTeams,
+            "settings": WriteMatchSettings(this.#settings)
+        }, "o", forPlayer);
+        // Initialise the number of full unit updates to be sending out every tick,
+        // based on the starting number of units. The full updates then work their way
+        // through all the units from the next tick, the same as when the game starts.
+        this.#serverMessageHandler.UpdateNumFullUpdatesPerTick();
+    }
+    // Bring a player's client up to date with the whole state of the game, when the player rejoins the
+    // game after dropping out, or joins after it started. Their client starts over with nothing, but
+    // one-off messages like the initial state and network events were only sent as they happened,
+    // so send them again for just this player. They also get full updates for every unit they know
+    // about on the next tick, rather than waiting for them over the full update period.
+    ResyncPlayer(player) {
+        this.#SendInitialState(player);
+        this.#serverMessageHandler.ResyncPlayer(player);
+        // Send events for projectiles already in flight, so they appear part way along their path.
+        for (const projectile of this.#allProjectilesById.values()) {
+            this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.FireProjectileEvent(projectile, player));
+        }
+        this.#serverEconomy.SendUpdatesNow();
+        if (this.#isGameOver) {
+            this.SendToRuntime({
+                "type": "game-over",
+                "winning-team": this.#winningTeam
+            }, "o", player);
+        }
     }
-    _AddUnitAtPosition(player, x, y, angle) {
+    // Write the full state of the game to a JSON object, which can be saved and later passed to
+    // LoadState() or the constructor to resume the game. This includes every unit with its movement
+    // state and waypoints, every projectile, the economy, the match settings and the game time. The level
+    // data is included too, so a saved game can be resumed without knowing which level it was on, but it
+    // must still be passed to the constructor as normal. Note the unit types aren't included, as those are part
+    // of the game rather than the match, and must be the same when the save is loaded.
+    SaveState() {
+        return {
+            "version": SAVE_DATA_VERSION,
+            "level": this.#level.GetData(),
+            "numPlayers": this.#numPlayers,
+            "teams": this.#playerTeams,
+            "settings": WriteMatchSettings(this.#settings),
+            "gameTime": this.#gameTime.SaveState(),
+            "isGameOver": this.#isGameOver,
+            "winningTeam": this.#winningTeam,
+            "economy": this.#serverEconomy.SaveState(),
+            "pathfinding": this.#serverPathfinding.SaveState(),
+            "units": [...this.allUnits()].map(unit => unit.SaveState()),
+            "projectiles": [...this.#allProjectilesById.values()].map(projectile => projectile.SaveState())
+        };
+    }
+    // Load a saved game in to the running game, replacing everything in the current game. Clients are
+    // sent the initial state again, and then full updates for all the restored units.
+    LoadState(saveData) {
+        this.#RestoreState(saveData);
+        this.#SendInitialState();
+    }
+    #RestoreState(saveData) {
+        // Check the save data is for this game and has everything needed to restore it before
+        // changing anything, so most problems with it are found straight away.
+        this.#CheckSaveData(saveData);
+        // Keep the current game, so it can be put back if restoring the save data still fails part way.
+        const oldUnitsById = this.#allUnitsById;
+        const oldProjectilesById = this.#allProjectilesById;
+        const oldCollisionGrid = this.#collisionGrid;
+        const oldPathfinding = this.#serverPathfinding;
+        const oldGameTime = this.#gameTime.SaveState();
+        const oldIsGameOver = this.#isGameOver;
+        const oldWinningTeam = this.#winningTeam;
+        const oldPlayerTeams = this.#playerTeams;
+        const oldSettings = this.#settings;
+        const oldEconomy = this.#serverEconomy.SaveState();
+        // Restore the saved game with new units and projectiles, and a new collision grid and
+        // pathfinding. Each unit adds itself to the new grid as it's created, and static units
+        // add themselves as obstacles to the new pathfinding.
+        this.#allUnitsById = new Map();
+        this.#allProjectilesById = new Map();
+        this.#collisionGrid = new CollisionGrid(this);
+        this.#serverPathfinding = new ServerPathfinding(this);
+        try {
+            this.#RestoreGame(saveData);
+        }
+        catch (err) {
+            // Release everything restored so far, and put the current game back as it was.
+            for (const unit of this.allUnits()) {
+                unit.Release();
+                this.#serverMessageHandler.RemoveUnit(unit);
+            }
+            for (const projectile of this.#allProjectilesById.values()) {
+                projectile.Release();
+            }
+            this.#allUnitsById = oldUnitsById;
+            this.#allProjectilesById = oldProjectilesById;
+            this.#collisionGrid = oldCollisionGrid;
+            this.#serverPathfinding = oldPathfinding;
+            this.#gameTime.RestoreState(oldGameTime);
+            this.#isGameOver = oldIsGameOver;
+            this.#winningTeam = oldWinningTeam;
+            this.#playerTeams = oldPlayerTeams;
+            this.#settings = oldSettings;
+            this.#serverEconomy.RestoreState(oldEconomy);
+            throw err;
+        }
+        // The saved game was restored successfully, so release everything from the previous game.
+        // Note this doesn't send network events for destroyed units, as clients remove everything
+        // when they get the initial state again.
+        for (const unit of oldUnitsById.values()) {
+            unit.Release();
+        }
+        for (const projectile of oldProjectilesById.values()) {
+            projectile.Release();
+        }
+        this.#serverMessageHandler.Reset();
+        // Send clients a network event for each restored projectile as if it had just been fired,
+        // so they show projectiles that are still travelling.
+        for (const projectile of this.#allProjectilesById.values()) {
+            this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.FireProjectileEvent(projectile));
+        }
+    }
+    // Throw an error if the save data can't be restored in to this game: if it's from an unsupported
+    // version, for a different level or number of players, is missing required state, or refers
+    // to unit types that don't exist in this game.
+    #CheckSaveData(saveData) {
+        if (saveData["version"] !== SAVE_DATA_VERSION)
+            throw new Error(`unsupported save data version ${saveData["version"]}`);
+        const levelName = saveData["level"]?.["name"];
+        if (levelName !== this.#level.GetName())
+            throw new Error(`save data is for level '${levelName}', but the game is on level '${this.#level.GetName()}'`);
+        if (saveData["numPlayers"] !== this.#numPlayers)
+            throw new Error(`save data is for ${saveData["numPlayers"]} players, but ${this.#numPlayers} players are in the game`);
+        for (const field of ["gameTime", "teams", "units", "projectiles"]) {
+            if (!Array.isArray(saveData[field]))
+                throw new Error(`save data is missing '${field}'`);
+        }
+        if (typeof saveData["economy"] !== "object" || saveData["economy"] === null)
+            throw new Error(`save data is missing 'economy'`);
+        const checkUnitType = (name) => {
+            if (!this.#unitTypesByName.has(name))
+                throw new Error(`save data has unknown unit type '${name}'`);
+        };
+        for (const state of saveData["units"]) {
+            checkUnitType(state["unitType"]);
+            for (const name of state["production"]?.["queue"] ?? []) {
+                checkUnitType(name);
+            }
+        }
+        for (const state of saveData["projectiles"]) {
+            checkUnitType(state["unitType"]);
+        }
+    }
+    // Restore the state of the game from save data in to the current set of units and projectiles,
+    // which are empty, and the collision grid and pathfinding, which are new.
+    #RestoreGame(saveData) {
+        // Restore the game time first, as some of the restored state is relative to it,
+        // such as when each turret last fired.
+        this.#gameTime.RestoreState(saveData["gameTime"]);
+        this.#isGameOver = saveData["isGameOver"];
+        this.#winningTeam = saveData["winningTeam"] ?? -1;
+        this.#playerTeams = [...saveData["teams"]];
+        this.#settings = ReadMatchSettings(saveData["settings"]);
+        this.#serverEconomy.RestoreState(saveData["economy"]);
+        if (saveData["pathfinding"])
+            this.#serverPathfinding.RestoreState(saveData["pathfinding"]);
+        // Create all the units with their saved IDs first, and then restore the rest of their
+        // state, so everything that refers to other units by ID can find them.
+        const units = saveData["units"].map((state) => this._AddUnitAtPosition(state["player"], this.GetUnitTypeByName(state["unitType"]), state["x"], state["y"], state["angle"], state["id"]));
+        for (const [i, unit] of units.entries()) {
+            unit.RestoreState(saveData["units"][i]);
+        }
+        // Static units added themselves as obstacles again when they were created, but that doesn't
+        // mean any routes need updating, as they were already there when the game was saved.
+        this.#serverPathfinding.ClearObstacleChanges();
+        // Restore the projectiles, also with their saved IDs. Network events for them are sent
+        // once the whole game has been restored.
+        for (const state of saveData["projectiles"]) {
+            const projectile = new Projectile(this, state["player"], this.GetUnitTypeByName(state["unitType"]), state["x"], state["y"], state["id"]);
+            projectile.SetAngle(state["angle"]);
+            projectile.SetSpeed(state["speed"]);
+            projectile.SetDistanceTravelled(state["distanceTravelled"]);
+            projectile.SetFiredByUnitId(state["firedByUnitId"] ?? -1);
+            projectile.SetTargetUnitId(state["targetUnitId"] ?? -1);
+            // Saves from before projectile types were added have no range, in which case keep
+            // the range the projectile was created with from its unit type.
+            projectile.SetRange(state["range"] ?? projectile.GetRange());
+            this.#allProjectilesById.set(projectile.GetId(), projectile);
+        }
+    }
+    // Stop the game running. In a Web Worker this isn't strictly necessary as the worker is
+    // terminated anyway, but a dedicated server runs GameServer in a long-lived process,
+    // so it must stop its timers to end the game and allow the process to exit.
+    Release() {
+        if (this.#tickTimerId !== -1) {
+            clearTimeout(this.#tickTimerId);
+            this.#tickTimerId = -1;
+        }
+        if (this.#statsTimerId !== -1) {
+            clearInterval(this.#statsTimerId);
+            this.#statsTimerId = -1;
+        }
+    }
+    _AddUnitAtPosition(player, unitType, x, y, angle, id = -1) {
         // Create a unit and add it to the units by ID map
-        const unit = new Unit(this, player, x, y, angle);
+        const unit = new Unit(this, unitType, player, x, y, angle, id);
         this.#allUnitsById.set(unit.GetId(), unit);
+        return unit;
     }
     DestroyUnit(unit) {
         // Release the unit so it cleans up any leftover state, such as removing
         // itself from any collision cells it was in.
         unit.Release();
-        // Queue a network event to tell clients that the unit was destroyed.
-        this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.UnitDestroyedEvent(unit.GetId()));
+        // Queue a network event to tell clients that the unit was destroyed. This is only sent
+        // to the players who knew about the unit, as due to the fog of war, the other players
+        // may never have seen it.
+        const forPlayers = this.#serverMessageHandler.GetPlayersKnowingUnit(unit);
+        this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.UnitDestroyedEvent(unit.GetId(), forPlayers));
         // Remove the unit from the server and from any pending messages in ServerMessageHandler.
         this.#allUnitsById.delete(unit.GetId());
         this.#serverMessageHandler.RemoveUnit(unit);
@@ -121,6 +389,12 @@ export class GameServer {
     GetObjectData(name) {
         return this.#objectData.get(name);
     }
+    GetUnitTypeByName(name) {
+        const unitType = this.#unitTypesByName.get(name);
+        if (!unitType)
+            throw new Error(`unknown unit type '${name}'`);
+        return unitType;
+    }
     // Get the server-side game time in seconds.
     GetGameTime() {
         return this.#gameTime.Get();
@@ -136,6 +410,18 @@ export class GameServer {
     GetPathfinding() {
         return this.#serverPathfinding;
     }
+    GetEconomy() {
+        return this.#serverEconomy;
+    }
+    GetVisibility() {
+        return this.#serverVisibility;
+    }
+    GetLevel() {
+        return this.#level;
+    }
+    GetSettings() {
+        return this.#settings;
+    }
     GetLayoutSize() {
         return [this.#layoutWidth, this.#layoutHeight];
     }
@@ -144,22 +430,27 @@ export class GameServer {
             MathUtils.Clamp(y, 0, this.#layoutHeight)];
     }
     // Called when GameServer receives a command from a player to move units
-    // to a location.
-    MoveUnits(player, units) {
-        // Determine whether to use a pathfinding group for moving these units.
-        // This is done if the number of units to move is above the threshold.
-        const groupThreshold = this.#serverPathfinding.GetGroupThreshold();
-        const useGroup = (units.length > groupThreshold);
-        // If using a group, start the pathfinding group now before finding paths.
-        if (useGroup)
-            this.#serverPathfinding.StartGroup();
+    // to a location. If the units are moving in formation, the client has already worked out
+    // each unit's position in the formation, but they also move at the speed of the slowest unit
+    // so the formation keeps together on the way there. Normally the move replaces any other
+    // orders the units have, but if it's queued, the units move there after their other orders.
+    // This is also used for attack-move and patrol orders, which move units in the same way.
+    MoveUnits(player, units, isFormation = false, isQueued = false, orderType = "move") {
+        // Ignore messages in the wrong format, e.g. from a hacked client.
+        if (!Array.isArray(units))
+            return;
         // Collect an array of units to move
         const unitsToMove = [];
         // For each unit being commanded to move
         for (const u of units) {
+            if (typeof u !== "object" || u === null)
+                continue;
             const id = u["id"];
             const toX = u["x"];
             const toY = u["y"];
+            // Skip any unit with an invalid position to move to.
+            if (!Number.isFinite(toX) || !Number.isFinite(toY))
+                continue;
             // Look up unit from its ID.
             const unit = this.GetUnitById(id);
             // Discard any units that cannot be found, just in case any synchronisation issue
@@ -168,60 +459,142 @@ export class GameServer {
             // so even a hacked client can't command anyone else's units.
             if (!unit || unit.GetPlayer() !== player)
                 continue;
-            // Add this unit to the list of units to move.
+            // Static units can't move, so skip them too.
             const platform = unit.GetPlatform();
-            const [curX, curY] = platform.GetPosition();
-            unitsToMove.push({
-                platform,
-                curX, curY,
-                toX, toY
-            });
-        }
-        // If using a pathfinding group, shuffle the order of units to try to spread out
-        // simultaneous pathfinding requests.
-        if (useGroup) {
-            // Sort units horizontally and collect units in to two halves.
-            unitsToMove.sort((a, b) => a.curX - b.curX);
-            let mid = Math.floor(unitsToMove.length / 2);
-            const leftSide = unitsToMove.slice(0, mid);
-            leftSide.reverse();
-            const rightSide = unitsToMove.slice(mid);
-            // Sort the left and right sides vertically and collect each side in to
-            // both top and bottom quadrants.
-            leftSide.sort((a, b) => a.curY - b.curY);
-            rightSide.sort((a, b) => a.curY - b.curY);
-            mid = Math.floor(leftSide.length / 2);
-            const topLeftSide = leftSide.slice(0, mid);
-            topLeftSide.reverse();
-            const bottomLeftSide = leftSide.slice(mid);
-            mid = Math.floor(rightSide.length / 2);
-            const topRightSide = rightSide.slice(0, mid);
-            topRightSide.reverse();
-            const bottomRightSide = rightSide.slice(mid);
-            // Now clear unitsToMove and rebuild it by picking one unit from each quadrant
-            // at a time until all four quadrants are empty.
-            unitsToMove.length = 0;
-            const maxLen = Math.max(topLeftSide.length, bottomLeftSide.length, topRightSide.length, bottomRightSide.length);
-            for (let i = 0; i < maxLen; ++i) {
-                if (topLeftSide.length > 0)
-                    unitsToMove.push(topLeftSide.pop());
-                if (bottomRightSide.length > 0)
-                    unitsToMove.push(bottomRightSide.pop());
-                if (topRightSide.length > 0)
-                    unitsToMove.push(topRightSide.pop());
-                if (bottomLeftSide.length > 0)
-                    unitsToMove.push(bottomLeftSide.pop());
+            if (!(platform instanceof MovableUnitPlatform))
+                continue;
+            // Add this unit to the list of units to move.
+            unitsToMove.push({ unit, platform, toX, toY });
+        }
+        if (unitsToMove.length === 0)
+            return;
+        // Moving a large group of units is done with a single flow field, rather than finding a
+        // path for every unit. All the units share the same flow field leading to the middle of
+        // their destinations, and follow it until they can drive straight to their own destination.
+        // Smaller selections below the group threshold find their own path with A* instead.
+        // Queued moves also find their own path, as the units will each start moving at different
+        // times, and when they do, the obstacles may have changed.
+        let flowField = null;
+        if (!isQueued && unitsToMove.length > this.#serverPathfinding.GetGroupThreshold()) {
+            let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+            for (const { toX, toY } of unitsToMove) {
+                minX = Math.min(minX, toX);
+                minY = Math.min(minY, toY);
+                maxX = Math.max(maxX, toX);
+                maxY = Math.max(maxY, toY);
             }
+            const fromPositions = unitsToMove.map(({ platform }) => platform.GetPosition());
+            flowField = this.#serverPathfinding.FindFlowField((minX + maxX) / 2, (minY + maxY) / 2, fromPositions);
         }
-        // Instruct each unit to move to its target position. This performs
-        // pathfinding to calculate a route to the destination.
-        for (const { platform, toX, toY } of unitsToMove) {
-            platform.MoveToPosition(toX, toY);
+        let maxSpeed = Infinity;
+        if (isFormation) {
+            for (const { platform } of unitsToMove) {
+                maxSpeed = Math.min(maxSpeed, platform.GetMaxSpeed());
+            }
+        }
+        // Give each unit the order to move to its target position. Patrols go back and forth between
+        // the target position and where the unit is, or where it will be after its queued orders.
+        for (const { unit, platform, toX, toY } of unitsToMove) {
+            const orderQueue = unit.GetOrderQueue();
+            let order;
+            if (orderType === "patrol") {
+                const fromPosition = (isQueued ? orderQueue.GetFinalPosition() : platform.GetPosition());
+                order = { type: "patrol", points: [fromPosition, [toX, toY]], index: 1, maxSpeed };
+            }
+            else {
+                order = { type: orderType, x: toX, y: toY, maxSpeed };
+            }
+            if (isQueued)
+                orderQueue.Add(order);
+            else
+                orderQueue.Replace(order, flowField);
+        }
+    }
+    // Called when GameServer receives a command from a player to stop units. This cancels all
+    // their orders and brings them to a halt.
+    StopUnits(player, unitIds) {
+        for (const unit of this.#GetCommandableUnits(player, unitIds)) {
+            unit.GetOrderQueue().Clear();
+            unit.GetPlatform().Stop();
+        }
+    }
+    // Called when GameServer receives a command from a player for units to hold position. The units
+    // stop and then never move, but still fire at anything in range, until given another order.
+    // If it's queued, the units hold position after carrying out their other orders.
+    HoldPosition(player, unitIds, isQueued = false) {
+        for (const unit of this.#GetCommandableUnits(player, unitIds)) {
+            const order = { type: "hold-position" };
+            if (isQueued)
+                unit.GetOrderQueue().Add(order);
+            else
+                unit.GetOrderQueue().Replace(order);
+        }
+    }
+    // Called when GameServer receives a command from a player for units to attack an enemy unit.
+    // The units move in to range of the target and fire at it until it's destroyed. The target must
+    // be an enemy unit the player can see, so even a hacked client can't attack hidden units.
+    // If it's queued, the units attack the target after carrying out their other orders.
+    AttackUnit(player, unitIds, targetId, isQueued = false) {
+        const target = this.GetUnitById(targetId);
+        if (!target || this.AreAllies(player, target.GetPlayer()) || !this.#serverVisibility.IsUnitVisible(player, target))
+            return;
+        for (const unit of this.#GetCommandableUnits(player, unitIds)) {
+            const order = { type: "attack-unit", targetId, leashPosition: null };
+            if (isQueued)
+                unit.GetOrderQueue().Add(order);
+            else
+                unit.GetOrderQueue().Replace(order);
+        }
+    }
+    // Called when GameServer receives a command from a player to set the stance of units.
+    // Unlike orders, stances also apply to static units, as they affect when turrets fire.
+    SetUnitStance(player, unitIds, stance) {
+        if (!Array.isArray(unitIds) || !UNIT_STANCES.includes(stance))
+            return;
+        for (const id of unitIds) {
+            const unit = this.GetUnitById(id);
+            if (unit && unit.GetPlayer() === player)
+                unit.SetStance(stance);
         }
-        // If a pathfinding group was used, end it now that all units have
-        // sent their pathfinding jobs.
-        if (useGroup)
-            this.#serverPathfinding.EndGroup();
+    }
+    // Return the units with the given IDs that the player can give orders to. As with MoveUnits(),
+    // this skips any units that can't be found, belong to another player, or can't move.
+    #GetCommandableUnits(player, unitIds) {
+        const units = [];
+        if (!Array.isArray(unitIds))
+            return units;
+        for (const id of unitIds) {
+            const unit = this.GetUnitById(id);
+            if (unit && unit.GetPlayer() === player && unit.GetOrderQueue())
+                units.push(unit);
+        }
+        return units;
+    }
+    // Called when GameServer receives a command from a player to build a unit at a unit
+    // that can produce units, such as a factory. The unit is added to the end of its production
+    // queue, and the cost is paid immediately. The message could come from a hacked client,
+    // so it is ignored if anything about it isn't valid, or if the player can't afford it.
+    QueueUnitProduction(player, unitId, unitTypeName) {
+        const unit = this.GetUnitById(unitId);
+        const productionQueue = unit?.GetProductionQueue();
+        if (!unit || unit.GetPlayer() !== player || !productionQueue || productionQueue.IsFull())
+            return;
+        const unitType = this.#unitTypesByName.get(unitTypeName);
+        if (!unitType || !unit.GetUnitType().CanProduceUnitType(unitType))
+            return;
+        if (this.#serverEconomy.GetPlayerEconomy(player).Spend(unitType.GetCost()))
+            productionQueue.Add(unitType);
+    }
+    // Called when GameServer receives a command from a player to cancel a unit in a production
+    // queue. The unit is identified by its index in the queue, and its cost is refunded in full.
+    CancelUnitProduction(player, unitId, index) {
+        const unit = this.GetUnitById(unitId);
+        const productionQueue = unit?.GetProductionQueue();
+        if (!unit || unit.GetPlayer() !== player || !productionQueue)
+            return;
+        const unitType = productionQueue.Remove(index);
+        if (unitType)
+            this.#serverEconomy.GetPlayerEconomy(player).Add(unitType.GetCost());
     }
     // Called when a turret fires a projectile.
     OnFireProjectile(projectile) {
@@ -234,8 +607,8 @@ export class GameServer {
     CheckProjectileCollision(projectile) {
         const [x, y] = projectile.GetPosition();
         const player = projectile.GetPlayer();
-        // Result to return from this method.
-        let result = false;
+        // The unit the projectile hit, if any.
+        let hitUnit = null;
         // To efficiently eliminate most far-away units, use the collision grid to only
         // check units in the same collision cell as this projectile. Note the method
         // takes a rectangle, but projectiles are just a point, so a zero-sized rectangle
@@ -246,23 +619,135 @@ export class GameServer {
         // performance overhead (and collision cells overall are a huge improvement).
         this.#collisionGrid.ForEachItemInArea(x, y, x, y, (unitPlatform) => {
             const unit = unitPlatform.GetUnit();
-            // Skip units from the same player that fired the projectile.
-            if (unit.GetPlayer() === player)
+            // Skip units from the same player that fired the projectile, or allies of that player.
+            // Note this means projectiles pass through allied units without damaging them.
+            if (this.AreAllies(unit.GetPlayer(), player))
                 return false; // bail out but keep iterating in ForEachItemInArea()
             // Check if the projectile hit this unit. This only uses the projectile
             // position as a point and tests if it is inside the unit platform's full collision shape.
             if (unitPlatform.ContainsPoint_Full(x, y)) {
-                // Queue a network event to tell clients that a projectile hit something.
-                this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.ProjectileHitEvent(projectile));
-                // Apply the projectile damage to the unit health.
-                unit.ReduceHealth(projectile.GetDamage());
-                result = true; // return true from CheckProjectileCollision()
+                hitUnit = unit;
                 return true; // bail out and stop iterating in ForEachItemInArea()
             }
             return false;
         });
+        // Note the damage is applied after iterating, as it may destroy units, which removes
+        // them from the collision grid.
+        if (hitUnit)
+            this.OnProjectileHit(projectile, hitUnit);
         // Return true if a collision happened.
-        return result;
+        return !!hitUnit;
+    }
+    // Called when a projectile hits something: either a unit it collided with, or for artillery,
+    // the ground where it lands, in which case hitUnit is null. Projectiles with a splash radius
+    // explode, damaging every enemy unit nearby, and otherwise only the unit hit takes damage.
+    OnProjectileHit(projectile, hitUnit) {
+        // Queue a network event to tell clients that a projectile hit something.
+        this.#serverMessageHandler.AddNetworkEvent(new NetworkEvents.ProjectileHitEvent(projectile));
+        // Apply the projectile damage to the unit health. The unit is also told which
+        // unit fired the projectile, so it can react to being attacked.
+        if (projectile.GetSplashRadius() > 0)
+            this.#ApplySplashDamage(projectile);
+        else if (hitUnit)
+            hitUnit.ReduceHealth(projectile.GetDamage(), projectile.GetFiredByUnitId());
+    }
+    // Damage all enemy units within the splash radius of an exploding projectile. The damage falls off
+    // from full damage at the centre of the explosion to nothing at the edge of the radius, based on the
+    // distance to each unit's position, although units the explosion is inside take full damage. As with
+    // direct hits, allied units aren't damaged.
+    #ApplySplashDamage(projectile) {
+        const [x, y] = projectile.GetPosition();
+        const player = projectile.GetPlayer();
+        const radius = projectile.GetSplashRadius();
+        // Find the units in range along with the fraction of the damage each takes. This uses a map as
+        // ForEachItemInArea() can run its callback repeatedly with the same unit, and the damage is only
+        // applied after iterating, as it may destroy units.
+        const damageFractions = new Map();
+        this.#collisionGrid.ForEachItemInArea(x - radius, y - radius, x + radius, y + radius, (unitPlatform) => {
+            const unit = unitPlatform.GetUnit();
+            if (damageFractions.has(unit) || this.AreAllies(unit.GetPlayer(), player))
+                return false;
+            const [unitX, unitY] = unitPlatform.GetPosition();
+            const dist = MathUtils.DistanceTo(x, y, unitX, unitY);
+            if (unitPlatform.ContainsPoint_Full(x, y))
+                damageFractions.set(unit, 1);
+            else if (dist < radius)
+                damageFractions.set(unit, 1 - dist / radius);
+            return false;
+        });
+        for (const [unit, fraction] of damageFractions) {
+            unit.ReduceHealth(projectile.GetDamage() * fraction, projectile.GetFiredByUnitId());
+        }
+    }
+    GetNumPlayers() {
+        return this.#numPlayers;
+    }
+    // The host player is the player whose client runs GameServer, i.e. the single player or the
+    // multiplayer host, which is allowed to save the game and get the replay command log.
+    // This is normally player 0, but if the host left and another player took over hosting the
+    // game, then it is that player instead.
+    SetHostPlayer(player) {
+        this.#hostPlayer = player;
+    }
+    GetHostPlayer() {
+        return this.#hostPlayer;
+    }
+    // Spectators use the numbers after the players, so there are this many possible viewers of
+    // the game, i.e. clients that can be sent game updates.
+    GetNumViewers() {
+        return this.#numPlayers + MAX_SPECTATORS;
+    }
+    IsSpectator(player) {
+        return player >= this.#numPlayers && player < this.GetNumViewers();
+    }
+    // Players always view the game, but spectator numbers are only used once a spectator joins.
+    IsActiveViewer(player) {
+        return (player >= 0 && player < this.#numPlayers) || this.#spectatorVision.has(player);
+    }
+    // Called when a spectator joins the game. They start off seeing the whole map.
+    AddSpectator(spectator) {
+        if (this.IsSpectator(spectator) && !this.#spectatorVision.has(spectator))
+            this.#spectatorVision.set(spectator, SPECTATOR_VISION_ALL);
+    }
+    RemoveSpectator(spectator) {
+        this.#spectatorVision.delete(spectator);
+        this.#serverMessageHandler.ResetPlayer(spectator);
+    }
+    // Iterates the numbers of all the spectators watching the game.
+    spectators() {
+        return this.#spectatorVision.keys();
+    }
+    // Switch a spectator to seeing what one player can see, or the whole map with SPECTATOR_VISION_ALL.
+    // What the spectator knows about changes completely, so resync them to start over.
+    SetSpectatorVision(spectator, visionPlayer) {
+        if (!this.#spectatorVision.has(spectator) ||
+            !(visionPlayer === SPECTATOR_VISION_ALL || (visionPlayer >= 0 && visionPlayer < this.#numPlayers))) {
+            return;
+        }
+        this.#spectatorVision.set(spectator, visionPlayer);
+        this.ResyncPlayer(spectator);
+    }
+    // Returns undefined if the spectator is not watching the game.
+    GetSpectatorVision(spectator) {
+        return this.#spectatorVision.get(spectator);
+    }
+    // Return true if the given viewer can see everything about a player's units, i.e. the viewer is an
+    // ally of the player, or is a spectator seeing the whole map or the vision of one of the player's allies.
+    SharesVisionWith(viewer, player) {
+        if (!this.IsSpectator(viewer))
+            return this.AreAllies(viewer, player);
+        const visionPlayer = this.#spectatorVision.get(viewer);
+        if (typeof visionPlayer === "undefined")
+            return false;
+        return visionPlayer === SPECTATOR_VISION_ALL || this.AreAllies(visionPlayer, player);
+    }
+    GetPlayerTeam(player) {
+        return this.#playerTeams[player];
+    }
+    // Players are allies if they are on the same team. Note this means a player is
+    // always an ally of themselves.
+    AreAllies(playerA, playerB) {
+        return this.#playerTeams[playerA] === this.#playerTeams[playerB];
     }
     GetTickRate() {
         return SERVER_TICK_RATE;
@@ -285,12 +770,18 @@ export class GameServer {
                 this.#allProjectilesById.delete(id);
             }
         }
+        // Find any paths waiting in the pathfinding queue, so units can start moving along them this tick.
+        this.#serverPathfinding.Tick();
         // Update all units.
         // TODO: at the moment we naively tick every single unit in the game. This can
         // probably be made much more efficient by only ticking units that need it.
         for (const unit of this.allUnits()) {
             unit.Tick(dt);
         }
+        // Update which areas each team can see for the fog of war.
+        this.#serverVisibility.Tick(dt);
+        // Update the economy, which adds income to player resources and sends players updates.
+        this.#serverEconomy.Tick(dt);
         // Send game updates for this tick. This includes full unit updates, delta unit
         // updates, and a list of the network events that have happened.
         this.#serverMessageHandler.SendBinaryGameUpdate();
@@ -340,6 +831,11 @@ export class GameServer {
     AddUnitForDeltaUpdate(unit) {
         this.#serverMessageHandler.AddUnitForDeltaUpdate(unit);
     }
+    // Units added after the game starts, such as units finishing production, should have a full
+    // update sent straight away, so clients create them promptly.
+    AddUnitForFullUpdate(unit) {
+        this.#serverMessageHandler.AddUnitForFullUpdate(unit);
+    }
     AddStatStateData(s) {
         this.#statStateData += s;
     }
@@ -349,6 +845,9 @@ export class GameServer {
     AddStatEventData(s) {
         this.#statEventData += s;
     }
+    AddStatPlayerData(player, s) {
+        this.#statPlayerData[player] = (this.#statPlayerData[player] ?? 0) + s;
+    }
     // Called every 1 second to send stats to clients so they can display it for testing purposes.
     #SendStats() {
         this.SendToRuntime({
@@ -359,7 +858,8 @@ export class GameServer {
             "num-projectiles": this.#allProjectilesById.size,
             "sent-state-bytes": this.#statStateData,
             "sent-delta-bytes": this.#statDeltaData,
-            "sent-event-bytes": this.#statEventData
+            "sent-event-bytes": this.#statEventData,
+            "sent-player-bytes": Array.from({ length: this.#numPlayers }, (_, player) => this.#statPlayerData[player] ?? 0)
         });
         // Reset counters
         this.#frameCount = 0;
@@ -367,39 +867,46 @@ export class GameServer {
         this.#statStateData = 0;
         this.#statDeltaData = 0;
         this.#statEventData = 0;
+        this.#statPlayerData.length = 0;
     }
     #CheckGameEndCondition() {
         // If the game is already over skip making this check.
         if (this.#isGameOver)
             return;
-        // Check how many units player 0 and player 1 have.
-        // TODO: support more players/other victory conditions
-        let player0count = 0;
-        let player1count = 0;
+        // The level's victory rules decide when the game ends. Currently the only victory type
+        // is "destroy-all-units", so count how many units each team has remaining.
+        const victoryRules = this.#level.GetVictoryRules();
+        const teamUnitCounts = new Map(); // team number -> unit count
         for (const unit of this.allUnits()) {
-            if (unit.GetPlayer() === 0)
-                player0count++;
-            else if (unit.GetPlayer() === 1)
-                player1count++;
-        }
-        // If either player has 0 units, they have been defeated.
-        if (player0count === 0 || player1count === 0) {
-            // Set the game over flag so this check isn't made again.
-            this.#isGameOver = true;
-            // Determine which player won. Note if both players end up with
-            // 0 units at exactly the same time, then no player won.
-            let winningPlayer;
-            if (player0count === 0 && player1count > 0)
-                winningPlayer = 1;
-            else if (player1count === 0 && player0count > 0)
-                winningPlayer = 0;
-            else
-                winningPlayer = -1;
-            // Send to clients a message indicating that the game is over and which player won.
-            this.SendToRuntime({
-                "type": "game-over",
-                "winning-player": winningPlayer
-            });
+            const team = this.GetPlayerTeam(unit.GetPlayer());
+            teamUnitCounts.set(team, (teamUnitCounts.get(team) ?? 0) + 1);
+        }
+        // A team with no units left has been defeated, so the game is over once there
+        // is only one team left that is not defeated. Note if all the remaining teams end up
+        // with 0 units at exactly the same time, then no team won.
+        if (teamUnitCounts.size <= 1) {
+            const winningTeam = (teamUnitCounts.size === 1 ? [...teamUnitCounts.keys()][0] : -1);
+            this.#EndGame(winningTeam);
+        }
+        // If the level has a time limit and it has been reached, the team with the most units
+        // remaining wins. If more than one team has the most units, then it's a draw.
+        else if (victoryRules.timeLimit > 0 && this.GetGameTime() >= victoryRules.timeLimit) {
+            const maxCount = Math.max(...teamUnitCounts.values());
+            const leadingTeams = [...teamUnitCounts].filter(([team, count]) => count === maxCount);
+            const winningTeam = (leadingTeams.length === 1 ? leadingTeams[0][0] : -1);
+            this.#EndGame(winningTeam);
         }
     }
+    #EndGame(winningTeam) {
+        // Set the game over flag so the game end condition isn't checked again.
+        // Also keep the winning team in case a player rejoins after the game ended.
+        this.#isGameOver = true;
+        this.#winningTeam = winningTeam;
+        // Send to clients a message indicating that the game is over and which team won,
+        // or -1 if no team won.
+        this.SendToRuntime({
+            "type": "game-over",
+            "winning-team": winningTeam
+        });
+    }
 }
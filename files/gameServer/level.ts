@@ -0,0 +1,225 @@
+import * as MathUtils from "./utils/mathUtils.js";
+
+// An obstacle in the level, such as a rock. The object type, size and angle are used by
+// clients to display the obstacle, and the polygon is the area it blocks, with its points
+// relative to the obstacle position.
+export type LevelObstacle = {
+	objectType: string,
+	x: number,
+	y: number,
+	width: number,
+	height: number,
+	angle: number,
+	poly: number[][]
+};
+
+// A unit to create for a player at the start of the game. The unit type is the name of
+// an entry in the unit types data, e.g. "tank".
+export type LevelUnit = {
+	unitType: string,
+	x: number,
+	y: number,
+	angle: number
+};
+
+// A resource source on the map, such as a field of crystals, which provides resource income.
+// A source is controlled by the last team to have units within its radius without any other
+// team's units there, and provides its income (in resources per second) to that team.
+export type LevelResourceSource = {
+	x: number,
+	y: number,
+	radius: number,
+	income: number
+};
+
+// The economy rules for the level: the resources each player starts with, and the base
+// income per second every player gets regardless of which resource sources they control.
+export type LevelEconomyRules = {
+	startingResources: number,
+	baseIncome: number
+};
+
+// The rules for deciding when the game ends. Currently the only victory type is
+// "destroy-all-units", where a team is defeated once all its units are destroyed.
+// There can optionally also be a time limit in seconds, after which the team with
+// the most units remaining wins.
+export type LevelVictoryRules = {
+	type: "destroy-all-units",
+	timeLimit: number			// 0 for no time limit
+};
+
+// The Level class reads a level from the JSON level format, which defines the layout size,
+// obstacles, resource sources, player start positions and their initial units, the economy rules
+// and the victory rules.
+// Levels are loaded from the files/levels folder, and passed to GameServer in its "init" message.
+// The same JSON data is also sent to clients in the "create-initial-state" message, so they
+// can create the obstacles and show each player their start position.
+//
+// Note that all angles in the level format are in degrees to make them easier to edit,
+// but they are converted to radians when they are read.
+export class Level {
+
+	#data;							// the level JSON data
+	#name = "";
+	#layoutWidth = 0;
+	#layoutHeight = 0;
+	#obstacles: LevelObstacle[] = [];
+	#resourceSources: LevelResourceSource[] = [];
+	#playerStartPositions: number[][] = [];		// [x, y] for each player
+	#playerUnits: LevelUnit[][][] = [];			// list of units for each player, grouped by level entry
+	#economyRules: LevelEconomyRules;
+	#victoryRules: LevelVictoryRules;
+	
+	constructor(data: any)
+	{
+		this.#data = data;
+		this.#name = data["name"];
+		[this.#layoutWidth, this.#layoutHeight] = data["layoutSize"];
+		
+		for (const entry of data["obstacles"] ?? [])
+		{
+			this.#obstacles.push({
+				objectType: entry["objectType"],
+				x: entry["x"],
+				y: entry["y"],
+				width: entry["width"],
+				height: entry["height"],
+				angle: MathUtils.ToRadians(entry["angle"] ?? 0),
+				poly: entry["poly"]
+			});
+		}
+		
+		for (const entry of data["resourceSources"] ?? [])
+		{
+			this.#resourceSources.push({
+				x: entry["x"],
+				y: entry["y"],
+				radius: entry["radius"],
+				income: entry["income"]
+			});
+		}
+		
+		for (const entry of data["players"])
+		{
+			this.#playerStartPositions.push(entry["startPosition"]);
+			
+			const unitEntries: LevelUnit[][] = [];
+			for (const unitEntry of entry["units"])
+			{
+				const units: LevelUnit[] = [];
+				this.#ReadUnitEntry(unitEntry, units);
+				unitEntries.push(units);
+			}
+			this.#playerUnits.push(unitEntries);
+		}
+		
+		const economy = data["economy"] ?? {};
+		this.#economyRules = {
+			startingResources: economy["startingResources"] ?? 0,
+			baseIncome: economy["baseIncome"] ?? 0
+		};
+		
+		const victory = data["victory"] ?? {};
+		this.#victoryRules = {
+			type: victory["type"] ?? "destroy-all-units",
+			timeLimit: victory["timeLimit"] ?? 0
+		};
+	}
+	
+	// Each entry in a player's unit list is either a single unit with a position and angle,
+	// or a block of units with a "count". Both can specify a "unitType", which defaults to
+	// "tank". A block is arranged in rows, with each unit placed "spacing" [x, y] along from
+	// the last and the rows repeating every "rows" units, e.g. with 5 rows, units 0, 5, 10...
+	// are in the first row. Blocks can also randomize each unit's position and angle by up to
+	// "randomOffset" and "randomAngle" to look less uniform.
+	#ReadUnitEntry(entry: any, units: LevelUnit[])
+	{
+		const unitType = entry["unitType"] ?? "tank";
+		const x = entry["x"];
+		const y = entry["y"];
+		const angle = MathUtils.ToRadians(entry["angle"] ?? 0);
+		const count = entry["count"] ?? 1;
+		const rows = entry["rows"] ?? 1;
+		const [spacingX, spacingY] = entry["spacing"] ?? [0, 0];
+		const randomOffset = entry["randomOffset"] ?? 0;
+		const randomAngle = MathUtils.ToRadians(entry["randomAngle"] ?? 0);
+		
+		const random = ((v: number) => (v / -2) + Math.random() * v);
+		
+		for (let i = 0; i < count; ++i)
+		{
+			units.push({
+				unitType,
+				x: x + i * spacingX + random(randomOffset),
+				y: y + (i % rows) * spacingY + random(randomOffset),
+				angle: angle + random(randomAngle)
+			});
+		}
+	}
+	
+	// Return the original level JSON data to send to clients.
+	GetData()
+	{
+		return this.#data;
+	}
+	
+	GetName()
+	{
+		return this.#name;
+	}
+	
+	GetLayoutSize()
+	{
+		return [this.#layoutWidth, this.#layoutHeight];
+	}
+	
+	obstacles()
+	{
+		return this.#obstacles.values();
+	}
+	
+	resourceSources()
+	{
+		return this.#resourceSources.values();
+	}
+	
+	// The maximum number of players the level supports.
+	GetPlayerCount()
+	{
+		return this.#playerUnits.length;
+	}
+	
+	GetPlayerStartPosition(player: number)
+	{
+		return this.#playerStartPositions[player];
+	}
+	
+	// Iterate the units a player starts with. The proportion allows starting with fewer units: it
+	// scales the number of units from each entry in the level, so the player still gets some of
+	// every kind of unit, e.g. their factory as well as some of each kind of tank. Every entry
+	// provides at least one unit, and the units used are spread evenly across the entry's block.
+	playerUnits(player: number, proportion = 1)
+	{
+		const ret: LevelUnit[] = [];
+		for (const units of this.#playerUnits[player])
+		{
+			const count = Math.max(Math.round(units.length * proportion), 1);
+			for (let i = 0; i < count; ++i)
+			{
+				ret.push(units[Math.floor(i * units.length / count)]);
+			}
+		}
+		
+		return ret.values();
+	}
+	
+	GetEconomyRules()
+	{
+		return this.#economyRules;
+	}
+	
+	GetVictoryRules()
+	{
+		return this.#victoryRules;
+	}
+}
@@ -0,0 +1,15 @@
+import * as MathUtils from "./utils/mathUtils.js";
+// Read match settings from JSON data, which may be missing or only specify some of the settings.
+export function ReadMatchSettings(data) {
+    return {
+        startingUnits: MathUtils.Clamp(data?.["startingUnits"] ?? 1, 0, 1),
+        fogOfWar: data?.["fogOfWar"] ?? true
+    };
+}
+// Write match settings to JSON data, in the same format ReadMatchSettings() reads.
+export function WriteMatchSettings(settings) {
+    return {
+        "startingUnits": settings.startingUnits,
+        "fogOfWar": settings.fogOfWar
+    };
+}
@@ -0,0 +1,29 @@
+
+import * as MathUtils from "./utils/mathUtils.js";
+
+// The settings for a match, which the host chooses in the lobby before the game starts. They are
+// passed to GameServer in the "init" message, included in the save data, and sent to clients in the
+// "create-initial-state" message. Any settings that aren't specified use the defaults, which are
+// the same as a game without any settings, e.g. single player or a saved game from before settings.
+export type MatchSettings = {
+	startingUnits: number,		// proportion of each player's starting units in the level to create, from 0 to 1
+	fogOfWar: boolean			// if false, every player can see the whole map
+};
+
+// Read match settings from JSON data, which may be missing or only specify some of the settings.
+export function ReadMatchSettings(data: any) : MatchSettings
+{
+	return {
+		startingUnits: MathUtils.Clamp(data?.["startingUnits"] ?? 1, 0, 1),
+		fogOfWar: data?.["fogOfWar"] ?? true
+	};
+}
+
+// Write match settings to JSON data, in the same format ReadMatchSettings() reads.
+export function WriteMatchSettings(settings: MatchSettings)
+{
+	return {
+		"startingUnits": settings.startingUnits,
+		"fogOfWar": settings.fogOfWar
+	};
+}
@@ -1,18 +1,48 @@
 
 import { NetworkEvent } from "./networkEvent.js";
-import { Projectile } from "../units/projectile.js";
+import { Projectile, PROJECTILE_TYPES } from "../units/projectile.js";
 import * as MathUtils from "../utils/mathUtils.js";
 
 // The FireProjectile event represents a projectile being fired from a turret.
 export class FireProjectileEvent extends NetworkEvent {
 	
 	#projectile;			// projectile that was fired
+	#forPlayer;				// if not -1, the only player to send the event to
 	
-	constructor(projectile: Projectile)
+	// The event is normally for all players, but can be for just one player, which is used to tell a
+	// player who rejoined the game about projectiles that were already in flight.
+	constructor(projectile: Projectile, forPlayer = -1)
 	{
 		super();
 		
 		this.#projectile = projectile;
+		this.#forPlayer = forPlayer;
+	}
+	
+	// Send this event to the player who fired the projectile and their allies, and to any player
+	// who can see either where the projectile was fired from or where it will end up. This means
+	// players can see projectiles fired at them from inside the fog of war.
+	ShouldSendToPlayer(player: number)
+	{
+		if (this.#forPlayer !== -1 && player !== this.#forPlayer)
+			return false;
+		
+		const projectile = this.#projectile;
+		const gameServer = projectile.GetGameServer();
+		if (gameServer.SharesVisionWith(player, projectile.GetPlayer()))
+			return true;
+		
+		const visibility = gameServer.GetVisibility();
+		const [x, y] = projectile.GetPosition();
+		if (visibility.IsPositionVisible(player, x, y))
+			return true;
+		
+		const remainingDistance = projectile.GetRange() - projectile.GetDistanceTravelled();
+		const [endX, endY] = gameServer.ClampToLayout(
+			x + Math.cos(projectile.GetAngle()) * remainingDistance,
+			y + Math.sin(projectile.GetAngle()) * remainingDistance
+		);
+		return visibility.IsPositionVisible(player, endX, endY);
 	}
 	
 	Write(dataView: DataView, pos: number)
@@ -27,6 +57,10 @@ export class FireProjectileEvent extends NetworkEvent {
 		dataView.setUint16(pos, projectile.GetId());
 		pos += 2;
 		
+		// Projectile type, as its index in the list of projectile types
+		dataView.setUint8(pos, PROJECTILE_TYPES.indexOf(projectile.GetType()));
+		pos += 1;
+		
 		// Write, X, Y, angle, speed, range and distance travelled as uint16s
 		const [x, y] = projectile.GetPosition();
 		dataView.setUint16(pos, x);
@@ -42,6 +76,18 @@ export class FireProjectileEvent extends NetworkEvent {
 		dataView.setUint16(pos, projectile.GetDistanceTravelled());
 		pos += 2;
 		
+		// Missiles also write the ID of the unit they are steering towards, and their turn rate
+		// in degrees per second, so clients can steer them the same way. Missiles that have lost
+		// their target write a turn rate of 0, as the unit ID can't be -1.
+		if (projectile.GetType() === "missile")
+		{
+			const targetUnitId = projectile.GetTargetUnitId();
+			dataView.setUint16(pos, Math.max(targetUnitId, 0));
+			pos += 2;
+			dataView.setUint16(pos, targetUnitId === -1 ? 0 : MathUtils.ToDegrees(projectile.GetTurnRate()));
+			pos += 2;
+		}
+		
 		return pos;
 	}
 }
\ No newline at end of file
@@ -2,6 +2,8 @@
 // The NetworkEvent class represents a one-off event that happened, like a projectile being fired.
 // All the events that happen in a tick are queued up and sent in one go as a binary events message.
 // This is a base class - see the derived classes for each kind of network event.
+// Due to the fog of war, not every event is sent to every player: derived classes can override
+// ShouldSendToPlayer() to only send the event to players who can see it.
 export class NetworkEvent {
 
 	// NetworkEvents in binary messages start with a byte indicating the event type.
@@ -9,11 +11,19 @@ export class NetworkEvent {
 	static TYPE_FIRE_PROJECTILE = 0;
 	static TYPE_PROJECTILE_HIT = 1;
 	static TYPE_UNIT_DESTROYED = 2;
+	static TYPE_UNIT_HIDDEN = 3;
 	
 	constructor()
 	{
 	}
 	
+	// Return true if this event should be sent to the given player. By default events are
+	// sent to all players.
+	ShouldSendToPlayer(player: number)
+	{
+		return true;
+	}
+	
 	Write(dataView: DataView, pos: number): number
 	{
 		// overridden by derived classes
@@ -5,4 +5,5 @@ import { NetworkEvent } from "./networkEvent.js";
 import { FireProjectileEvent } from "./fireProjectile.js";
 import { ProjectileHitEvent } from "./projectileHit.js";
 import { UnitDestroyedEvent } from "./unitDestroyed.js";
-export { NetworkEvent, FireProjectileEvent, ProjectileHitEvent, UnitDestroyedEvent };
+import { UnitHiddenEvent } from "./unitHidden.js";
+export { NetworkEvent, FireProjectileEvent, ProjectileHitEvent, UnitDestroyedEvent, UnitHiddenEvent };
@@ -7,5 +7,6 @@ import { NetworkEvent } from "./networkEvent.js";
 import { FireProjectileEvent} from "./fireProjectile.js";
 import { ProjectileHitEvent } from "./projectileHit.js";
 import { UnitDestroyedEvent } from "./unitDestroyed.js";
+import { UnitHiddenEvent } from "./unitHidden.js";
 
-export { NetworkEvent, FireProjectileEvent, ProjectileHitEvent, UnitDestroyedEvent };
+export { NetworkEvent, FireProjectileEvent, ProjectileHitEvent, UnitDestroyedEvent, UnitHiddenEvent };
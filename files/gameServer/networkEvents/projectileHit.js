@@ -1,21 +1,33 @@
 import { NetworkEvent } from "./networkEvent.js";
-import { Projectile } from "../units/projectile.js";
+import { Projectile, PROJECTILE_TYPES } from "../units/projectile.js";
 // The ProjectileHit event represents a projectile hitting a target, such as a
 // different player's unit. Note that when this happens the projectile is destroyed
 // on the server side, and the event isn't sent until the end of the tick, so
 // the details about the projectile are saved inside the class.
 export class ProjectileHitEvent extends NetworkEvent {
+    #gameServer; // reference to GameServer
     #id = 0; // projectile ID
+    #player = 0; // player who fired the projectile
+    #type; // type of projectile
     #x = 0; // projectile position
     #y = 0;
     constructor(projectile) {
         super();
         // Save the details about the projectile, as it's about to be destroyed.
+        this.#gameServer = projectile.GetGameServer();
         this.#id = projectile.GetId();
+        this.#player = projectile.GetPlayer();
+        this.#type = projectile.GetType();
         const [x, y] = projectile.GetPosition();
         this.#x = x;
         this.#y = y;
     }
+    // Send this event to the player who fired the projectile and their allies, and to any
+    // player who can see where the projectile hit.
+    ShouldSendToPlayer(player) {
+        return this.#gameServer.SharesVisionWith(player, this.#player) ||
+            this.#gameServer.GetVisibility().IsPositionVisible(player, this.#x, this.#y);
+    }
     Write(dataView, pos) {
         // Event type
         dataView.setUint8(pos, NetworkEvent.TYPE_PROJECTILE_HIT);
@@ -23,6 +35,9 @@ export class ProjectileHitEvent extends NetworkEvent {
         // Projectile ID
         dataView.setUint16(pos, this.#id);
         pos += 2;
+        // Projectile type, as its index in the list of projectile types
+        dataView.setUint8(pos, PROJECTILE_TYPES.indexOf(this.#type));
+        pos += 1;
         // X and Y positions
         dataView.setUint16(pos, this.#x);
         pos += 2;
@@ -1,6 +1,6 @@
 
 import { NetworkEvent } from "./networkEvent.js";
-import { Projectile } from "../units/projectile.js";
+import { Projectile, type ProjectileType, PROJECTILE_TYPES } from "../units/projectile.js";
 
 // The ProjectileHit event represents a projectile hitting a target, such as a
 // different player's unit. Note that when this happens the projectile is destroyed
@@ -8,7 +8,10 @@ import { Projectile } from "../units/projectile.js";
 // the details about the projectile are saved inside the class.
 export class ProjectileHitEvent extends NetworkEvent {
 	
+	#gameServer;	// reference to GameServer
 	#id = 0;		// projectile ID
+	#player = 0;	// player who fired the projectile
+	#type: ProjectileType;	// type of projectile
 	#x = 0;			// projectile position
 	#y = 0;
 	
@@ -17,13 +20,24 @@ export class ProjectileHitEvent extends NetworkEvent {
 		super();
 		
 		// Save the details about the projectile, as it's about to be destroyed.
+		this.#gameServer = projectile.GetGameServer();
 		this.#id = projectile.GetId();
+		this.#player = projectile.GetPlayer();
+		this.#type = projectile.GetType();
 		
 		const [x, y] = projectile.GetPosition();
 		this.#x = x;
 		this.#y = y;
 	}
 	
+	// Send this event to the player who fired the projectile and their allies, and to any
+	// player who can see where the projectile hit.
+	ShouldSendToPlayer(player: number)
+	{
+		return this.#gameServer.SharesVisionWith(player, this.#player) ||
+				this.#gameServer.GetVisibility().IsPositionVisible(player, this.#x, this.#y);
+	}
+	
 	Write(dataView: DataView, pos: number)
 	{
 		// Event type
@@ -34,6 +48,10 @@ export class ProjectileHitEvent extends NetworkEvent {
 		dataView.setUint16(pos, this.#id);
 		pos += 2;
 		
+		// Projectile type, as its index in the list of projectile types
+		dataView.setUint8(pos, PROJECTILE_TYPES.indexOf(this.#type));
+		pos += 1;
+		
 		// X and Y positions
 		dataView.setUint16(pos, this.#x);
 		pos += 2;
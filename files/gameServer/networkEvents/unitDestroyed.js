@@ -1,10 +1,16 @@
 import { NetworkEvent } from "./networkEvent.js";
-// The UnitDestroyed event tells clients that a unit was destroyed.
+// The UnitDestroyed event tells clients that a unit was destroyed. It is only sent to the
+// players who knew about the unit, as other players never had the unit sent to them.
 export class UnitDestroyedEvent extends NetworkEvent {
     #unitId; // ID of unit that was destroyed
-    constructor(unitId) {
+    #forPlayers; // list of player numbers to send the event to
+    constructor(unitId, forPlayers) {
         super();
         this.#unitId = unitId;
+        this.#forPlayers = forPlayers;
+    }
+    ShouldSendToPlayer(player) {
+        return this.#forPlayers.includes(player);
     }
     Write(dataView, pos) {
         // Event type
@@ -1,16 +1,24 @@
 
 import { NetworkEvent } from "./networkEvent.js";
 
-// The UnitDestroyed event tells clients that a unit was destroyed.
+// The UnitDestroyed event tells clients that a unit was destroyed. It is only sent to the
+// players who knew about the unit, as other players never had the unit sent to them.
 export class UnitDestroyedEvent extends NetworkEvent {
 	
 	#unitId;			// ID of unit that was destroyed
+	#forPlayers;		// list of player numbers to send the event to
 	
-	constructor(unitId: number)
+	constructor(unitId: number, forPlayers: number[])
 	{
 		super();
 		
 		this.#unitId = unitId;
+		this.#forPlayers = forPlayers;
+	}
+	
+	ShouldSendToPlayer(player: number)
+	{
+		return this.#forPlayers.includes(player);
 	}
 	
 	Write(dataView: DataView, pos: number)
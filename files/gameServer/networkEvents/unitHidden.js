@@ -0,0 +1,25 @@
+import { NetworkEvent } from "./networkEvent.js";
+// The UnitHidden event tells a single player that an enemy unit has moved out of their sight in
+// to the fog of war, so they should remove it. If the unit comes back in to sight, the player is
+// sent a full update for the unit again so they can re-create it.
+export class UnitHiddenEvent extends NetworkEvent {
+    #unitId; // ID of unit that was hidden
+    #forPlayer; // player the unit was hidden from
+    constructor(unitId, forPlayer) {
+        super();
+        this.#unitId = unitId;
+        this.#forPlayer = forPlayer;
+    }
+    ShouldSendToPlayer(player) {
+        return player === this.#forPlayer;
+    }
+    Write(dataView, pos) {
+        // Event type
+        dataView.setUint8(pos, NetworkEvent.TYPE_UNIT_HIDDEN);
+        pos += 1;
+        // Unit ID
+        dataView.setUint16(pos, this.#unitId);
+        pos += 2;
+        return pos;
+    }
+}
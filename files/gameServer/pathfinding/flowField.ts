@@ -0,0 +1,100 @@
+
+import { PathfindingGrid } from "./pathfindingGrid.js";
+
+// How many cells ahead along the flow to look for a point to steer towards. Steering towards
+// a point a few cells ahead, rather than the next cell, smooths out the 8 directions the flow
+// can take between cells in to a more natural route. It only looks as far ahead as the unit
+// can drive in a straight line, so it doesn't cut corners around obstacles.
+const STEERING_LOOKAHEAD_CELLS = 4;
+
+// A FlowField guides any number of units to the same goal. Finding a path for every unit with A*
+// is expensive when moving hundreds of units at once, so instead the grid calculates the cost of
+// the cheapest path to the goal from every cell (the integration field), only once for the whole
+// group. Then from any cell, the route to the goal is simply to keep moving to whichever adjacent
+// cell has the lowest cost. UnitMovementStateMoving samples the flow field every tick to find the
+// direction to drive in, until the unit can drive straight to its own destination.
+export class FlowField {
+
+	// Private fields
+	#grid;						// PathfindingGrid the flow field was calculated on
+	#goalCell;					// cell the flow field leads to
+	#costs;						// integration field, with the cost to reach the goal from each cell
+	
+	constructor(grid: PathfindingGrid, goalCell: number)
+	{
+		this.#grid = grid;
+		this.#goalCell = goalCell;
+		this.#costs = grid.CalculateIntegrationField(goalCell);
+	}
+	
+	// Calculate the integration field again after obstacles on the grid have changed, so the flow
+	// leads around new obstacles. If the goal cell has itself become an obstacle, the flow field
+	// leads to the nearest clear cell to it instead.
+	Recalculate()
+	{
+		const grid = this.#grid;
+		if (grid.IsCellObstacle(this.#goalCell))
+		{
+			const clearCell = grid.FindNearestClearCell(this.#goalCell);
+			if (clearCell !== -1)
+				this.#goalCell = clearCell;
+		}
+		
+		this.#costs = grid.CalculateIntegrationField(this.#goalCell);
+	}
+	
+	GetGrid()
+	{
+		return this.#grid;
+	}
+	
+	GetGoalCell()
+	{
+		return this.#goalCell;
+	}
+	
+	// Return the position of the centre of the goal cell.
+	GetGoalPosition()
+	{
+		return this.#grid.GetCellCentre(this.#goalCell);
+	}
+	
+	// Check if there is a route to the goal from a cell.
+	HasRouteFrom(cell: number)
+	{
+		return this.#costs[cell] !== Infinity;
+	}
+	
+	// Return the position to steer towards from the given position to follow the flow field, or
+	// null if there is no route to the goal from there. At the goal cell, this is its centre.
+	GetSteeringPoint(x: number, y: number)
+	{
+		const grid = this.#grid;
+		const startCell = grid.GetCellAtPosition(x, y);
+		
+		// If the position is in an obstacle cell, such as right next to a rock, steer towards the
+		// adjacent cell with the lowest cost, to get back on to the flow field.
+		if (grid.IsCellObstacle(startCell))
+		{
+			const nextCell = grid.GetDownhillCell(this.#costs, startCell);
+			return (nextCell === -1 ? null : grid.GetCellCentre(nextCell));
+		}
+		
+		if (!this.HasRouteFrom(startCell))
+			return null;
+		
+		// Follow the flow from the start cell for up to STEERING_LOOKAHEAD_CELLS, stopping early at
+		// the goal, or at a cell that can't be reached in a straight line from the start cell.
+		let cell = startCell;
+		for (let i = 0; i < STEERING_LOOKAHEAD_CELLS; ++i)
+		{
+			const nextCell = grid.GetDownhillCell(this.#costs, cell);
+			if (nextCell === -1 || !grid.HasLineOfSight(startCell, nextCell))
+				break;
+			
+			cell = nextCell;
+		}
+		
+		return grid.GetCellCentre(cell);
+	}
+}
@@ -0,0 +1,437 @@
+import { GameServer } from "../gameServer.js";
+import { CollisionShape } from "../collisions/collisionShape.js";
+import { BinaryHeap } from "../utils/binaryHeap.js";
+// The size of each pathfinding cell in px. Paths are found over a grid of cells covering the
+// level, so smaller cells let paths get closer to obstacles, but take longer to search.
+// Note this and CELL_BORDER match the properties of the Pathfinding behavior that clients
+// use to show the obstacles on the minimap, so both show the same areas as blocked.
+export const PATHFINDING_CELL_SIZE = 80;
+// A cell counts as an obstacle if any obstacle overlaps the cell expanded by this border in px
+// on every side. This keeps paths far enough from obstacles that units following them don't
+// clip the edges of obstacles.
+const CELL_BORDER = 50;
+// The cost of moving to the next cell horizontally or vertically, and diagonally. Using
+// integers rather than 1 and sqrt(2) means path costs are exact, even in a Float32Array.
+const MOVE_COST = 100;
+const DIAGONAL_MOVE_COST = 141;
+// The [x, y] offsets of the 8 cells next to a cell. The first 4 are horizontal or vertical
+// and the last 4 are diagonal.
+const ADJACENT_CELLS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]];
+// The PathfindingGrid class is the map GameServer finds paths over. It splits the level in to
+// cells of PATHFINDING_CELL_SIZE, and marks each cell that is blocked by an obstacle. The
+// obstacles are those in the level, plus static units such as gun emplacements, which add
+// themselves when they are created and remove themselves when destroyed, and any obstacle regions
+// added at runtime (see ServerPathfinding). Each time an obstacle is added or removed, only the
+// cells in its area are updated.
+// Paths are found with the A* algorithm, moving between adjacent cells including diagonals.
+// Clear cells are also labelled with the connected region they are in, i.e. the area that can be
+// moved around without crossing an obstacle. There is no path between cells in different regions,
+// so A* can fail straight away for them, rather than searching every cell it can reach first. This
+// matters as obstacles can leave small regions walled in, such as gaps inside a static unit.
+// The grid can also calculate an integration field for a flow field (see FlowField), which is
+// the cost of the cheapest path to a goal cell from every other cell.
+// Cells are referred to by their index, which is (y * cellCountX + x).
+export class PathfindingGrid {
+    // Private fields
+    #gameServer; // reference to GameServer
+    #cellCountX = 0; // number of cells horizontally
+    #cellCountY = 0; // number of cells vertically
+    #obstacleCells; // Uint8Array of cells with 1 for obstacle
+    #obstacles = new Set(); // all obstacles on the grid
+    #cellShape; // CollisionShape of a cell with its border, relative to the cell centre
+    // Region labels are only updated when next needed after obstacles change, as several obstacles
+    // are often added or removed at once, such as when loading a level or a saved game.
+    #regionIds; // Int32Array with the region each cell is in, or -1 for obstacles
+    #isRegionsChanged = true; // set when obstacles change, so the regions are labelled again
+    // State for A* searches. Rather than clearing these arrays for every search, each search has
+    // its own ID, and cells only count as visited or closed if they are marked with that ID.
+    #searchId = 0; // ID of the current search
+    #visitedIds; // Uint32Array with the ID of the last search to reach each cell
+    #closedIds; // Uint32Array with the ID of the last search to finish with each cell
+    #pathCosts; // Float64Array with the lowest cost found to reach each cell
+    #parentCells; // Int32Array with the cell each cell was reached from for its lowest cost
+    #openList = new BinaryHeap(); // cells to search next, by their estimated total path cost
+    constructor(gameServer) {
+        this.#gameServer = gameServer;
+        // Calculate how many cells cover the layout, rounding up so the last row and column
+        // are covered even if the layout size isn't a multiple of the cell size.
+        const [layoutWidth, layoutHeight] = gameServer.GetLayoutSize();
+        this.#cellCountX = Math.ceil(layoutWidth / PATHFINDING_CELL_SIZE);
+        this.#cellCountY = Math.ceil(layoutHeight / PATHFINDING_CELL_SIZE);
+        const cellCount = this.GetCellCount();
+        this.#obstacleCells = new Uint8Array(cellCount);
+        this.#regionIds = new Int32Array(cellCount);
+        this.#visitedIds = new Uint32Array(cellCount);
+        this.#closedIds = new Uint32Array(cellCount);
+        this.#pathCosts = new Float64Array(cellCount);
+        this.#parentCells = new Int32Array(cellCount);
+        const h = PATHFINDING_CELL_SIZE / 2 + CELL_BORDER;
+        this.#cellShape = new CollisionShape(gameServer, [[-h, -h], [h, -h], [h, h], [-h, h]]);
+        // Add all the obstacles in the level. Their polygons are already in level co-ordinates
+        // relative to the obstacle position, so don't need rotating.
+        for (const obstacle of gameServer.GetLevel().obstacles()) {
+            this.AddObstacle(new CollisionShape(gameServer, obstacle.poly), obstacle.x, obstacle.y);
+        }
+    }
+    GetCellCountX() {
+        return this.#cellCountX;
+    }
+    GetCellCountY() {
+        return this.#cellCountY;
+    }
+    GetCellCount() {
+        return this.#cellCountX * this.#cellCountY;
+    }
+    // Return the index of the cell at a layout position. Positions outside the layout
+    // use the nearest cell.
+    GetCellAtPosition(x, y) {
+        const cellX = Math.min(Math.max(Math.floor(x / PATHFINDING_CELL_SIZE), 0), this.#cellCountX - 1);
+        const cellY = Math.min(Math.max(Math.floor(y / PATHFINDING_CELL_SIZE), 0), this.#cellCountY - 1);
+        return cellY * this.#cellCountX + cellX;
+    }
+    // Return the layout position of the centre of a cell.
+    GetCellCentre(cell) {
+        const cellX = cell % this.#cellCountX;
+        const cellY = (cell - cellX) / this.#cellCountX;
+        return [(cellX + 0.5) * PATHFINDING_CELL_SIZE, (cellY + 0.5) * PATHFINDING_CELL_SIZE];
+    }
+    IsCellObstacle(cell) {
+        return this.#obstacleCells[cell] !== 0;
+    }
+    // Check if the cell at the given cell co-ordinates is an obstacle. Co-ordinates outside the
+    // grid count as obstacles, so paths never leave the layout.
+    #IsObstacleAt(cellX, cellY) {
+        if (cellX < 0 || cellY < 0 || cellX >= this.#cellCountX || cellY >= this.#cellCountY)
+            return true;
+        return this.#obstacleCells[cellY * this.#cellCountX + cellX] !== 0;
+    }
+    // Add an obstacle to the grid, marking the cells it covers as obstacles. Return the added
+    // obstacle, which must be passed to RemoveObstacle() to remove it again. Note the shape is
+    // referenced rather than copied, so it must not change while it is on the grid.
+    // If a set is provided, any cells that weren't obstacles before are added to it, so routes
+    // crossing them can be found again.
+    AddObstacle(shape, x, y, newlyBlockedCells = null) {
+        const obstacle = { shape, x, y };
+        this.#obstacles.add(obstacle);
+        this.#UpdateObstacleArea(obstacle, newlyBlockedCells);
+        return obstacle;
+    }
+    RemoveObstacle(obstacle) {
+        if (this.#obstacles.delete(obstacle))
+            this.#UpdateObstacleArea(obstacle, null);
+    }
+    // Recalculate which cells are obstacles in the area covered by an obstacle. This checks
+    // every obstacle, rather than just the given one, as other obstacles may overlap the area.
+    #UpdateObstacleArea(obstacle, newlyBlockedCells) {
+        // Find the range of cells the obstacle's bounding box covers, allowing for the cell border.
+        const [left, top, right, bottom] = obstacle.shape.GetBox();
+        const cellLeft = Math.max(Math.floor((obstacle.x + left - CELL_BORDER) / PATHFINDING_CELL_SIZE), 0);
+        const cellTop = Math.max(Math.floor((obstacle.y + top - CELL_BORDER) / PATHFINDING_CELL_SIZE), 0);
+        const cellRight = Math.min(Math.floor((obstacle.x + right + CELL_BORDER) / PATHFINDING_CELL_SIZE), this.#cellCountX - 1);
+        const cellBottom = Math.min(Math.floor((obstacle.y + bottom + CELL_BORDER) / PATHFINDING_CELL_SIZE), this.#cellCountY - 1);
+        for (let cellY = cellTop; cellY <= cellBottom; ++cellY) {
+            for (let cellX = cellLeft; cellX <= cellRight; ++cellX) {
+                const cell = cellY * this.#cellCountX + cellX;
+                const isBlocked = this.#IsCellBlocked(cell);
+                if (isBlocked === (this.#obstacleCells[cell] !== 0))
+                    continue;
+                if (isBlocked)
+                    newlyBlockedCells?.add(cell);
+                this.#obstacleCells[cell] = (isBlocked ? 1 : 0);
+                this.#isRegionsChanged = true;
+            }
+        }
+    }
+    // Check if any obstacle overlaps a cell expanded by its border.
+    #IsCellBlocked(cell) {
+        const [cellCentreX, cellCentreY] = this.GetCellCentre(cell);
+        for (const { shape, x, y } of this.#obstacles) {
+            // Note IntersectsOther() takes the offset from the obstacle to the cell.
+            if (shape.IntersectsOther(this.#cellShape, cellCentreX - x, cellCentreY - y))
+                return true;
+        }
+        return false;
+    }
+    // Return the region a cell is in, or -1 if it is an obstacle. Cells in the same region can always
+    // reach each other, and cells in different regions never can.
+    GetCellRegion(cell) {
+        if (this.#isRegionsChanged)
+            this.#LabelRegions();
+        return this.#regionIds[cell];
+    }
+    // Label every clear cell with its region, by flood filling from each cell that doesn't have a
+    // region yet. Regions are numbered from 0. Note this only moves horizontally and vertically, as
+    // moving diagonally needs the cells either side to be clear, so a diagonal move never connects
+    // cells that couldn't be connected by moving horizontally and vertically anyway.
+    #LabelRegions() {
+        const cellCountX = this.#cellCountX;
+        const cellCount = this.GetCellCount();
+        const obstacleCells = this.#obstacleCells;
+        const regionIds = this.#regionIds;
+        regionIds.fill(-1);
+        // Cells to fill from next. Each cell is only added once, so it never needs to be any longer.
+        const stack = new Int32Array(cellCount);
+        let stackLength = 0;
+        let regionId = 0;
+        // Add a cell to the current region and the stack if it's clear and not labelled yet.
+        const fillCell = (cell) => {
+            if (obstacleCells[cell] === 0 && regionIds[cell] === -1) {
+                regionIds[cell] = regionId;
+                stack[stackLength++] = cell;
+            }
+        };
+        for (let startCell = 0; startCell < cellCount; ++startCell) {
+            if (regionIds[startCell] !== -1 || obstacleCells[startCell] !== 0)
+                continue;
+            fillCell(startCell);
+            while (stackLength > 0) {
+                // Fill the cells to the left, right, above and below, if they're inside the grid.
+                const cell = stack[--stackLength];
+                const cellX = cell % cellCountX;
+                if (cellX > 0)
+                    fillCell(cell - 1);
+                if (cellX < cellCountX - 1)
+                    fillCell(cell + 1);
+                if (cell >= cellCountX)
+                    fillCell(cell - cellCountX);
+                if (cell < cellCount - cellCountX)
+                    fillCell(cell + cellCountX);
+            }
+            regionId++;
+        }
+        this.#isRegionsChanged = false;
+    }
+    // Return the closest cell to the given cell that isn't an obstacle, or -1 if there isn't one.
+    // This searches in squares of cells around the given cell, each one cell further out than the
+    // last, and returns the closest cell in the first square with any cells that aren't obstacles.
+    // If a region is given, only cells in that region count, so the cell returned can be reached
+    // from any other cell in the region.
+    FindNearestClearCell(cell, region = -1) {
+        const cellX = cell % this.#cellCountX;
+        const cellY = (cell - cellX) / this.#cellCountX;
+        const maxRadius = Math.max(this.#cellCountX, this.#cellCountY);
+        if (region !== -1 && this.#isRegionsChanged)
+            this.#LabelRegions();
+        for (let radius = 1; radius < maxRadius; ++radius) {
+            let bestCell = -1;
+            let bestDistSq = Infinity;
+            for (let dy = -radius; dy <= radius; ++dy) {
+                // The top and bottom rows of the square are checked in full, but the rows in
+                // between only have the cells at either end.
+                const dxStep = (dy === -radius || dy === radius ? 1 : radius * 2);
+                for (let dx = -radius; dx <= radius; dx += dxStep) {
+                    const distSq = dx * dx + dy * dy;
+                    if (distSq >= bestDistSq || this.#IsObstacleAt(cellX + dx, cellY + dy))
+                        continue;
+                    const nextCell = (cellY + dy) * this.#cellCountX + cellX + dx;
+                    if (region === -1 || this.#regionIds[nextCell] === region) {
+                        bestCell = nextCell;
+                        bestDistSq = distSq;
+                    }
+                }
+            }
+            if (bestCell !== -1)
+                return bestCell;
+        }
+        return -1;
+    }
+    // Return the index of the adjacent cell in the given direction (an index in to ADJACENT_CELLS),
+    // or -1 if it can't be moved to, because it's an obstacle or outside the grid. Moving diagonally
+    // is only allowed if both the cells either side of the diagonal are clear too, so paths don't
+    // cut across the corners of obstacles.
+    #GetAdjacentCell(cellX, cellY, direction) {
+        const [dx, dy] = ADJACENT_CELLS[direction];
+        if (this.#IsObstacleAt(cellX + dx, cellY + dy))
+            return -1;
+        if (direction >= 4 && (this.#IsObstacleAt(cellX + dx, cellY) || this.#IsObstacleAt(cellX, cellY + dy)))
+            return -1;
+        return (cellY + dy) * this.#cellCountX + cellX + dx;
+    }
+    // Find the lowest cost path between two cells using the A* algorithm, and return the list
+    // of cells along it, including both the start and end cells, or null if there is no path.
+    // Neither cell may be an obstacle.
+    FindCellPath(fromCell, toCell) {
+        // If the cells are in different regions there is no path, and A* would only find that out
+        // after searching every cell it can reach, so fail straight away.
+        if (this.GetCellRegion(fromCell) !== this.GetCellRegion(toCell))
+            return null;
+        const cellCountX = this.#cellCountX;
+        const toCellX = toCell % cellCountX;
+        const toCellY = (toCell - toCellX) / cellCountX;
+        // The estimate of the remaining cost from a cell to the end cell is the cost of the
+        // shortest path if there were no obstacles, which is diagonally until level with the
+        // end cell and then straight the rest of the way.
+        const estimateCost = (cellX, cellY) => {
+            const dx = Math.abs(toCellX - cellX);
+            const dy = Math.abs(toCellY - cellY);
+            return Math.min(dx, dy) * DIAGONAL_MOVE_COST + Math.abs(dx - dy) * MOVE_COST;
+        };
+        const searchId = this.#NextSearchId();
+        const visitedIds = this.#visitedIds;
+        const closedIds = this.#closedIds;
+        const pathCosts = this.#pathCosts;
+        const parentCells = this.#parentCells;
+        const openList = this.#openList;
+        openList.Clear();
+        visitedIds[fromCell] = searchId;
+        pathCosts[fromCell] = 0;
+        parentCells[fromCell] = -1;
+        openList.Push(fromCell, 0);
+        while (!openList.IsEmpty()) {
+            // Take the open cell with the lowest estimated total cost. Note cells can be added to
+            // the open list again if a cheaper path to them is found, so if the cell was already
+            // closed, this is an outdated entry and can be skipped.
+            const cell = openList.Pop();
+            if (closedIds[cell] === searchId)
+                continue;
+            if (cell === toCell)
+                return this.#GetPathTo(toCell);
+            closedIds[cell] = searchId;
+            const cellX = cell % cellCountX;
+            const cellY = (cell - cellX) / cellCountX;
+            const cellCost = pathCosts[cell];
+            for (let direction = 0; direction < ADJACENT_CELLS.length; ++direction) {
+                const nextCell = this.#GetAdjacentCell(cellX, cellY, direction);
+                if (nextCell === -1 || closedIds[nextCell] === searchId)
+                    continue;
+                // Update the path to the next cell if this is the first or cheapest way found to reach it.
+                const nextCost = cellCost + (direction >= 4 ? DIAGONAL_MOVE_COST : MOVE_COST);
+                if (visitedIds[nextCell] === searchId && nextCost >= pathCosts[nextCell])
+                    continue;
+                const [dx, dy] = ADJACENT_CELLS[direction];
+                visitedIds[nextCell] = searchId;
+                pathCosts[nextCell] = nextCost;
+                parentCells[nextCell] = cell;
+                openList.Push(nextCell, nextCost + estimateCost(cellX + dx, cellY + dy));
+            }
+        }
+        // Ran out of cells to search without reaching the end cell, so there is no path.
+        return null;
+    }
+    // Calculate the integration field for a flow field to the given goal cell, which must not be
+    // an obstacle. This uses Dijkstra's algorithm, which is the same as A* without an estimate of the
+    // remaining cost, to find the cost of the cheapest path from the goal cell to every other cell.
+    // Moves cost the same in either direction, so this is also the cost of the cheapest path from
+    // every cell to the goal cell. Cells with no path to the goal cell, including obstacles, have
+    // a cost of Infinity.
+    CalculateIntegrationField(goalCell) {
+        const cellCountX = this.#cellCountX;
+        const costs = new Float32Array(this.GetCellCount()).fill(Infinity);
+        const searchId = this.#NextSearchId();
+        const closedIds = this.#closedIds;
+        const openList = this.#openList;
+        openList.Clear();
+        costs[goalCell] = 0;
+        openList.Push(goalCell, 0);
+        while (!openList.IsEmpty()) {
+            // As with FindCellPath(), skip outdated entries for cells that were already closed.
+            const cell = openList.Pop();
+            if (closedIds[cell] === searchId)
+                continue;
+            closedIds[cell] = searchId;
+            const cellX = cell % cellCountX;
+            const cellY = (cell - cellX) / cellCountX;
+            const cellCost = costs[cell];
+            for (let direction = 0; direction < ADJACENT_CELLS.length; ++direction) {
+                const nextCell = this.#GetAdjacentCell(cellX, cellY, direction);
+                if (nextCell === -1)
+                    continue;
+                const nextCost = cellCost + (direction >= 4 ? DIAGONAL_MOVE_COST : MOVE_COST);
+                if (nextCost < costs[nextCell]) {
+                    costs[nextCell] = nextCost;
+                    openList.Push(nextCell, nextCost);
+                }
+            }
+        }
+        return costs;
+    }
+    // Return the adjacent cell with the lowest cost in an integration field, if it is lower than
+    // the cost of the given cell, otherwise -1. This is the next cell along the cheapest path to
+    // the goal cell, so returns -1 for the goal cell itself, or cells with no path to it.
+    GetDownhillCell(costs, cell) {
+        const cellX = cell % this.#cellCountX;
+        const cellY = (cell - cellX) / this.#cellCountX;
+        let bestCell = -1;
+        let bestCost = costs[cell];
+        for (let direction = 0; direction < ADJACENT_CELLS.length; ++direction) {
+            const nextCell = this.#GetAdjacentCell(cellX, cellY, direction);
+            if (nextCell !== -1 && costs[nextCell] < bestCost) {
+                bestCell = nextCell;
+                bestCost = costs[nextCell];
+            }
+        }
+        return bestCell;
+    }
+    #NextSearchId() {
+        // In the unlikely event the search ID reaches the maximum a Uint32Array can hold,
+        // clear the arrays and start counting again.
+        if (this.#searchId === 0xFFFFFFFF) {
+            this.#visitedIds.fill(0);
+            this.#closedIds.fill(0);
+            this.#searchId = 0;
+        }
+        return ++this.#searchId;
+    }
+    // Follow the parent cells back from the end cell of a search to get the list of cells along the path.
+    #GetPathTo(toCell) {
+        const ret = [];
+        for (let cell = toCell; cell !== -1; cell = this.#parentCells[cell]) {
+            ret.push(cell);
+        }
+        return ret.reverse();
+    }
+    // Check if a straight line between the centres of two cells only crosses cells that aren't
+    // obstacles. If the line passes exactly through the corner of a cell, both the cells either
+    // side of the corner must be clear too, the same as when moving diagonally.
+    HasLineOfSight(fromCell, toCell) {
+        return this.#WalkLine(fromCell, toCell, (cellX, cellY) => !this.#IsObstacleAt(cellX, cellY));
+    }
+    // Check if a straight line between the centres of two cells crosses any of the given cells,
+    // including the start and end cells, and either side of corners as with HasLineOfSight().
+    LineCrossesAnyCell(fromCell, toCell, cells) {
+        if (cells.has(fromCell))
+            return true;
+        const cellCountX = this.#cellCountX;
+        return !this.#WalkLine(fromCell, toCell, (cellX, cellY) => !cells.has(cellY * cellCountX + cellX));
+    }
+    // Step through each cell a straight line between the centres of two cells crosses after the
+    // start cell, calling isClear() for each one, as well as both the cells either side of any
+    // corner the line passes exactly through. Stops and returns false as soon as isClear() returns
+    // false, otherwise returns true once it reaches the end cell.
+    #WalkLine(fromCell, toCell, isClear) {
+        let cellX = fromCell % this.#cellCountX;
+        let cellY = (fromCell - cellX) / this.#cellCountX;
+        const toCellX = toCell % this.#cellCountX;
+        const toCellY = (toCell - toCellX) / this.#cellCountX;
+        const dx = Math.abs(toCellX - cellX);
+        const dy = Math.abs(toCellY - cellY);
+        const stepX = Math.sign(toCellX - cellX);
+        const stepY = Math.sign(toCellY - cellY);
+        // Step through each cell the line crosses in turn. The line next crosses whichever cell
+        // edge (horizontal or vertical) is closest along it, which can be compared using the number
+        // of steps taken so far on each axis, without needing to calculate the actual distances.
+        for (let ix = 0, iy = 0; ix < dx || iy < dy;) {
+            const decision = (1 + 2 * ix) * dy - (1 + 2 * iy) * dx;
+            if (decision === 0) {
+                // Passing exactly through a corner
+                if (!isClear(cellX + stepX, cellY) || !isClear(cellX, cellY + stepY))
+                    return false;
+                cellX += stepX;
+                cellY += stepY;
+                ix++;
+                iy++;
+            }
+            else if (decision < 0) {
+                cellX += stepX;
+                ix++;
+            }
+            else {
+                cellY += stepY;
+                iy++;
+            }
+            if (!isClear(cellX, cellY))
+                return false;
+        }
+        return true;
+    }
+}
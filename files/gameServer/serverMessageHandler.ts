@@ -1,10 +1,32 @@
-import { GameServer } from "./gameServer.js";
-import { NetworkEvent } from "./networkEvents/networkEvent.js";
-import { Unit } from "./units/unit.js";
+import { GameServer, MAX_SPECTATORS } from "./gameServer.js";
+import * as NetworkEvents from "./networkEvents/networkEvents.js";
+import { Unit, HideStanceInFullUpdate, HideStanceInDeltaUpdate } from "./units/unit.js";
+import type { MoveOrderType } from "./units/orderQueue.js";
 
 // The binary message types
 const MESSAGE_TYPE_GAME_UPDATES = 0;	// full and delta unit updates, and network events
  
+// Units that are far from a player's view are only of interest to that player occasionally, so
+// to save bandwidth they don't get delta updates every tick. Instead any changes are deferred,
+// and the player is sent a full update for the unit every this many ticks (staggered by unit ID).
+const DISTANT_UNIT_UPDATE_TICKS = 10;
+
+// The distance in px outside a player's viewport in which units still get delta updates every tick.
+// This means units just outside the view still move smoothly as they come in to view.
+const VIEWPORT_INTEREST_MARGIN = 800;
+
+// The start and end position of some data written to a buffer.
+type DataRange = [number, number];
+
+// Messages from clients that are not recorded in the command log for replays, as they are
+// not commands from the player, only requests for the player's own client. Loading a game
+// isn't recorded either, as the message includes the entire save data.
+const NON_COMMAND_MESSAGE_TYPES = new Set(["ping", "viewport", "get-replay-commands", "save-game", "load-game", "get-host-snapshot",
+											"get-max-spectators", "resync", "spectate", "set-spectator-vision", "remove-spectator", "release"]);
+
+// The only messages accepted from spectators. They can't issue any commands, as they have no units.
+const SPECTATOR_MESSAGE_TYPES = new Set(["ping", "viewport", "resync", "spectate", "set-spectator-vision"]);
+
 // The amount of time over which all units in the game will have a full update sent
 // out by the server, currently set to every 2 seconds.
 const UNIT_FULL_UPDATE_PERIOD = 2;
@@ -12,6 +34,11 @@ const UNIT_FULL_UPDATE_PERIOD = 2;
 // This class handles receiving messages from clients. It calls the appropriate GameServer methods
 // for each message, and also sends the binary unit full and delta update messages.
 // This keeps all the message handling logic in its own class rather than cluttering GameServer.
+// Due to the fog of war, each player is sent their own binary update, which only includes the
+// units and events that player can see. Clients also report the area of the level they are viewing,
+// and units far from a player's view get less frequent updates for that player.
+// Spectators are sent updates in the same way, using the numbers after the players (see
+// GameServer's IsSpectator()), so the per-player state also covers every possible spectator.
 export class ServerMessageHandler {
 
 	// Private fields
@@ -24,30 +51,91 @@ export class ServerMessageHandler {
 	#unitsPendingFullUpdate = new Set<Unit>();
 	#numUnitFullUpdatesPerTick = 0;	// number of unit full updates to send out per tick
 	
+	// A set of units that were added after the game started, such as by production, so need
+	// a full update sent on the next tick for clients to create them.
+	#newUnitsPendingFullUpdate = new Set<Unit>();
+	
 	// A set of units that have changed this tick, so need to send delta updates.
 	#unitsPendingDeltaUpdate = new Set<Unit>();
 	
 	// Array of NetworkEvents waiting to send over the network.
-	#networkEvents: NetworkEvent[] = [];
+	#networkEvents: NetworkEvents.NetworkEvent[] = [];
+	
+	// For each player, a set of the enemy units that player has been sent and can still see.
+	// Players always know about their own and their allies' units, so those aren't included.
+	// Likewise spectators always know about the units of the players whose vision they share.
+	#knownUnitsByPlayer: Set<Unit>[] = [];
+	
+	// For each player, the area of the level they last reported they are viewing as
+	// [left, top, right, bottom], or null if they haven't reported it yet.
+	#viewportsByPlayer: Array<number[] | null> = [];
+	
+	// For each player, a set of the units far from their view which have changed,
+	// but which have had their delta updates deferred.
+	#deferredUnitsByPlayer: Set<Unit>[] = [];
+	#tickCount = 0;				// number of game updates sent, for staggering deferred updates
+	
+	// Players who rejoined the game, so need a full update for every unit they know about on the next tick.
+	#playersPendingResync = new Set<number>();
 	
 	// A 256kb binary data buffer to use for sending binary updates to clients
 	#dataArrayBuffer = new ArrayBuffer(262144);
 	#dataView = new DataView(this.#dataArrayBuffer);
+	#dataBytes = new Uint8Array(this.#dataArrayBuffer);
+	
+	// Another 256kb binary data buffer that every unit update and network event is written
+	// to once per tick, and the start and end position of the data for each of them.
+	// Each player's update is then assembled by copying the parts that player can see.
+	#scratchArrayBuffer = new ArrayBuffer(262144);
+	#scratchDataView = new DataView(this.#scratchArrayBuffer);
+	#scratchBytes = new Uint8Array(this.#scratchArrayBuffer);
+	#fullUpdateRanges = new Map<Unit, DataRange>();
+	#deltaUpdateRanges = new Map<Unit, DataRange>();
+	#networkEventRanges: DataRange[] = [];
 	
 	// For sending async messages: keep track of message IDs and the corresponding
 	// promise resolve/reject functions.
 	#nextMessageId = 0;
 	#messagePromiseMap = new Map<number, { resolve: Function, reject: Function}>();
 	
+	// Log of every command received from every player, along with the game time it was received,
+	// which is saved in replay files. These are only small JSON messages so they are all kept.
+	#commandLog: Array<{ time: number, message: any }> = [];
+	
 	constructor(gameServer: GameServer)
 	{
 		this.#gameServer = gameServer;
 		
+		for (let player = 0, len = gameServer.GetNumViewers(); player < len; ++player)
+		{
+			this.#knownUnitsByPlayer.push(new Set<Unit>());
+			this.#viewportsByPlayer.push(null);
+			this.#deferredUnitsByPlayer.push(new Set<Unit>());
+		}
+		
 		// Map of message types that can be received from the client
 		// and the function to call to handle them.
 		this.#messageMap = new Map([
 			["ping", (m: any) => this.#OnPing(m)],
-			["move-units", (m: any) => this.#OnMoveUnits(m)],
+			["move-units", (m: any) => this.#OnMoveUnits(m, "move")],
+			["attack-move-units", (m: any) => this.#OnMoveUnits(m, "attack-move")],
+			["patrol-units", (m: any) => this.#OnMoveUnits(m, "patrol")],
+			["stop-units", (m: any) => this.#OnStopUnits(m)],
+			["hold-position-units", (m: any) => this.#OnHoldPositionUnits(m)],
+			["attack-unit", (m: any) => this.#OnAttackUnit(m)],
+			["set-stance", (m: any) => this.#OnSetStance(m)],
+			["queue-unit", (m: any) => this.#OnQueueUnit(m)],
+			["cancel-unit", (m: any) => this.#OnCancelUnit(m)],
+			["viewport", (m: any) => this.#OnViewport(m)],
+			["get-replay-commands", (m: any) => this.#OnGetReplayCommands(m)],
+			["save-game", (m: any) => this.#OnSaveGame(m)],
+			["load-game", (m: any) => this.#OnLoadGame(m)],
+			["get-host-snapshot", (m: any) => this.#OnGetHostSnapshot(m)],
+			["get-max-spectators", (m: any) => this.#OnGetMaxSpectators(m)],
+			["resync", (m: any) => this.#OnResync(m)],
+			["spectate", (m: any) => this.#OnSpectate(m)],
+			["set-spectator-vision", (m: any) => this.#OnSetSpectatorVision(m)],
+			["remove-spectator", (m: any) => this.#OnRemoveSpectator(m)],
 			["release", (m: any) => this.#OnRelease(m)]
 		]);
 	}
@@ -112,6 +200,23 @@ export class ServerMessageHandler {
 
 			if (handlerFunc)
 			{
+				// Reject anything else spectators send, such as "move-units", as they aren't
+				// allowed to affect the game. This could happen with a hacked client.
+				if (this.#gameServer.IsSpectator(msg["player"]) && !SPECTATOR_MESSAGE_TYPES.has(messageType))
+				{
+					console.warn(`[GameServer] Rejected '${messageType}' message from spectator ${msg["player"]}`);
+					return;
+				}
+				
+				// Record player commands in the command log before handling them.
+				if (!NON_COMMAND_MESSAGE_TYPES.has(messageType))
+				{
+					this.#commandLog.push({
+						time: this.#gameServer.GetGameTime(),
+						message: msg
+					});
+				}
+				
 				// Call the message handler function with the provided message.
 				handlerFunc(msg);
 			}
@@ -123,12 +228,100 @@ export class ServerMessageHandler {
 		}
 	}
 	
-	#OnMoveUnits(msg: any)
+	// The "formation" is the name of the formation the units are moving in, such as "box", or
+	// absent if they aren't moving in formation. If "queue" is true, the move is added to the end
+	// of the units' orders rather than replacing them. This handles "attack-move-units" and
+	// "patrol-units" messages too, which are in the same format, passing the type of order to give.
+	#OnMoveUnits(msg: any, orderType: MoveOrderType)
 	{
 		const player = msg["player"];
 		const units = msg["units"];
+		const isFormation = !!msg["formation"];
+		const isQueued = !!msg["queue"];
+	
+		this.#gameServer.MoveUnits(player, units, isFormation, isQueued, orderType);
+	}
+	
+	// Called when a player wants to stop units. The "units" is an array of unit IDs.
+	#OnStopUnits(msg: any)
+	{
+		const player = msg["player"];
+		const unitIds = msg["units"];
+		
+		this.#gameServer.StopUnits(player, unitIds);
+	}
+	
+	// Called when a player wants units to hold position. The "units" is an array of unit IDs,
+	// and if "queue" is true, the units hold position after their other orders.
+	#OnHoldPositionUnits(msg: any)
+	{
+		const player = msg["player"];
+		const unitIds = msg["units"];
+		const isQueued = !!msg["queue"];
+		
+		this.#gameServer.HoldPosition(player, unitIds, isQueued);
+	}
+	
+	// Called when a player wants units to attack an enemy unit. The "units" is an array of the IDs
+	// of units to attack with, and "target" is the ID of the unit to attack. If "queue" is true,
+	// the units attack after their other orders.
+	#OnAttackUnit(msg: any)
+	{
+		const player = msg["player"];
+		const unitIds = msg["units"];
+		const targetId = msg["target"];
+		const isQueued = !!msg["queue"];
+		
+		this.#gameServer.AttackUnit(player, unitIds, targetId, isQueued);
+	}
+	
+	// Called when a player wants to change the stance of units. The "units" is an array of unit IDs,
+	// and "stance" is the name of the stance to change them to.
+	#OnSetStance(msg: any)
+	{
+		const player = msg["player"];
+		const unitIds = msg["units"];
+		const stance = msg["stance"];
+		
+		this.#gameServer.SetUnitStance(player, unitIds, stance);
+	}
+	
+	// Called when a player wants to build a unit. The "unit" is the ID of the unit to build
+	// it at, e.g. a factory, and the "unitType" is the name of the unit type to build.
+	#OnQueueUnit(msg: any)
+	{
+		const player = msg["player"];
+		const unitId = msg["unit"];
+		const unitTypeName = msg["unitType"];
+		
+		this.#gameServer.QueueUnitProduction(player, unitId, unitTypeName);
+	}
+	
+	// Called when a player wants to cancel building a unit. The "index" is the position of
+	// the unit to cancel in the production queue of the unit with the ID "unit".
+	#OnCancelUnit(msg: any)
+	{
+		const player = msg["player"];
+		const unitId = msg["unit"];
+		const index = msg["index"];
+		
+		this.#gameServer.CancelUnitProduction(player, unitId, index);
+	}
 	
-		this.#gameServer.MoveUnits(player, units);
+	// Called when a player reports the area of the level they are viewing, as [left, top, right, bottom].
+	#OnViewport(msg: any)
+	{
+		const player = msg["player"];
+		const area = msg["area"];
+		
+		// Ignore any invalid messages, e.g. from a hacked client.
+		if (!Array.isArray(area) || area.length !== 4 || !area.every(n => Number.isFinite(n)) ||
+			!(player >= 0 && player < this.#viewportsByPlayer.length))
+		{
+			return;
+		}
+		
+		this.#viewportsByPlayer[player] = area;
 	}
 	
 	// Called when receiving a ping from a specific player. The server sends a "pong" message back
@@ -149,15 +342,137 @@ export class ServerMessageHandler {
 		}, "u", player);
 	}
 	
+	// Called when the host's client requests the command log to save in a replay file.
+	#OnGetReplayCommands(msg: any)
+	{
+		// Only the host player - the single player or multiplayer host - records replays.
+		const player = msg["player"];
+		if (player !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		this.SendToRuntime({
+			"type": "replay-commands",
+			"commands": this.#commandLog
+		}, "o", player);
+	}
+	
+	// Called when the host's client wants to save the game. The save data is sent back to be saved.
+	#OnSaveGame(msg: any)
+	{
+		// Only the host player - the single player or multiplayer host - can save the game.
+		const player = msg["player"];
+		if (player !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		this.SendToRuntime({
+			"type": "save-game-data",
+			"data": this.#gameServer.SaveState()
+		}, "o", player);
+	}
+	
+	// Called when the host's client wants to load a saved game in to the running game.
+	#OnLoadGame(msg: any)
+	{
+		// Only the host player - the single player or multiplayer host - can load a saved game.
+		if (msg["player"] !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		// If the save data can't be loaded, log an error and carry on with the current game.
+		try {
+			this.#gameServer.LoadState(msg["data"]);
+		}
+		catch (err)
+		{
+			console.error("[GameServer] Error loading saved game: ", err);
+		}
+	}
+	
+	// Called regularly by the multiplayer host's client to get a snapshot of the game state to send
+	// to peers, so if the host leaves, one of them can take over running GameServer from it.
+	// This is the same as the save data, but under a different message type, as the host's client
+	// passes it on to peers rather than saving it.
+	#OnGetHostSnapshot(msg: any)
+	{
+		const player = msg["player"];
+		if (player !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		this.SendToRuntime({
+			"type": "host-snapshot",
+			"data": this.#gameServer.SaveState()
+		}, "o", player);
+	}
+	
+	// Called by the multiplayer host's client when the game starts, to find out how many spectators
+	// it can assign player numbers to, so the limit is only defined here in GameServer.
+	#OnGetMaxSpectators(msg: any)
+	{
+		const player = msg["player"];
+		if (player !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		this.SendToRuntime({
+			"type": "max-spectators",
+			"maxSpectators": MAX_SPECTATORS
+		}, "r", player);
+	}
+	
+	// Called when a player's client joins a game that is already in progress, such as when rejoining
+	// after dropping out, so needs everything about the game sending to it again.
+	#OnResync(msg: any)
+	{
+		const player = msg["player"];
+		if (!this.#gameServer.IsActiveViewer(player))
+			return;
+		
+		this.#gameServer.ResyncPlayer(player);
+	}
+	
+	// Called when a spectator's client has joined the game and is ready to start watching it.
+	// The game is already in progress, so it is then sent the whole state of the game.
+	#OnSpectate(msg: any)
+	{
+		const spectator = msg["player"];
+		if (!this.#gameServer.IsSpectator(spectator))
+			return;
+		
+		this.#gameServer.AddSpectator(spectator);
+		this.#gameServer.ResyncPlayer(spectator);
+	}
+	
+	// Called when a spectator switches to seeing what one player can see, or the whole map.
+	#OnSetSpectatorVision(msg: any)
+	{
+		const spectator = msg["player"];
+		const visionPlayer = msg["vision"];
+		if (!this.#gameServer.IsSpectator(spectator) || typeof visionPlayer !== "number")
+			return;
+		
+		this.#gameServer.SetSpectatorVision(spectator, visionPlayer);
+	}
+	
+	// Called when the host's client tells GameServer a spectator left, so it stops sending them updates.
+	#OnRemoveSpectator(msg: any)
+	{
+		if (msg["player"] !== this.#gameServer.GetHostPlayer())
+			return;
+		
+		const spectator = msg["spectator"];
+		if (this.#gameServer.IsSpectator(spectator))
+			this.#gameServer.RemoveSpectator(spectator);
+	}
+	
 	// Called when the runtime is ending the game.
 	#OnRelease(msg: any)
 	{
-		// Only player 0 - the single player or multiplayer host - can terminate GameServer.
-		if (msg["player"] !== 0)
+		// Only the host player - the single player or multiplayer host - can terminate GameServer.
+		if (msg["player"] !== this.#gameServer.GetHostPlayer())
 			return;
 
-		// Just terminate this entire worker. We could write code that releases everything in
-		// GameServer, but there isn't really any point if the whole worker is terminated anyway.
+		// Stop GameServer ticking and then just terminate this entire worker. We could write code
+		// that releases everything in GameServer, but there isn't really any point if the whole
+		// worker is terminated anyway.
+		this.#gameServer.Release();
 		self.close();
 	}
 	
@@ -178,14 +493,88 @@ export class ServerMessageHandler {
 		this.#unitsPendingDeltaUpdate.add(unit);
 	}
 	
+	AddUnitForFullUpdate(unit: Unit)
+	{
+		this.#newUnitsPendingFullUpdate.add(unit);
+	}
+	
+	// When loading a saved game, all the units are replaced, so clear everything about the
+	// previous units, including which units each player knows about and any pending network
+	// events. Players are then sent full updates for the new units as if the game just started.
+	Reset()
+	{
+		this.#unitsPendingFullUpdate.clear();
+		this.#newUnitsPendingFullUpdate.clear();
+		this.#unitsPendingDeltaUpdate.clear();
+		this.#networkEvents.length = 0;
+		
+		for (const knownUnits of this.#knownUnitsByPlayer)
+		{
+			knownUnits.clear();
+		}
+		
+		for (const deferredUnits of this.#deferredUnitsByPlayer)
+		{
+			deferredUnits.clear();
+		}
+	}
+	
+	// When a player rejoins the game, their client starts over with no units, so forget which units
+	// the player knows about and what area they are viewing, and send them everything on the next tick.
+	ResyncPlayer(player: number)
+	{
+		this.ResetPlayer(player);
+		this.#playersPendingResync.add(player);
+	}
+	
+	// Forget everything about what a player knows about and is viewing, e.g. when a spectator leaves.
+	ResetPlayer(player: number)
+	{
+		this.#knownUnitsByPlayer[player].clear();
+		this.#deferredUnitsByPlayer[player].clear();
+		this.#viewportsByPlayer[player] = null;
+		this.#playersPendingResync.delete(player);
+	}
+	
 	// When a unit is destroyed, ensure it is removed from any pending messages.
 	RemoveUnit(unit: Unit)
 	{
+		this.#newUnitsPendingFullUpdate.delete(unit);
 		this.#unitsPendingFullUpdate.delete(unit);
 		this.#unitsPendingDeltaUpdate.delete(unit);
+		
+		for (const knownUnits of this.#knownUnitsByPlayer)
+		{
+			knownUnits.delete(unit);
+		}
+		
+		for (const deferredUnits of this.#deferredUnitsByPlayer)
+		{
+			deferredUnits.delete(unit);
+		}
 	}
 	
-	AddNetworkEvent(networkEvent: NetworkEvent)
+	// Return a list of the player numbers that know about a unit, i.e. the unit's own player
+	// and their allies, and any enemy players who can currently see it. This includes spectators.
+	GetPlayersKnowingUnit(unit: Unit)
+	{
+		const ret: number[] = [];
+		for (let player = 0, len = this.#knownUnitsByPlayer.length; player < len; ++player)
+		{
+			if (this.#gameServer.IsActiveViewer(player) && this.#IsUnitKnownToPlayer(player, unit))
+				ret.push(player);
+		}
+		
+		return ret;
+	}
+	
+	#IsUnitKnownToPlayer(player: number, unit: Unit)
+	{
+		return this.#gameServer.SharesVisionWith(player, unit.GetPlayer()) ||
+				this.#knownUnitsByPlayer[player].has(unit);
+	}
+	
+	AddNetworkEvent(networkEvent: NetworkEvents.NetworkEvent)
 	{
 		this.#networkEvents.push(networkEvent);
 	}
@@ -195,13 +584,18 @@ export class ServerMessageHandler {
 	// compression to work more effectively.
 	SendBinaryGameUpdate()
 	{
+		this.#tickCount++;
+		
 		// Send data with some unit full updates. These contain all the information about
 		// a unit, such as its position, angle, speed and turret offset angle. Each tick this is
 		// called to send only some full updates; it will work its way through all units over the
 		// time period UNIT_FULL_UPDATE_PERIOD in order to limit the total bandwidth used.
 		
+		// Any new units are always sent first, regardless of the limit, so clients create them promptly.
+		const sendUnits = [...this.#newUnitsPendingFullUpdate];
+		this.#newUnitsPendingFullUpdate.clear();
+		
 		// From the queue of units pending a full update, fill up an array with the number to send this tick.
-		const sendUnits = [];
 		for (const unit of this.#unitsPendingFullUpdate)
 		{
 			sendUnits.push(unit);
@@ -220,6 +614,10 @@ export class ServerMessageHandler {
 			// Iterate all units in the game.
 			for (const unit of this.#gameServer.allUnits())
 			{
+				// Skip any new units that are already being sent in this update.
+				if (sendUnits.includes(unit))
+					continue;
+				
 				// For the first few units, top up the sendUnits array so they are included
 				// in this tick's full update.
 				if (sendUnits.length < this.#numUnitFullUpdatesPerTick)
@@ -239,14 +637,222 @@ export class ServerMessageHandler {
 			this.UpdateNumFullUpdatesPerTick();
 		}
 		
+		// Collect the extra units each player needs a full update for this tick, as well as the
+		// units in sendUnits. Update which enemy units each player can see: any units that have just
+		// come in to sight need a full update sending to that player so they can create them, and any
+		// that have just gone out of sight add an event telling that player to remove them. Also add
+		// any distant units with deferred changes that are due an update for that player.
+		// Spectator numbers that aren't in use are skipped, but still get an empty array.
+		const numPlayers = this.#knownUnitsByPlayer.length;
+		const playerFullUpdateUnits: Unit[][] = [];
+		for (let player = 0; player < numPlayers; ++player)
+		{
+			if (!this.#gameServer.IsActiveViewer(player))
+			{
+				playerFullUpdateUnits.push([]);
+				continue;
+			}
+			
+			const units = this.#UpdateKnownUnits(player);
+			this.#CollectDeferredUnits(player, units);
+			
+			// Players who rejoined also need their own and their allies' units, as well as the enemy
+			// units they can see, which are all newly visible to them after their known units were reset.
+			if (this.#playersPendingResync.has(player))
+			{
+				for (const unit of this.#gameServer.allUnits())
+				{
+					if (this.#gameServer.SharesVisionWith(player, unit.GetPlayer()))
+						units.push(unit);
+				}
+			}
+			
+			playerFullUpdateUnits.push(units);
+		}
+		
+		this.#playersPendingResync.clear();
+		
 		// If for some reason there are no full updates to send (maybe every single unit was destroyed?)
 		// *and* no delta updates and no network events, then skip sending any update.
 		if (sendUnits.length === 0 && this.#unitsPendingDeltaUpdate.size === 0 &&
-			this.#networkEvents.length === 0)
+			this.#networkEvents.length === 0 && playerFullUpdateUnits.every(units => units.length === 0))
 		{
 			return;
 		}
 		
+		// Write every delta update, full update and network event once to the scratch buffer.
+		// Note that writing a unit update also resets its change flags, so they can't be
+		// written again separately for each player.
+		this.#WriteScratchData(sendUnits, playerFullUpdateUnits);
+		
+		// Send each player their own update with just the parts they can see.
+		for (let player = 0; player < numPlayers; ++player)
+		{
+			if (this.#gameServer.IsActiveViewer(player))
+				this.#SendPlayerGameUpdate(player, sendUnits, playerFullUpdateUnits[player]);
+		}
+		
+		// Clear all the pending delta updates and network events now they have been sent.
+		this.#unitsPendingDeltaUpdate.clear();
+		this.#networkEvents.length = 0;
+		this.#fullUpdateRanges.clear();
+		this.#deltaUpdateRanges.clear();
+		this.#networkEventRanges.length = 0;
+	}
+	
+	// Update the set of enemy units the given player knows about, and return an array of
+	// the units that the player has just seen.
+	#UpdateKnownUnits(player: number)
+	{
+		const gameServer = this.#gameServer;
+		const visibility = gameServer.GetVisibility();
+		const knownUnits = this.#knownUnitsByPlayer[player];
+		const newlyVisibleUnits: Unit[] = [];
+		
+		for (const unit of gameServer.allUnits())
+		{
+			// Players always know about their own and their allies' units.
+			if (gameServer.SharesVisionWith(player, unit.GetPlayer()))
+				continue;
+			
+			const isVisible = visibility.IsUnitVisible(player, unit);
+			if (isVisible && !knownUnits.has(unit))
+			{
+				knownUnits.add(unit);
+				newlyVisibleUnits.push(unit);
+			}
+			else if (!isVisible && knownUnits.has(unit))
+			{
+				knownUnits.delete(unit);
+				this.#deferredUnitsByPlayer[player].delete(unit);
+				this.AddNetworkEvent(new NetworkEvents.UnitHiddenEvent(unit.GetId(), player));
+			}
+		}
+		
+		return newlyVisibleUnits;
+	}
+	
+	// Move any of the given player's deferred units that are due an update in to the given array.
+	// Units get their turn every DISTANT_UNIT_UPDATE_TICKS, staggered by their ID to spread out the
+	// updates over time, or as soon as they come near the player's view.
+	#CollectDeferredUnits(player: number, units: Unit[])
+	{
+		const deferredUnits = this.#deferredUnitsByPlayer[player];
+		for (const unit of deferredUnits)
+		{
+			if ((unit.GetId() + this.#tickCount) % DISTANT_UNIT_UPDATE_TICKS === 0 ||
+				this.#IsUnitOfInterestToPlayer(player, unit))
+			{
+				deferredUnits.delete(unit);
+				
+				// Units that just came in to sight are already in the array.
+				if (!units.includes(unit))
+					units.push(unit);
+			}
+		}
+	}
+	
+	// Return true if the given player needs delta updates for a unit every tick. This is the case for
+	// the player's own units, and units near the area the player is viewing. If the player hasn't
+	// reported their view yet, then every unit is treated as being of interest.
+	#IsUnitOfInterestToPlayer(player: number, unit: Unit)
+	{
+		const viewport = this.#viewportsByPlayer[player];
+		if (unit.GetPlayer() === player || !viewport)
+			return true;
+		
+		const [left, top, right, bottom] = viewport;
+		const [x, y] = unit.GetPlatform().GetPosition();
+		return x >= left - VIEWPORT_INTEREST_MARGIN && x <= right + VIEWPORT_INTEREST_MARGIN &&
+				y >= top - VIEWPORT_INTEREST_MARGIN && y <= bottom + VIEWPORT_INTEREST_MARGIN;
+	}
+	
+	#WriteScratchData(sendUnits: Unit[], playerFullUpdateUnits: Unit[][])
+	{
+		const dataView = this.#scratchDataView;
+		let pos = 0;
+		
+		// Write delta updates first, since writing a full update also clears a unit's change flags.
+		// Units in this tick's full updates don't need delta updates, as every player who knows about
+		// them is sent the full update. However units that have just come in to sight for one player
+		// still need a delta update for the other players.
+		for (const unit of this.#unitsPendingDeltaUpdate)
+		{
+			if (sendUnits.includes(unit))
+				continue;
+			
+			const startPos = pos;
+			pos = unit.WriteDeltaUpdate(dataView, pos);
+			this.#deltaUpdateRanges.set(unit, [startPos, pos]);
+		}
+		
+		// Write full updates for this tick's units, and all the extra units any player needs a full
+		// update for. Note the same unit may be needed by several players, but it only needs writing once.
+		const writeFullUpdate = (unit: Unit) =>
+		{
+			if (this.#fullUpdateRanges.has(unit))
+				return;
+			
+			const startPos = pos;
+			pos = unit.WriteFullUpdate(dataView, pos);
+			this.#fullUpdateRanges.set(unit, [startPos, pos]);
+		};
+		
+		sendUnits.forEach(writeFullUpdate);
+		
+		for (const units of playerFullUpdateUnits)
+		{
+			units.forEach(writeFullUpdate);
+		}
+		
+		// Write each network event.
+		for (const networkEvent of this.#networkEvents)
+		{
+			const startPos = pos;
+			pos = networkEvent.Write(dataView, pos);
+			this.#networkEventRanges.push([startPos, pos]);
+		}
+	}
+	
+	#SendPlayerGameUpdate(player: number, sendUnits: Unit[], extraFullUpdateUnits: Unit[])
+	{
+		// Collect the full updates to send to this player: the extra units for this player,
+		// and any of this tick's full updates for units this player knows about.
+		const deferredUnits = this.#deferredUnitsByPlayer[player];
+		const fullUpdateUnits = new Set<Unit>(extraFullUpdateUnits);
+		for (const unit of sendUnits)
+		{
+			if (this.#IsUnitKnownToPlayer(player, unit))
+			{
+				fullUpdateUnits.add(unit);
+				
+				// A full update includes any deferred changes, so the unit no longer needs one.
+				deferredUnits.delete(unit);
+			}
+		}
+		
+		// Collect the delta updates for units this player knows about, skipping any
+		// that are having a full update sent to this player. Units that are far from the
+		// player's view have their changes deferred instead.
+		const deltaUpdateUnits: Unit[] = [];
+		for (const unit of this.#deltaUpdateRanges.keys())
+		{
+			if (!this.#IsUnitKnownToPlayer(player, unit) || fullUpdateUnits.has(unit))
+				continue;
+			
+			if (this.#IsUnitOfInterestToPlayer(player, unit))
+				deltaUpdateUnits.push(unit);
+			else
+				deferredUnits.add(unit);
+		}
+		
+		// Collect the network events this player can see.
+		const eventRanges = this.#networkEventRanges.filter((range, i) => this.#networkEvents[i].ShouldSendToPlayer(player));
+		
+		// If there is nothing for this player, skip sending them an update.
+		if (fullUpdateUnits.size === 0 && deltaUpdateUnits.length === 0 && eventRanges.length === 0)
+			return;
+		
 		const dataView = this.#dataView;
 		let pos = 0;		// write position in bytes
 		
@@ -259,23 +865,30 @@ export class ServerMessageHandler {
 		pos += 8;
 		
 		// Write the full unit updates with full details about some units.
-		pos = this.#WriteUnitFullUpdates(dataView, pos, sendUnits);
+		let startPos = pos;
+		pos = this.#CopyUnitUpdates(pos, player, [...fullUpdateUnits], this.#fullUpdateRanges, true);
+		this.#gameServer.AddStatStateData(pos - startPos);
 		
 		// Continue on to writing delta updates following on from the full updates.
 		// These are a list of specific values that have changed in units this tick, such as
 		// the platform angle, or the turret offset angle. Values that have not changed are
 		// not transmitted here, in order to save bandwidth.
-		pos = this.#WriteUnitDeltaUpdates(dataView, pos);
+		startPos = pos;
+		pos = this.#CopyUnitUpdates(pos, player, deltaUpdateUnits, this.#deltaUpdateRanges, false);
+		this.#gameServer.AddStatDeltaData(pos - startPos);
 		
 		// Continue on to writing network events following on from the delta updates.
 		// These are a list of one-off events that have happened in the past tick.
-		pos = this.#WriteNetworkEvents(dataView, pos);
+		startPos = pos;
+		pos = this.#CopyScratchRanges(pos, eventRanges);
+		this.#gameServer.AddStatEventData(pos - startPos);
 		
 		// Finished writing the unit update data.
 		// Copy out a new ArrayBuffer with just the data written.
 		const arrayBuffer = this.#dataArrayBuffer.slice(0, pos);
+		this.#gameServer.AddStatPlayerData(player, pos);
 		
-		// Send the binary data with the game state update to the runtime.
+		// Send the binary data with the game state update to the runtime for this player.
 		// The arrayBuffer is transferred to save a copy, as it isn't needed here any more.
 		// This also uses reliable unordered transmission. Unreliable transmission is tempting
 		// but many of the updates are important enough to be worth retransmitting: both full
@@ -284,76 +897,51 @@ export class ServerMessageHandler {
 		// the next full update arrives; network events must also always arrive even if late.
 		// However by allowing unordered transmission we still allow for newer updates to
 		// arrive sooner, which will allow the client to update the state even more promptly.
-		this.SendToRuntime(arrayBuffer, "r", null, [arrayBuffer])
+		this.SendToRuntime(arrayBuffer, "r", player, [arrayBuffer]);
 	}
 	
-	#WriteUnitFullUpdates(dataView: DataView, pos: number, sendUnits: Unit[])
+	// Write the number of ranges as a uint16, followed by the data for each range copied
+	// from the scratch buffer. This is the format for each section of the game update.
+	#CopyScratchRanges(pos: number, ranges: DataRange[])
 	{
-		const startPos = pos;
-		
-		// Write the total number of full updates to be sent in this update.
-		dataView.setUint16(pos, sendUnits.length);
+		this.#dataView.setUint16(pos, ranges.length);
 		pos += 2;
 		
-		// For each unit, write the full data about the unit.
-		for (const unit of sendUnits)
+		for (const [start, end] of ranges)
 		{
-			pos = unit.WriteFullUpdate(dataView, pos);
-			
-			// If this unit is in the delta update list, remove it - it already just wrote
-			// its full information so there's no point following with a delta update.
-			this.#unitsPendingDeltaUpdate.delete(unit);
+			this.#dataBytes.set(this.#scratchBytes.subarray(start, end), pos);
+			pos += (end - start);
 		}
 		
-		// Measure unit full updates data for stats.
-		this.#gameServer.AddStatStateData(pos - startPos);
-		
 		return pos;
 	}
 	
-	#WriteUnitDeltaUpdates(dataView: DataView, pos: number)
+	// Copy the full or delta updates for the given units from the scratch buffer in the same
+	// format as #CopyScratchRanges, but hide the stance of any units that are enemies of the
+	// given player. Only the unit's owner, their allies and spectators know a unit's stance.
+	#CopyUnitUpdates(pos: number, player: number, units: Unit[], unitRanges: Map<Unit, DataRange>, isFullUpdate: boolean)
 	{
-		const startPos = pos;
-		
-		// Write the number of delta updates.
-		dataView.setUint16(pos, this.#unitsPendingDeltaUpdate.size);
-		pos += 2;
-		
-		// Write each delta update.
-		for (const unit of this.#unitsPendingDeltaUpdate)
-		{
-			pos = unit.WriteDeltaUpdate(dataView, pos);
-		}
-		
-		// Clear all units pending delta updates now they have been written.
-		this.#unitsPendingDeltaUpdate.clear();
-		
-		// Measure unit delta updates data for stats.
-		this.#gameServer.AddStatDeltaData(pos - startPos);
-		
-		return pos;
-	}
-	
-	#WriteNetworkEvents(dataView: DataView, pos: number)
-	{
-		const startPos = pos;
-		
-		// Write the number of events.
-		dataView.setUint16(pos, this.#networkEvents.length);
+		const gameServer = this.#gameServer;
+		const dataView = this.#dataView;
+		dataView.setUint16(pos, units.length);
 		pos += 2;
 		
-		// Write each event individually.
-		for (const networkEvent of this.#networkEvents)
+		for (const unit of units)
 		{
-			pos = networkEvent.Write(dataView, pos);
+			const [start, end] = unitRanges.get(unit)!;
+			const startPos = pos;
+			this.#dataBytes.set(this.#scratchBytes.subarray(start, end), pos);
+			pos += (end - start);
+			
+			if (gameServer.IsSpectator(player) || gameServer.AreAllies(player, unit.GetPlayer()))
+				continue;
+			
+			if (isFullUpdate)
+				HideStanceInFullUpdate(dataView, pos);
+			else
+				pos = HideStanceInDeltaUpdate(dataView, startPos, pos);
 		}
 		
-		// Clear all the network events now they have been written.
-		this.#networkEvents.length = 0;
-		
-		// Measure network event data for stats.
-		this.#gameServer.AddStatEventData(pos - startPos);
-		
 		return pos;
 	}
-}
\ No newline at end of file
+}
@@ -1,55 +1,256 @@
 import { GameServer } from "./gameServer.js";
+import { PathfindingGrid } from "./pathfinding/pathfindingGrid.js";
+import { FlowField } from "./pathfinding/flowField.js";
+import { CollisionShape } from "./collisions/collisionShape.js";
+import { MovableUnitPlatform } from "./units/movableUnitPlatform.js";
 // Pathfinding settings
-// GROUP_MAX_WORKERS sets how many workers are allowed to calculate pathfinding
-// jobs in parallel in a pathfinding group. If this is too high then many paths
-// can take the same route before they start to get spread out, but if it is too
-// low then it might not take full advantage of available CPU cores.
-const GROUP_MAX_WORKERS = 4;
-// GROUP_BASE_COST sets the base cell cost to add along paths that are calculated
-// in a group. The higher this is then the more subsequent paths in the same group
-// will be discouraged from taking the same route.
-const GROUP_BASE_COST = 1;
-// GROUP_CELL_SPREAD is how many cells to spread out around the path that is
-// calculated. It works best with an odd number as that ensures the cost area
-// is symmetrical around the path that was calculated.
-const GROUP_CELL_SPREAD = 3;
-// Class to manage pathfinding on the server.
-// The server actually uses the Pathfinding behavior of the host player.
-// Therefore this class mainly handles messaging the host player.
+// PATHFINDING_TIME_BUDGET is the maximum time in ms to spend finding paths every tick.
+// Several moves can be ordered at once, so rather than holding up the game until all
+// their paths are found, they are queued and found over the following ticks.
+// At least one path is always found every tick, even if it takes longer than this.
+const PATHFINDING_TIME_BUDGET = 8;
+// GROUP_THRESHOLD is the number of units moved simultaneously above which they move as a
+// group using a flow field, rather than each unit finding its own path.
+const GROUP_THRESHOLD = 4;
+// Class to manage pathfinding on the server. Paths are found over a PathfindingGrid, entirely within
+// GameServer, so it doesn't depend on any client and can run without one, e.g. as a dedicated server.
+// Requests are queued and handled during ticks, a few at a time (see PATHFINDING_TIME_BUDGET).
+// A small number of units moving at once each find their own path with A*. However finding a path
+// for every unit when moving hundreds at once is expensive, so large groups instead share a single
+// FlowField to their destination, which each unit follows until it can drive straight to its own
+// destination in the group's formation.
+// Obstacles can also change at runtime, either by adding or removing obstacle regions, or as static
+// units are created and destroyed. When that happens, at the start of the next tick any units whose
+// route crosses a newly blocked cell find a new path, and flow fields in use are recalculated.
 export class ServerPathfinding {
     #gameServer;
+    #grid; // PathfindingGrid to find paths over
+    #jobQueue = []; // requests waiting to be handled, in the order requested
+    // Flow fields waiting to be calculated by goal cell, so requests for the same goal can share them.
+    #pendingFlowFields = new Map();
+    #hasObstaclesChanged = false; // set when any obstacle is added or removed
+    #newlyBlockedCells = new Set(); // cells that have become obstacles since last tick
+    #obstacleRegions = new Map(); // obstacle regions by ID
+    #nextObstacleRegionId = 0;
     constructor(gameServer) {
         this.#gameServer = gameServer;
+        this.#grid = new PathfindingGrid(gameServer);
     }
+    GetGrid() {
+        return this.#grid;
+    }
+    // Static units are obstacles for pathfinding, so they add themselves to the grid when created,
+    // and remove themselves again when destroyed.
+    AddObstacle(shape, x, y) {
+        this.#hasObstaclesChanged = true;
+        return this.#grid.AddObstacle(shape, x, y, this.#newlyBlockedCells);
+    }
+    RemoveObstacle(obstacle) {
+        this.#hasObstaclesChanged = true;
+        this.#grid.RemoveObstacle(obstacle);
+    }
+    // Add an area that units must find paths around, such as destructible terrain, with its polygon
+    // points relative to the given position. Returns an ID to pass to RemoveObstacleRegion() to remove
+    // it again. Note this only affects pathfinding, the same as the obstacles in the level.
+    AddObstacleRegion(poly, x, y) {
+        // Take a copy of the polygon, as it's kept for saving the game.
+        poly = poly.map(([px, py]) => [px, py]);
+        const id = this.#nextObstacleRegionId++;
+        const obstacle = this.AddObstacle(new CollisionShape(this.#gameServer, poly), x, y);
+        this.#obstacleRegions.set(id, { poly, x, y, obstacle });
+        return id;
+    }
+    // Remove an obstacle region by its ID. Returns false if there is no obstacle region with the ID.
+    RemoveObstacleRegion(id) {
+        const region = this.#obstacleRegions.get(id);
+        if (!region)
+            return false;
+        this.RemoveObstacle(region.obstacle);
+        this.#obstacleRegions.delete(id);
+        return true;
+    }
+    // Save the obstacle regions, for saving the game. Other obstacles don't need saving, as they
+    // come from the level and the static units.
+    SaveState() {
+        return {
+            "obstacleRegions": [...this.#obstacleRegions].map(([id, region]) => ({
+                "id": id,
+                "poly": region.poly.map(([x, y]) => [x, y]),
+                "x": region.x,
+                "y": region.y
+            })),
+            "nextObstacleRegionId": this.#nextObstacleRegionId
+        };
+    }
+    // Restore the obstacle regions saved by SaveState(). This is only called on a new ServerPathfinding.
+    RestoreState(state) {
+        // Set the next ID before adding each region so it gets its saved ID.
+        for (const region of state["obstacleRegions"]) {
+            this.#nextObstacleRegionId = region["id"];
+            this.AddObstacleRegion(region["poly"], region["x"], region["y"]);
+        }
+        this.#nextObstacleRegionId = state["nextObstacleRegionId"];
+    }
+    // Forget about any obstacles that have changed, so routes aren't updated for them. When restoring
+    // a saved game, all the obstacles are added again, but the saved routes already took them in to account.
+    ClearObstacleChanges() {
+        this.#hasObstaclesChanged = false;
+        this.#newlyBlockedCells.clear();
+    }
+    // Request a path between two points. This returns a promise that resolves with a list of
+    // waypoints (i.e. [[x1, y1], [x2, y2], ...]) or null if no path was able to be found,
+    // once the path has been found in a later tick.
     FindPath(fromX, fromY, toX, toY) {
-        // Use SendToRuntimeAsync() to get the host player to calculate the
-        // path on behalf of the server. This returns a promise that resolves
-        // with a list of waypoints (or null if pathfinding failed).
-        return this.#gameServer.GetMessageHandler().SendToRuntimeAsync({
-            "type": "find-path",
-            "from": [fromX, fromY],
-            "to": [toX, toY]
-        }, "", 0);
-    }
-    // The threshold is the minimum number of units moved simultaneously that
-    // will use a pathfinding group. This is set to the number of workers, since
-    // there must be more than 1 unit per worker for path spreading to be effective.
+        return new Promise(resolve => {
+            this.#jobQueue.push(() => resolve(this.#FindPathNow(fromX, fromY, toX, toY)));
+        });
+    }
+    // Request a flow field leading to a position, for moving a large group of units there from the
+    // given list of positions. This returns a promise that resolves with the FlowField, or null if there
+    // is no clear cell near the position to lead to, once it has been calculated in a later tick. If
+    // there is already a request waiting for a flow field to the same cell, it resolves with the same
+    // FlowField.
+    FindFlowField(toX, toY, fromPositions) {
+        const grid = this.#grid;
+        // The goal must be a cell the units can reach, otherwise the flow field won't lead anywhere.
+        // If the position is an obstacle, or it's walled off from where the units are, such as a gap
+        // inside a static unit, lead to the nearest clear cell to it they can reach instead.
+        const fromRegion = this.#GetMainRegion(fromPositions);
+        let goalCell = grid.GetCellAtPosition(toX, toY);
+        if (grid.GetCellRegion(goalCell) !== fromRegion)
+            goalCell = grid.FindNearestClearCell(goalCell, fromRegion);
+        if (goalCell === -1)
+            return Promise.resolve(null);
+        let ret = this.#pendingFlowFields.get(goalCell);
+        if (!ret) {
+            ret = new Promise(resolve => {
+                this.#jobQueue.push(() => {
+                    this.#pendingFlowFields.delete(goalCell);
+                    resolve(new FlowField(grid, goalCell));
+                });
+            });
+            this.#pendingFlowFields.set(goalCell, ret);
+        }
+        return ret;
+    }
+    // Return the region of the pathfinding grid that most of the given positions are in, using the
+    // nearest clear cell for any position in an obstacle cell, as that's where a unit there moves from.
+    // Units almost always start in the same region, but some could be somewhere walled off from the
+    // rest, and those are the ones left behind. Returns -1 if none of the positions are in a region.
+    #GetMainRegion(positions) {
+        const grid = this.#grid;
+        const regionCounts = new Map();
+        let mainRegion = -1;
+        let mainCount = 0;
+        for (const [x, y] of positions) {
+            let cell = grid.GetCellAtPosition(x, y);
+            if (grid.IsCellObstacle(cell))
+                cell = grid.FindNearestClearCell(cell);
+            if (cell === -1)
+                continue;
+            const region = grid.GetCellRegion(cell);
+            const count = (regionCounts.get(region) ?? 0) + 1;
+            regionCounts.set(region, count);
+            if (count > mainCount) {
+                mainRegion = region;
+                mainCount = count;
+            }
+        }
+        return mainRegion;
+    }
+    // Called every tick to update routes for any obstacles that have changed, and then find paths
+    // that are waiting in the queue, until running out of time.
+    Tick() {
+        if (this.#hasObstaclesChanged)
+            this.#UpdateRoutesForObstacles();
+        const startTime = performance.now();
+        while (this.#jobQueue.length > 0) {
+            const job = this.#jobQueue.shift();
+            job();
+            if (performance.now() - startTime >= PATHFINDING_TIME_BUDGET)
+                break;
+        }
+    }
+    // Update the routes of moving units after obstacles have changed. Units whose route crosses a
+    // cell that has become an obstacle find a new path. Units following a flow field don't need to,
+    // as instead the flow field is recalculated, once for all the units following it. It's also
+    // recalculated when obstacles are removed, so the flow can take any shorter route that opens up.
+    // Units still waiting for a path don't need to do anything either, as their paths will be found
+    // with the obstacles as they are now.
+    #UpdateRoutesForObstacles() {
+        const newlyBlockedCells = this.#newlyBlockedCells;
+        const flowFields = new Set();
+        for (const unit of this.#gameServer.allUnits()) {
+            const platform = unit.GetPlatform();
+            if (!(platform instanceof MovableUnitPlatform))
+                continue;
+            const controller = platform.GetMovementController();
+            if (!controller)
+                continue;
+            const flowField = controller.GetFlowField();
+            if (flowField)
+                flowFields.add(flowField);
+            else if (newlyBlockedCells.size > 0 && controller.RouteCrossesAnyCell(newlyBlockedCells))
+                controller.RequestNewPath();
+        }
+        // Recalculating a flow field takes about as long as finding a long path, so it's queued
+        // the same way. Units keep following the old flow field until it's done.
+        for (const flowField of flowFields) {
+            this.#jobQueue.push(() => flowField.Recalculate());
+        }
+        this.ClearObstacleChanges();
+    }
+    #FindPathNow(fromX, fromY, toX, toY) {
+        const grid = this.#grid;
+        // The start and end of the path must be cells that aren't obstacles. If the unit is already
+        // in an obstacle cell, such as right next to a rock, start from the nearest clear cell.
+        let fromCell = grid.GetCellAtPosition(fromX, fromY);
+        if (grid.IsCellObstacle(fromCell))
+            fromCell = grid.FindNearestClearCell(fromCell);
+        if (fromCell === -1)
+            return null;
+        // The destination must also be in the same region as the start, so it can be reached. If it
+        // is an obstacle, or it is walled off from the start, such as a gap inside a static unit,
+        // go to the nearest clear cell to it that can be reached instead.
+        const fromRegion = grid.GetCellRegion(fromCell);
+        let toCell = grid.GetCellAtPosition(toX, toY);
+        const isDestinationReachable = (grid.GetCellRegion(toCell) === fromRegion);
+        if (!isDestinationReachable)
+            toCell = grid.FindNearestClearCell(toCell, fromRegion);
+        if (toCell === -1)
+            return null;
+        const cellPath = grid.FindCellPath(fromCell, toCell);
+        if (!cellPath)
+            return null;
+        const waypoints = this.#GetWaypoints(cellPath);
+        // If the destination position cell can be reached, replace the last waypoint with
+        // the specified destination position. This allows moving to the exact location
+        // rather than the middle of the nearest cell at the destination position.
+        if (isDestinationReachable)
+            waypoints[waypoints.length - 1] = [toX, toY];
+        return waypoints;
+    }
+    // Convert a path of cells to a list of waypoints to move along. Moving from the centre of one cell
+    // to the next would result in lots of waypoints and zig-zagging movement, so the path is smoothed:
+    // a waypoint is only added where the path turns such that the next cell can't be reached in a straight
+    // line from the last waypoint. Note the start cell is not included, as the unit is already there
+    // (or if it started in an obstacle cell, right next to it).
+    #GetWaypoints(cellPath) {
+        const grid = this.#grid;
+        const waypoints = [];
+        let lastCell = cellPath[0];
+        for (let i = 1; i < cellPath.length - 1; ++i) {
+            if (!grid.HasLineOfSight(lastCell, cellPath[i + 1])) {
+                lastCell = cellPath[i];
+                waypoints.push(grid.GetCellCentre(lastCell));
+            }
+        }
+        waypoints.push(grid.GetCellCentre(cellPath[cellPath.length - 1]));
+        return waypoints;
+    }
+    // The threshold is the number of units moved simultaneously above which they move
+    // as a group using a flow field.
     GetGroupThreshold() {
-        return GROUP_MAX_WORKERS;
-    }
-    // Methods to start and end a path group. These send messages to the
-    // host player to make the corresponding calls to the Pathfinding behavior.
-    StartGroup() {
-        this.#gameServer.GetMessageHandler().SendToRuntime({
-            "type": "pathfinding-start-group",
-            "baseCost": GROUP_BASE_COST,
-            "cellSpread": GROUP_CELL_SPREAD,
-            "maxWorkers": GROUP_MAX_WORKERS
-        }, "", 0);
-    }
-    EndGroup() {
-        this.#gameServer.GetMessageHandler().SendToRuntime({
-            "type": "pathfinding-end-group"
-        }, "", 0);
+        return GROUP_THRESHOLD;
     }
 }
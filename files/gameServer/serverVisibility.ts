@@ -0,0 +1,149 @@
+
+import { GameServer, SPECTATOR_VISION_ALL } from "./gameServer.js";
+import { Unit } from "./units/unit.js";
+import * as MathUtils from "./utils/mathUtils.js";
+
+// The size of each visibility cell in px. Visibility is tracked over a coarse grid of cells
+// rather than exactly, which is much faster to calculate, and is accurate enough for deciding
+// what to send to each player. Note the client uses the same cell size for the minimap fog.
+const VISIBILITY_CELL_SIZE = 250;
+
+// The interval in seconds at which visibility is recalculated. Units don't move far in this
+// time, so it doesn't need to be done every tick.
+const VISIBILITY_UPDATE_INTERVAL = 0.1;
+
+// The ServerVisibility class implements the fog of war. It keeps track of which areas of the
+// level each team can see, based on the sight range of each of the team's units. Players can
+// always see their own and their allies' units, but can only see enemy units inside an area
+// their team can see. ServerMessageHandler uses this to only send each player details of the
+// units and events they can see, so even a hacked client can't see through the fog of war.
+export class ServerVisibility {
+
+	// Private fields
+	#gameServer;					// reference to GameServer
+	#cellCountX = 0;				// number of visibility cells horizontally
+	#cellCountY = 0;				// number of visibility cells vertically
+	#teamCells = new Map<number, Uint8Array>();	// team number -> visibility cells (1 for visible)
+	#timeUntilUpdate = 0;			// time in seconds until recalculating visibility
+	
+	constructor(gameServer: GameServer)
+	{
+		this.#gameServer = gameServer;
+		
+		const [layoutWidth, layoutHeight] = gameServer.GetLayoutSize();
+		this.#cellCountX = Math.ceil(layoutWidth / VISIBILITY_CELL_SIZE);
+		this.#cellCountY = Math.ceil(layoutHeight / VISIBILITY_CELL_SIZE);
+		
+		// Create a grid of visibility cells for every team in the game.
+		for (let player = 0, len = gameServer.GetNumPlayers(); player < len; ++player)
+		{
+			const team = gameServer.GetPlayerTeam(player);
+			if (!this.#teamCells.has(team))
+				this.#teamCells.set(team, new Uint8Array(this.#cellCountX * this.#cellCountY));
+		}
+	}
+	
+	// Note the first tick always recalculates visibility, so the first game update
+	// is sent with the right units for the starting positions. Visibility isn't
+	// calculated at all if the match settings turned off the fog of war.
+	Tick(dt: number)
+	{
+		if (!this.#gameServer.GetSettings().fogOfWar)
+			return;
+		
+		this.#timeUntilUpdate -= dt;
+		if (this.#timeUntilUpdate <= 0)
+		{
+			this.#UpdateVisibility();
+			this.#timeUntilUpdate += VISIBILITY_UPDATE_INTERVAL;
+		}
+	}
+	
+	#UpdateVisibility()
+	{
+		// Clear all the visibility cells, and then mark the cells visible from every unit.
+		for (const cells of this.#teamCells.values())
+		{
+			cells.fill(0);
+		}
+		
+		for (const unit of this.#gameServer.allUnits())
+		{
+			const cells = this.#teamCells.get(this.#gameServer.GetPlayerTeam(unit.GetPlayer()))!;
+			const [x, y] = unit.GetPlatform().GetPosition();
+			this.#MarkVisibleArea(cells, x, y, unit.GetUnitType().GetSightRange());
+		}
+	}
+	
+	// Mark all the cells whose centre is within the given radius of a position as visible.
+	#MarkVisibleArea(cells: Uint8Array, x: number, y: number, radius: number)
+	{
+		const cellCountX = this.#cellCountX;
+		const cellCountY = this.#cellCountY;
+		const radiusSq = radius * radius;
+		
+		// Iterate only the cells in the bounding box of the circle, clamped to the grid.
+		const left = Math.max(Math.floor((x - radius) / VISIBILITY_CELL_SIZE), 0);
+		const top = Math.max(Math.floor((y - radius) / VISIBILITY_CELL_SIZE), 0);
+		const right = Math.min(Math.floor((x + radius) / VISIBILITY_CELL_SIZE), cellCountX - 1);
+		const bottom = Math.min(Math.floor((y + radius) / VISIBILITY_CELL_SIZE), cellCountY - 1);
+		
+		for (let cy = top; cy <= bottom; ++cy)
+		{
+			const dy = (cy + 0.5) * VISIBILITY_CELL_SIZE - y;
+			
+			for (let cx = left; cx <= right; ++cx)
+			{
+				const dx = (cx + 0.5) * VISIBILITY_CELL_SIZE - x;
+				
+				if (dx * dx + dy * dy <= radiusSq)
+					cells[cy * cellCountX + cx] = 1;
+			}
+		}
+		
+		// Always mark the cell the unit is in as visible, in case the sight range is smaller than
+		// a cell, so a unit can always at least see its own position.
+		const cx = MathUtils.Clamp(Math.floor(x / VISIBILITY_CELL_SIZE), 0, cellCountX - 1);
+		const cy = MathUtils.Clamp(Math.floor(y / VISIBILITY_CELL_SIZE), 0, cellCountY - 1);
+		cells[cy * cellCountX + cx] = 1;
+	}
+	
+	// Return true if the given player can see a position in the level, i.e. it is
+	// inside the sight range of one of the units of the player's team. Spectators see
+	// what the player whose vision they are using can see, or everywhere. If there is
+	// no fog of war, every position is visible.
+	IsPositionVisible(player: number, x: number, y: number)
+	{
+		if (this.#gameServer.IsSpectator(player))
+		{
+			const visionPlayer = this.#gameServer.GetSpectatorVision(player);
+			if (typeof visionPlayer === "undefined")
+				return false;
+			else if (visionPlayer === SPECTATOR_VISION_ALL)
+				return true;
+			
+			player = visionPlayer;
+		}
+		
+		if (!this.#gameServer.GetSettings().fogOfWar)
+			return true;
+		
+		// Note positions are clamped to the layout, so positions on the right or bottom edge
+		// are clamped to the last cell.
+		const cx = MathUtils.Clamp(Math.floor(x / VISIBILITY_CELL_SIZE), 0, this.#cellCountX - 1);
+		const cy = MathUtils.Clamp(Math.floor(y / VISIBILITY_CELL_SIZE), 0, this.#cellCountY - 1);
+		const cells = this.#teamCells.get(this.#gameServer.GetPlayerTeam(player))!;
+		return cells[cy * this.#cellCountX + cx] !== 0;
+	}
+	
+	// Return true if the given player can see a unit. Players can always see their own and
+	// their allies' units; enemy units are only visible inside an area the player can see.
+	IsUnitVisible(player: number, unit: Unit)
+	{
+		if (this.#gameServer.SharesVisionWith(player, unit.GetPlayer()))
+			return true;
+		
+		const [x, y] = unit.GetPlatform().GetPosition();
+		return this.IsPositionVisible(player, x, y);
+	}
+}
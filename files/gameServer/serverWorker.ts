@@ -45,9 +45,14 @@ async function OnMessageFromRuntime(e: MessageEvent)
 // Called when the runtime wants to initialise the GameServer.
 function OnInit(data: any)
 {
-	// Initialise GameServer, passing it the function that can send a message to the runtime
-	// and the Construct object data collected from the runtime.
-	gameServer = new GameServer(SendMessageToRuntime, data["constructObjectData"]);
+	// Initialise GameServer, passing it the function that can send a message to the runtime,
+	// the Construct object data collected from the runtime, the unit types data, the level data
+	// to play, the number of players in the game, optionally the team each player is on and the
+	// match settings chosen in the lobby, and optionally the save data of a saved game to resume.
+	gameServer = new GameServer(SendMessageToRuntime, data["constructObjectData"], data["unitTypes"], data["level"], data["numPlayers"], data["teams"], data["settings"], data["saveData"]);
+	
+	// If another player took over hosting the game from a host that left, they are the host player.
+	gameServer.SetHostPlayer(data["hostPlayer"] ?? 0);
 }
 
 // Post a message to the runtime, possibly with latency simulation.
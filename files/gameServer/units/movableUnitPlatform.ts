@@ -4,6 +4,7 @@ import { ObjectData } from "./objectData.js";
 import { UnitPlatform } from "./unitPlatform.js";
 import { MovableObject } from "../classes/movableObject.js";
 import { UnitMovementController } from "./movement/unitMovementController.js";
+import { FlowField } from "../pathfinding/flowField.js";
 import * as MathUtils from "../utils/mathUtils.js";
 
 type SavedPosition = {
@@ -30,24 +31,36 @@ export class MovableUnitPlatform extends UnitPlatform {
 	#movementController: UnitMovementController | null = null;
 	
 	#lastSpeed = 0;			// Speed on previous tick
-	#maxSpeed = 250;		// Maximum speed in px/s/s
-	#maxAcceleration = 250;	// Maximum acceleration in px/s/s
-	#maxDeceleration = 500;	// Maximum deceleration (braking) in px/s/s
+	#maxSpeed = 0;			// Maximum speed in px/s
+	#maxAcceleration = 0;	// Maximum acceleration in px/s/s
+	#maxDeceleration = 0;	// Maximum deceleration (braking) in px/s/s
 	#curAcceleration = 0;	// Current acceleration
 	
 	// Rotation speed in radians per second
-	#rotateSpeed = MathUtils.ToRadians(90);
+	#rotateSpeed = 0;
 	
 	// Last angle in the network Uint16 format, so delta updates are only sent when
 	// the value sent over the network changes.
 	#lastAngleAsUint16 = 0;
 	
+	// The position the unit was last commanded to move to while it is still waiting for
+	// pathfinding to find a path there, otherwise null. This is only needed for saving the game.
+	#pendingMoveTarget: number[] | null = null;
+	#pendingMoveMaxSpeed = Infinity;	// speed limit for the pending move, if moving in formation
+	
 	constructor(unit: Unit, objectData: ObjectData, x: number, y: number, angle: number)
 	{
 		super(unit, objectData);
 		
 		this.#movable = new MovableObject(unit.GetGameServer(), x, y, angle);
 		
+		// Set the movement stats from the unit type.
+		const stats = unit.GetUnitType().GetPlatformStats();
+		this.#maxSpeed = stats.maxSpeed;
+		this.#maxAcceleration = stats.maxAcceleration;
+		this.#maxDeceleration = stats.maxDeceleration;
+		this.#rotateSpeed = stats.rotateSpeed;
+		
 		// Initialise the angle in network uint16 format.
 		this.#lastAngleAsUint16 = MathUtils.AngleToUint16(angle);
 		
@@ -85,16 +98,6 @@ export class MovableUnitPlatform extends UnitPlatform {
 		this.UpdateCollision();
 	}
 	
-	// Return the position of the turret on this platform. This gets the turret's position
-	// (which is an offset from the platform) and rotates it by the platform angle.
-	GetTurretPosition()
-	{
-		const [platformX, platformY] = this.GetPosition();
-		let [offX, offY] = this.GetUnit().GetTurret().GetPosition();
-		[offX, offY] = MathUtils.RotatePoint(offX, offY, this.GetAngle());
-		return [platformX + offX, platformY + offY];
-	}
-	
 	GetSpeed()
 	{
 		return this.#movable.GetSpeed();
@@ -201,8 +204,10 @@ export class MovableUnitPlatform extends UnitPlatform {
 	}
 	
 	// Unit has been commanded to move to the given position. Use pathfinding to find a series
-	// of waypoints to arrive at the destination.
-	async MoveToPosition(x: number, y: number)
+	// of waypoints to arrive at the destination. If the unit is moving as part of a large group,
+	// GameServer instead passes a flow field shared by the whole group to follow. Units moving in
+	// formation also pass the speed of the slowest unit in the formation, so they keep together.
+	async MoveToPosition(x: number, y: number, flowField: Promise<FlowField | null> | null = null, maxSpeed = Infinity)
 	{
 		// Clamp target position inside the layout area.
 		[x, y] = this.GetGameServer().ClampToLayout(x, y);
@@ -215,13 +220,25 @@ export class MovableUnitPlatform extends UnitPlatform {
 		}
 		
 		// Find a path from the unit's current position to the destination, and store the result
-		// as the list of waypoints to move to. (Note this can be null if no path was found.)
+		// as the list of waypoints to move to, or wait for the group's flow field. (Note either can
+		// be null if no route was found.) While waiting, keep track of the target position in case
+		// the game is saved.
 		const [myX, myY] = this.GetPosition();
-		const waypoints = await this.GetGameServer().GetPathfinding().FindPath(myX, myY, x, y);
+		const moveTarget = [x, y];
+		this.#pendingMoveTarget = moveTarget;
+		this.#pendingMoveMaxSpeed = maxSpeed;
+		const route = await (flowField ?? this.GetGameServer().GetPathfinding().FindPath(myX, myY, x, y));
+		
+		// If the unit was given another move while waiting, ignore this result, as the later move
+		// replaces it.
+		if (this.#pendingMoveTarget !== moveTarget)
+			return;
+		
+		this.#pendingMoveTarget = null;
 		
-		// If no path was found, bail out. This will leave any prior movement controller
+		// If no route was found, bail out. This will leave any prior movement controller
 		// bringing the unit to a halt, and when it stops it will release the movement controller.
-		if (waypoints === null)
+		if (route === null)
 			return;
 		
 		// Otherwise a path was found, so create a movement controller if there wasn't already
@@ -231,7 +248,32 @@ export class MovableUnitPlatform extends UnitPlatform {
 			this.#movementController = new UnitMovementController(this);
 		}
 		
-		this.#movementController.StartMovingAlongWaypoints(waypoints);
+		this.#movementController.SetSpeedLimit(maxSpeed);
+		
+		if (route instanceof FlowField)
+			this.#movementController.StartMovingAlongFlowField(route, x, y);
+		else
+			this.#movementController.StartMovingAlongWaypoints(route);
+	}
+	
+	// Return the movement controller, or null if the unit isn't moving.
+	GetMovementController()
+	{
+		return this.#movementController;
+	}
+	
+	// Check if the unit is moving or waiting for a path to move along.
+	IsMoving()
+	{
+		return this.#movementController !== null || this.#pendingMoveTarget !== null;
+	}
+	
+	// Cancel any movement, bringing the unit to a halt. If the unit is still waiting for a path to
+	// be found, the path is ignored when it is found.
+	Stop()
+	{
+		this.#pendingMoveTarget = null;
+		this.#movementController?.Stop();
 	}
 	
 	Tick(dt: number)
@@ -259,6 +301,41 @@ export class MovableUnitPlatform extends UnitPlatform {
 		}
 	}
 	
+	// Save the movement state of the platform, for saving the game. Note the position and angle
+	// are saved by Unit, as they are needed to create the platform in the first place.
+	SaveState()
+	{
+		return {
+			"speed": this.GetSpeed(),
+			"lastSpeed": this.#lastSpeed,
+			"acceleration": this.#curAcceleration,
+			"movement": this.#movementController?.SaveState() ?? null,
+			"pendingMoveTarget": this.#pendingMoveTarget,
+			
+			// Note JSON can't represent Infinity, so no speed limit is saved as null.
+			"pendingMoveMaxSpeed": (this.#pendingMoveTarget && isFinite(this.#pendingMoveMaxSpeed) ? this.#pendingMoveMaxSpeed : null)
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		this.#movable.SetSpeed(state["speed"]);
+		this.#lastSpeed = state["lastSpeed"];
+		this.#curAcceleration = state["acceleration"];
+		
+		if (state["movement"])
+		{
+			this.#movementController = new UnitMovementController(this);
+			this.#movementController.RestoreState(state["movement"]);
+		}
+		
+		// If the unit was waiting for pathfinding when the game was saved, the path is not part
+		// of the saved state, so start finding the path again.
+		const pendingMoveTarget = state["pendingMoveTarget"];
+		if (pendingMoveTarget)
+			this.MoveToPosition(pendingMoveTarget[0], pendingMoveTarget[1], null, state["pendingMoveMaxSpeed"] ?? Infinity);
+	}
+	
 	// The base class ContainsPoint methods check the point relative to the origin.
 	// So first translate the point to be relative to the unit position.
 	ContainsPoint_Full(x: number, y: number)
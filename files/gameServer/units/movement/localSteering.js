@@ -0,0 +1,164 @@
+import { UnitPlatform } from "../unitPlatform.js";
+import { MovableUnitPlatform } from "../movableUnitPlatform.js";
+import * as MathUtils from "../../utils/mathUtils.js";
+// Extra space in layout pixels to leave between units when steering around or queuing behind them.
+const AVOIDANCE_MARGIN = 20;
+// The angles in degrees either side of the unit's route to try steering in to get around another unit,
+// in order of preference. The unit takes the first one that is clear.
+const AVOIDANCE_ANGLES = [15, 30, 45, 60, 75, 90];
+// Another moving unit must be heading within this angle in degrees of the unit's route to queue
+// behind it. Otherwise the unit steers around it instead.
+const QUEUE_HEADING_ANGLE = 60;
+// LocalSteering looks for other units in the way of a moving unit, so it can get past them
+// smoothly rather than driving in to them, using the CollisionGrid to find nearby units.
+// It checks the unit's route ahead, as far as it needs to stop at its current speed. If
+// another unit is in the way, then either:
+// 1) if the other unit is moving in much the same direction, the unit queues behind it,
+//    slowing down so it can always stop before reaching it, but otherwise keeping up with it.
+// 2) if the other unit is stopped or coming the other way, the unit tries steering at
+//    increasing angles either side of its route to find a way past, preferring the right.
+//    Both units meeting head-on steer to the right, so they pass each other.
+// Separately it also limits the speed so the unit can stop before reaching any unit in the
+// direction it is actually heading, as it can take time to turn to the direction it steers in.
+// UnitMovementStateMoving updates this every tick and applies the resulting avoidance angle
+// and speed limit on top of the route it is following.
+export class LocalSteering {
+    #unitPlatform; // MovableUnitPlatform to steer
+    #avoidanceAngle = 0; // angle in radians to add to the unit's route to steer around another unit
+    #speedLimit = Infinity; // maximum speed to queue behind or get around another unit
+    #isQueuing = false; // true if queuing behind another unit moving the same way
+    #neighbours = []; // nearby units, reused every update
+    constructor(unitPlatform) {
+        this.#unitPlatform = unitPlatform;
+    }
+    GetAvoidanceAngle() {
+        return this.#avoidanceAngle;
+    }
+    GetSpeedLimit() {
+        return this.#speedLimit;
+    }
+    IsQueuing() {
+        return this.#isQueuing;
+    }
+    // Update the avoidance angle and speed limit for the other units nearby, given the angle of the
+    // unit's route. Units further away than the given distance are ignored, which is used when
+    // approaching the destination, so units beyond it don't get in the way.
+    Update(routeAngle, maxDist = Infinity) {
+        this.#avoidanceAngle = 0;
+        this.#speedLimit = Infinity;
+        this.#isQueuing = false;
+        const unitPlatform = this.#unitPlatform;
+        const [halfLength] = unitPlatform.GetObstacleHalfSize();
+        const maxDeceleration = unitPlatform.GetMaxDeceleration();
+        // Look ahead as far as the unit needs to stop at its current speed, plus its length,
+        // so there is enough time to turn before reaching units that are in the way.
+        const speed = Math.max(unitPlatform.GetSpeed(), 0);
+        const lookAheadDist = Math.min(0.5 * speed * speed / maxDeceleration + halfLength * 2 + AVOIDANCE_MARGIN, maxDist);
+        this.#FindNeighbours(lookAheadDist + halfLength);
+        if (this.#neighbours.length === 0)
+            return;
+        // Limit the speed so the unit can stop before reaching anything in the direction it's heading.
+        const [headingGap] = this.#FindGap(unitPlatform.GetAngle(), lookAheadDist);
+        this.#speedLimit = this.#GetBrakingSpeed(headingGap);
+        // Check if anything is in the way along the route.
+        const [routeGap, blocker] = this.#FindGap(routeAngle, lookAheadDist);
+        if (!blocker)
+            return;
+        // If the other unit is entirely ahead, and also heading somewhere in much the same direction,
+        // queue behind it. It can go as fast as the other unit is moving away, plus the braking speed,
+        // so it keeps up with the unit in front, but still stops in time if the unit in front stops.
+        // Units alongside each other don't queue, as they could end up each waiting for the other.
+        const otherPlatform = blocker.platform;
+        if (routeGap > 0 && otherPlatform instanceof MovableUnitPlatform && otherPlatform.GetMovementController() &&
+            MathUtils.AngleDifference(blocker.angle, routeAngle) < MathUtils.ToRadians(QUEUE_HEADING_ANGLE)) {
+            const otherSpeed = Math.max(otherPlatform.GetSpeed() * Math.cos(blocker.angle - routeAngle), 0);
+            this.#speedLimit = Math.min(this.#speedLimit, otherSpeed + this.#GetBrakingSpeed(routeGap));
+            this.#isQueuing = true;
+            return;
+        }
+        // Otherwise try steering either side of the route, at increasing angles, taking the first
+        // direction that is clear. If none are clear, take whichever has the most room.
+        let bestAngle = 0;
+        let bestGap = routeGap;
+        for (const degrees of AVOIDANCE_ANGLES) {
+            for (const side of [1, -1]) {
+                const avoidanceAngle = MathUtils.ToRadians(degrees) * side;
+                const [gap, otherBlocker] = this.#FindGap(routeAngle + avoidanceAngle, lookAheadDist);
+                if (!otherBlocker) {
+                    this.#avoidanceAngle = avoidanceAngle;
+                    return;
+                }
+                if (gap > bestGap) {
+                    bestAngle = avoidanceAngle;
+                    bestGap = gap;
+                }
+            }
+        }
+        this.#avoidanceAngle = bestAngle;
+    }
+    // Collect all the units within the given range of this unit in to the neighbours array.
+    // Note ForEachItemInArea() can call the callback more than once for the same unit, so the
+    // same unit can be in the array more than once, but that doesn't affect the results.
+    #FindNeighbours(range) {
+        const unitPlatform = this.#unitPlatform;
+        const [x, y] = unitPlatform.GetPosition();
+        const neighbours = this.#neighbours;
+        neighbours.length = 0;
+        unitPlatform.GetGameServer().GetCollisionGrid().ForEachItemInArea(x - range, y - range, x + range, y + range, (otherPlatform) => {
+            if (otherPlatform === unitPlatform)
+                return false;
+            const [otherX, otherY] = otherPlatform.GetPosition();
+            const [halfLength, halfWidth] = otherPlatform.GetObstacleHalfSize();
+            const dx = otherX - x;
+            const dy = otherY - y;
+            const maxDist = range + halfLength;
+            if (dx * dx + dy * dy > maxDist * maxDist)
+                return false;
+            neighbours.push({
+                platform: otherPlatform,
+                dx, dy,
+                angle: otherPlatform.GetAngle(),
+                halfLength, halfWidth
+            });
+            return false;
+        });
+    }
+    // Find the nearest neighbour the unit would run in to if it drove at the given angle, up to the
+    // given distance. Returns the gap between the edges of the two units and the neighbour, or
+    // [Infinity, null] if nothing is in the way.
+    #FindGap(angle, maxDist) {
+        const [myHalfLength, myHalfWidth] = this.#unitPlatform.GetObstacleHalfSize();
+        const cos_a = Math.cos(angle);
+        const sin_a = Math.sin(angle);
+        let nearestGap = Infinity;
+        let nearest = null;
+        for (const neighbour of this.#neighbours) {
+            // Get the neighbour's position relative to the direction.
+            const { dx, dy } = neighbour;
+            const ahead = dx * cos_a + dy * sin_a;
+            if (ahead <= 0)
+                continue;
+            // Find how far the neighbour extends along and across the direction, by rotating its
+            // size to be relative to it. Then it's in the way if it's close enough to the side that
+            // the two units would collide. Note the margin only applies to units entirely ahead:
+            // a unit alongside is only in the way if it actually overlaps to the side.
+            const relativeAngle = neighbour.angle - angle;
+            const relCos = Math.abs(Math.cos(relativeAngle));
+            const relSin = Math.abs(Math.sin(relativeAngle));
+            const along = neighbour.halfLength * relCos + neighbour.halfWidth * relSin;
+            const across = neighbour.halfLength * relSin + neighbour.halfWidth * relCos;
+            const side = dy * cos_a - dx * sin_a;
+            const gap = ahead - myHalfLength - along;
+            const clearance = myHalfWidth + across + (gap > 0 ? AVOIDANCE_MARGIN : 0);
+            if (Math.abs(side) >= clearance || gap > maxDist || gap >= nearestGap)
+                continue;
+            nearestGap = gap;
+            nearest = neighbour;
+        }
+        return [nearestGap, nearest];
+    }
+    // Return the fastest speed the unit can go and still stop within the given gap.
+    #GetBrakingSpeed(gap) {
+        return Math.sqrt(2 * this.#unitPlatform.GetMaxDeceleration() * Math.max(gap - AVOIDANCE_MARGIN, 0));
+    }
+}
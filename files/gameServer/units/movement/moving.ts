@@ -1,21 +1,51 @@
 import { UnitMovementController } from "./unitMovementController.js";
 import { UnitMovementState } from "./unitMovementState.js";
+import { LocalSteering } from "./localSteering.js";
+
+import { PATHFINDING_CELL_SIZE } from "../../pathfinding/pathfindingGrid.js";
+import type { FlowField } from "../../pathfinding/flowField.js";
 
 import * as MathUtils from "../../utils/mathUtils.js";
 
+// When following a flow field, the unit slows down when it has to turn by more than this
+// angle (in degrees), so its turn circle is no bigger than a pathfinding cell. Otherwise it
+// could swing wide in to an obstacle when the flow turns a corner.
+const FLOW_FIELD_SLOW_TURN_ANGLE = 45;
+
+// If the unit keeps colliding with other units for this long in seconds despite local steering,
+// or can't find any way past them, it reverses for a moment as a last resort to try to get unstuck.
+const BLOCKED_TIME_BEFORE_REVERSE = 1.5;
+
+// When lots of units arrive at the same place, some may not be able to get to their destination
+// as other units are in the way. If a unit is within this distance of its destination, but has not
+// been able to move for CROWDED_ARRIVAL_TIME seconds, it stops where it is.
+const CROWDED_ARRIVAL_DISTANCE = 400;
+const CROWDED_ARRIVAL_TIME = 1;
+
 // UnitMovementStateMoving manages the "moving" state for UnitMovementController.
 // This manages moving the unit along the sequence of waypoints found by pathfinding.
 // This state is only reached after "stopping" and "rotate-first", so the unit is
 // stopped and pointing in the direction of the first waypoint when reaching this state.
+// If the controller has a flow field, the unit instead follows the flow field until it can
+// drive straight to its last waypoint.
+// Along the way, LocalSteering adjusts the unit's heading and speed to get past other units
+// without driving in to them. If it does still collide, it waits for the way to clear, and
+// only reverses if it remains stuck.
 export class UnitMovementStateMoving extends UnitMovementState {
 
 	#curMaxSpeed = 0;		// Temporary maximum speed restriction
 	#targetSpeed = 0;		// Current speed to accelerate or brake towards
+	#flowFieldCell = -1;	// Pathfinding cell the unit was last in when following a flow field
+	#steering;				// LocalSteering to avoid other units
+	#blockedTime = 0;		// Time in seconds the unit has kept colliding with other units
+	#waitingTime = 0;		// Time in seconds the unit has not moved near its destination
 	
 	constructor(controller: UnitMovementController)
 	{
 		super(controller);
 		
+		this.#steering = new LocalSteering(this.GetUnitPlatform());
+		
 		// Set debug state 3 for "moving"
 		this.SetUnitDebugState(3);
 	}
@@ -24,11 +54,26 @@ export class UnitMovementStateMoving extends UnitMovementState {
 	{
 		const controller = this.GetController();
 		const unitPlatform = this.GetUnitPlatform();
+		const waypoints = this.GetWaypoints();
+		
+		// Check for other units in the way of the unit's route first, as that affects how the unit
+		// moves this tick. When approaching the destination, ignore any units beyond it.
+		const flowField = controller.GetFlowField();
+		const [currentX, currentY] = unitPlatform.GetPosition();
+		const [headingX, headingY] = controller.GetHeadingTarget();
+		const routeAngle = MathUtils.AngleTo(currentX, currentY, headingX, headingY);
+		const isLastWaypoint = (!flowField && waypoints.length === 1);
+		this.#steering.Update(routeAngle, isLastWaypoint ? MathUtils.DistanceTo(currentX, currentY, headingX, headingY) : Infinity);
 		
 		// Approaching the last waypoint is managed differently, as the unit will brake and
 		// come to a halt at the last waypoint, whereas for other waypoints it will turn ahead
-		// of the waypoint to cut the corner rather than overshoot.
-		if (this.GetWaypoints().length === 1)
+		// of the waypoint to cut the corner rather than overshoot. Following a flow field is
+		// also managed separately.
+		if (flowField)
+		{
+			this.#TickFlowField(flowField, dt);
+		}
+		else if (waypoints.length === 1)
 		{
 			this.#TickLastWaypoint(dt);
 		}
@@ -37,9 +82,13 @@ export class UnitMovementStateMoving extends UnitMovementState {
 			this.#TickMoreWaypoints(dt);
 		}
 		
+		// Don't go faster than local steering allows, to queue behind or get around other units.
+		this.#targetSpeed = Math.min(this.#targetSpeed, this.#steering.GetSpeedLimit());
+		
 		// Step the movement with the current target speed. However if it hits something,
-		// put it back to its original position (so it doesn't move). Then put it in to
-		// reverse, in an effort to move it back from whatever blocked it.
+		// put it back to its original position (so it doesn't move), and bring it to a halt.
+		// Local steering will then usually turn it away from whatever it hit, or wait for
+		// the unit in front to move on.
 		const startingPosition = unitPlatform.SavePosition();
 		
 		controller.StepMovement(dt, this.#targetSpeed);
@@ -49,7 +98,23 @@ export class UnitMovementStateMoving extends UnitMovementState {
 			unitPlatform.RestorePosition(startingPosition);
 			unitPlatform.SetSpeed(0);
 			this.GetUnit().MarkPositionDelta();
-			
+			this.#blockedTime += dt;
+		}
+		else if (unitPlatform.GetSpeed() > 0)
+		{
+			this.#blockedTime = 0;
+		}
+		else if (this.#steering.GetSpeedLimit() === 0 && !this.#steering.IsQueuing())
+		{
+			// Local steering is holding the unit in place, as other units are in the way and it
+			// can't find a way past them. (Waiting in a queue doesn't count, as the queue will move on.)
+			this.#blockedTime += dt;
+		}
+		
+		// If it is blocked for a while, it is probably stuck, so put it in to reverse as
+		// a last resort, in an effort to move it back from whatever blocked it.
+		if (this.#blockedTime >= BLOCKED_TIME_BEFORE_REVERSE)
+		{
 			// Reverse for a brief random amount of time, then return to the "moving" state.
 			// Note the randomization is important: if two units drive in to each other at
 			// the same time, reversing for the same amount of time means each will reverse
@@ -60,6 +125,24 @@ export class UnitMovementStateMoving extends UnitMovementState {
 		}
 	}
 	
+	SaveState()
+	{
+		return {
+			"curMaxSpeed": this.#curMaxSpeed,
+			"targetSpeed": this.#targetSpeed,
+			"blockedTime": this.#blockedTime,
+			"waitingTime": this.#waitingTime
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		this.#curMaxSpeed = state["curMaxSpeed"];
+		this.#targetSpeed = state["targetSpeed"];
+		this.#blockedTime = state["blockedTime"] ?? 0;
+		this.#waitingTime = state["waitingTime"] ?? 0;
+	}
+	
 	#TickMoreWaypoints(dt: number)
 	{
 		const unitPlatform = this.GetUnitPlatform();
@@ -129,7 +212,7 @@ export class UnitMovementStateMoving extends UnitMovementState {
 			// Determine the distance the unit will take to brake from its maximum speed to the
 			// lower speed. Add on to that the turn distance, resulting in the overall distance
 			// from the next waypoint at which the unit must use a reduced speed.
-			const speedDiff = unitPlatform.GetMaxSpeed() - slowSpeed;
+			const speedDiff = this.GetController().GetMaxSpeed() - slowSpeed;
 			const slowdownDist = turnDist + 0.5 * speedDiff * speedDiff / unitPlatform.GetMaxDeceleration();
 			
 			// If the unit is within this reduced speed limit range, then impose a temporary
@@ -161,6 +244,75 @@ export class UnitMovementStateMoving extends UnitMovementState {
 		}
 	}
 	
+	#TickFlowField(flowField: FlowField, dt: number)
+	{
+		const controller = this.GetController();
+		const unitPlatform = this.GetUnitPlatform();
+		const grid = flowField.GetGrid();
+		
+		// Get current position and the unit's own destination, which is its only waypoint.
+		const [currentX, currentY] = unitPlatform.GetPosition();
+		const [targetX, targetY] = this.GetWaypoints()[0];
+		const cell = grid.GetCellAtPosition(currentX, currentY);
+		
+		// Whenever the unit moves in to a different cell, check if it can now drive straight to its
+		// destination. If so it no longer needs the flow field, and it can approach its destination
+		// as normal. This is only checked when changing cell as the line of sight check is not free.
+		if (cell !== this.#flowFieldCell)
+		{
+			this.#flowFieldCell = cell;
+			
+			const targetCell = grid.GetCellAtPosition(targetX, targetY);
+			if (!grid.IsCellObstacle(cell) && grid.HasLineOfSight(cell, targetCell))
+			{
+				controller.ClearFlowField();
+				this.#TickLastWaypoint(dt);
+				return;
+			}
+		}
+		
+		// If the flow field doesn't lead anywhere from a clear cell, the unit is walled off from the
+		// goal, so finding a path of its own wouldn't get anywhere either. End the move, bringing the
+		// unit to a halt where it is.
+		const steeringPoint = flowField.GetSteeringPoint(currentX, currentY);
+		if (!steeringPoint && !grid.IsCellObstacle(cell))
+		{
+			controller.ClearFlowField();
+			this.GetWaypoints().length = 0;
+			controller.SetNextState("stopping");
+			this.#targetSpeed = 0;
+			return;
+		}
+		
+		// If the unit is stuck in an obstacle cell with no way back on to the flow field, or it reached
+		// the goal of the flow field but still can't drive straight to its destination (which can happen
+		// if the group's destinations are spread either side of an obstacle), find a path of its own instead.
+		if (!steeringPoint || cell === flowField.GetGoalCell())
+		{
+			controller.ClearFlowField();
+			controller.RequestNewPath();
+			this.#targetSpeed = 0;
+			return;
+		}
+		
+		// Rotate towards the point the flow field leads to.
+		// Note this removes any temporary speed restriction if the unit is on target.
+		const [steerX, steerY] = steeringPoint;
+		const targetAngle = MathUtils.AngleTo(currentX, currentY, steerX, steerY);
+		this.#RotateTowardsAngle(targetAngle, dt);
+		
+		// If there is still a sharp turn to make, impose a temporary speed limit so the turn circle
+		// fits within a cell. The speed limit is lifted once it points at the target angle again.
+		const angleDiff = MathUtils.AngleDifference(targetAngle, unitPlatform.GetAngle());
+		if (angleDiff > MathUtils.ToRadians(FLOW_FIELD_SLOW_TURN_ANGLE))
+		{
+			this.#curMaxSpeed = Math.min(this.#curMaxSpeed, unitPlatform.GetRotateSpeed() * PATHFINDING_CELL_SIZE);
+		}
+		
+		// Aim to go as fast as allowed.
+		this.#targetSpeed = this.#curMaxSpeed;
+	}
+	
 	#TickLastWaypoint(dt: number)
 	{
 		const unitPlatform = this.GetUnitPlatform();
@@ -178,24 +330,33 @@ export class UnitMovementStateMoving extends UnitMovementState {
 		const moveDist = Math.max(unitPlatform.GetSpeed() * dt, 2);
 		if (moveDist * moveDist >= sqDistToTarget)
 		{
-			// Arrived at the target position. Remove the waypoint from the list.
-			waypoints.shift();
-
-			// That was the last waypoint, so set the final position,
-			// bring the unit to a complete halt, and stop movement.
+			// Arrived at the target position, so set the final position and stop.
 			unitPlatform.SetPosition(curTargetX, curTargetY);
-			unitPlatform.SetSpeed(0);
-			unitPlatform.SetAcceleration(0);
-			this.GetController().SetNextState("released");
-			this.#targetSpeed = 0;
-			this.#ResetCurMaxSpeed();
+			this.#Arrive();
 			return;
 		}
+
+		// If the unit is near its destination but hasn't been able to move for a while, other units
+		// are probably in the way, so count it as having arrived where it is. Otherwise it could be
+		// left waiting forever for a space that won't clear.
+		if (unitPlatform.GetSpeed() === 0 && sqDistToTarget <= CROWDED_ARRIVAL_DISTANCE * CROWDED_ARRIVAL_DISTANCE)
+		{
+			this.#waitingTime += dt;
+			if (this.#waitingTime >= CROWDED_ARRIVAL_TIME)
+			{
+				this.#Arrive();
+				return;
+			}
+		}
+		else
+		{
+			this.#waitingTime = 0;
+		}
 		
 		// Not yet arrived at target position.
 		// Calculate the stopping distance, which is the distance the unit will stop in when
 		// travelling at its maximum speed and applying its maximum deceleration.
-		const maxSpeed = unitPlatform.GetMaxSpeed();
+		const maxSpeed = this.GetController().GetMaxSpeed();
 		const maxDeceleration = unitPlatform.GetMaxDeceleration();
 		const stoppingDist = 0.5 * maxSpeed * maxSpeed / maxDeceleration;
 
@@ -220,6 +381,18 @@ export class UnitMovementStateMoving extends UnitMovementState {
 		this.#targetSpeed = Math.min(this.#curMaxSpeed, stoppingMaxSpeed);
 	}
 	
+	// Remove the last waypoint, bring the unit to a complete halt, and stop movement.
+	#Arrive()
+	{
+		const unitPlatform = this.GetUnitPlatform();
+		this.GetWaypoints().shift();
+		unitPlatform.SetSpeed(0);
+		unitPlatform.SetAcceleration(0);
+		this.GetController().SetNextState("released");
+		this.#targetSpeed = 0;
+		this.#ResetCurMaxSpeed();
+	}
+	
 	// When moving towards waypoints, rotates the unit towards the target angle.
 	// However this also has two additional purposes:
 	// 1) once it's pointing at the target angle, any temporary speed limit is lifted,
@@ -230,10 +403,16 @@ export class UnitMovementStateMoving extends UnitMovementState {
 	//    avoiding the problem of units circling endlessly around targets they can't reach.
 	//    This is only used when moving towards the final waypoint, as other waypoints along
 	//    the way are often deliberately cut off by the turn circle.
+	// The unit also steers away from the target angle by any avoidance angle from local steering.
+	// While avoiding another unit it doesn't revert to "stopping", as it's deliberately turning
+	// away from the target.
 	#RotateTowardsAngle(targetAngle: number, dt: number, sqDistToTarget = Infinity)
 	{
 		const unitPlatform = this.GetUnitPlatform();
 		
+		const avoidanceAngle = this.#steering.GetAvoidanceAngle();
+		targetAngle += avoidanceAngle;
+		
 		const currentAngle = unitPlatform.GetAngle();
 		const angleDiff = MathUtils.AngleDifference(targetAngle, currentAngle);
 		if (angleDiff < MathUtils.ToRadians(0.01))
@@ -255,7 +434,7 @@ export class UnitMovementStateMoving extends UnitMovementState {
 			// If the unit would travel further than the distance to the target in
 			// this time, then it may not be able to reach it with its turn circle,
 			// so come to a halt and start over.
-			if (travelDist * travelDist > sqDistToTarget)
+			if (avoidanceAngle === 0 && travelDist * travelDist > sqDistToTarget)
 			{
 				this.GetController().SetNextState("stopping");
 			}
@@ -279,6 +458,6 @@ export class UnitMovementStateMoving extends UnitMovementState {
 	// puts the current maximum speed at the highest allowed value.
 	#ResetCurMaxSpeed()
 	{
-		this.#curMaxSpeed = this.GetUnitPlatform().GetMaxSpeed();
+		this.#curMaxSpeed = this.GetController().GetMaxSpeed();
 	}
 }
\ No newline at end of file
@@ -16,6 +16,20 @@ export class UnitMovementStateReverse extends UnitMovementState {
         // Set debug state 4 for "reverse"
         this.SetUnitDebugState(4);
     }
+    // Note the start time is a game time, so reversing carries on for the same amount
+    // of time after restoring, as the game time is restored too.
+    SaveState() {
+        return {
+            "reverseTime": this.#reverseTime,
+            "nextState": this.#nextState,
+            "startTime": this.#startTime
+        };
+    }
+    RestoreState(state) {
+        this.#reverseTime = state["reverseTime"];
+        this.#nextState = state["nextState"];
+        this.#startTime = state["startTime"];
+    }
     Tick(dt) {
         const controller = this.GetController();
         // Check if the unit has finished reversing for the given time. If so, advance
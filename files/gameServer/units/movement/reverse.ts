@@ -25,6 +25,24 @@ export class UnitMovementStateReverse extends UnitMovementState {
 		this.SetUnitDebugState(4);
 	}
 	
+	// Note the start time is a game time, so reversing carries on for the same amount
+	// of time after restoring, as the game time is restored too.
+	SaveState()
+	{
+		return {
+			"reverseTime": this.#reverseTime,
+			"nextState": this.#nextState,
+			"startTime": this.#startTime
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		this.#reverseTime = state["reverseTime"];
+		this.#nextState = state["nextState"];
+		this.#startTime = state["startTime"];
+	}
+	
 	Tick(dt: number)
 	{
 		const controller = this.GetController();
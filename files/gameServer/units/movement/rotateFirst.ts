@@ -20,11 +20,11 @@ export class UnitMovementStateRotateFirst extends UnitMovementState {
 	{
 		const controller = this.GetController();
 		const unitPlatform = this.GetUnitPlatform();
-		const waypoints = this.GetWaypoints();
 		
-		// Get current position and first waypoint position.
+		// Get current position and first waypoint position. (If following a flow field, this is
+		// instead the point the flow field leads towards.)
 		const [currentX, currentY] = unitPlatform.GetPosition();
-		const [curTargetX, curTargetY] = waypoints[0];
+		const [curTargetX, curTargetY] = controller.GetHeadingTarget();
 		
 		// Get current angle and the angle to the first waypoint.
 		const currentAngle = unitPlatform.GetAngle();
@@ -6,6 +6,7 @@ import { UnitMovementStateMoving } from "./moving.js";
 import { UnitMovementStateReverse } from "./reverse.js";
 
 import { MovableUnitPlatform } from "../movableUnitPlatform.js";
+import type { FlowField } from "../../pathfinding/flowField.js";
 
 import * as MathUtils from "../../utils/mathUtils.js";
 
@@ -23,6 +24,9 @@ const STATE_CLASS_MAP = new Map<UnitMovementStateType, { new(...args: any[]): Un
 // It has different states, each of which is controlled by a dedicated class derived
 // from UnitMovementState. So this class mostly manages which state is active and
 // also provides some utility methods.
+// When moving as part of a large group, the unit also has a flow field shared by the group.
+// It then has a single waypoint for its own destination, but follows the flow field until
+// it can drive straight there.
 export class UnitMovementController {
 
 	#unitPlatform;			// MovableUnitPlatform this controller is managing
@@ -36,6 +40,9 @@ export class UnitMovementController {
 
 	#nextStateArgs: any[] = [];		// Arguments to pass to next state constructor
 	#waypoints: number[][] = [];	// Remaining list of positions to move to
+	#flowField: FlowField | null = null;	// Flow field to follow to the last waypoint, if any
+	#newPathTarget: number[] | null = null;	// Position to find a new path to at the end of tick
+	#speedLimit = Infinity;			// Maximum speed when moving in formation, to keep to the slowest unit
 
 	constructor(unitPlatform: MovableUnitPlatform)
 	{
@@ -46,6 +53,7 @@ export class UnitMovementController {
 	Release()
 	{
 		this.#waypoints.length = 0;
+		this.#flowField = null;
 	}
 	
 	GetUnitPlatform()
@@ -68,18 +76,149 @@ export class UnitMovementController {
 		return this.#waypoints;
 	}
 	
+	GetFlowField()
+	{
+		return this.#flowField;
+	}
+	
+	// Units moving in formation are limited to the speed of the slowest unit in the formation,
+	// so the faster units don't leave it behind.
+	SetSpeedLimit(s: number)
+	{
+		this.#speedLimit = s;
+	}
+	
+	// Return the maximum speed the unit can move at, taking in to account any speed limit.
+	GetMaxSpeed()
+	{
+		return Math.min(this.#unitPlatform.GetMaxSpeed(), this.#speedLimit);
+	}
+	
+	// Stop following the flow field, and instead drive directly to the last waypoint.
+	ClearFlowField()
+	{
+		this.#flowField = null;
+	}
+	
+	// Return the position the unit should be heading towards: the point to steer towards
+	// along the flow field if following one, otherwise the next waypoint.
+	GetHeadingTarget()
+	{
+		if (this.#flowField)
+		{
+			const [x, y] = this.#unitPlatform.GetPosition();
+			const steeringPoint = this.#flowField.GetSteeringPoint(x, y);
+			if (steeringPoint)
+				return steeringPoint;
+		}
+		
+		return this.#waypoints[0];
+	}
+	
 	Stop()
 	{
 		this.#SetState("stopping");
 		this.#waypoints = [];
+		this.#flowField = null;
 	}
 	
 	StartMovingAlongWaypoints(waypoints: number[][])
 	{
 		this.#waypoints = waypoints;
+		this.#flowField = null;
+		this.#SetState("stopping");
+	}
+	
+	// Start moving to the given destination by following a flow field. If the destination is in
+	// an obstacle cell, such as inside a rock, or it is walled off from the goal of the flow field,
+	// such as a gap inside a static unit, move to the nearest clear cell to it that can be reached
+	// from the goal instead, as the unit will drive straight to its destination once it is in sight.
+	StartMovingAlongFlowField(flowField: FlowField, x: number, y: number)
+	{
+		const grid = flowField.GetGrid();
+		const cell = grid.GetCellAtPosition(x, y);
+		const goalRegion = grid.GetCellRegion(flowField.GetGoalCell());
+		if (grid.GetCellRegion(cell) !== goalRegion)
+		{
+			const clearCell = grid.FindNearestClearCell(cell, goalRegion);
+			[x, y] = (clearCell === -1 ? flowField.GetGoalPosition() : grid.GetCellCentre(clearCell));
+		}
+		
+		this.#waypoints = [[x, y]];
+		this.#flowField = flowField;
 		this.#SetState("stopping");
 	}
 	
+	// Check if the rest of the unit's route crosses any of the given pathfinding cells, going from
+	// its current position through each remaining waypoint in turn.
+	RouteCrossesAnyCell(cells: Set<number>)
+	{
+		const grid = this.GetGameServer().GetPathfinding().GetGrid();
+		const [myX, myY] = this.#unitPlatform.GetPosition();
+		let lastCell = grid.GetCellAtPosition(myX, myY);
+		
+		for (const [x, y] of this.#waypoints)
+		{
+			const cell = grid.GetCellAtPosition(x, y);
+			if (grid.LineCrossesAnyCell(lastCell, cell, cells))
+				return true;
+			
+			lastCell = cell;
+		}
+		
+		return false;
+	}
+	
+	// Called when the unit can no longer follow its route, such as when a flow field doesn't lead
+	// anywhere from where the unit ended up, or a new obstacle blocks it. At the end of the tick
+	// the unit comes to a halt and finds a new path of its own to its destination.
+	RequestNewPath()
+	{
+		const waypoints = this.#waypoints;
+		if (waypoints.length > 0)
+			this.#newPathTarget = waypoints[waypoints.length - 1];
+	}
+	
+	// Save the movement state and remaining waypoints, for saving the game. Note this is only
+	// called in between ticks, so there is never a next state pending.
+	SaveState()
+	{
+		return {
+			"state": this.#stateStr,
+			"stateData": this.#stateObj?.SaveState() ?? null,
+			"waypoints": this.#waypoints.map(([x, y]) => [x, y]),
+			"flowFieldGoal": this.#flowField?.GetGoalPosition() ?? null,
+			"speedLimit": (isFinite(this.#speedLimit) ? this.#speedLimit : null)
+		};
+	}
+	
+	// Restore a movement state saved by SaveState(). The state object is created without any
+	// constructor arguments, as RestoreState() then sets all its state anyway.
+	RestoreState(state: any)
+	{
+		this.#waypoints = state["waypoints"].map(([x, y]: number[]) => [x, y]);
+		this.#speedLimit = state["speedLimit"] ?? Infinity;
+		this.#SetState(state["state"]);
+		this.#stateObj?.RestoreState(state["stateData"]);
+		
+		// Flow fields are not saved as they are large and can be calculated again, so if the unit
+		// was following one, request it again.
+		const flowFieldGoal = state["flowFieldGoal"];
+		if (flowFieldGoal)
+			this.#RestoreFlowField(flowFieldGoal[0], flowFieldGoal[1]);
+	}
+	
+	// Until the flow field is ready the unit drives straight towards its destination. Ignore the
+	// result if the unit has since been given another route, or has already arrived.
+	async #RestoreFlowField(x: number, y: number)
+	{
+		const waypoints = this.#waypoints;
+		const flowField = await this.GetGameServer().GetPathfinding().FindFlowField(x, y, [this.#unitPlatform.GetPosition()]);
+		
+		if (this.#waypoints === waypoints && waypoints.length > 0)
+			this.#flowField = flowField;
+	}
+	
 	// Immediately sets the current state, also releasing and replacing the current state object.
 	#SetState(stateStr: UnitMovementStateType, ...args: any[])
 	{
@@ -134,6 +273,15 @@ export class UnitMovementController {
 			this.#nextStateStr = "";
 			this.#nextStateArgs = [];
 		}
+		
+		// If a new path was requested, start finding it now the state has been updated.
+		// This is done last as it may replace this movement controller.
+		if (this.#newPathTarget)
+		{
+			const [x, y] = this.#newPathTarget;
+			this.#newPathTarget = null;
+			this.#unitPlatform.MoveToPosition(x, y, null, this.#speedLimit);
+		}
 	}
 	
 	// Apply acceleration/deceleration towards the current target speed, and then move the current
@@ -11,6 +11,14 @@ export class UnitMovementState {
     Tick(dt) {
         // override
     }
+    // Save and restore any extra state the derived class has, for saving the game.
+    // Most states don't have any, so these do nothing by default.
+    SaveState() {
+        return null;
+    }
+    RestoreState(state) {
+        // override
+    }
     // Some helper methods for derived classes (especially as derived classes can't
     // access the private #controller property).
     GetController() {
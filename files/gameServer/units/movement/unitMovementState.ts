@@ -21,6 +21,18 @@ export class UnitMovementState {
 		// override
 	}
 	
+	// Save and restore any extra state the derived class has, for saving the game.
+	// Most states don't have any, so these do nothing by default.
+	SaveState(): any
+	{
+		return null;
+	}
+	
+	RestoreState(state: any)
+	{
+		// override
+	}
+	
 	// Some helper methods for derived classes (especially as derived classes can't
 	// access the private #controller property).
 	GetController()
@@ -14,8 +14,8 @@ export class ObjectData {
 	#originY = 0;
 	#imagePointX = 0;
 	#imagePointY = 0;
-	#fullCollisionPoly = [];
-	#obstacleCollisionPoly = [];
+	#fullCollisionPoly: number[][] = [];
+	#obstacleCollisionPoly: number[][] = [];
 	
 	constructor(gameServer: GameServer, entry: any)
 	{
@@ -32,6 +32,27 @@ export class ObjectData {
 		this.#obstacleCollisionPoly = entry["obstacleCollisionPoly"];
 	}
 	
+	// Return a copy of this object data with everything scaled by a factor. This is used by unit
+	// types that use the same object in a larger or smaller size. The origin is scaled too, as
+	// although it isn't otherwise used by GameServer, it's in pixels like everything else.
+	GetScaled(scale: number)
+	{
+		if (scale === 1)
+			return this;
+		
+		const scalePoly = (poly: number[][] | null) => poly && poly.map(([x, y]) => [x * scale, y * scale]);
+		
+		return new ObjectData(this.#gameServer, {
+			"name": this.#name,
+			"width": this.#width * scale,
+			"height": this.#height * scale,
+			"origin": [this.#originX * scale, this.#originY * scale],
+			"imagePoint": [this.#imagePointX * scale, this.#imagePointY * scale],
+			"fullCollisionPoly": scalePoly(this.#fullCollisionPoly),
+			"obstacleCollisionPoly": scalePoly(this.#obstacleCollisionPoly)
+		});
+	}
+	
 	GetSize()
 	{
 		return [this.#width, this.#height];
@@ -0,0 +1,463 @@
+
+import { Unit } from "./unit.js";
+import { MovableUnitPlatform } from "./movableUnitPlatform.js";
+import type { FlowField } from "../pathfinding/flowField.js";
+import * as MathUtils from "../utils/mathUtils.js";
+
+// The maximum number of orders a unit can have queued up at once, including the current one.
+// Any more are ignored, so even a hacked client can't make the queue grow endlessly.
+// The same limit applies to the number of points on a patrol route.
+const MAX_QUEUE_LENGTH = 20;
+
+// When attacking a unit, the unit moves until the target is within this fraction of its turret's
+// range, so the target doesn't go straight back out of range if it moves a little. Likewise if the
+// turret has a minimum range, the unit backs off until the target is beyond the minimum range
+// divided by this factor.
+const ATTACK_RANGE_FACTOR = 0.9;
+
+// While chasing a unit to attack, the unit finds a new path to the target once the target has moved
+// this far from the position the unit is heading for.
+const CHASE_REPATH_DISTANCE = 200;
+
+// Units in the defensive stance chase attackers at most this far from where they were when attacked,
+// before giving up and going back there.
+const LEASH_DISTANCE = 800;
+
+// An order to move to a position. Attack-move orders also stop to engage any enemies on the way.
+type MoveOrder = {
+	type: "move" | "attack-move",
+	x: number,
+	y: number,
+	maxSpeed: number		// speed limit when moving in formation, otherwise Infinity
+};
+
+// An order to patrol, moving around a loop of points forever, and engaging any enemies on the way.
+type PatrolOrder = {
+	type: "patrol",
+	points: number[][],		// patrol route, as [x, y] positions
+	index: number,			// index of the point the unit is moving to
+	maxSpeed: number
+};
+
+// An order to stay put. The unit never moves, but its turret still fires at anything in range.
+type HoldPositionOrder = {
+	type: "hold-position"
+};
+
+// An order to attack a specific enemy unit. The unit moves in to range of the target, and its turret fires
+// at the target in preference to anything else. The order lasts until the target is destroyed, or goes
+// out of sight of the unit's player. Units in the defensive stance also give themselves this order when
+// attacked, with a leash position: then the order also ends if the unit goes too far from that position,
+// and the unit goes back to it when the order ends.
+type AttackUnitOrder = {
+	type: "attack-unit",
+	targetId: number,					// ID of unit to attack
+	leashPosition: number[] | null		// [x, y] position to return to, or null if none
+};
+
+export type UnitOrder = MoveOrder | PatrolOrder | HoldPositionOrder | AttackUnitOrder;
+
+// The types of order that move a unit to a target position, which players give by picking a position.
+export type MoveOrderType = "move" | "attack-move" | "patrol";
+
+// Patrol and hold position orders never finish, unless the player gives the unit another order.
+function IsEndlessOrder(order: UnitOrder)
+{
+	return order.type === "patrol" || order.type === "hold-position";
+}
+
+// Save an order to JSON for saving the game. Note JSON can't represent Infinity, so no speed
+// limit is saved as null.
+function SaveOrder(order: UnitOrder)
+{
+	if (order.type === "patrol")
+	{
+		return {
+			"type": order.type,
+			"points": order.points,
+			"index": order.index,
+			"maxSpeed": (isFinite(order.maxSpeed) ? order.maxSpeed : null)
+		};
+	}
+	else if (order.type === "hold-position")
+	{
+		return {
+			"type": order.type
+		};
+	}
+	else if (order.type === "attack-unit")
+	{
+		return {
+			"type": order.type,
+			"targetId": order.targetId,
+			"leashPosition": order.leashPosition
+		};
+	}
+	else	// "move" or "attack-move"
+	{
+		return {
+			"type": order.type,
+			"x": order.x,
+			"y": order.y,
+			"maxSpeed": (isFinite(order.maxSpeed) ? order.maxSpeed : null)
+		};
+	}
+}
+
+function RestoreOrder(state: any): UnitOrder
+{
+	const type = state["type"];
+	if (type === "patrol")
+	{
+		return {
+			type,
+			points: state["points"],
+			index: state["index"],
+			maxSpeed: state["maxSpeed"] ?? Infinity
+		};
+	}
+	else if (type === "hold-position")
+	{
+		return { type };
+	}
+	else if (type === "attack-unit")
+	{
+		return {
+			type,
+			targetId: state["targetId"],
+			leashPosition: state["leashPosition"] ?? null
+		};
+	}
+	else	// "move" or "attack-move"
+	{
+		return {
+			type,
+			x: state["x"],
+			y: state["y"],
+			maxSpeed: state["maxSpeed"] ?? Infinity
+		};
+	}
+}
+
+// An OrderQueue holds the orders given to a unit that can move. The first order is the one the unit
+// is currently carrying out, and when it's done, the unit starts on the next one. Normally a new order
+// replaces all the unit's orders, but players can also queue orders, e.g. to move along a chain of
+// waypoints. A move order is done once the unit stops moving, whether it arrived or not: if no path
+// could be found for one order, the unit just carries on with the next one, so one unreachable
+// position doesn't cancel the rest of the queue.
+// Attack-move and patrol orders also watch the unit's turret: as soon as it finds an enemy in range,
+// the unit stops to engage it, and once the turret has no target any more, the unit carries on.
+// Units with no orders also respond to being attacked according to their stance, by giving themselves
+// an order to attack the unit that fired at them.
+export class OrderQueue {
+
+	// Private fields
+	#unit;							// Unit the orders are for
+	#orders: UnitOrder[] = [];		// orders in the order to carry them out, with the current one first
+	#isEngaging = false;			// true if stopped to engage an enemy during the current order
+	
+	// Position of the target the unit is moving towards for an attack-unit order, or null if not
+	// moving towards it. This isn't saved, as the unit just finds a new path to its target after loading.
+	#chasePosition: number[] | null = null;
+	#isBackingOff = false;			// true if moving away from an attack-unit target that is too close
+	
+	constructor(unit: Unit)
+	{
+		this.#unit = unit;
+	}
+	
+	// Only units with a MovableUnitPlatform have an OrderQueue.
+	#GetPlatform()
+	{
+		return this.#unit.GetPlatform() as MovableUnitPlatform;
+	}
+	
+	// Replace all the unit's orders with a new order, and start carrying it out immediately. If the unit
+	// is moving as part of a large group, the flow field shared by the group is also passed.
+	Replace(order: UnitOrder, flowField: Promise<FlowField | null> | null = null)
+	{
+		this.#orders = [order];
+		this.#StartOrder(order, flowField);
+	}
+	
+	// Add an order to the end of the queue. If the unit has no other orders, it starts carrying
+	// it out immediately. As patrol and hold position orders never finish, an order queued after
+	// one of them replaces it instead, other than queuing another patrol, which adds its target
+	// position to the end of the patrol route.
+	Add(order: UnitOrder)
+	{
+		const lastOrder = this.#orders.at(-1);
+		if (order.type === "patrol" && lastOrder?.type === "patrol")
+		{
+			if (lastOrder.points.length < MAX_QUEUE_LENGTH)
+				lastOrder.points.push(...order.points.slice(1));
+			
+			return;
+		}
+		
+		if (lastOrder && IsEndlessOrder(lastOrder))
+			this.#orders.pop();
+		
+		if (this.#orders.length >= MAX_QUEUE_LENGTH)
+			return;
+		
+		this.#orders.push(order);
+		
+		if (this.#orders.length === 1)
+			this.#StartOrder(order);
+	}
+	
+	Clear()
+	{
+		this.#orders.length = 0;
+		this.#isEngaging = false;
+	}
+	
+	IsHoldingPosition()
+	{
+		return this.#orders.length > 0 && this.#orders[0].type === "hold-position";
+	}
+	
+	// Called when the unit is hit by a projectile fired by another unit. Units that are busy carrying out
+	// orders carry on with them, but idle units in the aggressive stance chase the attacker for as long as
+	// they can see it, and in the defensive stance chase it only within a leash of where they are.
+	// Units in the other stances stay put, although their turret may still fire back if in range.
+	OnAttacked(attacker: Unit)
+	{
+		if (this.#orders.length > 0)
+			return;
+		
+		const unit = this.#unit;
+		const gameServer = unit.GetGameServer();
+		if (gameServer.AreAllies(unit.GetPlayer(), attacker.GetPlayer()) ||
+			!gameServer.GetVisibility().IsUnitVisible(unit.GetPlayer(), attacker))
+		{
+			return;
+		}
+		
+		const stance = unit.GetStance();
+		if (stance === "aggressive")
+		{
+			this.Replace({ type: "attack-unit", targetId: attacker.GetId(), leashPosition: null });
+		}
+		else if (stance === "defensive")
+		{
+			const leashPosition = this.#GetPlatform().GetPosition();
+			this.Replace({ type: "attack-unit", targetId: attacker.GetId(), leashPosition });
+		}
+	}
+	
+	// Return the ID of the unit this unit is currently ordered to attack, or -1 if none.
+	GetAttackTargetId()
+	{
+		const order = this.#orders[0];
+		return (order?.type === "attack-unit" ? order.targetId : -1);
+	}
+	
+	// Return the position the unit will end up at after carrying out all its orders, which is
+	// where a queued patrol starts from.
+	GetFinalPosition()
+	{
+		for (let i = this.#orders.length - 1; i >= 0; --i)
+		{
+			const order = this.#orders[i];
+			if (order.type === "move" || order.type === "attack-move")
+				return [order.x, order.y];
+		}
+		
+		return this.#GetPlatform().GetPosition();
+	}
+	
+	#StartOrder(order: UnitOrder, flowField: Promise<FlowField | null> | null = null)
+	{
+		this.#isEngaging = false;
+		this.#chasePosition = null;
+		this.#isBackingOff = false;
+		
+		const platform = this.#GetPlatform();
+		if (order.type === "patrol")
+		{
+			const [x, y] = order.points[order.index];
+			platform.MoveToPosition(x, y, flowField, order.maxSpeed);
+		}
+		else if (order.type === "hold-position" || order.type === "attack-unit")
+		{
+			// Attack-unit orders also start by stopping. The unit then moves towards the target
+			// when it ticks, if the target is out of range.
+			platform.Stop();
+		}
+		else	// "move" or "attack-move"
+		{
+			platform.MoveToPosition(order.x, order.y, flowField, order.maxSpeed);
+		}
+	}
+	
+	// Called every tick, after the turret has looked for a target, to carry out the current order,
+	// and check if it is done, and if so start on the next one.
+	Tick()
+	{
+		if (this.#orders.length === 0)
+			return;
+		
+		const order = this.#orders[0];
+		const platform = this.#GetPlatform();
+		
+		if (order.type === "attack-unit")
+		{
+			this.#TickAttackUnit(order);
+			return;
+		}
+		
+		// For attack-move and patrol orders, stop as soon as the turret has a target to fire at.
+		// Once the target is destroyed or goes out of range, carry on with the order.
+		if (order.type === "attack-move" || order.type === "patrol")
+		{
+			const hasTarget = this.#unit.GetTurret().HasTarget();
+			if (hasTarget && !this.#isEngaging)
+			{
+				this.#isEngaging = true;
+				platform.Stop();
+			}
+			else if (!hasTarget && this.#isEngaging)
+			{
+				this.#StartOrder(order);
+			}
+			
+			if (this.#isEngaging)
+				return;
+		}
+		
+		if (platform.IsMoving())
+			return;
+		
+		// Patrols carry on to the next point on the route once the unit stops, going back to the
+		// start after the last point. Hold position orders just stay as they are.
+		if (order.type === "patrol")
+		{
+			order.index = (order.index + 1) % order.points.length;
+			this.#StartOrder(order);
+		}
+		else if (order.type !== "hold-position")
+		{
+			this.#NextOrder();
+		}
+	}
+			
+	// Move on to the next order, or if there isn't one, bring the unit to a halt.
+	#NextOrder()
+	{
+		this.#orders.shift();
+		
+		if (this.#orders.length > 0)
+			this.#StartOrder(this.#orders[0]);
+		else
+			this.#GetPlatform().Stop();
+	}
+	
+	// Carry out an attack-unit order. If the target is out of range, the unit moves towards it, finding
+	// a new path whenever the target moves away from where it's heading. If the target is too close
+	// for the turret to fire at, the unit backs away from it instead. Once the target is in range the
+	// unit stops, and the turret fires at it. The order is done once the target is destroyed or can't
+	// be seen any more, or if it has a leash position, once the unit goes too far from it.
+	#TickAttackUnit(order: AttackUnitOrder)
+	{
+		const gameServer = this.#unit.GetGameServer();
+		const target = gameServer.GetUnitById(order.targetId);
+		const platform = this.#GetPlatform();
+		const [x, y] = platform.GetPosition();
+		const leashPosition = order.leashPosition;
+		if (!target || !gameServer.GetVisibility().IsUnitVisible(this.#unit.GetPlayer(), target) ||
+			(leashPosition && MathUtils.DistanceSquared(x, y, leashPosition[0], leashPosition[1]) > LEASH_DISTANCE * LEASH_DISTANCE))
+		{
+			// When the order has a leash position, replace it with an order to move back there.
+			if (leashPosition)
+			{
+				const moveOrder: MoveOrder = { type: "move", x: leashPosition[0], y: leashPosition[1], maxSpeed: Infinity };
+				this.#orders[0] = moveOrder;
+				this.#StartOrder(moveOrder);
+			}
+			else
+			{
+				this.#NextOrder();
+			}
+			
+			return;
+		}
+		
+		const [targetX, targetY] = target.GetPlatform().GetPosition();
+		const turret = this.#unit.GetTurret();
+		const range = turret.GetRange() * ATTACK_RANGE_FACTOR;
+		const minRange = turret.GetMinRange() / ATTACK_RANGE_FACTOR;
+		const sqDist = MathUtils.DistanceSquared(x, y, targetX, targetY);
+		if (sqDist < minRange * minRange)
+		{
+			this.#TickBackOff(x, y, targetX, targetY, (minRange + range) / 2);
+			return;
+		}
+		
+		if (sqDist <= range * range)
+		{
+			if (this.#chasePosition)
+			{
+				this.#chasePosition = null;
+				this.#isBackingOff = false;
+				platform.Stop();
+			}
+			
+			return;
+		}
+		
+		// Also find a new path if the unit stopped before getting in range, such as if it arrived
+		// where the target was, but the target has since moved.
+		const chasePosition = this.#chasePosition;
+		if (!chasePosition || this.#isBackingOff || !platform.IsMoving() ||
+			MathUtils.DistanceSquared(chasePosition[0], chasePosition[1], targetX, targetY) > CHASE_REPATH_DISTANCE * CHASE_REPATH_DISTANCE)
+		{
+			this.#chasePosition = [targetX, targetY];
+			this.#isBackingOff = false;
+			platform.MoveToPosition(targetX, targetY);
+		}
+	}
+	
+	// Back away from a target that is too close to fire at, moving to the given distance from it.
+	// As with chasing, a new path is found whenever the target moves away from where it was. If the
+	// unit stops while still too close, such as if something is in the way, it can't get far enough
+	// away to fire, so the order is done.
+	#TickBackOff(x: number, y: number, targetX: number, targetY: number, distance: number)
+	{
+		const platform = this.#GetPlatform();
+		const chasePosition = this.#chasePosition;
+		if (this.#isBackingOff && !platform.IsMoving())
+		{
+			this.#chasePosition = null;
+			this.#isBackingOff = false;
+			this.#NextOrder();
+		}
+		else if (!this.#isBackingOff || !chasePosition ||
+			MathUtils.DistanceSquared(chasePosition[0], chasePosition[1], targetX, targetY) > CHASE_REPATH_DISTANCE * CHASE_REPATH_DISTANCE)
+		{
+			const [layoutWidth, layoutHeight] = this.#unit.GetGameServer().GetLayoutSize();
+			const angle = MathUtils.AngleTo(targetX, targetY, x, y);
+			this.#chasePosition = [targetX, targetY];
+			this.#isBackingOff = true;
+			platform.MoveToPosition(MathUtils.Clamp(targetX + Math.cos(angle) * distance, 0, layoutWidth),
+									MathUtils.Clamp(targetY + Math.sin(angle) * distance, 0, layoutHeight));
+		}
+	}
+	
+	// Save the orders for saving the game. The current order is already in progress, so when restored
+	// the unit's saved movement state carries on with it.
+	SaveState()
+	{
+		return {
+			"orders": this.#orders.map(SaveOrder),
+			"isEngaging": this.#isEngaging
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		this.#orders = (state["orders"] ?? []).map(RestoreOrder);
+		this.#isEngaging = state["isEngaging"] ?? false;
+	}
+}
@@ -0,0 +1,186 @@
+
+import { Unit } from "./unit.js";
+import { UnitType } from "./unitType.js";
+import { MovableUnitPlatform } from "./movableUnitPlatform.js";
+import type { UnitPlatform } from "./unitPlatform.js";
+
+// The maximum number of units that can be queued up at once in a production queue.
+const MAX_QUEUE_LENGTH = 10;
+
+// The gap between the production building and a newly spawned unit.
+const SPAWN_GAP = 50;
+
+// The distance newly spawned units move forwards after they are spawned, so they clear
+// the way for the next unit to be spawned.
+const RALLY_DISTANCE = 400;
+
+// A ProductionQueue is used by units that can build other units, such as a factory. Players
+// pay the cost of a unit up front when queueing it, and then each unit in the queue is built in
+// turn, taking the build time for its unit type. When a unit is finished, it's spawned in front
+// of the building - i.e. in the direction of its angle - and then moves forwards out of the way.
+// If something is in the way of the spawn position, the finished unit waits until it's clear.
+export class ProductionQueue {
+
+	// Private fields
+	#unit;						// reference to the Unit doing the production
+	#queue: UnitType[] = [];	// unit types waiting to be built, with the one being built first
+	#progress = 0;				// time in seconds spent building the first unit in the queue
+	
+	constructor(unit: Unit)
+	{
+		this.#unit = unit;
+	}
+	
+	GetUnit()
+	{
+		return this.#unit;
+	}
+	
+	GetGameServer()
+	{
+		return this.#unit.GetGameServer();
+	}
+	
+	IsFull()
+	{
+		return this.#queue.length >= MAX_QUEUE_LENGTH;
+	}
+	
+	// Return the IDs of all the queued unit types, to send to the player.
+	GetQueuedUnitTypeIds()
+	{
+		return this.#queue.map(unitType => unitType.GetId());
+	}
+	
+	// Return the progress building the first unit in the queue, in the range [0, 1].
+	GetProgress()
+	{
+		if (this.#queue.length === 0)
+			return 0;
+		
+		const buildTime = this.#queue[0].GetBuildTime();
+		return (buildTime > 0 ? this.#progress / buildTime : 1);
+	}
+	
+	// Add a unit type to the end of the queue. Note the caller is responsible for checking
+	// the unit type can be built and taking payment for it.
+	Add(unitType: UnitType)
+	{
+		this.#queue.push(unitType);
+	}
+	
+	// Remove the unit type at the given index in the queue, returning the unit type that was
+	// removed so the caller can refund it, or null if the index is not valid. If the unit
+	// being built is removed, then the progress is lost.
+	Remove(index: number)
+	{
+		if (!Number.isInteger(index) || index < 0 || index >= this.#queue.length)
+			return null;
+		
+		if (index === 0)
+			this.#progress = 0;
+		
+		return this.#queue.splice(index, 1)[0];
+	}
+	
+	// Save the queue by unit type name and the progress building the first unit, for saving
+	// the game. Note unit type names are used rather than IDs, as the names are more meaningful.
+	SaveState()
+	{
+		return {
+			"queue": this.#queue.map(unitType => unitType.GetName()),
+			"progress": this.#progress
+		};
+	}
+	
+	RestoreState(state: any)
+	{
+		// Note GetUnitTypeByName() throws for an unknown unit type, so the queue never has a missing
+		// unit type in it, which would make Tick() fail.
+		const gameServer = this.GetGameServer();
+		this.#queue = state["queue"].map((name: string) => gameServer.GetUnitTypeByName(name));
+		this.#progress = state["progress"];
+	}
+	
+	Tick(dt: number)
+	{
+		if (this.#queue.length === 0)
+			return;
+		
+		// Advance the progress building the first unit in the queue.
+		const unitType = this.#queue[0];
+		this.#progress = Math.min(this.#progress + dt, unitType.GetBuildTime());
+		
+		// Once the unit is finished, try to spawn it. If it can't be spawned yet because something
+		// is in the way, it stays at the front of the queue and tries again next tick.
+		if (this.#progress >= unitType.GetBuildTime() && this.#TrySpawnUnit(unitType))
+		{
+			this.#queue.shift();
+			this.#progress = 0;
+		}
+	}
+	
+	#TrySpawnUnit(unitType: UnitType)
+	{
+		const gameServer = this.GetGameServer();
+		const platform = this.#unit.GetPlatform();
+		const [x, y] = platform.GetPosition();
+		const angle = platform.GetAngle();
+		const dx = Math.cos(angle);
+		const dy = Math.sin(angle);
+		
+		// Spawn the new unit in front of the building, at a distance of half the building width plus
+		// half the new unit's width, plus a gap. Note the width is the size along the angle.
+		const [buildingWidth] = this.#unit.GetUnitType().GetPlatformObjectData().GetSize();
+		const [unitWidth, unitHeight] = unitType.GetPlatformObjectData().GetSize();
+		const spawnDistance = buildingWidth / 2 + unitWidth / 2 + SPAWN_GAP;
+		const [spawnX, spawnY] = gameServer.ClampToLayout(x + dx * spawnDistance, y + dy * spawnDistance);
+		
+		if (!this.#IsAreaClear(spawnX, spawnY, Math.max(unitWidth, unitHeight) / 2))
+			return false;
+		
+		// Add the new unit, and make sure clients hear about it promptly.
+		const unit = gameServer._AddUnitAtPosition(this.#unit.GetPlayer(), unitType, spawnX, spawnY, angle);
+		gameServer.AddUnitForFullUpdate(unit);
+		
+		// Move the new unit forwards to clear the spawn position.
+		const newPlatform = unit.GetPlatform();
+		if (newPlatform instanceof MovableUnitPlatform)
+			newPlatform.MoveToPosition(spawnX + dx * RALLY_DISTANCE, spawnY + dy * RALLY_DISTANCE);
+		
+		return true;
+	}
+	
+	// Check if a square area is clear of any other units, other than the building itself.
+	// This uses the bounding boxes of units, as it doesn't need to be precise.
+	#IsAreaClear(x: number, y: number, halfSize: number)
+	{
+		const buildingPlatform = this.#unit.GetPlatform();
+		const left = x - halfSize;
+		const top = y - halfSize;
+		const right = x + halfSize;
+		const bottom = y + halfSize;
+		
+		let result = true;
+		this.GetGameServer().GetCollisionGrid().ForEachItemInArea(
+			left, top, right, bottom,
+			(unitPlatform: UnitPlatform) =>
+			{
+				if (unitPlatform === buildingPlatform)
+					return false;	// ignore the building, but keep iterating
+				
+				const [unitX, unitY] = unitPlatform.GetPosition();
+				const [boxLeft, boxTop, boxRight, boxBottom] = unitPlatform.GetFullCollisionShape().GetBox();
+				if (unitX + boxLeft < right && unitX + boxRight > left &&
+					unitY + boxTop < bottom && unitY + boxBottom > top)
+				{
+					result = false;	// return false from #IsAreaClear()
+					return true;	// bail out and stop iterating in ForEachItemInArea()
+				}
+				
+				return false;
+			});
+		
+		return result;
+	}
+}
@@ -1,6 +1,6 @@
 import { GameServer } from "../gameServer.js";
 import { MovableObject } from "../classes/movableObject.js";
-import { UnitTurret } from "./unitTurret.js";
+import { UnitType } from "./unitType.js";
 import * as MathUtils from "../utils/mathUtils.js";
 // Like unit IDs, projectile IDs are sent as a uint16 value to save on bandwidth,
 // allowing for around 65k active projectiles in the entire game at any one time,
@@ -18,20 +18,47 @@ function GetNewProjectileId(gameServer) {
     } while (gameServer.HasProjectileId(nextId));
     return nextId;
 }
+export const PROJECTILE_TYPES = ["shell", "explosive", "artillery", "missile"];
+// Missiles don't fly in a straight line, so they can travel further than the turret range
+// by this factor, to give them a chance to catch up with targets moving away from them.
+const MISSILE_EXTRA_RANGE = 1.5;
 // The Projectile class represents something fired from turrets towards enemy units.
 // It is a MovableObject as it has a position, angle and speed.
+// Note projectiles keep the player and unit type that fired them rather than a reference to the
+// turret, as the unit that fired them may be destroyed while they are still travelling, and
+// this also means they can be restored from a saved game without the unit that fired them.
+// For the same reason the unit that fired them is only kept by its ID, which is used to tell the
+// unit that was hit who attacked it, if that unit still exists.
+// The range of artillery is set to the distance to the point it was aimed at, so it lands there.
 export class Projectile extends MovableObject {
-    #turret; // turret that fired this projectile
     #id = -1; // unique ID for this unit (determined in constructor)
+    #player = 0; // player who fired this projectile
+    #unitType; // UnitType of the unit that fired this projectile
+    #firedByUnitId = -1; // ID of the unit that fired this projectile
+    #type; // type of projectile, which determines how it moves and hits things
+    #targetUnitId = -1; // for missiles, the ID of the unit to steer towards, or -1 if none
+    #range = 0; // maximum distance to travel
     #distanceTravelled = 0; // how far this projectile has travelled
     #didHitTarget = false; // set to true if hit a target
-    #damage = 20; // amount of damage this projectile does
-    #damageVariance = 0.1; // random variation in damage done as a percentage
-    constructor(turret, x, y) {
-        const gameServer = turret.GetGameServer();
+    #damage = 0; // amount of damage this projectile does
+    #damageVariance = 0; // random variation in damage done as a percentage
+    #splashRadius = 0; // radius in which it damages units when it explodes, or 0 if it doesn't
+    #turnRate = 0; // for missiles, rotation speed in radians per second
+    // Note the ID is normally assigned automatically, but restoring a saved game passes
+    // the ID the projectile had when it was saved.
+    constructor(gameServer, player, unitType, x, y, id = -1) {
         super(gameServer, x, y);
-        this.#id = GetNewProjectileId(gameServer);
-        this.#turret = turret;
+        this.#id = (id === -1 ? GetNewProjectileId(gameServer) : id);
+        this.#player = player;
+        this.#unitType = unitType;
+        // Projectiles have the range and do the damage specified by the unit type that fired it.
+        const stats = unitType.GetTurretStats();
+        this.#type = stats.projectileType;
+        this.#range = stats.range * (this.#type === "missile" ? MISSILE_EXTRA_RANGE : 1);
+        this.#damage = stats.damage;
+        this.#damageVariance = stats.damageVariance;
+        this.#splashRadius = stats.splashRadius;
+        this.#turnRate = stats.turnRate;
     }
     Release() {
     }
@@ -44,11 +71,35 @@ export class Projectile extends MovableObject {
     GetDistanceTravelled() {
         return this.#distanceTravelled;
     }
+    SetRange(r) {
+        this.#range = r;
+    }
     GetRange() {
-        return this.#turret.GetRange();
+        return this.#range;
+    }
+    GetType() {
+        return this.#type;
+    }
+    GetSplashRadius() {
+        return this.#splashRadius;
+    }
+    GetTurnRate() {
+        return this.#turnRate;
+    }
+    SetTargetUnitId(id) {
+        this.#targetUnitId = id;
+    }
+    GetTargetUnitId() {
+        return this.#targetUnitId;
     }
     GetPlayer() {
-        return this.#turret.GetUnit().GetPlayer();
+        return this.#player;
+    }
+    SetFiredByUnitId(id) {
+        this.#firedByUnitId = id;
+    }
+    GetFiredByUnitId() {
+        return this.#firedByUnitId;
     }
     SetPosition(x, y) {
         // Prevent the position going outside the layout.
@@ -62,22 +113,69 @@ export class Projectile extends MovableObject {
         return this.#damage - (maxVariance / 2) + (Math.random() * maxVariance);
     }
     Tick(dt) {
-        // Move the projectile at its angle and speed.
+        const gameServer = this.GetGameServer();
+        // Missiles steer towards their target before moving.
+        if (this.#type === "missile")
+            this.#SteerTowardsTarget(dt);
+        // Move the projectile at its angle and speed. Artillery doesn't move past the
+        // end of its range, as that is the point on the ground it lands on.
         const [x, y] = this.GetPosition();
         const a = this.GetAngle();
-        const moveDist = this.GetSpeed() * dt;
+        let moveDist = this.GetSpeed() * dt;
+        if (this.#type === "artillery")
+            moveDist = Math.max(Math.min(moveDist, this.#range - this.#distanceTravelled), 0);
         const dx = Math.cos(a) * moveDist;
         const dy = Math.sin(a) * moveDist;
         this.SetPosition(x + dx, y + dy);
         // Increment the distance travelled measurement, so it knows
         // when it's gone out of range.
         this.#distanceTravelled += Math.hypot(dx, dy);
+        // Artillery flies over any units in the way, and only hits something once it lands.
+        if (this.#type === "artillery") {
+            if (this.#distanceTravelled >= this.#range) {
+                gameServer.OnProjectileHit(this, null);
+                this.#didHitTarget = true;
+            }
+        }
         // Check if this projectile hit an enemy unit. If it did,
         // mark that this projectile should be destroyed.
-        if (this.GetGameServer().CheckProjectileCollision(this)) {
+        else if (gameServer.CheckProjectileCollision(this)) {
             this.#didHitTarget = true;
         }
     }
+    // Rotate a missile towards its target, at up to its turn rate. If the target is destroyed,
+    // the missile carries on in a straight line, and can still hit other units.
+    #SteerTowardsTarget(dt) {
+        if (this.#targetUnitId === -1)
+            return;
+        const target = this.GetGameServer().GetUnitById(this.#targetUnitId);
+        if (!target) {
+            this.#targetUnitId = -1;
+            return;
+        }
+        const [x, y] = this.GetPosition();
+        const [targetX, targetY] = target.GetPlatform().GetPosition();
+        const targetAngle = MathUtils.AngleTo(x, y, targetX, targetY);
+        this.SetAngle(MathUtils.AngleRotate(this.GetAngle(), targetAngle, this.#turnRate * dt));
+    }
+    // Save the projectile state, for saving the game. Projectiles that hit their target are
+    // destroyed at the end of the same tick, so there is no need to save that.
+    SaveState() {
+        const [x, y] = this.GetPosition();
+        return {
+            "id": this.#id,
+            "player": this.#player,
+            "unitType": this.#unitType.GetName(),
+            "firedByUnitId": this.#firedByUnitId,
+            "targetUnitId": this.#targetUnitId,
+            "x": x,
+            "y": y,
+            "angle": this.GetAngle(),
+            "speed": this.GetSpeed(),
+            "range": this.#range,
+            "distanceTravelled": this.#distanceTravelled
+        };
+    }
     // Projectiles should be destroyed once they travel out of range or hit a target.
     ShouldDestroy() {
         return this.GetDistanceTravelled() > this.GetRange() || this.#didHitTarget;
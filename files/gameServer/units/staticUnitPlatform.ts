@@ -0,0 +1,85 @@
+
+import { Unit } from "./unit.js";
+import { ObjectData } from "./objectData.js";
+import { UnitPlatform } from "./unitPlatform.js";
+import { PositionedAndAngledObject } from "../classes/positionedAndAngledObject.js";
+import type { PathfindingObstacle } from "../pathfinding/pathfindingGrid.js";
+
+// A StaticUnitPlatform is a unit platform that never moves, such as a fixed gun emplacement
+// or a base building. Like MovableUnitPlatform, it uses composition for its position and angle.
+// Since it doesn't move, it only has to add itself to the collision grid once when it is created,
+// which also means movable units treat it as an obstacle just like any other unit. It is also an
+// obstacle for pathfinding, using its obstacle collision polygon, until it is destroyed. It also never
+// marks any movement values as changed, so delta updates for static units only ever include
+// changes to the turret angle.
+export class StaticUnitPlatform extends UnitPlatform {
+
+	// Private fields
+	#positioned;			// PositionedAndAngledObject to represent platform position
+	#pathfinding;			// ServerPathfinding the obstacle was added to
+	#pathfindingObstacle: PathfindingObstacle;	// obstacle added to the pathfinding grid
+	
+	constructor(unit: Unit, objectData: ObjectData, x: number, y: number, angle: number)
+	{
+		super(unit, objectData);
+		
+		// Prevent the position going outside the layout.
+		[x, y] = unit.GetGameServer().ClampToLayout(x, y);
+		this.#positioned = new PositionedAndAngledObject(unit.GetGameServer(), x, y, angle);
+		
+		// Set the collision shape and collision cells for the position. As the platform never
+		// moves, this is the only time this needs to be done.
+		this.UpdateCollision();
+		
+		// Add the platform to the pathfinding grid as an obstacle, so units path around it.
+		// Note this remembers the pathfinding it was added to, as loading a saved game replaces the
+		// pathfinding before releasing the units from the previous game.
+		this.#pathfinding = unit.GetGameServer().GetPathfinding();
+		this.#pathfindingObstacle = this.#pathfinding.AddObstacle(this.GetObstacleCollisionShape(), x, y);
+	}
+	
+	Release()
+	{
+		// Remove the platform from the pathfinding grid, so units can path through the area again.
+		this.#pathfinding.RemoveObstacle(this.#pathfindingObstacle);
+		
+		super.Release();
+	}
+	
+	GetPosition()
+	{
+		return this.#positioned.GetPosition();
+	}
+	
+	GetAngle()
+	{
+		return this.#positioned.GetAngle();
+	}
+	
+	// Static platforms always have a speed and acceleration of 0. These are still provided
+	// so static units can be treated the same as movable ones for things like full updates
+	// and predictive aiming.
+	GetSpeed()
+	{
+		return 0;
+	}
+	
+	GetAcceleration()
+	{
+		return 0;
+	}
+	
+	// The base class ContainsPoint methods check the point relative to the origin.
+	// So first translate the point to be relative to the unit position.
+	ContainsPoint_Full(x: number, y: number)
+	{
+		const [myX, myY] = this.GetPosition();
+		return super.ContainsPoint_Full(x - myX, y - myY);
+	}
+	
+	ContainsPoint_Obstacle(x: number, y: number)
+	{
+		const [myX, myY] = this.GetPosition();
+		return super.ContainsPoint_Obstacle(x - myX, y - myY);
+	}
+}
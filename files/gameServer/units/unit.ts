@@ -1,7 +1,11 @@
 
 import { GameServer } from "../gameServer.js";
 import { MovableUnitPlatform } from "./movableUnitPlatform.js";
+import { StaticUnitPlatform } from "./staticUnitPlatform.js";
 import { UnitTurret } from "./unitTurret.js";
+import { UnitType } from "./unitType.js";
+import { ProductionQueue } from "./productionQueue.js";
+import { OrderQueue } from "./orderQueue.js";
 import * as MathUtils from "../utils/mathUtils.js";
 
 // Whether server sends extra debug state for units for development purposes only.
@@ -30,6 +34,18 @@ function GetNewUnitId(gameServer: GameServer)
 	return nextId;
 }
 
+// The stances a unit can be in, which control how it reacts to enemies by itself:
+// - "aggressive": fires at any enemy in range, and if attacked while idle, chases the attacker
+// - "defensive": fires at any enemy in range, and if attacked while idle, chases the attacker only
+//   as far as a leash distance before returning
+// - "return-fire": only fires at units that recently attacked it, and never moves by itself
+// - "hold-fire": never fires or moves by itself, so it can wait in ambush
+// Units only fire at other units in the return fire and hold fire stances when ordered to attack them.
+// The stance is sent to clients as its index in this list, so it must match the list on the client.
+export type UnitStance = "aggressive" | "defensive" | "return-fire" | "hold-fire";
+
+export const UNIT_STANCES: UnitStance[] = ["aggressive", "defensive", "return-fire", "hold-fire"];
+
 // For delta updates, a byte is sent with a series of bits set to indicate
 // which values have changed. These flags are defined here.
 const FLAG_CHANGED_POSITION =			 (1 << 0);
@@ -37,9 +53,39 @@ const FLAG_CHANGED_SPEED =				 (1 << 1);
 const FLAG_CHANGED_ACCELERATION =		 (1 << 2);
 const FLAG_CHANGED_PLATFORM_ANGLE =		 (1 << 3);
 const FLAG_CHANGED_TURRET_OFFSET_ANGLE = (1 << 4);
+const FLAG_CHANGED_STANCE =				 (1 << 5);
 
 const FLAG_CHANGED_DEBUG_STATE =		 (1 << 7);		// for development purposes only
 
+// All the flags for values that change when the platform moves. Static units never send these.
+const FLAGS_PLATFORM_MOVEMENT = FLAG_CHANGED_POSITION | FLAG_CHANGED_SPEED |
+								FLAG_CHANGED_ACCELERATION | FLAG_CHANGED_PLATFORM_ANGLE;
+
+// Enemies must not know a unit's stance, but unit updates are only written once and then copied
+// to every player who knows about the unit. So the stance is always the last byte of both full
+// and delta updates, which allows it to be hidden in the copy of an update sent to an enemy.
+// Full updates have this placeholder stance written instead, and delta updates leave it out.
+const HIDDEN_STANCE_INDEX = UNIT_STANCES.indexOf("defensive");
+
+// Hide the stance in a copy of a full update ending at the given position.
+export function HideStanceInFullUpdate(dataView: DataView, endPos: number)
+{
+	dataView.setUint8(endPos - 1, HIDDEN_STANCE_INDEX);
+}
+
+// Hide the stance in a copy of a delta update between the given positions, by clearing the
+// stance flag and dropping the stance byte if there is one. Returns the new end position.
+export function HideStanceInDeltaUpdate(dataView: DataView, startPos: number, endPos: number)
+{
+	// The delta change flags byte follows the uint16 unit ID.
+	const deltaChangeFlags = dataView.getUint8(startPos + 2);
+	if ((deltaChangeFlags & FLAG_CHANGED_STANCE) === 0)
+		return endPos;
+	
+	dataView.setUint8(startPos + 2, deltaChangeFlags & ~FLAG_CHANGED_STANCE);
+	return endPos - 1;
+}
+
 // A Unit represents any static or movable unit in the game
 export class Unit {
 	
@@ -48,11 +94,19 @@ export class Unit {
 	#id = -1;			// unique ID for this unit (determined in constructor)
 	
 	#player = 0;		// Which player this unit belongs to
+	#unitType;			// UnitType with the stats for this kind of unit
 	
-	#platform;			// unit platform
+	#platform: MovableUnitPlatform | StaticUnitPlatform;	// unit platform
 	#turret;			// unit turret
 	
-	#health = 100;		// unit health - unit is destroyed if it reaches 0
+	// ProductionQueue for units that can build other units, such as a factory, otherwise null
+	#productionQueue: ProductionQueue | null = null;
+	
+	// OrderQueue with the orders the player has given the unit for units that can move, otherwise null
+	#orderQueue: OrderQueue | null = null;
+	
+	#health = 0;		// unit health - unit is destroyed if it reaches 0
+	#stance: UnitStance = "defensive";	// how the unit reacts to enemies by itself
 	
 	// For delta updates, this value is sent as a byte with bits set according to which
 	// values for the unit have changed in the last tick.
@@ -61,20 +115,37 @@ export class Unit {
 	// For development purposes only: an extra byte sent to clients for debug info.
 	#debugState = 0;
 	
-	constructor(gameServer: GameServer, player: number, x: number, y: number, angle: number)
+	// Note the ID is normally assigned automatically, but restoring a saved game passes
+	// the ID the unit had when it was saved.
+	constructor(gameServer: GameServer, unitType: UnitType, player: number, x: number, y: number, angle: number, id = -1)
 	{
 		this.#gameServer = gameServer;
-		this.#id = GetNewUnitId(gameServer);
+		this.#id = (id === -1 ? GetNewUnitId(gameServer) : id);
 		this.#player = player;
+		this.#unitType = unitType;
+		this.#health = unitType.GetHealth();
 		
-		// Create unit platform, hard-coded as a movable one for now (TODO: different types)
-		const platformObjectData = this.#gameServer.GetObjectData("TankPlatform");
-		this.#platform = new MovableUnitPlatform(this, platformObjectData, x, y, angle);
+		// Create unit platform, which is either static or movable depending on the unit type.
+		// The platform and turret take their stats from the unit type.
+		const platformObjectData = unitType.GetPlatformObjectData();
+		if (unitType.IsStatic())
+		{
+			this.#platform = new StaticUnitPlatform(this, platformObjectData, x, y, angle);
+		}
+		else
+		{
+			this.#platform = new MovableUnitPlatform(this, platformObjectData, x, y, angle);
+			this.#orderQueue = new OrderQueue(this);
+		}
 		
 		// Create unit turret. Note refer to the platform's image point for the location
 		// of the turret as an offset from the platform's origin.
 		const [turretX, turretY] = platformObjectData.GetImagePoint();
 		this.#turret = new UnitTurret(this, turretX, turretY);
+		
+		// Create a production queue if this unit can build other units.
+		if (unitType.CanProduceUnits())
+			this.#productionQueue = new ProductionQueue(this);
 	}
 	
 	Release()
@@ -98,29 +169,127 @@ export class Unit {
 		return this.#player;
 	}
 	
+	GetUnitType()
+	{
+		return this.#unitType;
+	}
+	
 	GetPlatform()
 	{
 		return this.#platform;
 	}
 	
+	IsStatic()
+	{
+		return this.#unitType.IsStatic();
+	}
+	
 	GetTurret()
 	{
 		return this.#turret;
 	}
 	
-	ReduceHealth(amount: number)
+	GetProductionQueue()
+	{
+		return this.#productionQueue;
+	}
+	
+	GetOrderQueue()
+	{
+		return this.#orderQueue;
+	}
+	
+	GetStance()
+	{
+		return this.#stance;
+	}
+	
+	SetStance(stance: UnitStance)
+	{
+		if (this.#stance === stance)
+			return;		// no change
+		
+		this.#stance = stance;
+		this.#deltaChangeFlags |= FLAG_CHANGED_STANCE;
+		this.#AddForDeltaUpdate();
+	}
+	
+	// Reduce the unit's health when it takes damage. The ID of the unit that did the damage is
+	// also passed, if any, so the unit can react to being attacked.
+	ReduceHealth(amount: number, attackerId = -1)
 	{
 		this.#health -= amount;
 		
 		// When the health reaches 0, destroy the unit.
 		if (this.#health <= 0)
+		{
 			this.GetGameServer().DestroyUnit(this);
+			return;
+		}
+		
+		// Note the attacker may have been destroyed since it fired.
+		const attacker = this.GetGameServer().GetUnitById(attackerId);
+		if (attacker)
+		{
+			this.#turret.OnAttacked(attacker);
+			this.#orderQueue?.OnAttacked(attacker);
+		}
+	}
+	
+	// Save the full state of the unit, for saving the game. Everything needed to create the
+	// unit is included, along with the state of its platform, turret, production queue and orders.
+	SaveState()
+	{
+		const platform = this.#platform;
+		const [x, y] = platform.GetPosition();
+		
+		return {
+			"id": this.#id,
+			"player": this.#player,
+			"unitType": this.#unitType.GetName(),
+			"x": x,
+			"y": y,
+			"angle": platform.GetAngle(),
+			"health": this.#health,
+			"stance": this.#stance,
+			"platform": (platform instanceof MovableUnitPlatform ? platform.SaveState() : null),
+			"turret": this.#turret.SaveState(),
+			"production": this.#productionQueue?.SaveState() ?? null,
+			"orders": this.#orderQueue?.SaveState() ?? null
+		};
+	}
+	
+	// Restore the rest of the unit state saved by SaveState(), after creating the unit.
+	RestoreState(state: any)
+	{
+		this.#health = state["health"];
+		
+		// Saves from before stances were added have no stance, so use the default.
+		const stance = state["stance"] ?? "defensive";
+		if (UNIT_STANCES.includes(stance))
+			this.#stance = stance;
+		
+		if (this.#platform instanceof MovableUnitPlatform && state["platform"])
+			this.#platform.RestoreState(state["platform"]);
+		
+		this.#turret.RestoreState(state["turret"]);
+		
+		if (this.#productionQueue && state["production"])
+			this.#productionQueue.RestoreState(state["production"]);
+		
+		if (this.#orderQueue && state["orders"])
+			this.#orderQueue.RestoreState(state["orders"]);
 	}
 	
 	Tick(dt: number)
 	{
 		this.#platform.Tick(dt);
 		this.#turret.Tick(dt);
+		
+		// Carry out the unit's current order after the turret has looked for a target, so orders
+		// such as attack-move can stop to engage it straight away.
+		this.#orderQueue?.Tick();
+		this.#productionQueue?.Tick(dt);
 	}
 	
 	// Called by GameServer when it's time to write a full update for this unit.
@@ -135,6 +304,10 @@ export class Unit {
 		dataView.setUint8(pos, this.GetPlayer());
 		pos += 1;
 		
+		// Write the unit type ID as a byte, so clients know which kind of unit to create.
+		dataView.setUint8(pos, this.#unitType.GetId());
+		pos += 1;
+		
 		// Write the debug state as a byte if enabled for development.
 		if (ENABLE_DEBUG_STATE)
 		{
@@ -170,6 +343,11 @@ export class Unit {
 		// Tell the turret a full update was written, since it tracks the last sent angle.
 		turret.OnSentFullUpdate();
 		
+		// Write the stance as a byte, with its index in the list of stances.
+		// This must be the last byte so it can be hidden from enemies.
+		dataView.setUint8(pos, UNIT_STANCES.indexOf(this.#stance));
+		pos += 1;
+		
 		// Clear the delta change flags, as everything has now been transmitted in a full update.
 		this.#deltaChangeFlags = 0;
  		
@@ -236,6 +414,12 @@ export class Unit {
 	// This only writes changed values.
 	WriteDeltaUpdate(dataView: DataView, pos: number)
 	{
+		// Static units never move, so skip any movement values entirely. The platform
+		// shouldn't ever mark them as changed anyway, but this guarantees they are never
+		// sent, as clients don't expect static units to move.
+		if (this.IsStatic())
+			this.#deltaChangeFlags &= ~FLAGS_PLATFORM_MOVEMENT;
+		
 		// Write the unit ID.
 		dataView.setUint16(pos, this.GetId());
 		pos += 2;
@@ -287,6 +471,13 @@ export class Unit {
 			pos += 1;
 		}
 		
+		// The stance must be written last so it can be hidden from enemies.
+		if ((this.#deltaChangeFlags & FLAG_CHANGED_STANCE) !== 0)
+		{
+			dataView.setUint8(pos, UNIT_STANCES.indexOf(this.#stance));
+			pos += 1;
+		}
+		
 		// Reset all the delta change flags now they have been used.
 		this.#deltaChangeFlags = 0;
 		
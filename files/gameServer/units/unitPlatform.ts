@@ -3,6 +3,7 @@ import { Unit } from "./unit.js";
 import { ObjectData } from "./objectData.js";
 import { CollisionShape } from "../collisions/collisionShape.js";
 import { CollisionBox } from "../collisions/collisionBox.js";
+import * as MathUtils from "../utils/mathUtils.js";
 
 // A UnitPlatform is the bottom part of a unit, such as the driving part of a tank,
 // or the platform of a static turret emplacement. It could also be referred to as the
@@ -15,6 +16,7 @@ export class UnitPlatform {
 	#fullCollisionShape;		// reference to CollisionShape for full collision detection
 	#obstacleCollisionShape;	// reference to CollisionShape for obstacle collision detection
 	#collisionBox;				// the collision box for the collision grid
+	#obstacleHalfSize;			// [half length, half width] of the obstacle collision polygon
 	
 	constructor(unit: Unit, objectData: ObjectData)
 	{
@@ -25,6 +27,15 @@ export class UnitPlatform {
 		this.#fullCollisionShape = new CollisionShape(gameServer, objectData.GetFullCollisionPoly());
 		this.#obstacleCollisionShape = new CollisionShape(gameServer, objectData.GetObstacleCollisionPoly());
 		this.#collisionBox = new CollisionBox(gameServer, this);
+		
+		// Find how far the obstacle collision polygon extends from the origin forwards/backwards
+		// and to either side, before it is rotated. This is used by LocalSteering to work out how
+		// much room units need to get past each other.
+		const obstaclePoly = objectData.GetObstacleCollisionPoly();
+		this.#obstacleHalfSize = [
+			Math.max(...obstaclePoly.map(([x, y]) => Math.abs(x))),
+			Math.max(...obstaclePoly.map(([x, y]) => Math.abs(y)))
+		];
 	}
 	
 	Release()
@@ -45,7 +56,7 @@ export class UnitPlatform {
 	}
 	
 	// Handling collisions requires knowing the position and angle. Use default stub methods
-	// which are overridden by MovableUnitPlatform.
+	// which are overridden by MovableUnitPlatform and StaticUnitPlatform.
 	GetPosition()
 	{
 		return [0, 0];
@@ -56,6 +67,16 @@ export class UnitPlatform {
 		return 0;
 	}
 	
+	// Return the position of the turret on this platform. This gets the turret's position
+	// (which is an offset from the platform) and rotates it by the platform angle.
+	GetTurretPosition()
+	{
+		const [platformX, platformY] = this.GetPosition();
+		let [offX, offY] = this.GetUnit().GetTurret().GetPosition();
+		[offX, offY] = MathUtils.RotatePoint(offX, offY, this.GetAngle());
+		return [platformX + offX, platformY + offY];
+	}
+	
 	GetFullCollisionShape()
 	{
 		return this.#fullCollisionShape;
@@ -66,6 +87,11 @@ export class UnitPlatform {
 		return this.#obstacleCollisionShape;
 	}
 	
+	GetObstacleHalfSize()
+	{
+		return this.#obstacleHalfSize;
+	}
+	
 	Tick(dt: number)
 	{
 		// override
@@ -11,6 +11,8 @@ const TURRET_SEND_ANGLE_THRESHOLD = MathUtils.ToRadians(0.5);
 // at. This makes turrets aim at nearby units that are still out of range so they are
 // ready if it does come in to range. This extra range is a percentage on the normal range.
 const AIM_EXTRA_RANGE = 1.5; // 50% extra range to aim at
+// In the return fire stance, turrets only fire at units that attacked them within this many seconds.
+const RETURN_FIRE_TIME = 10;
 // A UnitTurret is the firing part of a unit, that rotates independently of the platform
 // to aim and fire projectiles at other player's units.
 // Note that importantly the UnitTurret position and angle are treated as offsets
@@ -20,20 +22,32 @@ export class UnitTurret extends PositionedAndAngledObject {
     // Private fields
     #unit; // reference to Unit
     #targetUnitId = -1; // ID of unit turret is targeting to fire at, or -1 if none
-    #range = 1400; // maximum range to fire at a target
-    #rotateSpeed = MathUtils.ToRadians(70);
+    #range = 0; // maximum range to fire at a target
+    #minRange = 0; // minimum range to fire at a target
+    #rotateSpeed = 0; // rotation speed in radians per second
     // The accuracy is a random adjustment to the projectile angle when firing.
     // A value of 0 means perfect accuracy, and higher values mean less accurate firing.
-    #accuracy = MathUtils.ToRadians(10);
+    #accuracy = 0;
     #lastFireTime = 0; // game time when last shot was fired
-    #rateOfFire = 2; // number of seconds between shots
-    #projectileSpeed = 900; // speed projectile travels at
+    #rateOfFire = 0; // number of seconds between shots
+    #projectileSpeed = 0; // speed projectile travels at
     // Turrets only send delta updates on their angle when it changes past a threshold,
     // in order to reduce bandwidth.
     #lastSentAngle = 0;
+    // Map of the IDs of units that attacked this unit to the game time they last attacked,
+    // so it can fire back at them in the return fire stance.
+    #attackers = new Map();
     constructor(unit, x, y) {
         super(unit.GetGameServer(), x, y);
         this.#unit = unit;
+        // Set the firing stats from the unit type.
+        const stats = unit.GetUnitType().GetTurretStats();
+        this.#range = stats.range;
+        this.#minRange = stats.minRange;
+        this.#rotateSpeed = stats.rotateSpeed;
+        this.#accuracy = stats.accuracy;
+        this.#rateOfFire = stats.reloadTime;
+        this.#projectileSpeed = stats.projectileSpeed;
     }
     Release() {
         // not yet used
@@ -84,10 +98,70 @@ export class UnitTurret extends PositionedAndAngledObject {
     GetRange() {
         return this.#range;
     }
+    GetMinRange() {
+        return this.#minRange;
+    }
+    // Check if a square distance from the platform is within the turret's firing range, which means
+    // it's no further than the range, but also no closer than the minimum range, if it has one.
+    #IsInFiringRange(sqDist) {
+        return sqDist <= this.#range * this.#range && sqDist >= this.#minRange * this.#minRange;
+    }
+    // Check if the turret has a target in firing range to fire at.
+    HasTarget() {
+        return this.#targetUnitId !== -1;
+    }
+    // Save the turret state, for saving the game. Note the target is saved by its unit ID,
+    // which is the same after restoring, as units are restored with the same IDs.
+    SaveState() {
+        return {
+            "angle": this.GetAngle(),
+            "targetUnitId": this.#targetUnitId,
+            "lastFireTime": this.#lastFireTime,
+            "attackers": [...this.#attackers]
+        };
+    }
+    RestoreState(state) {
+        // Set the angle without marking it as changed, as a full update is sent after restoring.
+        super.SetAngle(state["angle"]);
+        this.#lastSentAngle = this.GetAngle();
+        this.#targetUnitId = state["targetUnitId"];
+        this.#lastFireTime = state["lastFireTime"];
+        this.#attackers = new Map(state["attackers"] ?? []);
+    }
+    // Called when the unit is hit by a projectile fired by another unit. This also forgets any
+    // other units that attacked too long ago to fire back at.
+    OnAttacked(attacker) {
+        const gameTime = this.GetGameServer().GetGameTime();
+        for (const [unitId, time] of this.#attackers) {
+            if (gameTime - time > RETURN_FIRE_TIME)
+                this.#attackers.delete(unitId);
+        }
+        this.#attackers.set(attacker.GetId(), gameTime);
+    }
+    // Check if the unit's stance allows the turret to pick a unit as a target by itself.
+    #CanAutoTarget(unitId) {
+        const stance = this.#unit.GetStance();
+        if (stance === "hold-fire")
+            return false;
+        else if (stance === "return-fire") {
+            const time = this.#attackers.get(unitId);
+            return typeof time === "number" && this.GetGameServer().GetGameTime() - time <= RETURN_FIRE_TIME;
+        }
+        else
+            return true;
+    }
     GetProjectileSpeed() {
         return this.#projectileSpeed;
     }
     Tick(dt) {
+        // If the unit has been ordered to attack a unit that is in firing range, always target that,
+        // in preference to any target the turret found itself.
+        const attackTargetId = this.#unit.GetOrderQueue()?.GetAttackTargetId() ?? -1;
+        this.#CheckAttackTarget(attackTargetId);
+        // Stop firing at a target the turret picked itself if the stance no longer allows it,
+        // such as after changing to the hold fire stance.
+        if (this.#targetUnitId !== -1 && this.#targetUnitId !== attackTargetId && !this.#CanAutoTarget(this.#targetUnitId))
+            this.#targetUnitId = -1;
         // If there is no target to fire at, try to find a target. This can also rotate the turret
         // towards targets that are outside of firing range, but inside the aim range.
         // Otherwise if a target inside firing range has been identified, track that and fire at it.
@@ -96,11 +170,23 @@ export class UnitTurret extends PositionedAndAngledObject {
         else
             this.#TrackTarget(dt);
     }
+    #CheckAttackTarget(attackTargetId) {
+        if (attackTargetId === -1 || attackTargetId === this.#targetUnitId)
+            return;
+        const unit = this.GetGameServer().GetUnitById(attackTargetId);
+        if (!unit)
+            return;
+        const [platformX, platformY] = this.GetPlatform().GetPosition();
+        const [targetX, targetY] = unit.GetPlatform().GetPosition();
+        if (this.#IsInFiringRange(MathUtils.DistanceSquared(platformX, platformY, targetX, targetY)))
+            this.#targetUnitId = attackTargetId;
+    }
     // Identify firstly if there is a unit this turret can fire at in range.
     // Secondly if there is nothing inside its firing range, it will rotate towards anything
     // inside its aim range. In both cases if there are multiple targets, it will try to find
     // the best one to target, based on different criteria (rotation vs. distance).
     #FindTarget(dt) {
+        const gameServer = this.GetGameServer();
         const forPlayer = this.GetUnit().GetPlayer();
         // Note the turret determines range from the platform position rather than its own position.
         // Since it detects targets by the platform position, it must find range from its own platform
@@ -123,10 +209,11 @@ export class UnitTurret extends PositionedAndAngledObject {
         // can run the callback multiple times with the same unit platform. However this does not
         // matter; if there are duplicate targets, it will fall through to picking the best one
         // either by angle or distance, and those algorithms works the same with duplicates.
-        this.GetGameServer().GetCollisionGrid().ForEachItemInArea(fromX - aimRange, fromY - aimRange, fromX + aimRange, fromY + aimRange, (unitPlatform) => {
-            // Skip units from the same player
+        gameServer.GetCollisionGrid().ForEachItemInArea(fromX - aimRange, fromY - aimRange, fromX + aimRange, fromY + aimRange, (unitPlatform) => {
+            // Skip units from the same player or an allied player, and any units the stance
+            // doesn't allow targeting. This also means it doesn't aim at them.
             const unit = unitPlatform.GetUnit();
-            if (unit.GetPlayer() === forPlayer)
+            if (gameServer.AreAllies(unit.GetPlayer(), forPlayer) || !this.#CanAutoTarget(unit.GetId()))
                 return false;
             // Check if this unit is within range.
             // Use square distances to avoid computing a square root.
@@ -134,6 +221,10 @@ export class UnitTurret extends PositionedAndAngledObject {
             const dx = toX - fromX;
             const dy = toY - fromY;
             const sqDist = dx * dx + dy * dy;
+            // Skip units too close to fire at. Turrets don't aim at these either, as they
+            // won't be able to fire at them unless they move further away.
+            if (sqDist < this.#minRange * this.#minRange)
+                return false;
             if (sqDist <= this.#range * this.#range) {
                 // Found a target in firing range. Add it to the list of available
                 // targets to fire at, and keep looking for further targets.
@@ -244,7 +335,7 @@ export class UnitTurret extends PositionedAndAngledObject {
         const [targetX, targetY] = unit.GetPlatform().GetPosition();
         const dx = targetX - platformX;
         const dy = targetY - platformY;
-        if (dx * dx + dy * dy > this.#range * this.#range) {
+        if (!this.#IsInFiringRange(dx * dx + dy * dy)) {
             this.#targetUnitId = -1;
             return;
         }
@@ -255,7 +346,7 @@ export class UnitTurret extends PositionedAndAngledObject {
         // precision errors), and it has reloaded, then fire a projectile.
         if (MathUtils.AngleDifference(targetAngle, rotatedAngle) < MathUtils.ToRadians(0.01) &&
             gameServer.GetGameTime() >= this.#lastFireTime + this.#rateOfFire) {
-            this.#FireProjectile();
+            this.#FireProjectile(unit);
         }
     }
     #RotateTowardsTarget(unit, dt) {
@@ -277,13 +368,13 @@ export class UnitTurret extends PositionedAndAngledObject {
         // Return the target angle and rotated angle.
         return { targetAngle, rotatedAngle };
     }
-    // Called when the turret is to shoot its projectile.
-    #FireProjectile() {
+    // Called when the turret is to shoot its projectile at its target unit.
+    #FireProjectile(targetUnit) {
         const gameServer = this.GetGameServer();
         // Get the turret image point, which is where the projectile is fired from.
         // Rotate the image point by the angle the turret is currently pointing at,
         // since the image point position is based on an angle of 0.
-        const turretObjectData = gameServer.GetObjectData("TankTurret");
+        const turretObjectData = this.#unit.GetUnitType().GetTurretObjectData();
         const angle = this.GetOverallAngle();
         let [imgPtX, imgPtY] = turretObjectData.GetImagePoint();
         [imgPtX, imgPtY] = MathUtils.RotatePoint(imgPtX, imgPtY, angle);
@@ -294,7 +385,8 @@ export class UnitTurret extends PositionedAndAngledObject {
         const y = turretY + imgPtY;
         // Create the projectile and set its properties for the type of projectile
         // fired by this turret, including applying the turret accuracy.
-        const projectile = new Projectile(this, x, y);
+        const projectile = new Projectile(gameServer, this.#unit.GetPlayer(), this.#unit.GetUnitType(), x, y);
+        projectile.SetFiredByUnitId(this.#unit.GetId());
         projectile.SetAngle(angle - (this.#accuracy / 2) + (Math.random() * this.#accuracy));
         projectile.SetSpeed(this.GetProjectileSpeed());
         // Initialise the distance travelled to the distance from the platform to the projectile.
@@ -303,6 +395,14 @@ export class UnitTurret extends PositionedAndAngledObject {
         // projectile range matches the range measured from the platform.
         const [platformX, platformY] = this.GetPlatform().GetPosition();
         projectile.SetDistanceTravelled(MathUtils.DistanceTo(platformX, platformY, x, y));
+        // Artillery lands on the ground at the distance of the target, so its range is set to the
+        // distance to the target, and missiles need to know which unit to steer towards.
+        const [targetX, targetY] = targetUnit.GetPlatform().GetPosition();
+        const projectileType = projectile.GetType();
+        if (projectileType === "artillery")
+            projectile.SetRange(Math.min(MathUtils.DistanceTo(platformX, platformY, targetX, targetY), this.#range));
+        else if (projectileType === "missile")
+            projectile.SetTargetUnitId(targetUnit.GetId());
         // Tell GameServer that this projectile was fired, as it needs to both
         // tick it and send a network event for it.
         gameServer.OnFireProjectile(projectile);
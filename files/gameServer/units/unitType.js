@@ -0,0 +1,125 @@
+import { GameServer } from "../gameServer.js";
+import { ObjectData } from "./objectData.js";
+import { PROJECTILE_TYPES } from "./projectile.js";
+import * as MathUtils from "../utils/mathUtils.js";
+// A UnitType defines a kind of unit that can be created in the game, such as a tank or a scout.
+// Unit types are read from the files/unitTypes.json data file, which the runtime loads and passes
+// to GameServer in its "init" message. Each unit type specifies its health, the stats for its
+// platform and turret, and the Construct object types used to display it. Note the ID of a unit
+// type is its index in the data file, and it is sent to clients in full updates as a byte, so
+// both the server and clients must use the same unit types data.
+//
+// A unit type's platform can be "static", in which case it never moves, such as for gun
+// emplacements and buildings. Static unit types don't need any movement stats.
+//
+// Unit types can also specify a scale, which is applied to the size, image points and collision
+// polygons of the Construct object data. This allows making bigger or smaller kinds of unit using
+// the same objects. Note that like the level format, angles are in degrees in the data file, but
+// are converted to radians when they are read.
+//
+// Unit types that can be built have a cost in resources and a build time in seconds. A unit type
+// can also have a "production" list of the names of the unit types it can build, such as a
+// factory, in which case units of that type have a ProductionQueue.
+//
+// A unit type's turret can also specify a "projectile" with the type of projectile it fires, and the
+// stats for that type, such as the splash radius for explosive shells. If not specified, it fires plain
+// shells. See the Projectile class for the different types of projectile.
+//
+// Each unit type also has a sight range, which is how far units of that type can see through
+// the fog of war. This defaults to the turret range if not specified, so units can always see
+// what they can shoot at, but some types have a different range, e.g. scouts see further.
+export class UnitType {
+    // Private fields
+    #id = 0; // index of this unit type, sent to clients
+    #name = ""; // unique name of this unit type, e.g. "tank"
+    #health = 100; // starting health for units of this type
+    #platformObjectData; // ObjectData for the platform, with the scale applied
+    #turretObjectData; // ObjectData for the turret, with the scale applied
+    #isStatic = false; // true if the platform never moves, e.g. a gun emplacement
+    #cost = 0; // resources spent to build a unit of this type
+    #buildTime = 0; // time in seconds to build a unit of this type
+    #production = []; // names of the unit types this unit type can build
+    #sightRange = 0; // distance units of this type can see through the fog of war
+    #platformStats;
+    #turretStats;
+    constructor(gameServer, id, data) {
+        this.#id = id;
+        this.#name = data["name"];
+        this.#health = data["health"];
+        this.#cost = data["cost"] ?? 0;
+        this.#buildTime = data["buildTime"] ?? 0;
+        this.#production = data["production"] ?? [];
+        const scale = data["scale"] ?? 1;
+        const platformData = data["platform"];
+        const turretData = data["turret"];
+        this.#platformObjectData = gameServer.GetObjectData(platformData["objectType"]).GetScaled(scale);
+        this.#turretObjectData = gameServer.GetObjectData(turretData["objectType"]).GetScaled(scale);
+        // Static platforms don't specify any movement stats, as they can't move.
+        this.#isStatic = platformData["static"] ?? false;
+        this.#platformStats = {
+            maxSpeed: platformData["maxSpeed"] ?? 0,
+            maxAcceleration: platformData["maxAcceleration"] ?? 0,
+            maxDeceleration: platformData["maxDeceleration"] ?? 0,
+            rotateSpeed: MathUtils.ToRadians(platformData["rotateSpeed"] ?? 0)
+        };
+        // Turrets that don't specify a projectile fire plain shells.
+        const projectileData = turretData["projectile"] ?? {};
+        const projectileType = projectileData["type"] ?? "shell";
+        if (!PROJECTILE_TYPES.includes(projectileType))
+            throw new Error(`unknown projectile type '${projectileType}' for unit type '${this.#name}'`);
+        this.#turretStats = {
+            range: turretData["range"],
+            minRange: turretData["minRange"] ?? 0,
+            rotateSpeed: MathUtils.ToRadians(turretData["rotateSpeed"]),
+            accuracy: MathUtils.ToRadians(turretData["accuracy"]),
+            reloadTime: turretData["reloadTime"],
+            projectileSpeed: turretData["projectileSpeed"],
+            damage: turretData["damage"],
+            damageVariance: turretData["damageVariance"] ?? 0,
+            projectileType,
+            splashRadius: projectileData["splashRadius"] ?? 0,
+            turnRate: MathUtils.ToRadians(projectileData["turnRate"] ?? 0)
+        };
+        this.#sightRange = data["sightRange"] ?? this.#turretStats.range;
+    }
+    GetId() {
+        return this.#id;
+    }
+    GetName() {
+        return this.#name;
+    }
+    GetHealth() {
+        return this.#health;
+    }
+    IsStatic() {
+        return this.#isStatic;
+    }
+    GetCost() {
+        return this.#cost;
+    }
+    GetBuildTime() {
+        return this.#buildTime;
+    }
+    // Return true if this unit type can build other units, such as a factory.
+    CanProduceUnits() {
+        return this.#production.length > 0;
+    }
+    CanProduceUnitType(unitType) {
+        return this.#production.includes(unitType.GetName());
+    }
+    GetSightRange() {
+        return this.#sightRange;
+    }
+    GetPlatformObjectData() {
+        return this.#platformObjectData;
+    }
+    GetTurretObjectData() {
+        return this.#turretObjectData;
+    }
+    GetPlatformStats() {
+        return this.#platformStats;
+    }
+    GetTurretStats() {
+        return this.#turretStats;
+    }
+}
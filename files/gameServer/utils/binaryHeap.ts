@@ -0,0 +1,93 @@
+
+// A binary min-heap of numbers, each with a priority. This is used as the open list for
+// pathfinding, where the values are cell indices and the priorities are their estimated
+// path costs, so the cell with the lowest cost can always be taken next.
+// Note there is no way to change the priority of a value already in the heap: instead
+// callers can push the same value again with a lower priority, and ignore it the
+// second time it is popped.
+export class BinaryHeap {
+
+	#values: number[] = [];
+	#priorities: number[] = [];
+	
+	GetSize()
+	{
+		return this.#values.length;
+	}
+	
+	IsEmpty()
+	{
+		return this.#values.length === 0;
+	}
+	
+	Clear()
+	{
+		this.#values.length = 0;
+		this.#priorities.length = 0;
+	}
+	
+	Push(value: number, priority: number)
+	{
+		const values = this.#values;
+		const priorities = this.#priorities;
+		
+		// Add the new entry at the end, and then move it up the heap until its parent
+		// has a lower priority.
+		let i = values.length;
+		values.push(value);
+		priorities.push(priority);
+		
+		while (i > 0)
+		{
+			const parent = (i - 1) >> 1;
+			if (priorities[parent] <= priority)
+				break;
+			
+			values[i] = values[parent];
+			priorities[i] = priorities[parent];
+			i = parent;
+		}
+		
+		values[i] = value;
+		priorities[i] = priority;
+	}
+	
+	// Remove and return the value with the lowest priority. The heap must not be empty.
+	Pop()
+	{
+		const values = this.#values;
+		const priorities = this.#priorities;
+		const ret = values[0];
+		
+		// Take the last entry and move it down from the top of the heap until both its
+		// children have a higher priority.
+		const lastValue = values.pop()!;
+		const lastPriority = priorities.pop()!;
+		const len = values.length;
+		if (len > 0)
+		{
+			let i = 0;
+			while (true)
+			{
+				let child = i * 2 + 1;
+				if (child >= len)
+					break;
+				
+				if (child + 1 < len && priorities[child + 1] < priorities[child])
+					child++;
+				
+				if (priorities[child] >= lastPriority)
+					break;
+				
+				values[i] = values[child];
+				priorities[i] = priorities[child];
+				i = child;
+			}
+			
+			values[i] = lastValue;
+			priorities[i] = lastPriority;
+		}
+		
+		return ret;
+	}
+}
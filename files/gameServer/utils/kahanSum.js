@@ -19,4 +19,13 @@ export class KahanSum {
     Get() {
         return this.#sum;
     }
+    // Save and restore the sum along with the running compensation, so a restored
+    // sum carries on with exactly the same precision as the original.
+    SaveState() {
+        return [this.#sum, this.#c];
+    }
+    RestoreState([sum, c]) {
+        this.#sum = sum;
+        this.#c = c;
+    }
 }
@@ -24,4 +24,17 @@ export class KahanSum {
 	{
 		return this.#sum;
 	}
+	
+	// Save and restore the sum along with the running compensation, so a restored
+	// sum carries on with exactly the same precision as the original.
+	SaveState()
+	{
+		return [this.#sum, this.#c];
+	}
+	
+	RestoreState([sum, c]: number[])
+	{
+		this.#sum = sum;
+		this.#c = c;
+	}
 }
\ No newline at end of file
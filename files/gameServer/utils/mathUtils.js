@@ -34,6 +34,11 @@ export function ToRadians(degrees) {
     return degrees * Math.PI / 180;
 }
 ;
+// Convert radians to degrees.
+export function ToDegrees(radians) {
+    return radians * 180 / Math.PI;
+}
+;
 // Calculate the difference between two angles in radians.
 export function AngleDifference(a1, a2) {
     if (a1 === a2)
@@ -41,6 +41,12 @@ export function ToRadians(degrees: number)
 	return degrees * Math.PI / 180;
 };
 
+// Convert radians to degrees.
+export function ToDegrees(radians: number)
+{
+	return radians * 180 / Math.PI;
+};
+
 // Calculate the difference between two angles in radians.
 export function AngleDifference(a1: number, a2: number)
 {
@@ -28,21 +28,28 @@ export class ClientPlatform {
 	#timelineAcceleration = new SteppedValueTimeline();
 	
 	#speed = 0;			// current speed in px/s
-	#maxSpeed = 250;	// maximum speed - TODO: sync with server-side value
+	#maxSpeed = 0;		// maximum speed, from the unit type
 	#acceleration = 0;	// current acceleration in px/s/s
 	
 	// Construct instance representing move destination
 	#moveMarkerInst: InstanceType.MoveMarker | null;
 	
+	// Queued moves to make after the current move, each with a MoveMarker at its destination, and a
+	// MovePathLine from the previous destination, so the player can see the whole chain of moves.
+	#queuedMoveInsts: Array<{ marker: InstanceType.MoveMarker, line: InstanceType.MovePathLine }> = [];
+	
 	constructor(unit: ClientUnit, x: number, y: number, angle: number, speed: number)
 	{
 		this.#unit = unit;
 		
-		// For now this is hard-coded to create a TankPlatform instance.
-		const runtime = this.#unit.GetRuntime();
-		this.#inst = runtime.objects.TankPlatform.createInstance("UnitPlatforms", x, y);
+		// Create an instance of the platform object type for this unit type, sized by its scale.
+		const unitType = this.#unit.GetUnitType();
+		const scale = unitType.GetScale();
+		this.#inst = unitType.GetPlatformObjectType().createInstance("UnitPlatforms", x, y);
+		this.#inst.setSize(this.#inst.width * scale, this.#inst.height * scale);
 		this.#inst.angle = angle;
 		this.#speed = speed;
+		this.#maxSpeed = unitType.GetMaxSpeed();
 		
 		this.#moveMarkerInst = null;
 		
@@ -54,18 +61,30 @@ export class ClientPlatform {
 		
 		this.#timelinePosHistory.Add(0, [x, y]);
 		
-		// Use a tint on the instance to indicate the player: blue for player 0, and red for player 1.
-		// TODO: come up with a better visualisation that can also extend to more players.
-		if (this.#unit.GetPlayer() === 0)
-			this.#inst.colorRgb = [0.5, 0.5, 1];
-		else
-			this.#inst.colorRgb = [1, 0.5, 0.5];
+		// Use a tint on the instance to indicate the player, e.g. blue for player 0, and red for player 1.
+		// TODO: come up with a better visualisation.
+		this.#inst.colorRgb = this.#unit.GetGameClient().GetPlayerColor(this.#unit.GetPlayer());
+		
+		// Static units are obstacles for pathfinding, so update the pathfinding map where it was created.
+		if (unitType.IsStatic())
+			this.#UpdatePathfindingObstacle();
 	}
 	
 	Release()
 	{
 		this.ClearMoveMarker();
 		
+		// When a static unit is destroyed it's no longer an obstacle, so disable its Solid behavior
+		// and update the pathfinding map where it was, so units can path through the area again.
+		if (this.#unit.GetUnitType().IsStatic())
+		{
+			const solidBeh = (this.#inst.behaviors as Record<string, IBehaviorInstance<ISpriteInstance>>)["Solid"];
+			if (solidBeh)
+				solidBeh.isEnabled = false;
+			
+			this.#UpdatePathfindingObstacle();
+		}
+		
 		this.#timelinePos.Release();
 		this.#timelinePosHistory.Release();
 		this.#timelineAngle.Release();
@@ -75,6 +94,12 @@ export class ClientPlatform {
 		this.#inst.destroy();
 	}
 	
+	#UpdatePathfindingObstacle()
+	{
+		const bbox = this.#inst.getBoundingBox();
+		this.GetGameClient().GetPathfindingController().UpdateObstacleArea(bbox.left, bbox.top, bbox.right, bbox.bottom);
+	}
+	
 	GetUnit()
 	{
 		return this.#unit;
@@ -381,11 +406,13 @@ export class ClientPlatform {
 	}
 	
 	// Create an instance of a MoveMarker at the given position, or if there's an existing
-	// instance for this unit, just move it to the new position.
+	// instance for this unit, just move it to the new position. This replaces any queued moves.
 	ShowMoveMarker(moveX: number, moveY: number)
 	{
 		const runtime = this.#unit.GetRuntime();
 		
+		this.#ClearQueuedMoveMarkers();
+		
 		if (!this.#moveMarkerInst)
 		{
 			this.#moveMarkerInst = runtime.objects.MoveMarker.createInstance("Background", moveX, moveY);
@@ -394,8 +421,43 @@ export class ClientPlatform {
 		this.#moveMarkerInst.setPosition(moveX, moveY);
 	}
 	
+	// Show a queued move after any other moves, with a line to it from the last move destination.
+	// If no move marker is showing, the unit will move there straight away, so it's shown as the
+	// current move instead.
+	QueueMoveMarker(moveX: number, moveY: number)
+	{
+		const lastPosition = this.GetLastMoveMarkerPosition();
+		if (!lastPosition)
+		{
+			this.ShowMoveMarker(moveX, moveY);
+			return;
+		}
+		
+		const runtime = this.#unit.GetRuntime();
+		const [lastX, lastY] = lastPosition;
+		const marker = runtime.objects.MoveMarker.createInstance("Background", moveX, moveY);
+		const line = runtime.objects.MovePathLine.createInstance("Background", lastX, lastY);
+		line.angle = MathUtils.AngleTo(lastX, lastY, moveX, moveY);
+		line.width = MathUtils.DistanceTo(lastX, lastY, moveX, moveY);
+		
+		this.#queuedMoveInsts.push({ marker, line });
+	}
+	
+	// Return the position of the destination of the last move the unit will make, including queued
+	// moves, or null if no move marker is showing.
+	GetLastMoveMarkerPosition()
+	{
+		const queuedMoveInsts = this.#queuedMoveInsts;
+		if (queuedMoveInsts.length > 0)
+			return queuedMoveInsts[queuedMoveInsts.length - 1].marker.getPosition();
+		else
+			return this.#moveMarkerInst?.getPosition() ?? null;
+	}
+	
 	ClearMoveMarker()
 	{
+		this.#ClearQueuedMoveMarkers();
+		
 		if (this.#moveMarkerInst)
 		{
 			this.#moveMarkerInst.destroy();
@@ -403,6 +465,17 @@ export class ClientPlatform {
 		}
 	}
 	
+	#ClearQueuedMoveMarkers()
+	{
+		for (const { marker, line } of this.#queuedMoveInsts)
+		{
+			marker.destroy();
+			line.destroy();
+		}
+		
+		this.#queuedMoveInsts.length = 0;
+	}
+	
 	#ClearMoveMarkerIfClose()
 	{
 		if (!this.#moveMarkerInst)
@@ -412,10 +485,20 @@ export class ClientPlatform {
 		const [markerX, markerY] = this.#moveMarkerInst.getPosition();
 		
 		// If within 50px of the marker (using square distances to avoid square root)
-		// then destroy the marker on the assumption the unit has arrived.
+		// then destroy the marker on the assumption the unit has arrived. If there are
+		// any queued moves, the next one becomes the current move, and the line to it
+		// is no longer needed as the unit is now heading there.
 		if (MathUtils.DistanceSquared(myX, myY, markerX, markerY) < 50 * 50)
 		{
-			this.ClearMoveMarker();
+			this.#moveMarkerInst.destroy();
+			this.#moveMarkerInst = null;
+			
+			const nextMove = this.#queuedMoveInsts.shift();
+			if (nextMove)
+			{
+				this.#moveMarkerInst = nextMove.marker;
+				nextMove.line.destroy();
+			}
 		}
 	}
 }
\ No newline at end of file
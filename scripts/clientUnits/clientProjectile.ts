@@ -1,33 +1,83 @@
 
 import { GameClient } from "../gameClient/gameClient.js";
+import * as MathUtils from "../utils/clientMathUtils.js";
+
+// The types of projectile turrets can fire. The server sends the type as its index in this list,
+// so it must match the list on the server. See the server's Projectile class for what each does.
+export type ProjectileType = "shell" | "explosive" | "artillery" | "missile";
+
+export const PROJECTILE_TYPES: ProjectileType[] = ["shell", "explosive", "artillery", "missile"];
+
+// Explosive shells are shown bigger than plain shells.
+const EXPLOSIVE_SHELL_SCALE = 1.4;
+
+// Artillery flies in an arc, which is shown by making it bigger as it goes up and smaller again as
+// it comes back down. At the top of the arc, half way to where it lands, it's this much bigger.
+const ARTILLERY_ARC_SCALE = 1.5;
+
+// The size of the explosion shown when each type of projectile hits something, relative to the
+// normal size of the Explosion object.
+const EXPLOSION_SCALES = new Map<ProjectileType, number>([
+	["shell",		1],
+	["explosive",	1.6],
+	["artillery",	2.2],
+	["missile",		1.2]
+]);
+
+export function GetExplosionScale(type: ProjectileType)
+{
+	return EXPLOSION_SCALES.get(type) ?? 1;
+}
 
 // The ClientProjectile class represents a projectile for GameClient. It is the client-side
 // counterpart to the Projectile class on the game server. Note that ClientProjectile does not
 // actually implement any real game logic such as collision detection: it only exists to
 // display to the player where projectiles are. It is created and destroyed to match what
 // happens on the game server and that's pretty much it.
+// Each type of projectile is displayed differently, and moves the same way as on the server, so
+// artillery is shown flying in an arc, and missiles steer towards the same target unit, if the
+// client knows about it. The server sends their turn rate, so they steer at the same rate.
 export class ClientProjectile {
 
 	#gameClient;
 	#id = -1;			// Projectile ID
+	#type;				// ProjectileType
 	#inst;				// Construct object instance
+	#width = 0;			// size of the object instance, before showing artillery arcs
+	#height = 0;
 	#speed = 0;
 	#range = 0;
 	#distanceTravelled = 0;
+	#targetUnitId;		// for missiles, ID of the unit to steer towards
+	#turnRate;			// for missiles, rotation speed in radians per second, or 0 if not steering
 	
-	constructor(gameClient: GameClient, id: number, x: number, y: number, angle: number, speed: number, range: number, distanceTravelled: number)
+	constructor(gameClient: GameClient, id: number, type: ProjectileType, x: number, y: number, angle: number, speed: number, range: number, distanceTravelled: number, targetUnitId = -1, turnRate = 0)
 	{
 		this.#gameClient = gameClient;
 		this.#id = id;
+		this.#type = type;
 		
-		// Create a Construct object to represent this projectile
+		// Create a Construct object to represent this projectile. Missiles have their own object,
+		// and other projectiles are shells of different sizes.
 		const runtime = gameClient.GetRuntime();
-		this.#inst = runtime.objects.TankShell.createInstance("Projectiles", x, y);
+		const objectType = (type === "missile" ? runtime.objects.Missile : runtime.objects.TankShell);
+		this.#inst = objectType.createInstance("Projectiles", x, y);
 		this.#inst.angle = angle;
 		
+		if (type === "explosive")
+		{
+			this.#inst.width *= EXPLOSIVE_SHELL_SCALE;
+			this.#inst.height *= EXPLOSIVE_SHELL_SCALE;
+		}
+		
+		this.#width = this.#inst.width;
+		this.#height = this.#inst.height;
+		
 		this.#speed = speed;
 		this.#range = range;
 		this.#distanceTravelled = distanceTravelled;
+		this.#targetUnitId = targetUnitId;
+		this.#turnRate = turnRate;
 	}
 	
 	Release()
@@ -40,8 +90,17 @@ export class ClientProjectile {
 		return this.#inst.getPosition();
 	}
 	
+	GetType()
+	{
+		return this.#type;
+	}
+	
 	Tick(dt: number)
 	{
+		// Missiles steer towards their target before moving.
+		if (this.#type === "missile")
+			this.#SteerTowardsTarget(dt);
+		
 		// Advance the projectile at its speed and angle
 		const moveDist = this.#speed * dt;
 		const angle = this.#inst.angle;
@@ -54,6 +113,36 @@ export class ClientProjectile {
 		// destroy projectiles that go out of range instead of needing GameServer to tell
 		// it to do so.
 		this.#distanceTravelled += Math.hypot(dx, dy);
+		
+		if (this.#type === "artillery")
+			this.#UpdateArc();
+	}
+	
+	// Rotate a missile towards its target, the same way as on the server. If the target can't
+	// be found, such as if it's hidden by the fog of war, it carries on in a straight line.
+	#SteerTowardsTarget(dt: number)
+	{
+		if (this.#turnRate === 0)
+			return;
+		
+		const target = this.#gameClient.GetUnitById(this.#targetUnitId);
+		if (!target)
+			return;
+		
+		const [x, y] = this.#inst.getPosition();
+		const [targetX, targetY] = target.GetPlatform().GetPosition();
+		const targetAngle = MathUtils.AngleTo(x, y, targetX, targetY);
+		this.#inst.angle = MathUtils.AngleRotate(this.#inst.angle, targetAngle, this.#turnRate * dt);
+	}
+	
+	// Scale artillery based on how far along its arc it is, so it looks like it goes up in the air
+	// and comes back down where it lands, which is at the end of its range.
+	#UpdateArc()
+	{
+		const t = MathUtils.Clamp(this.#distanceTravelled / this.#range, 0, 1);
+		const scale = 1 + (ARTILLERY_ARC_SCALE - 1) * Math.sin(t * Math.PI);
+		this.#inst.width = this.#width * scale;
+		this.#inst.height = this.#height * scale;
 	}
 	
 	ShouldDestroy()
@@ -19,20 +19,19 @@ export class ClientTurret {
 		this.#unit = unit;
 		this.#offsetAngle = offsetAngle;
 		
-		// For now this is hard-coded to create a TankTurret instance.
-		const runtime = this.#unit.GetRuntime();
+		// Create an instance of the turret object type for this unit type, sized by its scale.
+		const unitType = this.#unit.GetUnitType();
+		const scale = unitType.GetScale();
 		const [x, y] = this.#unit.GetPlatform().GetPosition();
-		this.#inst = runtime.objects.TankTurret.createInstance("UnitTurrets", x, y);
+		this.#inst = unitType.GetTurretObjectType().createInstance("UnitTurrets", x, y);
+		this.#inst.setSize(this.#inst.width * scale, this.#inst.height * scale);
 		
 		// Add the initial offset angle to the timeline at a timestamp of 0.
 		this.#timelineOffsetAngle.Add(0, offsetAngle);
 		
-		// Use a tint on the instance to indicate the player: blue for player 0, and red for player 1.
-		// TODO: come up with a better visualisation that can also extend to more players.
-		if (this.#unit.GetPlayer() === 0)
-			this.#inst.colorRgb = [0.5, 0.5, 1];
-		else
-			this.#inst.colorRgb = [1, 0.5, 0.5];
+		// Use a tint on the instance to indicate the player, e.g. blue for player 0, and red for player 1.
+		// TODO: come up with a better visualisation.
+		this.#inst.colorRgb = this.#unit.GetGameClient().GetPlayerColor(this.#unit.GetPlayer());
 	}
 	
 	Release()
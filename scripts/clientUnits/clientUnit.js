@@ -1,6 +1,7 @@
 import { GameClient } from "../gameClient/gameClient.js";
 import { ClientPlatform } from "./clientPlatform.js";
 import { ClientTurret } from "./clientTurret.js";
+import { ClientUnitType } from "./clientUnitType.js";
 // For development purposes only: whether to show a Text object with the current
 // debug state above units.
 const SHOW_UNIT_DEBUG_STATE = true;
@@ -9,6 +10,7 @@ const SHOW_UNIT_DEBUG_STATE = true;
 // server sends full updates every 2 seconds, and so this time means the unit likely
 // missed 3 opportunities in a row for a full update.
 const CLIENT_UNIT_TIMEOUT = 7;
+export const UNIT_STANCES = ["aggressive", "defensive", "return-fire", "hold-fire"];
 // The ClientUnit class represents a unit in GameClient.
 // Its main job is to synchronise state to match what is happening on GameServer,
 // which holds the real Unit class that represents the authoritative state of the game.
@@ -17,19 +19,23 @@ export class ClientUnit {
     #gameClient; // reference to GameClient unit belongs to
     #id = -1; // unique ID of this unit
     #player = 0; // player this unit belongs to
+    #unitType; // ClientUnitType for the kind of unit this is
     #platform; // ClientPlatform for this unit's platform
     #turret; // ClientTurret for this unit's turret
     // Construct instance representing selection box
     #selectionBoxInst;
     #lastUpdateTime = 0; // last time received any update from server
+    #attackTargetId = -1; // ID of unit the local player ordered this unit to attack, or -1 if none
+    #stance = "defensive"; // how the unit reacts to enemies by itself
     // For development purposes only: current unit debug state and a Text object
     // instance in which to display the debug state
     #debugState = 0;
     #debugTextInst;
-    constructor(gameClient, id, player) {
+    constructor(gameClient, id, player, unitType) {
         this.#gameClient = gameClient;
         this.#id = id;
         this.#player = player;
+        this.#unitType = unitType;
         this.#selectionBoxInst = null;
         // If enabled, create a debug text instance for this unit
         if (SHOW_UNIT_DEBUG_STATE) {
@@ -41,7 +47,7 @@ export class ClientUnit {
     }
     // Create a client unit with initial state specified in 'info' object
     static Create(gameClient, info) {
-        const unit = new ClientUnit(gameClient, info.id, info.player);
+        const unit = new ClientUnit(gameClient, info.id, info.player, info.unitType);
         unit.#platform = new ClientPlatform(unit, info.x, info.y, info.platformAngle, info.speed);
         unit.#turret = new ClientTurret(unit, info.turretOffsetAngle);
         unit.#turret.Update();
@@ -70,12 +76,29 @@ export class ClientUnit {
     GetPlayer() {
         return this.#player;
     }
+    GetUnitType() {
+        return this.#unitType;
+    }
     GetPlatform() {
         return this.#platform;
     }
     GetTurret() {
         return this.#turret;
     }
+    // The attack target is only used for showing a marker on the target, and is only set when the
+    // local player orders their own units to attack.
+    SetAttackTargetId(id) {
+        this.#attackTargetId = id;
+    }
+    GetAttackTargetId() {
+        return this.#attackTargetId;
+    }
+    SetStance(stance) {
+        this.#stance = stance;
+    }
+    GetStance() {
+        return this.#stance;
+    }
     // Called when any update about this unit is received over the network.
     SetLastUpdateTime(serverTime) {
         this.#lastUpdateTime = Math.max(this.#lastUpdateTime, serverTime);
@@ -2,6 +2,7 @@
 import { GameClient } from "../gameClient/gameClient.js";
 import { ClientPlatform } from "./clientPlatform.js";
 import { ClientTurret } from "./clientTurret.js";
+import { ClientUnitType } from "./clientUnitType.js";
 
 // For development purposes only: whether to show a Text object with the current
 // debug state above units.
@@ -13,8 +14,14 @@ const SHOW_UNIT_DEBUG_STATE = true;
 // missed 3 opportunities in a row for a full update.
 const CLIENT_UNIT_TIMEOUT = 7;
 
+// The stances a unit can be in, which control how it reacts to enemies by itself. The server sends
+// the stance as its index in this list, so it must match the list on the server.
+export type UnitStance = "aggressive" | "defensive" | "return-fire" | "hold-fire";
+
+export const UNIT_STANCES: UnitStance[] = ["aggressive", "defensive", "return-fire", "hold-fire"];
+
 type ClientUnitInfoType = {
-	id: number, player: number,
+	id: number, player: number, unitType: ClientUnitType,
 	x: number, y: number, platformAngle: number, speed: number,
 	turretOffsetAngle: number
 }
@@ -28,22 +35,26 @@ export class ClientUnit {
 	#gameClient;				// reference to GameClient unit belongs to
 	#id = -1;					// unique ID of this unit
 	#player = 0;				// player this unit belongs to
+	#unitType;					// ClientUnitType for the kind of unit this is
 	#platform?: ClientPlatform;	// ClientPlatform for this unit's platform
 	#turret?: ClientTurret;		// ClientTurret for this unit's turret
 	// Construct instance representing selection box
 	#selectionBoxInst: InstanceType.UnitSelectionBox | null;
 	#lastUpdateTime = 0;		// last time received any update from server
+	#attackTargetId = -1;		// ID of unit the local player ordered this unit to attack, or -1 if none
+	#stance: UnitStance = "defensive";	// how the unit reacts to enemies by itself
 	
 	// For development purposes only: current unit debug state and a Text object
 	// instance in which to display the debug state
 	#debugState = 0;
 	#debugTextInst?: InstanceType.DebugStateText;
 	
-	constructor(gameClient: GameClient, id: number, player: number)
+	constructor(gameClient: GameClient, id: number, player: number, unitType: ClientUnitType)
 	{
 		this.#gameClient = gameClient;
 		this.#id = id;
 		this.#player = player;
+		this.#unitType = unitType;
 		this.#selectionBoxInst = null;
 		
 		// If enabled, create a debug text instance for this unit
@@ -60,7 +71,7 @@ export class ClientUnit {
 	// Create a client unit with initial state specified in 'info' object
 	static Create(gameClient: GameClient, info: ClientUnitInfoType)
 	{
-		const unit = new ClientUnit(gameClient, info.id, info.player);
+		const unit = new ClientUnit(gameClient, info.id, info.player, info.unitType);
 		unit.#platform = new ClientPlatform(unit, info.x, info.y, info.platformAngle, info.speed);
 		unit.#turret = new ClientTurret(unit, info.turretOffsetAngle);
 		unit.#turret.Update();
@@ -102,6 +113,11 @@ export class ClientUnit {
 		return this.#player;
 	}
 	
+	GetUnitType()
+	{
+		return this.#unitType;
+	}
+	
 	GetPlatform()
 	{
 		return this.#platform!;
@@ -112,6 +128,28 @@ export class ClientUnit {
 		return this.#turret!;
 	}
 	
+	// The attack target is only used for showing a marker on the target, and is only set when the
+	// local player orders their own units to attack.
+	SetAttackTargetId(id: number)
+	{
+		this.#attackTargetId = id;
+	}
+	
+	GetAttackTargetId()
+	{
+		return this.#attackTargetId;
+	}
+	
+	SetStance(stance: UnitStance)
+	{
+		this.#stance = stance;
+	}
+	
+	GetStance()
+	{
+		return this.#stance;
+	}
+	
 	// Called when any update about this unit is received over the network.
 	SetLastUpdateTime(serverTime: number)
 	{
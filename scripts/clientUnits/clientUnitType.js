@@ -0,0 +1,80 @@
+// The ClientUnitType class is the client-side counterpart to UnitType on GameServer. It is read
+// from the same unit types data file, and holds the details the client needs to display units
+// of this type: the Construct object types to create for the platform and turret, the scale to
+// create them at, the maximum speed for predicting platform movement, whether it is static, and
+// the cost and build time and list of unit types it can build for displaying production options,
+// and the sight range for displaying the fog of war.
+// Note the ID of the unit type is its index in the data file, which is how the server
+// identifies which type of unit it is in full updates.
+export class ClientUnitType {
+    // Private fields
+    #id = 0; // index of this unit type in the data
+    #name = ""; // unique name of this unit type, e.g. "tank"
+    #scale = 1; // scale to create Construct instances at
+    #platformObjectType; // Construct object type for the platform
+    #turretObjectType; // Construct object type for the turret
+    #maxSpeed = 0; // maximum platform speed in px/s
+    #isStatic = false; // true if the platform never moves
+    #cost = 0; // resources spent to build a unit of this type
+    #buildTime = 0; // time in seconds to build a unit of this type
+    #production = []; // names of the unit types this unit type can build
+    #sightRange = 0; // distance units of this type can see through the fog of war
+    constructor(runtime, id, data) {
+        this.#id = id;
+        this.#name = data["name"];
+        this.#scale = data["scale"] ?? 1;
+        this.#maxSpeed = data["platform"]["maxSpeed"] ?? 0;
+        this.#isStatic = data["platform"]["static"] ?? false;
+        this.#cost = data["cost"] ?? 0;
+        this.#buildTime = data["buildTime"] ?? 0;
+        this.#production = data["production"] ?? [];
+        this.#sightRange = data["sightRange"] ?? data["turret"]["range"];
+        this.#platformObjectType = ClientUnitType.#GetObjectType(runtime, data["platform"]["objectType"]);
+        this.#turretObjectType = ClientUnitType.#GetObjectType(runtime, data["turret"]["objectType"]);
+    }
+    static #GetObjectType(runtime, name) {
+        const objectType = runtime.getObjectClassByName(name);
+        if (!objectType)
+            throw new Error(`unit type refers to unknown object type '${name}'`);
+        return objectType;
+    }
+    GetId() {
+        return this.#id;
+    }
+    GetName() {
+        return this.#name;
+    }
+    GetScale() {
+        return this.#scale;
+    }
+    GetPlatformObjectType() {
+        return this.#platformObjectType;
+    }
+    GetTurretObjectType() {
+        return this.#turretObjectType;
+    }
+    // Static units never move and are obstacles for pathfinding, such as gun emplacements.
+    IsStatic() {
+        return this.#isStatic;
+    }
+    GetMaxSpeed() {
+        return this.#maxSpeed;
+    }
+    GetSightRange() {
+        return this.#sightRange;
+    }
+    GetCost() {
+        return this.#cost;
+    }
+    GetBuildTime() {
+        return this.#buildTime;
+    }
+    // Return true if this unit type can build other units, such as a factory.
+    CanProduceUnits() {
+        return this.#production.length > 0;
+    }
+    // Return the names of the unit types this unit type can build.
+    GetProductionUnitTypeNames() {
+        return this.#production;
+    }
+}
@@ -0,0 +1,60 @@
+export const FORMATION_TYPES = ["box", "line", "wedge"];
+// The most units in a line formation. Any more units form more rows behind the first, as a single
+// row of hundreds of units would be too wide to be much use.
+const MAX_LINE_LENGTH = 20;
+// Return the number of units in each row of a formation, from front to back, for the given
+// number of units. The last row may have fewer units than this allows.
+function GetRowSizes(formation, count) {
+    const rowSizes = [];
+    let remaining = count;
+    while (remaining > 0) {
+        let rowSize;
+        if (formation === "box")
+            rowSize = Math.ceil(Math.sqrt(count));
+        else if (formation === "line")
+            rowSize = MAX_LINE_LENGTH;
+        else // "wedge"
+            rowSize = rowSizes.length * 2 + 1;
+        rowSize = Math.min(rowSize, remaining);
+        rowSizes.push(rowSize);
+        remaining -= rowSize;
+    }
+    return rowSizes;
+}
+// Arrange units in a formation around a target position, with the front of the formation facing the
+// given angle, and the given spacing between units. The units are passed as their current positions,
+// and this returns the offset of each unit's slot in the formation from the target position, in the
+// same order. Slots are assigned so units don't need to cross over each other to reach them: the units
+// furthest ahead in the direction of travel take the front row, and so on, and within each row they
+// take slots in the same order they are in from side to side.
+export function GetFormationOffsets(formation, positions, angle, spacing) {
+    const cos_a = Math.cos(angle);
+    const sin_a = Math.sin(angle);
+    // Work out how far each unit is along and across the direction of travel.
+    const units = positions.map(([x, y], index) => ({
+        index,
+        along: x * cos_a + y * sin_a,
+        across: y * cos_a - x * sin_a
+    }));
+    // Sort the units front to back, and take each row's worth of units in turn.
+    units.sort((a, b) => b.along - a.along);
+    const rowSizes = GetRowSizes(formation, units.length);
+    const offsets = new Array(units.length);
+    let start = 0;
+    for (const [row, rowSize] of rowSizes.entries()) {
+        // Sort the units in this row from side to side, and assign them slots across the row
+        // in the same order. Rows are centred on the middle of the formation, and the whole
+        // formation is centred on the target position.
+        const rowUnits = units.slice(start, start + rowSize);
+        rowUnits.sort((a, b) => a.across - b.across);
+        start += rowSize;
+        const along = ((rowSizes.length - 1) / 2 - row) * spacing;
+        for (const [i, unit] of rowUnits.entries()) {
+            const across = (i - (rowSize - 1) / 2) * spacing;
+            // Rotate the slot position back from the direction of travel.
+            offsets[unit.index] = [along * cos_a - across * sin_a,
+                along * sin_a + across * cos_a];
+        }
+    }
+    return offsets;
+}
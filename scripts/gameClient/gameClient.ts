@@ -1,18 +1,66 @@
 
+import Globals from "../globals.js";
 import { type GameModeType } from "../gameModes/gameModeBase.js";
 import { MultiEventHandler } from "../utils/multiEventHandler.js";
 import { KahanSum } from "../utils/clientKahanSum.js";
-import { ClientUnit } from "../clientUnits/clientUnit.js";
-import { ClientProjectile } from "../clientUnits/clientProjectile.js";
+import { ClientUnit, type UnitStance } from "../clientUnits/clientUnit.js";
+import { ClientUnitType } from "../clientUnits/clientUnitType.js";
+import { ClientProjectile, type ProjectileType, GetExplosionScale } from "../clientUnits/clientProjectile.js";
 import { ClientMessageHandler } from "./net/clientMessageHandler.js";
 import { PingManager } from "./net/pingManager.js";
 import { PointerManager } from "./ui/pointerManager.js";
 import { ViewManager } from "./ui/viewManager.js";
 import { SelectionManager } from "./ui/selectionManager.js";
 import { Minimap } from "./ui/minimap.js";
+import { EconomyPanel } from "./ui/economyPanel.js";
+import { SpectatorPanel } from "./ui/spectatorPanel.js";
+import { CommandPanel, type MoveCommand } from "./ui/commandPanel.js";
+import { FogOfWar } from "./ui/fogOfWar.js";
 import { PathfindingController } from "./pathfindingController.js";
+import { type FormationType, GetFormationOffsets } from "./formations.js";
+import { ReplayRecorder } from "./replay/replayRecorder.js";
+import { SaveGameButton } from "./ui/saveGameButton.js";
+import { type ReplayCommand } from "./replay/replayFile.js";
 import * as MathUtils from "../utils/clientMathUtils.js";
 
+type RGBColor = [number, number, number];
+
+// The spectator vision value for seeing the whole map, rather than one player's vision.
+// This must match the value GameServer uses.
+export const SPECTATOR_VISION_ALL = -1;
+
+// The gap in layout pixels to leave between units in a formation, on top of the size of the
+// largest unit in the formation.
+const FORMATION_GAP = 60;
+
+// The message type to send to the server for each command that sends units to a position.
+const MOVE_MESSAGE_TYPES = new Map<MoveCommand, string>([
+	["move",			"move-units"],
+	["attack-move",		"attack-move-units"],
+	["patrol",			"patrol-units"]
+]);
+
+// The color to tint resource sources with when no team controls them.
+const NEUTRAL_RESOURCE_SOURCE_COLOR: RGBColor = [1, 0.9, 0.5];		// gold
+
+// The colors used to tint each player's units. These are relative to the local player: the local
+// player's own units are always blue, allies use cool colors and enemies use warm colors, so it's
+// easy to tell who is on which side. Each ally and enemy is assigned the next color in their list.
+// Spectators see the colors relative to the player whose vision they are using, or player 0.
+const OWN_COLOR: RGBColor = [0.5, 0.5, 1];		// blue
+const ALLY_COLORS: Array<RGBColor> = [
+	[0.5, 1, 0.5],		// green
+	[0.5, 1, 1],		// cyan
+	[0.8, 1, 0.6]		// pale green
+];
+const ENEMY_COLORS: Array<RGBColor> = [
+	[1, 0.5, 0.5],		// red
+	[1, 1, 0.5],		// yellow
+	[1, 0.5, 1],		// magenta
+	[1, 0.75, 0.4],		// orange
+	[0.8, 0.8, 0.8]		// grey
+];
+
 export type UnitObjectTypeDataKind = "platform" | "turret";
 export type UnitObjectTypeData = {
 	kind: UnitObjectTypeDataKind,
@@ -23,6 +71,8 @@ export type UnitObjectTypeData = {
 // state of the game for the runtime. Note that the authoritative state of the game lives
 // on GameServer, so the GameClient is mostly responsible for updating the state of the
 // game to match the server state, and sending player inputs to the server.
+// The GameClient can also be for a spectator, who is not a player, so has no player number.
+// Spectators can't issue commands, but can see the whole map or switch to any player's vision.
 export class GameClient {
 
 	// Private fields
@@ -50,19 +100,38 @@ export class GameClient {
 	#viewManager;					// ViewManager class
 	#selectionManager;				// SelectionManager class
 	#minimap;						// Minimap class
+	#economyPanel: EconomyPanel | null = null;		// EconomyPanel class, if not spectating
+	#spectatorPanel: SpectatorPanel | null = null;	// SpectatorPanel class, if spectating
+	#commandPanel: CommandPanel | null = null;		// CommandPanel class, if not spectating
+	#fogOfWar;						// FogOfWar class
 	#pathfindingController;			// PathfindingController class
+	#replayRecorder: ReplayRecorder | null = null;	// ReplayRecorder class, if recording
+	#saveGameButton: SaveGameButton | null = null;	// SaveGameButton class, if hosting
+	#hasInitialState = false;		// set once the initial state of the game has been created
+	
+	#player: number | null = 0;		// Player number this client controls, or null for a spectator
+	#spectatorVision = SPECTATOR_VISION_ALL;	// for a spectator, the player whose vision is used
+	#numPlayers = 2;				// Total number of players in the game
+	#playerTeams = [0, 1];			// Team number for each player
+	#playerColors: RGBColor[] = [];	// Color to tint units with for each player
+	#isFogOfWarEnabled = true;		// false if the match settings turned off the fog of war
+	
+	#unitTypesData: any[] = [];		// unit types JSON data, also sent to GameServer
+	#unitTypes: ClientUnitType[] = [];	// all unit types, indexed by ID
 	
-	#player = 0;					// Player number this client controls
+	// ResourceField instances for each resource source in the level, in the same order
+	#resourceSourceInsts: ISpriteInstance[] = [];
 	
 	constructor(runtime: IRuntime,
 				sendMessageFunc: (msg: any, transmissionMode: MultiplayerTransmissionMode | "") => void,
-				player: number,
+				player: number | null,
 				gameMode: GameModeType)
 	{
 		this.#runtime = runtime;
 		this.#sendMessageFunc = sendMessageFunc;
 		this.#player = player;
 		this.#gameMode = gameMode;
+		this.#UpdatePlayerColors();
 		
 		this.#eventHandlers = new MultiEventHandler([
 			[runtime,		"tick",		() => this.#OnTick()],
@@ -84,10 +153,36 @@ export class GameClient {
 		// Create SelectionManager which handles unit selections.
 		this.#selectionManager = new SelectionManager(this);
 		
+		// Create FogOfWar class which handles displaying the fog of war. Note this must be
+		// created before ViewManager sets the layout size.
+		this.#fogOfWar = new FogOfWar(this);
+		
 		// Create Minimap class which handles the minimap
 		this.#minimap = new Minimap(this);
 		
+		// Create EconomyPanel class which handles the resources and production UI. Spectators
+		// have no economy of their own, so instead get SpectatorPanel, which shows every player's
+		// stats and lets them switch between each player's vision.
+		if (player === null)
+			this.#spectatorPanel = new SpectatorPanel(this);
+		else
+			this.#economyPanel = new EconomyPanel(this);
+		
+		// Create CommandPanel class which handles the UI for commanding the selected units, such
+		// as choosing the formation to move in. Spectators can't command any units so don't need it.
+		if (player !== null)
+			this.#commandPanel = new CommandPanel(this);
+		
 		this.#pathfindingController = new PathfindingController(this);
+		
+		// Record a replay of the match on the host, i.e. in single player or as the multiplayer host,
+		// as that is where GameServer runs so it can also provide the command log.
+		if (Globals.recordReplay && (gameMode === "single-player" || gameMode === "multiplayer-host"))
+			this.#replayRecorder = new ReplayRecorder(this);
+		
+		// Similarly only the host can save the game, as that is where GameServer runs.
+		if (gameMode === "single-player" || gameMode === "multiplayer-host")
+			this.#saveGameButton = new SaveGameButton(this);
 	}
 	
 	Release()
@@ -96,6 +191,11 @@ export class GameClient {
 		this.#pingManager.Release();
 		this.#pointerManager.Release();
 		this.#selectionManager.Release();
+		this.#economyPanel?.Release();
+		this.#spectatorPanel?.Release();
+		this.#commandPanel?.Release();
+		this.#replayRecorder?.Release();
+		this.#saveGameButton?.Release();
 	}
 	
 	GetRuntime()
@@ -103,16 +203,109 @@ export class GameClient {
 		return this.#runtime;
 	}
 	
+	// Returns null for a spectator.
 	GetPlayer()
 	{
 		return this.#player;
 	}
 	
+	IsSpectator()
+	{
+		return this.#player === null;
+	}
+	
+	// For a spectator, return the player whose vision is being used, or SPECTATOR_VISION_ALL
+	// if seeing the whole map.
+	GetSpectatorVision()
+	{
+		return this.#spectatorVision;
+	}
+	
+	// Switch a spectator to seeing what one player can see, or the whole map with SPECTATOR_VISION_ALL.
+	// GameServer then sends the initial state again, followed by the units visible with the new vision.
+	SetSpectatorVision(player: number)
+	{
+		if (!this.IsSpectator() || player === this.#spectatorVision)
+			return;
+		
+		this.#spectatorVision = player;
+		this.#UpdatePlayerColors();
+		this.#spectatorPanel?.OnVisionChanged();
+		
+		this.SendToServer({
+			"type": "set-spectator-vision",
+			"vision": player
+		});
+	}
+	
+	// Return true if the local player can see the whole map, i.e. there is no fog of war,
+	// or a spectator not using a player's vision.
+	HasFullVision()
+	{
+		return !this.#isFogOfWarEnabled || (this.IsSpectator() && this.#spectatorVision === SPECTATOR_VISION_ALL);
+	}
+	
+	// The player the game is seen from the point of view of. This is the local player, or for a spectator,
+	// the player whose vision they are using. Spectators seeing the whole map see it from player 0's view.
+	#GetViewpointPlayer()
+	{
+		if (this.#player !== null)
+			return this.#player;
+		else
+			return Math.max(this.#spectatorVision, 0);
+	}
+	
 	GetGameMode()
 	{
 		return this.#gameMode;
 	}
 	
+	GetNumPlayers()
+	{
+		return this.#numPlayers;
+	}
+	
+	GetPlayerTeam(player: number)
+	{
+		return this.#playerTeams[player];
+	}
+	
+	// Players are allies if they are on the same team, which includes the local player themselves.
+	// For spectators this is relative to the player whose vision they are using.
+	IsAlly(player: number)
+	{
+		return this.#playerTeams[player] === this.#playerTeams[this.#GetViewpointPlayer()];
+	}
+	
+	// Get the color to tint a player's units with, as an [r, g, b] array.
+	GetPlayerColor(player: number)
+	{
+		return this.#playerColors[player] ?? ENEMY_COLORS[0];
+	}
+	
+	// Assign each player a color depending on whether they are the local player, an ally or an enemy.
+	#UpdatePlayerColors()
+	{
+		let allyCount = 0;
+		let enemyCount = 0;
+		
+		this.#playerColors = [];
+		
+		const viewpointPlayer = this.#GetViewpointPlayer();
+		for (let player = 0; player < this.#numPlayers; ++player)
+		{
+			let color;
+			if (player === viewpointPlayer)
+				color = OWN_COLOR;
+			else if (this.IsAlly(player))
+				color = ALLY_COLORS[allyCount++ % ALLY_COLORS.length];
+			else
+				color = ENEMY_COLORS[enemyCount++ % ENEMY_COLORS.length];
+			
+			this.#playerColors.push(color);
+		}
+	}
+	
 	GetPingManager()
 	{
 		return this.#pingManager;
@@ -138,23 +331,87 @@ export class GameClient {
 		return this.#minimap;
 	}
 	
+	// Returns null for a spectator.
+	GetEconomyPanel()
+	{
+		return this.#economyPanel;
+	}
+	
+	// Returns null if not spectating.
+	GetSpectatorPanel()
+	{
+		return this.#spectatorPanel;
+	}
+	
+	// Returns null for a spectator.
+	GetCommandPanel()
+	{
+		return this.#commandPanel;
+	}
+	
+	GetFogOfWar()
+	{
+		return this.#fogOfWar;
+	}
+	
 	GetPathfindingController()
 	{
 		return this.#pathfindingController;
 	}
 	
-	// Return an array of all Construct object types used for units.
+	// Load the unit types data file, which defines the kinds of unit in the game and their stats.
+	// This must be done before anything else, as the unit types determine which Construct
+	// object types are used for units. The same data is also sent to GameServer in its "init"
+	// message, so the unit type IDs used in full updates match up on both sides.
+	// Replays pass the unit types data the match was recorded with instead of loading it.
+	async LoadUnitTypes(unitTypesData?: any[])
+	{
+		this.#unitTypesData = unitTypesData ?? await this.#runtime.assets.fetchJson("unitTypes.json") as any[];
+		this.#unitTypes = this.#unitTypesData.map((entry, id) => new ClientUnitType(this.#runtime, id, entry));
+	}
+	
+	GetUnitTypesData()
+	{
+		return this.#unitTypesData;
+	}
+	
+	// Returns undefined if the ID is not a known unit type.
+	GetUnitTypeById(id: number)
+	{
+		return this.#unitTypes.at(id);
+	}
+	
+	// Returns undefined if the name is not a known unit type.
+	GetUnitTypeByName(name: string)
+	{
+		return this.#unitTypes.find(unitType => unitType.GetName() === name);
+	}
+	
+	// Return an array of all Construct object types used for units. This is every platform
+	// and turret object type used by a unit type, with each object type only listed once
+	// even if several unit types use it.
 	GetAllUnitObjectTypes() : Array<UnitObjectTypeData>
 	{
-		const runtime = this.#runtime;
+		const ret: Array<UnitObjectTypeData> = [];
+		const addObjectType = (kind: UnitObjectTypeDataKind, objectType: IObjectType<ISpriteInstance>) =>
+		{
+			if (!ret.some(entry => entry.objectType === objectType))
+				ret.push({ kind, objectType });
+		};
+		
+		for (const unitType of this.#unitTypes)
+		{
+			addObjectType("platform", unitType.GetPlatformObjectType());
+			addObjectType("turret", unitType.GetTurretObjectType());
+		}
 		
-		return [{
-			kind: "platform",
-			objectType: runtime.objects.TankPlatform
-		}, {
-			kind: "turret",
-			objectType: runtime.objects.TankTurret
-		}];
+		return ret;
+	}
+	
+	// Return an array of all Construct object types that levels can use for obstacles.
+	GetAllObstacleObjectTypes() : Array<IObjectType<ISpriteInstance>>
+	{
+		return [this.#runtime.objects.Rock];
 	}
 	
 	GetConstructObjectData()
@@ -165,7 +422,9 @@ export class GameClient {
 	Init()
 	{
 		// Destroy all existing Construct instances placed on the layout before starting the game.
-		for (const { objectType } of this.GetAllUnitObjectTypes())
+		// This includes any obstacles, as those are created from the level data instead.
+		const objectTypes = [...this.GetAllUnitObjectTypes().map(e => e.objectType), ...this.GetAllObstacleObjectTypes()];
+		for (const objectType of objectTypes)
 		{
 			for (const inst of objectType.instances())
 			{
@@ -182,17 +441,67 @@ export class GameClient {
 	
 	HandleGameServerMessage(msg: any)
 	{
+		this.#replayRecorder?.OnGameServerMessage(msg);
 		this.#messageHandler.HandleGameServerMessage(msg);
 	}
 	
+	// Called when GameServer sends the command log for the replay being recorded.
+	OnReplayCommands(commands: ReplayCommand[])
+	{
+		this.#replayRecorder?.OnReplayCommands(commands);
+	}
+	
+	// Called when GameServer sends the save data requested by SaveGameButton.
+	OnSaveGameData(data: any)
+	{
+		this.#saveGameButton?.OnSaveGameData(data);
+	}
+	
 	// Called when GameServer sends the initial state of the game.
 	// The client needs to create objects to represent the server state.
 	async CreateInitialState(data: any)
 	{
-		// Set the layout size
-		const [layoutWidth, layoutHeight] = data["layoutSize"];
+		// If the initial state was already created, then GameServer loaded a saved game. It is
+		// always on the same level, so only the units and projectiles need replacing.
+		if (this.#hasInitialState)
+		{
+			this.#ReloadInitialState(data);
+			return;
+		}
+		
+		this.#hasInitialState = true;
+		
+		// Set the layout size from the level data
+		const level = data["level"];
+		const [layoutWidth, layoutHeight] = level["layoutSize"];
 		this.#viewManager.SetLayoutSize(layoutWidth, layoutHeight);
 		
+		// Create the obstacles in the level. Note these must be created before the pathfinding
+		// controller initialises, so the pathfinding map treats them as obstacles.
+		this.#CreateLevelObstacles(level);
+		
+		// Create the resource sources in the level.
+		this.#CreateLevelResourceSources(level);
+		
+		// Scroll to the local player's start position. Spectators start looking at the middle of the level.
+		if (this.#player === null)
+		{
+			this.#viewManager.ScrollTo(layoutWidth / 2, layoutHeight / 2);
+		}
+		else
+		{
+			const [startX, startY] = level["players"][this.#player]["startPosition"];
+			this.#viewManager.ScrollTo(startX, startY);
+		}
+		
+		// Get the number of players and which team each is on, and use that to decide
+		// which colors to show each player's units with.
+		this.#numPlayers = data["numPlayers"];
+		this.#playerTeams = data["teams"];
+		this.#UpdatePlayerColors();
+		this.#spectatorPanel?.OnPlayersChanged();
+		this.#ReadMatchSettings(data);
+		
 		// Start up PingManager now that we know the GameServer is up and running
 		// and ready to respond to pings
 		this.#pingManager.Start();
@@ -205,6 +514,75 @@ export class GameClient {
 		this.#minimap.UpdateTerrain();
 	}
 	
+	// When GameServer loads a saved game, remove all the existing units and projectiles. GameServer
+	// then sends full updates for all the units in the saved game, so they are created again.
+	#ReloadInitialState(data: any)
+	{
+		for (const unit of [...this.#allUnitsById.values()])
+		{
+			unit.Release();
+		}
+		
+		for (const projectile of this.#allProjectilesById.values())
+		{
+			projectile.Release();
+		}
+		
+		this.#allProjectilesById.clear();
+		
+		// Saved games also restore the teams, which may change the unit colors, and the match settings.
+		this.#numPlayers = data["numPlayers"];
+		this.#playerTeams = data["teams"];
+		this.#UpdatePlayerColors();
+		this.#spectatorPanel?.OnPlayersChanged();
+		this.#ReadMatchSettings(data);
+		
+		// The game time is restored too, so re-synchronize with the server time straight away.
+		this.#pingManager.Resync();
+	}
+	
+	// Read the match settings chosen in the lobby from the initial state. The only one the client
+	// needs is whether there is fog of war. Note replays recorded before there were match settings
+	// don't include them, and those games always had fog of war.
+	#ReadMatchSettings(data: any)
+	{
+		this.#isFogOfWarEnabled = data["settings"]?.["fogOfWar"] ?? true;
+	}
+	
+	// Create Construct instances for each obstacle in the level. The server uses the collision
+	// polygon specified in the level data, so the object's own collision polygon ought to match it.
+	// As on the server, levels don't have to have any obstacles, and the angle defaults to 0.
+	#CreateLevelObstacles(level: any)
+	{
+		for (const entry of level["obstacles"] ?? [])
+		{
+			const objectTypeName = entry["objectType"];
+			const objectType = this.GetAllObstacleObjectTypes().find(o => o.name === objectTypeName);
+			if (!objectType)
+			{
+				console.error(`Unknown level obstacle object type '${objectTypeName}'`);
+				continue;
+			}
+			
+			const inst = objectType.createInstance("Background", entry["x"], entry["y"]);
+			inst.setSize(entry["width"], entry["height"]);
+			inst.angle = MathUtils.ToRadians(entry["angle"] ?? 0);
+		}
+	}
+	
+	// Create a ResourceField instance to show each resource source in the level. These are sized
+	// to cover the radius units must be within to control the source.
+	#CreateLevelResourceSources(level: any)
+	{
+		for (const entry of level["resourceSources"] ?? [])
+		{
+			const inst = this.#runtime.objects.ResourceField.createInstance("Background", entry["x"], entry["y"]);
+			inst.setSize(entry["radius"] * 2, entry["radius"] * 2);
+			inst.colorRgb = NEUTRAL_RESOURCE_SOURCE_COLOR;
+			this.#resourceSourceInsts.push(inst);
+		}
+	}
+	
 	// Tell the minimap to redraw the terrain when the window resizes so it reflects
 	// the new window resolution.
 	#OnWindowResize()
@@ -270,10 +648,11 @@ export class GameClient {
 		}
 	}
 	
-	// Iterates all units that belong to the local player.
-	allLocalPlayerUnits()
+	// Iterates all units that belong to the local player. Spectators have no units.
+	*allLocalPlayerUnits()
 	{
-		return this.allUnitsForPlayer(this.GetPlayer());
+		if (this.#player !== null)
+			yield* this.allUnitsForPlayer(this.#player);
 	}
 	
 	GetUnitById(id: number)
@@ -281,76 +660,276 @@ export class GameClient {
 		return this.#allUnitsById.get(id);
 	}
 	
-	// Called when the player commands some selected units to move to a position.
-	MoveUnits(unitsArray: Array<ClientUnit>, targetX: number, targetY: number)
+	// Work out where each unit should move to when commanded to move to a position. The units are
+	// arranged in the current formation around the target position, with the formation facing the
+	// direction of travel from the middle of the units. Returns an array of each unit and the position
+	// it should move to. Static units can't move, so they are left out, which also means they don't
+	// affect the formation. This is also used to preview the formation before moving the units.
+	// If the move is queued, it's worked out from where the units will be after their other moves.
+	GetMoveTargets(unitsArray: Array<ClientUnit>, targetX: number, targetY: number, isQueued = false)
 	{
+		unitsArray = unitsArray.filter(unit => !unit.GetUnitType().IsStatic());
+		
 		if (unitsArray.length === 0)
-			return;
+			return [];
+		
+		// Get the position each unit is moving from. Note that unit positions are taken with any
+		// pending correction applied. This ensures formations are based on where the client knows
+		// units should be, rather than where it's showing them, since it could be showing them with
+		// a partial offset as it applies a correction over time.
+		const startPositions = unitsArray.map(unit =>
+		{
+			const platform = unit.GetPlatform();
+			return (isQueued ? platform.GetLastMoveMarkerPosition() : null) ?? platform.GetPositionWithCorrectionApplied();
+		});
 		
-		// Preserve unit formations when moving units. This is done by finding the bounding box
-		// of all the units being moved, and each unit's offset from the middle position is also
-		// applied to the target position. Further, the formation box is bounded to the edge of
-		// the layout, to prevent units bunching up if a formation is moved close to the edge.
+		// Find the middle position inside the bounding box of all the units being moved, and the
+		// largest unit size, which sets the spacing between units in the formation.
 		let boxLeft = Infinity;
 		let boxTop = Infinity;
 		let boxRight = -Infinity;
 		let boxBottom = -Infinity;
-		for (const unit of unitsArray)
+		let maxSize = 0;
+		for (const [i, unit] of unitsArray.entries())
 		{
-			// Note that unit positions are taken with any pending correction applied.
-			// This ensures formations are preserved based on where the client knows units should
-			// be, rather than where it's showing them, since it could be showing them with a
-			// partial offset as it applies a correction over time.
-			const [x, y] = unit.GetPlatform().GetPositionWithCorrectionApplied();
+			const [x, y] = startPositions[i];
 			boxLeft = Math.min(boxLeft, x);
 			boxTop = Math.min(boxTop, y);
 			boxRight = Math.max(boxRight, x);
 			boxBottom = Math.max(boxBottom, y);
+			
+			const [width, height] = unit.GetPlatform().GetSize();
+			maxSize = Math.max(maxSize, width, height);
 		}
 		
-		// Find middle position inside the bounding box of all the units being moved.
 		const midX = (boxLeft + boxRight) / 2;
 		const midY = (boxTop + boxBottom) / 2;
 		
-		// Clamp target position to the layout area taking in to account the bounding box
-		// size, to prevent formations causing lots of units to try to move off the layout.
+		// Arrange the units in formation, relative to the middle of the units, facing towards the
+		// target position. Note if the target position is the same as the middle, the angle is 0.
+		const angle = MathUtils.AngleTo(midX, midY, targetX, targetY);
+		const positions = startPositions.map(([x, y]) => [x - midX, y - midY]);
+		const offsets = GetFormationOffsets(this.GetFormation(), positions, angle, maxSize + FORMATION_GAP);
+		
+		// Clamp target position to the layout area taking in to account the size of the formation,
+		// to prevent formations causing lots of units to try to move off the layout.
 		// Increase the margin size a bit so units don't go all the way to the very edge.
 		const EXTRA_MARGIN = 100;
-		const marginWidth = (boxRight - boxLeft) / 2 + EXTRA_MARGIN;
-		const marginHeight = (boxBottom - boxTop) / 2 + EXTRA_MARGIN;
+		const marginWidth = Math.max(...offsets.map(([dx]) => Math.abs(dx))) + EXTRA_MARGIN;
+		const marginHeight = Math.max(...offsets.map(([, dy]) => Math.abs(dy))) + EXTRA_MARGIN;
 		const [layoutWidth, layoutHeight] = this.#viewManager.GetLayoutSize();
 		
 		targetX = MathUtils.Clamp(targetX, marginWidth, layoutWidth - marginWidth);
 		targetY = MathUtils.Clamp(targetY, marginHeight, layoutHeight - marginHeight);
 		
+		return unitsArray.map((unit, i) => ({
+			unit,
+			x: targetX + offsets[i][0],
+			y: targetY + offsets[i][1]
+		}));
+	}
+	
+	// Called when the player commands some selected units to move to a position. If the move
+	// is queued, the units move there after their other moves, rather than straight away.
+	// This is also used for attack-move and patrol commands, which move units the same way.
+	MoveUnits(unitsArray: Array<ClientUnit>, targetX: number, targetY: number, isQueued = false, command: MoveCommand = "move")
+	{
+		const moveTargets = this.GetMoveTargets(unitsArray, targetX, targetY, isQueued);
+		
+		if (moveTargets.length === 0)
+			return;
+		
+		// Units moving in formation also move at the speed of the slowest unit, so the server
+		// needs to know they are in formation.
 		this.SendToServer({
-			"type": "move-units",
-			"units": unitsArray.map(unit =>
+			"type": MOVE_MESSAGE_TYPES.get(command),
+			"formation": this.GetFormation(),
+			"queue": isQueued,
+			"units": moveTargets.map(({ unit, x, y }) =>
 			{
-				const [x, y] = unit.GetPlatform().GetPositionWithCorrectionApplied();
-				const moveX = targetX + (x - midX);
-				const moveY = targetY + (y - midY);
-				
-				// Also show this unit's move destination
-				unit.GetPlatform().ShowMoveMarker(moveX, moveY);
+				// Also show this unit's move destination, after any other queued moves. A move
+				// that isn't queued also replaces any order to attack a unit.
+				if (isQueued)
+				{
+					unit.GetPlatform().QueueMoveMarker(x, y);
+				}
+				else
+				{
+					unit.GetPlatform().ShowMoveMarker(x, y);
+					unit.SetAttackTargetId(-1);
+				}
 				
 				return {
 					"id": unit.GetId(),
 					// Note the position is rounded to the nearest pixel, mainly to make sure long
 					// fractional digits (e.g. 100.3333333333...) don't waste bandwidth as this
 					// is sent in JSON format.
-					"x": Math.round(moveX),
-					"y": Math.round(moveY)
+					"x": Math.round(x),
+					"y": Math.round(y)
 				};
 			})
 		});
 	}
 	
+	// Called when the player commands some selected units to stop. This cancels all their orders.
+	StopUnits(unitsArray: Array<ClientUnit>)
+	{
+		unitsArray = unitsArray.filter(unit => !unit.GetUnitType().IsStatic());
+		if (unitsArray.length === 0)
+			return;
+		
+		this.SendToServer({
+			"type": "stop-units",
+			"units": unitsArray.map(unit =>
+			{
+				unit.GetPlatform().ClearMoveMarker();
+				unit.SetAttackTargetId(-1);
+				return unit.GetId();
+			})
+		});
+	}
+	
+	// Called when the player commands some selected units to hold position. Unless it's queued,
+	// this cancels all their other orders, the same as stopping.
+	HoldPosition(unitsArray: Array<ClientUnit>, isQueued = false)
+	{
+		unitsArray = unitsArray.filter(unit => !unit.GetUnitType().IsStatic());
+		if (unitsArray.length === 0)
+			return;
+		
+		this.SendToServer({
+			"type": "hold-position-units",
+			"queue": isQueued,
+			"units": unitsArray.map(unit =>
+			{
+				if (!isQueued)
+				{
+					unit.GetPlatform().ClearMoveMarker();
+					unit.SetAttackTargetId(-1);
+				}
+				
+				return unit.GetId();
+			})
+		});
+	}
+	
+	// Called when the player commands some selected units to attack an enemy unit. The units move in
+	// to range of the target and fire at it until it's destroyed. Unless it's queued, this cancels all
+	// their other orders, and CommandPanel shows a marker on the target.
+	AttackUnit(unitsArray: Array<ClientUnit>, target: ClientUnit, isQueued = false)
+	{
+		unitsArray = unitsArray.filter(unit => !unit.GetUnitType().IsStatic());
+		if (unitsArray.length === 0)
+			return;
+		
+		this.SendToServer({
+			"type": "attack-unit",
+			"target": target.GetId(),
+			"queue": isQueued,
+			"units": unitsArray.map(unit =>
+			{
+				if (!isQueued)
+				{
+					unit.GetPlatform().ClearMoveMarker();
+					unit.SetAttackTargetId(target.GetId());
+				}
+				
+				return unit.GetId();
+			})
+		});
+	}
+	
+	// Called when the player changes the stance of some selected units. Unlike orders, this also
+	// applies to static units like defense turrets. The stance is changed on the client straight
+	// away so CommandPanel shows it, and the server sends it back once it's changed there too.
+	SetUnitStance(unitsArray: Array<ClientUnit>, stance: UnitStance)
+	{
+		if (unitsArray.length === 0)
+			return;
+		
+		this.SendToServer({
+			"type": "set-stance",
+			"stance": stance,
+			"units": unitsArray.map(unit =>
+			{
+				unit.SetStance(stance);
+				return unit.GetId();
+			})
+		});
+	}
+	
+	// Return the formation units move in, which is chosen with CommandPanel.
+	GetFormation(): FormationType
+	{
+		return this.#commandPanel?.GetFormation() ?? "box";
+	}
+	
+	// Called when the player commands a unit that can build units, such as a factory, to build
+	// a unit of the given type.
+	QueueUnitProduction(unit: ClientUnit, unitType: ClientUnitType)
+	{
+		this.SendToServer({
+			"type": "queue-unit",
+			"unit": unit.GetId(),
+			"unitType": unitType.GetName()
+		});
+	}
+	
+	// Called when the player cancels a unit in a production queue, identified by its index.
+	CancelUnitProduction(unit: ClientUnit, index: number)
+	{
+		this.SendToServer({
+			"type": "cancel-unit",
+			"unit": unit.GetId(),
+			"index": index
+		});
+	}
+	
+	// Called when GameServer sends an update about the local player's economy. The message
+	// is only sent to this player, so it includes this player's resources and production.
+	// It also includes which team controls each resource source, which is shown by tinting
+	// each ResourceField in the color of a player on that team.
+	OnPlayerEconomy(m: any)
+	{
+		this.#economyPanel?.OnEconomyUpdate(m["resources"], m["income"], m["production"]);
+		this.#UpdateResourceSourceColors(m["resourceSources"]);
+	}
+		
+	// Called when GameServer sends a spectator the stats for every player. This also includes which
+	// team controls each resource source, the same as the players' own economy updates.
+	OnSpectatorStats(m: any)
+	{
+		this.#spectatorPanel?.OnStats(m["players"]);
+		this.#UpdateResourceSourceColors(m["resourceSources"]);
+	}
+	
+	#UpdateResourceSourceColors(resourceSourceTeams: number[])
+	{
+		for (const [i, inst] of this.#resourceSourceInsts.entries())
+		{
+			const team = resourceSourceTeams[i] ?? -1;
+			const player = this.#playerTeams.indexOf(team);
+			inst.colorRgb = (player === -1 ? NEUTRAL_RESOURCE_SOURCE_COLOR : this.#GetTeamColor(team));
+		}
+	}
+	
+	// The local player's team always uses the local player's own color. Other teams use the
+	// color of the first player on that team.
+	#GetTeamColor(team: number)
+	{
+		const viewpointPlayer = this.#GetViewpointPlayer();
+		if (team === this.GetPlayerTeam(viewpointPlayer))
+			return this.GetPlayerColor(viewpointPlayer);
+		else
+			return this.GetPlayerColor(this.#playerTeams.indexOf(team));
+	}
+	
 	// When a network event is received indicating a projectile was fired,
 	// create a ClientProjectile to represent it.
-	OnProjectileFired(lateness: number, id: number, x: number, y: number, angle: number, speed: number, range: number, distanceTravelled: number)
+	// Missiles also have the ID of the unit they steer towards and their turn rate.
+	OnProjectileFired(lateness: number, id: number, type: ProjectileType, x: number, y: number, angle: number, speed: number, range: number, distanceTravelled: number, targetUnitId = -1, turnRate = 0)
 	{
-		const projectile = new ClientProjectile(this, id, x, y, angle, speed, range, distanceTravelled);
+		const projectile = new ClientProjectile(this, id, type, x, y, angle, speed, range, distanceTravelled, targetUnitId, turnRate);
 		this.#allProjectilesById.set(id, projectile);
 		
 		// Immediately tick the projectile by its lateness. This should catch up its position to where
@@ -362,7 +941,7 @@ export class GameClient {
 	
 	// When a network event is received indicating a projectile hit a target,
 	// destroy the projectile (if it can be found), and create an explosion at the reported location.
-	OnProjectileHit(lateness: number, id: number, x: number, y: number)
+	OnProjectileHit(lateness: number, id: number, type: ProjectileType, x: number, y: number)
 	{
 		// If the client is not properly synchronised, it might not be able to find a
 		// projectile with the reported ID. In that case, just skip destroying it.
@@ -374,13 +953,18 @@ export class GameClient {
 		
 		// Create an explosion at the server reported position as visual feedback for the player.
 		// The explosion is also rotated to a random angle to create visual variation, and it
-		// also has the Fade behavior to fade it out and automatically destroy it.
+		// also has the Fade behavior to fade it out and automatically destroy it. Its size depends
+		// on the type of projectile, so bigger explosions show splash damage.
 		// Note if the event happens more than 1 second late, don't create an explosion, as it
 		// is too late for the visual to obviously correlate to the impact.
 		if (lateness < 1)
 		{
 			const explosionInst = this.#runtime.objects.Explosion.createInstance("Explosions", x, y);
 			explosionInst.angle = Math.random() * 2 * Math.PI;
+			
+			const scale = GetExplosionScale(type);
+			explosionInst.width *= scale;
+			explosionInst.height *= scale;
 		}
 	}
 	
@@ -419,6 +1003,14 @@ export class GameClient {
 		unit.Release();
 	}
 	
+	// When a network event is received indicating an enemy unit went out of sight in to the
+	// fog of war, remove its corresponding unit. This is done quietly, as the unit still exists,
+	// and the server will send a full update to re-create it if it comes back in to sight.
+	OnUnitHiddenEvent(lateness: number, unitId: number)
+	{
+		this.#allUnitsById.get(unitId)?.Release();
+	}
+	
 	// Tick the client to advance the game state by one step.
 	#OnTick()
 	{
@@ -438,6 +1030,12 @@ export class GameClient {
 		// Tick ViewManager for handling smooth zoom.
 		this.#viewManager.Tick(dt);
 		
+		// Tick EconomyPanel to update the production controls for the selected units.
+		this.#economyPanel?.Tick();
+		
+		// Tick CommandPanel to update its controls for the selected units.
+		this.#commandPanel?.Tick();
+		
 		// Tick the message handler, which will fire any network events
 		// scheduled for this time.
 		this.#messageHandler.Tick(simulationTime);
@@ -464,6 +1062,13 @@ export class GameClient {
 			}
 		}
 		
+		// Move the markers on units the local player is attacking, now the units have moved.
+		this.#commandPanel?.UpdateAttackTargetMarkers();
+		
+		// Update the fog of war for the units' new positions. This is done before updating the
+		// minimap, as the minimap also draws the fog of war.
+		this.#fogOfWar.Update(this.GetGameTime());
+		
 		// Redraw the minimap to reflect changes.
 		this.#minimap.Update(this.GetGameTime());
 		
@@ -559,6 +1164,21 @@ export class GameClient {
 	{
 		// Display the result on-screen
 		this.#ShowGameOverMessage(didWin ? "Victory!" : "Defeat...");
+		this.#EndGame();
+	}
+		
+	// Spectators aren't on a team, so when the game is over they are shown which team won instead.
+	OnSpectatedGameOver(winningTeam: number)
+	{
+		this.#ShowGameOverMessage(winningTeam === -1 ? "Draw" : `Team ${winningTeam + 1} wins!`);
+		this.#EndGame();
+	}
+	
+	#EndGame()
+	{
+		// When watching a replay, stay on the game so the replay can still be rewound.
+		if (this.#gameMode === "replay")
+			return;
 		
 		// Wait 5 seconds then go back to the title screen.
 		self.setTimeout(() => this.#runtime.goToLayout("Title screen"), 5000);
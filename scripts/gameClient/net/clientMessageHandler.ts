@@ -3,7 +3,8 @@ import Globals from "../../globals.js";
 import * as MathUtils from "../../utils/clientMathUtils.js";
 
 import { GameClient, type UnitObjectTypeDataKind } from "../gameClient.js";
-import { ClientUnit } from "../../clientUnits/clientUnit.js";
+import { ClientUnit, UNIT_STANCES } from "../../clientUnits/clientUnit.js";
+import { PROJECTILE_TYPES } from "../../clientUnits/clientProjectile.js";
 import { SteppedValueTimeline } from "./steppedValueTimeline.js";
 
 // Whether server sends extra debug state for units for development purposes only.
@@ -19,6 +20,7 @@ const FLAG_CHANGED_SPEED =				 (1 << 1);
 const FLAG_CHANGED_ACCELERATION =		 (1 << 2);
 const FLAG_CHANGED_PLATFORM_ANGLE =		 (1 << 3);
 const FLAG_CHANGED_TURRET_OFFSET_ANGLE = (1 << 4);
+const FLAG_CHANGED_STANCE =				 (1 << 5);
 
 const FLAG_CHANGED_DEBUG_STATE =		 (1 << 7);		// for development purposes only
 
@@ -48,9 +50,10 @@ export class ClientMessageHandler {
 			["pong", m => this.#OnPong(m)],
 			["game-over", m => this.#OnGameOver(m)],
 			["stats", m => this.#OnStats(m)],
-			["find-path", m => this.#OnFindPath(m)],
-			["pathfinding-start-group", m => this.#OnPathfindingStartGroup(m)],
-			["pathfinding-end-group", () => this.#OnPathfindingEndGroup()]
+			["player-economy", m => this.#OnPlayerEconomy(m)],
+			["spectator-stats", m => this.#OnSpectatorStats(m)],
+			["replay-commands", m => this.#OnReplayCommands(m)],
+			["save-game-data", m => this.#OnSaveGameData(m)]
 		]);
 	}
 	
@@ -153,6 +156,10 @@ export class ClientMessageHandler {
 			const player = dataView.getUint8(pos);
 			pos += 1;
 			
+			// Read the unit type ID.
+			const unitTypeId = dataView.getUint8(pos);
+			pos += 1;
+			
 			// Read debug state if enabled.
 			let debugState = 0;
 			if (ENABLE_DEBUG_STATE)
@@ -183,6 +190,11 @@ export class ClientMessageHandler {
 			const turretOffsetAngle = MathUtils.Uint16ToAngle(dataView.getUint16(pos));
 			pos += 2;
 
+			// Read the stance, as its index in the list of stances. Enemy units always
+			// have the default stance here, as the server doesn't reveal their real stance.
+			const stance = UNIT_STANCES[dataView.getUint8(pos)];
+			pos += 1;
+
 			// Look up to see if there is an existing client unit with the given ID.
 			let unit = this.#gameClient.GetUnitById(id);
 			if (unit)
@@ -200,14 +212,21 @@ export class ClientMessageHandler {
 			else
 			{
 				// There is not yet any client unit with the given ID.
-				// Create a new one from the details in the full update.
+				// Create a new one from the details in the full update. However if the unit type
+				// is not known, e.g. as the unit types are still loading, skip the unit for now;
+				// it will be created when a later full update for it arrives.
+				const unitType = this.#gameClient.GetUnitTypeById(unitTypeId);
+				if (!unitType)
+					continue;
+				
 				unit = ClientUnit.Create(this.#gameClient, {
-					id, player,
+					id, player, unitType,
 					x, y, platformAngle, speed,
 					turretOffsetAngle
 				});
 			}
 			
+			unit.SetStance(stance);
 			unit.SetDebugState(debugState);
 			
 			// Set the last update time for the unit (used for timeout).
@@ -307,6 +326,16 @@ export class ClientMessageHandler {
 					unit.SetDebugState(debugState);
 			}
 			
+			// The stance comes last, as the server leaves it out of updates for enemy units.
+			if ((deltaChangeFlags & FLAG_CHANGED_STANCE) !== 0)
+			{
+				const stance = UNIT_STANCES[dataView.getUint8(pos)];
+				pos += 1;
+				
+				if (unit)
+					unit.SetStance(stance);
+			}
+			
 			// If the unit was found, set the last update time for the unit (used for timeout).
 			if (unit)
 				unit.SetLastUpdateTime(serverTime);
@@ -338,6 +367,8 @@ export class ClientMessageHandler {
 				pos = this.#ReadProjectileHitEvent(dataView, pos, eventList);
 			else if (eventType === 2)
 				pos = this.#ReadUnitDestroyedEvent(dataView, pos, eventList);
+			else if (eventType === 3)
+				pos = this.#ReadUnitHiddenEvent(dataView, pos, eventList);
 			else
 				throw new Error(`unknown event type '${eventType}'`);
 		}
@@ -356,6 +387,10 @@ export class ClientMessageHandler {
 		const id = dataView.getUint16(pos);
 		pos += 2;
 		
+		// Projectile type, as its index in the list of projectile types
+		const type = PROJECTILE_TYPES[dataView.getUint8(pos)];
+		pos += 1;
+		
 		// Read X, Y, angle, speed, range and distance travelled.
 		const x = dataView.getUint16(pos);
 		pos += 2;
@@ -370,8 +405,20 @@ export class ClientMessageHandler {
 		const distanceTravelled = dataView.getUint16(pos);
 		pos += 2;
 		
+		// Missiles also have the ID of the unit they steer towards, and their turn rate in degrees
+		// per second, which is 0 if they aren't steering towards anything.
+		let targetUnitId = -1;
+		let turnRate = 0;
+		if (type === "missile")
+		{
+			targetUnitId = dataView.getUint16(pos);
+			pos += 2;
+			turnRate = MathUtils.ToRadians(dataView.getUint16(pos));
+			pos += 2;
+		}
+		
 		// Add a function to perform this event to the event list.
-		eventList.push(lateness => this.#gameClient.OnProjectileFired(lateness, id, x, y, angle, speed, range, distanceTravelled));
+		eventList.push(lateness => this.#gameClient.OnProjectileFired(lateness, id, type, x, y, angle, speed, range, distanceTravelled, targetUnitId, turnRate));
 		
 		return pos;
 	}
@@ -382,6 +429,10 @@ export class ClientMessageHandler {
 		const id = dataView.getUint16(pos);
 		pos += 2;
 		
+		// Projectile type, as its index in the list of projectile types
+		const type = PROJECTILE_TYPES[dataView.getUint8(pos)];
+		pos += 1;
+		
 		// Read X, Y
 		const x = dataView.getUint16(pos);
 		pos += 2;
@@ -389,7 +440,7 @@ export class ClientMessageHandler {
 		pos += 2;
 		
 		// Add a function to perform this event to the event list.
-		eventList.push(lateness => this.#gameClient.OnProjectileHit(lateness, id, x, y));
+		eventList.push(lateness => this.#gameClient.OnProjectileHit(lateness, id, type, x, y));
 		
 		return pos;
 	}
@@ -406,6 +457,18 @@ export class ClientMessageHandler {
 		return pos;
 	}
 	
+	#ReadUnitHiddenEvent(dataView: DataView, pos: number, eventList: EventList)
+	{
+		// Unit ID
+		const id = dataView.getUint16(pos);
+		pos += 2;
+		
+		// Add a function to perform this event to the event list.
+		eventList.push(lateness => this.#gameClient.OnUnitHiddenEvent(lateness, id));
+		
+		return pos;
+	}
+	
 	Tick(simulationTime: number)
 	{
 		// Check the stepped value timeline with network events for anything that is now
@@ -430,37 +493,16 @@ export class ClientMessageHandler {
 		}
 	}
 	
-	// GameServer uses the Pathfinding behavior of the host player to perform pathfinding
-	// calculations for it. When receiving a find-path message, find the path and send
-	// the result back to GameServer.
-	async #OnFindPath(m: any)
-	{
-		const [fromX, fromY] = m["from"];
-		const [toX, toY] = m["to"];
-		
-		const pfController = this.#gameClient.GetPathfindingController();
-		const result = await pfController.FindPath(fromX, fromY, toX, toY);
-		
-		this.#gameClient.SendToServer({
-			"message-id": m["message-id"],	// pass same message-id for reply
-			"resolve": result				// send resulting path as result
-		}, "");
-	}
-	
-	// ServerPathfinding sends messages to start and stop pathfinding groups
-	// in the host player's PathfindingController.
-	#OnPathfindingStartGroup(m: any)
+	// GameServer sends the command log when requested to download a replay.
+	#OnReplayCommands(m: any)
 	{
-		const baseCost = m["baseCost"];
-		const cellSpread = m["cellSpread"];
-		const maxWorkers = m["maxWorkers"];
-		
-		this.#gameClient.GetPathfindingController().StartGroup(baseCost, cellSpread, maxWorkers);
+		this.#gameClient.OnReplayCommands(m["commands"]);
 	}
-	
-	#OnPathfindingEndGroup()
+
+	// GameServer sends the save data when requested to save the game.
+	#OnSaveGameData(m: any)
 	{
-		this.#gameClient.GetPathfindingController().EndGroup();
+		this.#gameClient.OnSaveGameData(m["data"]);
 	}
 	
 	// Get information about units, such as their size and image point locations,
@@ -541,11 +583,33 @@ export class ClientMessageHandler {
 	
 	#OnGameOver(m: any)
 	{
-		const winningPlayer = m["winning-player"];
-		const didWin = (this.#gameClient.GetPlayer() === winningPlayer);
+		// Victory is decided per team, so the local player won if their team won.
+		// Spectators aren't on any team, so are just told which team won.
+		const winningTeam = m["winning-team"];
+		const gameClient = this.#gameClient;
+		const player = gameClient.GetPlayer();
+		if (player === null)
+		{
+			gameClient.OnSpectatedGameOver(winningTeam);
+			return;
+		}
+		
+		const didWin = (gameClient.GetPlayerTeam(player) === winningTeam);
 		this.#gameClient.OnGameOver(didWin);
 	}
 	
+	// Received regularly with the state of the local player's resources and production.
+	#OnPlayerEconomy(m: any)
+	{
+		this.#gameClient.OnPlayerEconomy(m);
+	}
+	
+	// Received regularly by spectators with the stats for every player.
+	#OnSpectatorStats(m: any)
+	{
+		this.#gameClient.OnSpectatorStats(m);
+	}
+	
 	// Received every 1 second as the server sends stats messages.
 	// Display the received statistics in the StatsText object.
 	#OnStats(m: any)
@@ -556,8 +620,10 @@ export class ClientMessageHandler {
 		
 		let statsStr = "";
 		
-		// Don't show network stats in single player mode as they are not applicable
-		if (this.#gameClient.GetGameMode() !== "single-player")
+		// Only show network stats from the Multiplayer object in the game modes that use it.
+		// They are not applicable in single player mode or when using a dedicated server.
+		const gameMode = this.#gameClient.GetGameMode();
+		if (gameMode === "multiplayer-host" || gameMode === "multiplayer-peer")
 		{
 			const mpStats = runtime.objects.Multiplayer.stats;
 			
@@ -572,6 +638,14 @@ Server performance: ${m["server-fps"]} FPS, ${Math.round(m["server-thread-usage"
 Client performance: ${runtime.fps} FPS, ${Math.round(runtime.cpuUtilisation * 100)}% CPU
 Latency: [b]${Math.round(pingManager.GetLatency() * 1000)} ms[/b] (pdv ${Math.round(pingManager.GetPdv() * 1000)} ms)
 Server data: state ${Math.round(m["sent-state-bytes"] / 1024)} kb/s, deltas ${Math.round(m["sent-delta-bytes"] / 1024)} kb/s, events ${Math.round(m["sent-event-bytes"] / 1024)} kb/s, total [b]${Math.round((m["sent-state-bytes"] + m["sent-delta-bytes"] + m["sent-event-bytes"]) / 1024)} kb/s[/b]`;
+		
+		// Show the breakdown of game update data sent to each player. Note this is only the binary
+		// game updates, which are the majority of the data; it doesn't include other messages.
+		const playerBytes: number[] = m["sent-player-bytes"] ?? [];
+		if (playerBytes.length > 0)
+		{
+			statsStr += "\nPer player: " + playerBytes.map((bytes, player) => `P${player} ${Math.round(bytes / 1024)} kb/s`).join(", ");
+		}
 
 		inst.text = statsStr;
 	}
@@ -39,6 +39,12 @@ export class PingManager {
             this.#pingTimerId = -1;
         }
     }
+    // Send a ping straight away, rather than waiting for the next one. This is used when the server
+    // time changes due to loading a saved game, so the client re-synchronizes as quickly as possible.
+    Resync() {
+        this.Release();
+        this.#SendPing();
+    }
     // Send a ping to the server.
     #SendPing() {
         // Get a new ID for this ping by incrementing a number.
@@ -57,6 +57,14 @@ export class PingManager {
 		}
 	}
 	
+	// Send a ping straight away, rather than waiting for the next one. This is used when the server
+	// time changes due to loading a saved game, so the client re-synchronizes as quickly as possible.
+	Resync()
+	{
+		this.Release();
+		this.#SendPing();
+	}
+	
 	// Send a ping to the server.
 	#SendPing()
 	{
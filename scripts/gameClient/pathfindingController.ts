@@ -1,15 +1,17 @@
 
-import * as MathUtils from "../utils/clientMathUtils.js";
 import { GameClient } from "./gameClient.js";
 
-// A class to manage pathfinding. It essentially wraps the Pathfinding behavior in the
-// PathfindingController object, so it can use Construct's built-in pathfinding calculations.
+// A class to manage the pathfinding map. GameServer finds paths itself with its own grid (see
+// PathfindingGrid), but the client still uses the Pathfinding behavior in the PathfindingController
+// object to work out which areas are obstacles, for drawing the terrain on the minimap and for
+// displaying the map for debugging. Its cell size and border match the server's grid.
 export class PathfindingController {
 
 	#gameClient;				// reference to GameClient
 	#runtime;					// Construct runtime
 	#pathfindingBeh;			// the Pathfinding behavior in the PathfindingController object
 	#debugTilemapInst;			// a Tilemap instance for displaying the pathfinding map
+	#hasGeneratedMap = false;	// set to true once the pathfinding map has been generated
 	
 	constructor(gameClient: GameClient)
 	{
@@ -20,10 +22,6 @@ export class PathfindingController {
 		const pfControllerInst = this.#runtime.objects.PathfindingController.getFirstInstance()!;
 		this.#pathfindingBeh = pfControllerInst.behaviors.Pathfinding;
 		
-		// Set the base movement cost to 100, rather than the default 10. This allows finer
-		// control over the path costs for spreading with path groups.
-		this.#pathfindingBeh.map.moveCost = 100;
-		
 		// Get the debug tilemap for displaying the pathfinding map.
 		this.#debugTilemapInst = this.#runtime.objects.PFDebugTilemap.getFirstInstance()!;
 	}
@@ -31,98 +29,52 @@ export class PathfindingController {
 	// Called on startup to initialise pathfinding.
 	async Init()
 	{
-		// Regenerate the pathfinding map now the layout size has been updated.
+		// Regenerate the pathfinding map now the layout size has been updated. Note the flag is
+		// set before waiting, as any obstacles changing after this point will need updating
+		// separately, since the map has already started generating with the prior obstacles.
+		this.#hasGeneratedMap = true;
 		await this.#pathfindingBeh.map.regenerateMap();
 		
 		// Display the pathfinding map state in the debug tilemap.
 		this.#UpdateDebugTilemap();
 	}
 	
-	#UpdateDebugTilemap()
+	// Static units (such as gun emplacements) are obstacles for pathfinding, as their platform
+	// objects have the Solid behavior. When one is created or destroyed, this is called to regenerate
+	// the area of the pathfinding map it covers. If the map hasn't been generated yet, there is
+	// nothing to do, as it will include the obstacle when it is generated.
+	async UpdateObstacleArea(left: number, top: number, right: number, bottom: number)
 	{
-		// Resize the tilemap to the layout size.
-		const layout = this.#runtime.layout;
-		this.#debugTilemapInst.width = layout.width;
-		this.#debugTilemapInst.height = layout.height;
+		if (!this.#hasGeneratedMap)
+			return;
 		
-		// For each pathfinding map cell, set tile 0 (a red tile) in the tilemap
-		// if that cell counts as an obstacle. This displays obstacles as red areas.
 		const pfMap = this.#pathfindingBeh.map;
-		const hCells = pfMap.widthInCells;
-		const vCells = pfMap.heightInCells;
-		for (let y = 0; y < vCells; ++y)
-		{
-			for (let x = 0; x < hCells; ++x)
-			{
-				if (pfMap.isCellObstacle(x, y))
-				{
-					this.#debugTilemapInst.setTileAt(x, y, 0);
-				}
-			}
-		}
-	}
-	
-	// Find a path between two points using the Pathfinding behavior. Return the result
-	// as a list of waypoints (i.e. [[x1, y1], [x2, y2], ...]) or null if no path
-	// was able to be calculated.
-	async FindPath(fromX: number, fromY: number, toX: number, toY: number)
-	{
-		const foundPath = await this.#pathfindingBeh.calculatePath(fromX, fromY, toX, toY);
-		if (foundPath)
-		{
-			const nodeList = [...this.#pathfindingBeh.nodes()];
-			
-			// If the destination position cell is not an obstacle, replace the last node with
-			// the specified destination position. This allows moving to the exact location
-			// rather than the middle of the nearest cell at the destination position.
-			if (!this.IsCellObstacle(toX, toY))
-			{
-				const lastNode = nodeList.at(-1)!;
-				lastNode[0] = toX;
-				lastNode[1] = toY;
-			}
-			
-			// For testing purposes: visualize the path on the DebugOverlay layer.
-			//this.#DebugVisualizePath(fromX, fromY, nodeList);
-			
-			return nodeList;
-		}
-		else
-		{
-			return null;
-		}
+		await pfMap.regenerateRegion(left, top, right, bottom);
+		
+		// Update the debug tilemap for the cells in the area.
+		const cellSize = pfMap.cellSize;
+		this.#UpdateDebugTilemap(Math.floor(left / cellSize), Math.floor(top / cellSize),
+								 Math.ceil(right / cellSize), Math.ceil(bottom / cellSize));
 	}
 	
-	// Create PFNode and PFNodeLine objects on the DebugOverlay layer to visualize calculated paths.
-	// The objects have the Fade behavior so after a while they fade out and disappear.
-	#DebugVisualizePath(fromX: number, fromY: number, nodeList: number[][])
+	#UpdateDebugTilemap(left = 0, top = 0, right = Infinity, bottom = Infinity)
 	{
-		// Copy the node list and add the start position at the beginning as an extra node,
-		// so the start position is included in the visualization.
-		nodeList = nodeList.slice(0);
-		nodeList.unshift([fromX, fromY]);
+		// Resize the tilemap to the layout size.
+		const layout = this.#runtime.layout;
+		this.#debugTilemapInst.width = layout.width;
+		this.#debugTilemapInst.height = layout.height;
 		
-		// For every node in the path
-		for (let i = 0, len = nodeList.length; i < len; ++i)
+		// For each pathfinding map cell in the given range, set tile 0 (a red tile) in the tilemap
+		// if that cell counts as an obstacle, otherwise erase the tile (-1). This displays obstacles as red areas.
+		const pfMap = this.#pathfindingBeh.map;
+		const hCells = Math.min(right, pfMap.widthInCells);
+		const vCells = Math.min(bottom, pfMap.heightInCells);
+		for (let y = Math.max(top, 0); y < vCells; ++y)
 		{
-			// Get current node position
-			const [x, y] = nodeList[i];
-			
-			// If this is not the last node in the list, then create a line to the next node
-			if (i < len - 1)
+			for (let x = Math.max(left, 0); x < hCells; ++x)
 			{
-				// Get next node position
-				const [nextX, nextY] = nodeList[i + 1];
-				
-				// Create a PFNodeLine (Tiled Background) instance. Set its angle to the next node
-				// and its width to the distance to the next node, so it acts as a line between them.
-				const lineInst = this.#runtime.objects.PFNodeLine.createInstance("DebugOverlay", x, y);
-				lineInst.angle = MathUtils.AngleTo(x, y, nextX, nextY);
-				lineInst.width = MathUtils.DistanceTo(x, y, nextX, nextY);
+				this.#debugTilemapInst.setTileAt(x, y, pfMap.isCellObstacle(x, y) ? 0 : -1);
 			}
-			
-			// Create a PFNode sprite to represent this node.
-			this.#runtime.objects.PFNode.createInstance("DebugOverlay", x, y);
 		}
 	}
 	
@@ -134,15 +86,4 @@ export class PathfindingController {
 		const cellSize = pfMap.cellSize;
 		return pfMap.isCellObstacle(Math.floor(x / cellSize), Math.floor(y / cellSize));
 	}
-	
-	// Forward calls to start and end pathfinding groups to the Pathfinding behavior.
-	StartGroup(baseCost: number, cellSpread: number, maxWorkers: number)
-	{
-		this.#pathfindingBeh.map.startPathGroup(baseCost, cellSpread, maxWorkers);
-	}
-	
-	EndGroup()
-	{
-		this.#pathfindingBeh.map.endPathGroup();
-	}
 }
\ No newline at end of file
@@ -0,0 +1,103 @@
+// Replay files store everything needed to play back a match: the exact messages the recording
+// player's GameClient received from GameServer, and the commands GameServer received from every
+// player. The file is a simple binary format so the binary game updates can be stored as-is.
+// It starts with the 4 character magic string "CCRP" and a uint32 format version, followed by
+// a series of records. Each record has a uint8 record kind, a float64 time in seconds, a uint32
+// data length in bytes, and then the data itself. The first record is the header, and the last
+// is the command log, both in JSON format. Everything in between is a message from GameServer.
+// Note all numbers are stored big-endian, the DataView default, like the binary game updates.
+const REPLAY_FILE_MAGIC = "CCRP";
+// The version of the replay file format. This must be incremented if the format changes,
+// so older replay files can still be identified and rejected rather than misread.
+const REPLAY_FILE_VERSION = 1;
+// The record kinds
+const RECORD_KIND_HEADER = 0; // JSON header with details of the match
+const RECORD_KIND_JSON_MESSAGE = 1; // JSON message from GameServer
+const RECORD_KIND_BINARY_MESSAGE = 2; // binary message from GameServer (ArrayBuffer)
+const RECORD_KIND_COMMANDS = 3; // JSON command log from GameServer
+// The size of the file header and each record header in bytes.
+const FILE_HEADER_SIZE = 8;
+const RECORD_HEADER_SIZE = 13;
+// The file extension to use for replay files.
+export const REPLAY_FILE_EXTENSION = ".ccreplay";
+// Write a replay file with the given data, returning a Blob of the file contents. Note the binary
+// messages are included in the Blob as they are, so they must not be modified afterwards.
+export function WriteReplayFile(data) {
+    const textEncoder = new TextEncoder();
+    const blobParts = [];
+    const fileHeader = new DataView(new ArrayBuffer(FILE_HEADER_SIZE));
+    for (let i = 0; i < REPLAY_FILE_MAGIC.length; ++i)
+        fileHeader.setUint8(i, REPLAY_FILE_MAGIC.charCodeAt(i));
+    fileHeader.setUint32(4, REPLAY_FILE_VERSION);
+    blobParts.push(fileHeader);
+    // Add a record to the blob parts, which is a record header followed by the data.
+    const addRecord = (kind, time, bytes) => {
+        const recordHeader = new DataView(new ArrayBuffer(RECORD_HEADER_SIZE));
+        recordHeader.setUint8(0, kind);
+        recordHeader.setFloat64(1, time);
+        recordHeader.setUint32(9, bytes.byteLength);
+        blobParts.push(recordHeader, bytes);
+    };
+    addRecord(RECORD_KIND_HEADER, 0, textEncoder.encode(JSON.stringify(data.header)));
+    for (const { time, message } of data.messages) {
+        if (message instanceof ArrayBuffer)
+            addRecord(RECORD_KIND_BINARY_MESSAGE, time, message);
+        else
+            addRecord(RECORD_KIND_JSON_MESSAGE, time, textEncoder.encode(JSON.stringify(message)));
+    }
+    // The command log comes last, timed at the last message, as it's only sent at the end.
+    const endTime = data.messages.at(-1)?.time ?? 0;
+    addRecord(RECORD_KIND_COMMANDS, endTime, textEncoder.encode(JSON.stringify(data.commands)));
+    return new Blob(blobParts, { type: "application/octet-stream" });
+}
+// Read a replay file from an ArrayBuffer of its contents. This throws an exception if the file
+// is not a replay file, is from an unsupported version, or is truncated.
+export function ReadReplayFile(arrayBuffer) {
+    const textDecoder = new TextDecoder();
+    const dataView = new DataView(arrayBuffer);
+    if (arrayBuffer.byteLength < FILE_HEADER_SIZE)
+        throw new Error("not a replay file");
+    let magic = "";
+    for (let i = 0; i < REPLAY_FILE_MAGIC.length; ++i)
+        magic += String.fromCharCode(dataView.getUint8(i));
+    if (magic !== REPLAY_FILE_MAGIC)
+        throw new Error("not a replay file");
+    const version = dataView.getUint32(4);
+    if (version !== REPLAY_FILE_VERSION)
+        throw new Error(`unsupported replay file version ${version}`);
+    let header = null;
+    let commands = [];
+    const messages = [];
+    let pos = FILE_HEADER_SIZE;
+    while (pos < arrayBuffer.byteLength) {
+        if (pos + RECORD_HEADER_SIZE > arrayBuffer.byteLength)
+            throw new Error("replay file is truncated");
+        const kind = dataView.getUint8(pos);
+        const time = dataView.getFloat64(pos + 1);
+        const byteLength = dataView.getUint32(pos + 9);
+        pos += RECORD_HEADER_SIZE;
+        const end = pos + byteLength;
+        if (end > arrayBuffer.byteLength)
+            throw new Error("replay file is truncated");
+        // Binary messages are copied to their own ArrayBuffer, as that is what GameClient expects
+        // to receive. JSON records are decoded from a view of the data.
+        if (kind === RECORD_KIND_BINARY_MESSAGE) {
+            messages.push({ time, message: arrayBuffer.slice(pos, end) });
+        }
+        else {
+            const json = JSON.parse(textDecoder.decode(new Uint8Array(arrayBuffer, pos, byteLength)));
+            if (kind === RECORD_KIND_HEADER)
+                header = json;
+            else if (kind === RECORD_KIND_JSON_MESSAGE)
+                messages.push({ time, message: json });
+            else if (kind === RECORD_KIND_COMMANDS)
+                commands = json;
+            else
+                throw new Error(`unexpected replay record kind '${kind}'`);
+        }
+        pos = end;
+    }
+    if (!header)
+        throw new Error("replay file has no header");
+    return { header, messages, commands };
+}
@@ -0,0 +1,134 @@
+
+import { GameClient } from "../gameClient.js";
+import { WriteReplayFile, REPLAY_FILE_EXTENSION, type ReplayMessage, type ReplayCommand } from "./replayFile.js";
+
+// The maximum size of the recorded messages in bytes. Long matches with lots of units could
+// otherwise use an unbounded amount of memory, so recording stops if it reaches this size.
+const MAX_RECORDING_SIZE = 256 * 1024 * 1024;
+
+// Messages from GameServer that are not part of the game state, so are not recorded. Pongs are
+// replies to this particular client, the command log is what is being requested to write the
+// replay file, and save data is only for saving the game.
+const UNRECORDED_MESSAGE_TYPES = new Set([
+	"pong", "replay-commands", "save-game-data"
+]);
+
+// The position and size of the "Download replay" button on the UI layer, which is placed
+// in the top-right corner just below the EconomyText.
+const BUTTON_WIDTH = 180;
+const BUTTON_HEIGHT = 36;
+const BUTTON_X = 1915 - BUTTON_WIDTH;
+const BUTTON_Y = 70;
+
+// How long to keep the object URL of a downloaded replay file, in milliseconds. The download
+// happens asynchronously, so this allows plenty of time for it to start before revoking it.
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+// The ReplayRecorder class records a replay of the match for the host's GameClient (i.e. in single
+// player or as the multiplayer host). It stores the exact stream of messages GameClient receives
+// from GameServer, along with the time each arrived, so GameModeReplay can feed them back in to
+// GameClient in the same way to play back the match. When the player clicks the "Download replay"
+// button, it requests the command log from GameServer, which has every command received from every
+// player, and then saves the replay file along with that.
+export class ReplayRecorder {
+
+	// Private fields
+	#gameClient;					// reference to GameClient
+	#messages: ReplayMessage[] = [];	// all messages recorded so far
+	#recordingSize = 0;				// approximate size of the recorded messages in bytes
+	#isRecording = true;			// set to false if recording stops due to the size limit
+	#isDownloadPending = false;		// waiting for the command log to download the replay
+	#buttonInst;					// the "Download replay" button (ReplayButton)
+	
+	constructor(gameClient: GameClient)
+	{
+		this.#gameClient = gameClient;
+		
+		const runtime = gameClient.GetRuntime();
+		this.#buttonInst = runtime.objects.ReplayButton.createInstance("UI", BUTTON_X, BUTTON_Y);
+		this.#buttonInst.width = BUTTON_WIDTH;
+		this.#buttonInst.height = BUTTON_HEIGHT;
+		this.#buttonInst.text = "Download replay";
+		this.#buttonInst.addEventListener("click", () => this.#OnClickDownload());
+	}
+	
+	Release()
+	{
+		this.#buttonInst.destroy();
+	}
+	
+	// Called for every message GameClient receives from GameServer.
+	OnGameServerMessage(msg: any)
+	{
+		if (!this.#isRecording)
+			return;
+		
+		// Skip messages which aren't part of the game state.
+		if (!(msg instanceof ArrayBuffer) && UNRECORDED_MESSAGE_TYPES.has(msg["type"]))
+			return;
+		
+		// Note the size of JSON messages isn't counted, as they are small and relatively infrequent
+		// compared to the binary game updates, and it would mean stringifying every message.
+		if (msg instanceof ArrayBuffer)
+			this.#recordingSize += msg.byteLength;
+		
+		if (this.#recordingSize > MAX_RECORDING_SIZE)
+		{
+			console.warn("[ReplayRecorder] Stopped recording as the replay is too large");
+			this.#isRecording = false;
+			return;
+		}
+		
+		// Record the message along with the client game time it arrived. Note GameClient doesn't
+		// modify messages it receives, so there's no need to make a copy of them.
+		this.#messages.push({
+			time: this.#gameClient.GetGameTime() + this.#gameClient.GetTimeSinceLastTick(),
+			message: msg
+		});
+	}
+	
+	// When the player clicks the download button, ask GameServer for the command log. The download
+	// continues in OnReplayCommands() when it arrives.
+	#OnClickDownload()
+	{
+		if (this.#isDownloadPending)
+			return;
+		
+		this.#isDownloadPending = true;
+		this.#gameClient.SendToServer({
+			"type": "get-replay-commands"
+		});
+	}
+	
+	// Called when GameServer sends the command log, to write the replay file and download it.
+	// Downloading is done by the event sheet function DownloadFile, as the Browser object
+	// can download a file from a URL, but that isn't accessible from scripts in a worker.
+	OnReplayCommands(commands: ReplayCommand[])
+	{
+		if (!this.#isDownloadPending)
+			return;
+		
+		this.#isDownloadPending = false;
+		
+		const runtime = this.#gameClient.GetRuntime();
+		const blob = WriteReplayFile({
+			header: {
+				player: this.#gameClient.GetPlayer()!,		// only the host records, which is never a spectator
+				unitTypes: this.#gameClient.GetUnitTypesData(),
+				projectVersion: runtime.projectVersion,
+				recordedAt: new Date().toISOString()
+			},
+			messages: this.#messages,
+			commands
+		});
+		
+		// Name the file after the current date and time, e.g. "replay-2024-01-31-1530.ccreplay".
+		const date = new Date();
+		const pad = (n: number) => n.toString().padStart(2, "0");
+		const filename = `replay-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${REPLAY_FILE_EXTENSION}`;
+		
+		const url = URL.createObjectURL(blob);
+		runtime.callFunction("DownloadFile", url, filename);
+		self.setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+	}
+}
@@ -0,0 +1,383 @@
+
+import { GameClient } from "../gameClient.js";
+import { ClientUnit, type UnitStance, UNIT_STANCES } from "../../clientUnits/clientUnit.js";
+import { type FormationType, FORMATION_TYPES } from "../formations.js";
+import { MultiEventHandler } from "../../utils/multiEventHandler.js";
+
+// The size and position of the command buttons on the UI layer. They are placed in a row along
+// the bottom of the viewport, to the right of the StatsText, and above the production buttons so
+// both fit when a factory and other units are selected at the same time.
+const BUTTON_WIDTH = 160;
+const BUTTON_HEIGHT = 36;
+const BUTTON_SPACING = 6;
+const BUTTONS_LEFT = 860;
+const BUTTONS_TOP = 994;
+
+// The name of each formation shown on its button.
+const FORMATION_NAMES = new Map<FormationType, string>([
+	["box",		"Box"],
+	["line",	"Line"],
+	["wedge",	"Wedge"]
+]);
+
+// The name of each stance shown on its button.
+const STANCE_NAMES = new Map<UnitStance, string>([
+	["aggressive",	"Aggressive"],
+	["defensive",	"Defensive"],
+	["return-fire",	"Return fire"],
+	["hold-fire",	"Hold fire"]
+]);
+
+// Commands that need the player to pick a position for the selected units to go to. After choosing
+// one of these, the next click on the ground gives the command, rather than the normal move command.
+export type TargetCommand = "attack-move" | "patrol";
+
+// All the commands that send units to a position.
+export type MoveCommand = "move" | TargetCommand;
+
+// The key to press and the name shown on the button for each target command.
+const TARGET_COMMANDS = new Map<TargetCommand, { key: string, name: string }>([
+	["attack-move",	{ key: "A", name: "Attack move" }],
+	["patrol",		{ key: "P", name: "Patrol" }]
+]);
+
+// The CommandPanel class manages the UI for commanding the local player's selected units.
+// When any units are selected, it shows a button with their stance, which switches them all to the
+// next stance when clicked (T key). It says the stance is mixed if they are in different stances.
+// When any units that can move are selected, it also shows a row of buttons for commands:
+// - the formation they move in, which switches to the next formation when clicked (F key)
+// - attack-move (A key) and patrol (P key), which then wait for the player to click a position
+// - stop (S key) and hold position (H key), which apply straight away
+// The chosen formation applies to all moves, and is kept even while no units are selected.
+// It also shows a marker on any enemy unit the local player's units are ordered to attack, which
+// is done by right-clicking the enemy unit, or attack-moving on to it.
+export class CommandPanel {
+
+	// Private fields
+	#gameClient;					// reference to GameClient
+	#eventHandlers;					// MultiEventHandler for runtime events
+	#formation: FormationType = "box";		// formation to move units in
+	#targetCommand: TargetCommand | null = null;	// command waiting for a position to be picked
+	
+	// Stance button instance, which only exists while any units are selected.
+	#stanceButtonInst: IButtonInstance | null = null;
+	
+	// Command button instances, which only exist while any units that can move are selected.
+	#buttonInsts: IButtonInstance[] = [];
+	#formationButtonInst: IButtonInstance | null = null;
+	#targetCommandButtonInsts = new Map<TargetCommand, IButtonInstance>();
+	
+	// Marker shown on each unit the local player's units are ordered to attack.
+	#attackTargetMarkerInsts = new Map<ClientUnit, InstanceType.AttackTargetMarker>();
+	
+	constructor(gameClient: GameClient)
+	{
+		this.#gameClient = gameClient;
+		
+		const runtime = gameClient.GetRuntime();
+		this.#eventHandlers = new MultiEventHandler([
+			[runtime,		"keydown",		e => this.#OnKeyDown(e)]
+		]);
+	}
+	
+	Release()
+	{
+		this.#eventHandlers.Release();
+		this.#stanceButtonInst?.destroy();
+		this.#DestroyButtons();
+		
+		for (const inst of this.#attackTargetMarkerInsts.values())
+		{
+			inst.destroy();
+		}
+		
+		this.#attackTargetMarkerInsts.clear();
+	}
+	
+	GetFormation()
+	{
+		return this.#formation;
+	}
+	
+	// Return the command waiting for the player to pick a position, or null if none.
+	GetTargetCommand()
+	{
+		return this.#targetCommand;
+	}
+	
+	// Start waiting for the player to pick a position for a command. A crosshair cursor shows the
+	// next click gives the command.
+	#SetTargetCommand(command: TargetCommand | null)
+	{
+		this.#targetCommand = command;
+		this.#gameClient.GetPointerManager().SetMouseCursor(command ? "crosshair" : "auto");
+		this.#UpdateButtons();
+	}
+	
+	CancelTargetCommand()
+	{
+		if (this.#targetCommand)
+			this.#SetTargetCommand(null);
+	}
+	
+	// Called every tick to show the stance button only while any units are selected, and the command
+	// buttons only while any units that can move are selected.
+	Tick()
+	{
+		this.#UpdateStanceButton();
+		
+		const hasMovableUnit = this.#IsAnyMovableUnitSelected();
+		if (hasMovableUnit === (this.#buttonInsts.length > 0))
+			return;		// no change
+		
+		if (hasMovableUnit)
+		{
+			this.#CreateButtons();
+		}
+		else
+		{
+			this.#DestroyButtons();
+			this.CancelTargetCommand();
+		}
+	}
+	
+	// Called every tick after units have moved, to show a marker on every unit the local player's
+	// units are ordered to attack. The server ends an attack order when the target is destroyed or
+	// goes out of sight, which is also when the client removes the target unit, so in that case
+	// the attack target is cleared here too.
+	UpdateAttackTargetMarkers()
+	{
+		const gameClient = this.#gameClient;
+		const targetUnits = new Set<ClientUnit>();
+		for (const unit of gameClient.allLocalPlayerUnits())
+		{
+			const targetId = unit.GetAttackTargetId();
+			if (targetId === -1)
+				continue;
+			
+			const targetUnit = gameClient.GetUnitById(targetId);
+			if (targetUnit)
+				targetUnits.add(targetUnit);
+			else
+				unit.SetAttackTargetId(-1);
+		}
+		
+		// Destroy markers on units that are no longer targeted.
+		const markerInsts = this.#attackTargetMarkerInsts;
+		for (const [targetUnit, inst] of markerInsts)
+		{
+			if (!targetUnits.has(targetUnit))
+			{
+				inst.destroy();
+				markerInsts.delete(targetUnit);
+			}
+		}
+		
+		// Create markers on any newly targeted units, and move all the markers to their target.
+		const runtime = gameClient.GetRuntime();
+		for (const targetUnit of targetUnits)
+		{
+			let inst = markerInsts.get(targetUnit);
+			if (!inst)
+			{
+				inst = runtime.objects.AttackTargetMarker.createInstance("SelectionBoxes", 0, 0);
+				markerInsts.set(targetUnit, inst);
+			}
+			
+			const [x, y] = targetUnit.GetPlatform().GetPosition();
+			inst.setPosition(x, y);
+		}
+	}
+	
+	// Create or destroy the stance button as units are selected, and update its text to show the
+	// stance of the selected units. The text is only set when it changes.
+	#UpdateStanceButton()
+	{
+		const stance = this.#GetSelectedStance();
+		if (stance === null)
+		{
+			this.#stanceButtonInst?.destroy();
+			this.#stanceButtonInst = null;
+			return;
+		}
+		
+		if (!this.#stanceButtonInst)
+		{
+			const runtime = this.#gameClient.GetRuntime();
+			const inst = runtime.objects.ProductionButton.createInstance("UI", BUTTONS_LEFT, BUTTONS_TOP);
+			inst.width = BUTTON_WIDTH;
+			inst.height = BUTTON_HEIGHT;
+			inst.addEventListener("click", () => this.#NextStance());
+			this.#stanceButtonInst = inst;
+		}
+		
+		const text = (stance === "mixed" ? "T: Mixed stance" : `T: ${STANCE_NAMES.get(stance)}`);
+		if (this.#stanceButtonInst.text !== text)
+			this.#stanceButtonInst.text = text;
+	}
+	
+	// Return the stance of all the selected units, "mixed" if they are in different stances,
+	// or null if no units are selected.
+	#GetSelectedStance(): UnitStance | "mixed" | null
+	{
+		let result: UnitStance | null = null;
+		for (const unit of this.#gameClient.GetSelectionManager().allSelectedUnits())
+		{
+			const stance = unit.GetStance();
+			if (result === null)
+				result = stance;
+			else if (result !== stance)
+				return "mixed";
+		}
+		
+		return result;
+	}
+	
+	// Switch all the selected units to the stance after the first selected unit's stance, going
+	// back to the first after the last one. So if the units are in mixed stances, they all end up
+	// in the same stance.
+	#NextStance()
+	{
+		const units = this.#GetSelectedUnits();
+		if (units.length === 0)
+			return;
+		
+		const index = UNIT_STANCES.indexOf(units[0].GetStance());
+		this.#gameClient.SetUnitStance(units, UNIT_STANCES[(index + 1) % UNIT_STANCES.length]);
+		this.#UpdateStanceButton();
+	}
+	
+	#IsAnyMovableUnitSelected()
+	{
+		for (const unit of this.#gameClient.GetSelectionManager().allSelectedUnits())
+		{
+			if (!unit.GetUnitType().IsStatic())
+				return true;
+		}
+		
+		return false;
+	}
+	
+	#GetSelectedUnits()
+	{
+		return [...this.#gameClient.GetSelectionManager().allSelectedUnits()];
+	}
+	
+	// Create the command buttons, after the stance button.
+	#CreateButtons()
+	{
+		let x = BUTTONS_LEFT + BUTTON_WIDTH + BUTTON_SPACING;
+		const addButton = (onClick: () => void) =>
+		{
+			const inst = this.#CreateButton(x, onClick);
+			x += BUTTON_WIDTH + BUTTON_SPACING;
+			return inst;
+		};
+		
+		this.#formationButtonInst = addButton(() => this.#NextFormation());
+		this.#targetCommandButtonInsts.set("attack-move", addButton(() => this.#ToggleTargetCommand("attack-move")));
+		this.#targetCommandButtonInsts.set("patrol", addButton(() => this.#ToggleTargetCommand("patrol")));
+		addButton(() => this.#StopUnits()).text = "S: Stop";
+		addButton(() => this.#HoldPosition(false)).text = "H: Hold position";
+		
+		this.#UpdateButtons();
+	}
+	
+	#CreateButton(x: number, onClick: () => void)
+	{
+		const runtime = this.#gameClient.GetRuntime();
+		const inst = runtime.objects.ProductionButton.createInstance("UI", x, BUTTONS_TOP);
+		inst.width = BUTTON_WIDTH;
+		inst.height = BUTTON_HEIGHT;
+		inst.addEventListener("click", onClick);
+		this.#buttonInsts.push(inst);
+		return inst;
+	}
+	
+	#DestroyButtons()
+	{
+		for (const inst of this.#buttonInsts)
+		{
+			inst.destroy();
+		}
+		
+		this.#buttonInsts.length = 0;
+		this.#formationButtonInst = null;
+		this.#targetCommandButtonInsts.clear();
+	}
+	
+	// Update the button text for the current formation, and show which command is waiting for
+	// a position to be picked, if any.
+	#UpdateButtons()
+	{
+		if (this.#formationButtonInst)
+			this.#formationButtonInst.text = `F: ${FORMATION_NAMES.get(this.#formation)} formation`;
+		
+		for (const [command, inst] of this.#targetCommandButtonInsts)
+		{
+			const { key, name } = TARGET_COMMANDS.get(command)!;
+			inst.text = (command === this.#targetCommand ? `${key}: Pick position...` : `${key}: ${name}`);
+		}
+	}
+	
+	// Switch to the next formation in the list, going back to the first after the last one.
+	#NextFormation()
+	{
+		const index = FORMATION_TYPES.indexOf(this.#formation);
+		this.#formation = FORMATION_TYPES[(index + 1) % FORMATION_TYPES.length];
+		this.#UpdateButtons();
+	}
+	
+	// Choosing the command already waiting for a position cancels it instead.
+	#ToggleTargetCommand(command: TargetCommand)
+	{
+		this.#SetTargetCommand(command === this.#targetCommand ? null : command);
+	}
+	
+	#StopUnits()
+	{
+		this.CancelTargetCommand();
+		this.#gameClient.StopUnits(this.#GetSelectedUnits());
+	}
+	
+	#HoldPosition(isQueued: boolean)
+	{
+		this.CancelTargetCommand();
+		this.#gameClient.HoldPosition(this.#GetSelectedUnits(), isQueued);
+	}
+	
+	#OnKeyDown(e: KeyboardEvent)
+	{
+		const key = e.key.toLowerCase();
+		
+		// The formation can be changed even while no units are selected.
+		if (key === "f")
+		{
+			this.#NextFormation();
+			return;
+		}
+		
+		// The stance can be changed while any units are selected, including static units.
+		if (key === "t")
+		{
+			this.#NextStance();
+			return;
+		}
+		
+		// Other commands only apply while the command buttons are shown. Holding shift with
+		// hold position queues it after the units' other orders.
+		if (this.#buttonInsts.length === 0)
+			return;
+		
+		if (key === "a")
+			this.#ToggleTargetCommand("attack-move");
+		else if (key === "p")
+			this.#ToggleTargetCommand("patrol");
+		else if (key === "s")
+			this.#StopUnits();
+		else if (key === "h")
+			this.#HoldPosition(e.shiftKey);
+		else if (e.key === "Escape")
+			this.CancelTargetCommand();
+	}
+}
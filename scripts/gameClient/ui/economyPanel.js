@@ -0,0 +1,174 @@
+import { GameClient } from "../gameClient.js";
+import { ClientUnit } from "../../clientUnits/clientUnit.js";
+import { ClientUnitType } from "../../clientUnits/clientUnitType.js";
+import { MultiEventHandler } from "../../utils/multiEventHandler.js";
+// The size and position of production buttons on the UI layer. They are placed in a row along
+// the bottom-right corner of the viewport, just below the ProductionText.
+const BUTTON_WIDTH = 150;
+const BUTTON_HEIGHT = 36;
+const BUTTON_SPACING = 8;
+const BUTTONS_RIGHT = 1915;
+const BUTTONS_TOP = 1038;
+// The EconomyPanel class manages the UI for the local player's economy. The EconomyText object
+// shows the player's resources and income. When the player selects a unit that can build other
+// units, such as a factory, it also shows production controls: a button for each unit type
+// it can build, a button to cancel the last queued unit, and the ProductionText object showing
+// the production queue. The number keys can also be used to build each unit type in order,
+// and backspace cancels the last queued unit.
+export class EconomyPanel {
+    // Private fields
+    #gameClient; // reference to GameClient
+    #eventHandlers; // MultiEventHandler for runtime events
+    #economyTextInst; // the EconomyText instance
+    #productionTextInst; // the ProductionText instance
+    #resources = 0; // last received resources for the local player
+    #income = 0; // last received income in resources per second
+    // Last received production state for all the local player's units that can build units
+    #productionByUnitId = new Map();
+    #productionUnit = null; // selected unit production controls are shown for
+    #productionUnitTypes = []; // unit types the selected unit can build
+    #buttonInsts = []; // production buttons, in the same order
+    #cancelButtonInst = null;
+    constructor(gameClient) {
+        this.#gameClient = gameClient;
+        const runtime = gameClient.GetRuntime();
+        this.#economyTextInst = runtime.objects.EconomyText.getFirstInstance();
+        this.#productionTextInst = runtime.objects.ProductionText.getFirstInstance();
+        this.#productionTextInst.text = "";
+        this.#eventHandlers = new MultiEventHandler([
+            [runtime, "keydown", e => this.#OnKeyDown(e)]
+        ]);
+    }
+    Release() {
+        this.#eventHandlers.Release();
+        this.#DestroyButtons();
+    }
+    // Called when the server sends an update about the local player's economy.
+    OnEconomyUpdate(resources, income, production) {
+        this.#resources = resources;
+        this.#income = income;
+        this.#productionByUnitId.clear();
+        for (const entry of production) {
+            this.#productionByUnitId.set(entry["id"], {
+                queue: entry["queue"],
+                progress: entry["progress"]
+            });
+        }
+        this.#economyTextInst.text = `Resources: [b]${resources}[/b] (+${income.toFixed(1)}/s)`;
+        this.#UpdateProductionControls();
+    }
+    // Called every tick to check if the selected unit to show production controls for has changed.
+    Tick() {
+        const unit = this.#FindSelectedProductionUnit();
+        if (unit === this.#productionUnit)
+            return; // no change
+        this.#productionUnit = unit;
+        this.#DestroyButtons();
+        if (unit)
+            this.#CreateButtons(unit);
+        this.#UpdateProductionControls();
+    }
+    // Return the first selected unit that can build other units, or null if there isn't one.
+    #FindSelectedProductionUnit() {
+        for (const unit of this.#gameClient.GetSelectionManager().allSelectedUnits()) {
+            if (unit.GetUnitType().CanProduceUnits())
+                return unit;
+        }
+        return null;
+    }
+    #CreateButtons(unit) {
+        const gameClient = this.#gameClient;
+        // Look up the unit types this unit can build. Skip any that aren't known, although
+        // that shouldn't happen as the client and server use the same unit types data.
+        this.#productionUnitTypes = [];
+        for (const name of unit.GetUnitType().GetProductionUnitTypeNames()) {
+            const unitType = gameClient.GetUnitTypeByName(name);
+            if (unitType)
+                this.#productionUnitTypes.push(unitType);
+        }
+        // Create a button for each unit type, followed by the cancel button, in a row
+        // ending at the right edge of the viewport. The number key to press for each unit
+        // type is also shown on its button.
+        const buttonCount = this.#productionUnitTypes.length + 1;
+        let x = BUTTONS_RIGHT - buttonCount * (BUTTON_WIDTH + BUTTON_SPACING) + BUTTON_SPACING;
+        for (const [i, unitType] of this.#productionUnitTypes.entries()) {
+            const text = `${i + 1}: ${unitType.GetName()} (${unitType.GetCost()})`;
+            this.#buttonInsts.push(this.#CreateButton(x, text, () => this.#QueueUnit(i)));
+            x += BUTTON_WIDTH + BUTTON_SPACING;
+        }
+        this.#cancelButtonInst = this.#CreateButton(x, "Cancel", () => this.#CancelLastUnit());
+    }
+    #CreateButton(x, text, onClick) {
+        const runtime = this.#gameClient.GetRuntime();
+        const inst = runtime.objects.ProductionButton.createInstance("UI", x, BUTTONS_TOP);
+        inst.width = BUTTON_WIDTH;
+        inst.height = BUTTON_HEIGHT;
+        inst.text = text;
+        inst.addEventListener("click", onClick);
+        return inst;
+    }
+    #DestroyButtons() {
+        for (const inst of this.#buttonInsts) {
+            inst.destroy();
+        }
+        this.#buttonInsts.length = 0;
+        this.#productionUnitTypes.length = 0;
+        this.#cancelButtonInst?.destroy();
+        this.#cancelButtonInst = null;
+    }
+    // Update the production buttons and the ProductionText to reflect the latest state.
+    #UpdateProductionControls() {
+        const unit = this.#productionUnit;
+        if (!unit) {
+            this.#productionTextInst.text = "";
+            return;
+        }
+        // Only enable buttons for unit types the player can afford. Note the server checks this
+        // too, but disabling the buttons shows the player what they can't build right now.
+        for (const [i, unitType] of this.#productionUnitTypes.entries()) {
+            this.#buttonInsts[i].isEnabled = (this.#resources >= unitType.GetCost());
+        }
+        // Show what is being built, followed by the rest of the queue.
+        const gameClient = this.#gameClient;
+        const unitName = unit.GetUnitType().GetName();
+        const state = this.#productionByUnitId.get(unit.GetId());
+        const queueNames = (state?.queue ?? []).map(id => gameClient.GetUnitTypeById(id)?.GetName() ?? "?");
+        if (this.#cancelButtonInst)
+            this.#cancelButtonInst.isEnabled = (queueNames.length > 0);
+        if (!state || queueNames.length === 0) {
+            this.#productionTextInst.text = `${unitName}: idle`;
+        }
+        else {
+            let text = `${unitName}: building [b]${queueNames[0]}[/b] (${Math.round(state.progress * 100)}%)`;
+            if (queueNames.length > 1)
+                text += `\nQueued: ${queueNames.slice(1).join(", ")}`;
+            this.#productionTextInst.text = text;
+        }
+    }
+    // Queue the unit type at the given index in the list of unit types the selected unit can build.
+    #QueueUnit(index) {
+        const unitType = this.#productionUnitTypes[index];
+        if (!this.#productionUnit || !unitType)
+            return;
+        this.#gameClient.QueueUnitProduction(this.#productionUnit, unitType);
+    }
+    // Cancel the last unit in the selected unit's production queue, which refunds its cost.
+    #CancelLastUnit() {
+        const unit = this.#productionUnit;
+        if (!unit)
+            return;
+        const state = this.#productionByUnitId.get(unit.GetId());
+        if (!state || state.queue.length === 0)
+            return;
+        this.#gameClient.CancelUnitProduction(unit, state.queue.length - 1);
+    }
+    #OnKeyDown(e) {
+        // The number keys 1-9 build the corresponding unit type in the list.
+        if (/^[1-9]$/.test(e.key)) {
+            this.#QueueUnit(Number(e.key) - 1);
+        }
+        else if (e.key === "Backspace") {
+            this.#CancelLastUnit();
+        }
+    }
+}
@@ -0,0 +1,102 @@
+import { GameClient } from "../gameClient.js";
+// The size of each visibility cell in px. This must match the cell size ServerVisibility uses,
+// so the fog shown on the minimap lines up with what the server actually sends.
+const VISIBILITY_CELL_SIZE = 250;
+// The fog of war only changes as units move, which is relatively slowly, so it is updated
+// at a lower framerate to save CPU time.
+const FOG_UPDATE_FPS = 10;
+// The color of the sight circles drawn to the FogCanvas. Only the alpha matters, as the canvas
+// uses the "destination-out" blend mode to erase the fog where it draws.
+const SIGHT_COLOR = [1, 1, 1, 1];
+// The FogOfWar class displays the fog of war, covering areas of the level the local player
+// cannot see. The server only sends enemy units the player can see, so this just shows the
+// player which areas are which. The "Fog" layer has its own texture and a dark translucent
+// background, and the FogCanvas instance covers the layout and erases the fog in a circle
+// around each of the player's and their allies' units, based on the sight range of their unit
+// type. The FogCanvas uses a fixed low resolution since the fog doesn't need much detail, which
+// also means scrolling and zooming doesn't need it redrawing. It also tracks a grid of which
+// cells the player can see, like the server does, which the minimap uses to draw the fog.
+// Spectators see the fog for the player whose vision they are using, or no fog at all if they
+// can see the whole map.
+export class FogOfWar {
+    // Private fields
+    #gameClient; // reference to GameClient
+    #fogInst; // the FogCanvas instance (DrawingCanvas)
+    #cellCountX = 0; // number of visibility cells horizontally
+    #cellCountY = 0; // number of visibility cells vertically
+    #cells = new Uint8Array(0); // visibility cells (1 for visible)
+    #lastUpdateTime = 0; // for tracking fog updates
+    constructor(gameClient) {
+        this.#gameClient = gameClient;
+        // Get the FogCanvas instance, and set it to erase what is beneath it on the Fog layer.
+        const runtime = this.#gameClient.GetRuntime();
+        this.#fogInst = runtime.objects.FogCanvas.getFirstInstance();
+        this.#fogInst.blendMode = "destination-out";
+    }
+    // On startup, when the layout size is set, size the FogCanvas to cover the whole layout,
+    // and create the grid of visibility cells.
+    SetLayoutSize(layoutWidth, layoutHeight) {
+        this.#fogInst.setPosition(0, 0);
+        this.#fogInst.setSize(layoutWidth, layoutHeight);
+        this.#cellCountX = Math.ceil(layoutWidth / VISIBILITY_CELL_SIZE);
+        this.#cellCountY = Math.ceil(layoutHeight / VISIBILITY_CELL_SIZE);
+        this.#cells = new Uint8Array(this.#cellCountX * this.#cellCountY);
+    }
+    GetCellSize() {
+        return VISIBILITY_CELL_SIZE;
+    }
+    GetCellCount() {
+        return [this.#cellCountX, this.#cellCountY];
+    }
+    IsCellVisible(cx, cy) {
+        return this.#cells[cy * this.#cellCountX + cx] !== 0;
+    }
+    // Called every tick to update the fog of war.
+    Update(gameTime) {
+        const updateInterval = 1 / FOG_UPDATE_FPS;
+        if (this.#lastUpdateTime > gameTime - updateInterval)
+            return;
+        this.#lastUpdateTime = gameTime;
+        // If the whole map is visible, erase all the fog and mark every cell visible.
+        if (this.#gameClient.HasFullVision()) {
+            this.#fogInst.clearCanvas(SIGHT_COLOR);
+            this.#cells.fill(1);
+            return;
+        }
+        // Clear the FogCanvas and visibility cells, and then redraw them for every unit the
+        // local player or their allies own.
+        this.#fogInst.clearCanvas([0, 0, 0, 0]);
+        this.#cells.fill(0);
+        for (const unit of this.#gameClient.allUnits()) {
+            if (!this.#gameClient.IsAlly(unit.GetPlayer()))
+                continue;
+            const [x, y] = unit.GetPlatform().GetPosition();
+            const sightRange = unit.GetUnitType().GetSightRange();
+            this.#fogInst.fillEllipse(x, y, sightRange, sightRange, SIGHT_COLOR, "smooth");
+            this.#MarkVisibleArea(x, y, sightRange);
+        }
+    }
+    // Mark all the cells whose centre is within the given radius of a position as visible,
+    // the same way ServerVisibility does.
+    #MarkVisibleArea(x, y, radius) {
+        const cellCountX = this.#cellCountX;
+        const cellCountY = this.#cellCountY;
+        const radiusSq = radius * radius;
+        const left = Math.max(Math.floor((x - radius) / VISIBILITY_CELL_SIZE), 0);
+        const top = Math.max(Math.floor((y - radius) / VISIBILITY_CELL_SIZE), 0);
+        const right = Math.min(Math.floor((x + radius) / VISIBILITY_CELL_SIZE), cellCountX - 1);
+        const bottom = Math.min(Math.floor((y + radius) / VISIBILITY_CELL_SIZE), cellCountY - 1);
+        for (let cy = top; cy <= bottom; ++cy) {
+            const dy = (cy + 0.5) * VISIBILITY_CELL_SIZE - y;
+            for (let cx = left; cx <= right; ++cx) {
+                const dx = (cx + 0.5) * VISIBILITY_CELL_SIZE - x;
+                if (dx * dx + dy * dy <= radiusSq)
+                    this.#cells[cy * cellCountX + cx] = 1;
+            }
+        }
+        // Always mark the cell the unit is in as visible.
+        const cx = Math.min(Math.max(Math.floor(x / VISIBILITY_CELL_SIZE), 0), cellCountX - 1);
+        const cy = Math.min(Math.max(Math.floor(y / VISIBILITY_CELL_SIZE), 0), cellCountY - 1);
+        this.#cells[cy * cellCountX + cx] = 1;
+    }
+}
@@ -127,6 +127,8 @@ export class Minimap {
     #DrawSlowUpdateCanvas() {
         // Clear to fully transparent.
         this.#slowInst.clearCanvas([0, 0, 0, 0]);
+        // Darken the areas the player can't see, before drawing anything else on top.
+        this.#DrawFogOfWar();
         // Draw move markers to the minimap as 1px size green dots, so the scheduled movements
         // of units can be seen.
         const runtime = this.#gameClient.GetRuntime();
@@ -135,11 +137,10 @@ export class Minimap {
             [x, y] = this.#GameToMinimap(x, y);
             this.#FillRect(this.#slowInst, x - 0.5, y - 0.5, 1, 1, [0, 0.67, 0]);
         }
-        // Draw small colored rectangles for each player's units.
-        // TODO: have some centralized way to store players and their colors
-        for (let player = 0; player < 2; player++) {
-            // Hacky way to set the player dot colors for now.
-            const playerColor = (player === 0 ? [0.5, 0.5, 1] : [1, 0.5, 0.5]);
+        // Draw small colored rectangles for each player's units, using the same color
+        // the units are tinted with, so allies and enemies can be told apart.
+        for (let player = 0, numPlayers = this.#gameClient.GetNumPlayers(); player < numPlayers; player++) {
+            const playerColor = this.#gameClient.GetPlayerColor(player);
             // Draw a dot for every unit for this player.
             for (const unit of this.#gameClient.allUnitsForPlayer(player)) {
                 // Get the unit position, and convert to minimap co-ordinates.
@@ -158,6 +159,37 @@ export class Minimap {
             }
         }
     }
+    // Draw the fog of war on the minimap, using the grid of visibility cells from FogOfWar.
+    // To reduce the number of rectangles drawn, each row of cells draws one rectangle for every
+    // run of consecutive cells that aren't visible.
+    #DrawFogOfWar() {
+        const fogOfWar = this.#gameClient.GetFogOfWar();
+        const cellSize = fogOfWar.GetCellSize();
+        const [cellCountX, cellCountY] = fogOfWar.GetCellCount();
+        for (let cy = 0; cy < cellCountY; ++cy) {
+            let runStart = -1; // first cell of current run of fogged cells, or -1 if none
+            // Note this iterates one past the end of the row, so the last run in the row is drawn.
+            for (let cx = 0; cx <= cellCountX; ++cx) {
+                const isFogged = (cx < cellCountX && !fogOfWar.IsCellVisible(cx, cy));
+                if (isFogged && runStart === -1) {
+                    runStart = cx;
+                }
+                else if (!isFogged && runStart !== -1) {
+                    this.#FillFogRect(runStart * cellSize, cy * cellSize, cx * cellSize, (cy + 1) * cellSize);
+                    runStart = -1;
+                }
+            }
+        }
+    }
+    // Fill a fog of war rectangle given in layout co-ordinates. Rather than snapping the position
+    // and size like #FillRect() does, this snaps each edge to device pixels, so adjacent rectangles
+    // line up exactly without any gaps or overlaps showing through the translucent color.
+    #FillFogRect(left, top, right, bottom) {
+        const deviceScale = this.#deviceScale;
+        [left, top] = this.#GameToMinimap(left, top);
+        [right, bottom] = this.#GameToMinimap(right, bottom);
+        this.#slowInst.fillRect(Math.round(left * deviceScale) / deviceScale, Math.round(top * deviceScale) / deviceScale, Math.round(right * deviceScale) / deviceScale, Math.round(bottom * deviceScale) / deviceScale, [0, 0, 0, 0.5]);
+    }
     // Draw the top DrawingCanvas of the minimap, updating at a full framerate for smoothness.
     #DrawFastUpdateCanvas() {
         // Clear to fully transparent.
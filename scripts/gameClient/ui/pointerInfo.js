@@ -3,15 +3,21 @@ import { PointerManager } from "./pointerManager.js";
 // If a pointerup comes within this distance of the corresponding pointerdown,
 // it will be counted as a tap. Otherwise it will be counted as a drag.
 const MAX_TAP_DIST = 30;
+// If the right mouse button is held down for this long in seconds with units selected, it previews
+// the formation the units will move in, rather than counting as a tap to unselect them.
+const FORMATION_PREVIEW_DELAY = 0.25;
 // This class holds extra state for tracking individual pointers in PointerManager.
 export class PointerInfo {
     #pointerManager;
-    #actionType = "tap"; // one of "tap", "drag", "pan" or "pinch-zoom"
+    #actionType = "tap"; // one of "tap", "drag", "pan", "pinch-zoom" or "formation"
     #pointerType = ""; // one of "mouse", "touch", "pen"
+    #isRightMouseButton = false; // true if this pointer is the right mouse button
+    #heldTime = 0; // time in seconds the pointer has been held down
     #startClientX = 0; // start position in client co-ordinates
     #startClientY = 0;
     #lastClientX = 0; // last position in client co-ordinates
     #lastClientY = 0;
+    #lastShiftKey = false; // whether shift was held down at the last pointer event
     #startLayerX = 0; // start position on background layer
     #startLayerY = 0;
     // Construct instance for selection box
@@ -22,7 +28,9 @@ export class PointerInfo {
         this.#startClientY = e.clientY;
         this.#lastClientX = e.clientX;
         this.#lastClientY = e.clientY;
+        this.#lastShiftKey = e.shiftKey;
         this.#pointerType = e.pointerType;
+        this.#isRightMouseButton = (e.pointerType === "mouse" && e.button === 2);
         this.#selectionBoxInst = null;
         // Get the start position of this pointer on the background layer.
         // This allows the start position of a selection box to remain in place regardless
@@ -59,20 +67,29 @@ export class PointerInfo {
         return [this.#lastClientX, this.#lastClientY];
     }
     OnMove(e) {
-        // Save the last client position.
+        // Save the last client position, and whether shift is held down.
         this.#lastClientX = e.clientX;
         this.#lastClientY = e.clientY;
+        this.#lastShiftKey = e.shiftKey;
         // If this pointer has moved more than the maximum tap distance from its start position,
         // then treat it as a drag instead. This will create a selection box and mark it as a drag
-        // so it's no longer treated as a tap in the pointerup event.
+        // so it's no longer treated as a tap in the pointerup event. However dragging the right
+        // mouse button with units selected previews the formation they will move in instead.
         if (this.#actionType === "tap" &&
             MathUtils.DistanceTo(this.#startClientX, this.#startClientY, e.clientX, e.clientY) > MAX_TAP_DIST) {
-            this.#StartDrag();
+            if (this.#CanPreviewFormation())
+                this.#StartFormationPreview();
+            else
+                this.#StartDrag();
         }
         // If this pointer is dragging, update it while it moves, so the selection box follows the movement.
+        // Similarly a formation preview follows the pointer.
         if (this.#actionType === "drag") {
             this.#UpdateDrag();
         }
+        else if (this.#actionType === "formation") {
+            this.#UpdateFormationPreview();
+        }
         else if (this.#actionType === "pan") {
             this.#UpdatePan(e);
         }
@@ -90,6 +107,9 @@ export class PointerInfo {
         if (this.#actionType === "drag") {
             this.#UpdateDrag();
         }
+        else if (this.#actionType === "formation") {
+            this.#UpdateFormationPreview();
+        }
     }
     OnUp(e) {
         // If this pointer moved far enough to count as a drag, finish the drag and select
@@ -106,12 +126,15 @@ export class PointerInfo {
             }
             // A button value of 2 means the right mouse button.
             else if (e.pointerType === "mouse" && e.button === 2) {
-                this.GetSelectionManager().OnTap_RightMouseButton();
+                this.GetSelectionManager().OnTap_RightMouseButton(e);
             }
         }
         else if (this.#actionType === "pan") {
             this.#EndPan();
         }
+        else if (this.#actionType === "formation") {
+            this.GetSelectionManager().OnRelease_FormationPreview(e);
+        }
     }
     // Cancel a pointer so it stops doing any action without applying the results of that action.
     Cancel() {
@@ -120,6 +143,9 @@ export class PointerInfo {
             this.#selectionBoxInst.destroy();
             this.#selectionBoxInst = null;
         }
+        else if (this.#actionType === "formation") {
+            this.GetSelectionManager().ClearFormationPreview();
+        }
         // Revert to default "tap" state
         this.#actionType = "tap";
     }
@@ -202,6 +228,18 @@ export class PointerInfo {
         // Destroy the selection box instance as it's no longer needed.
         this.#selectionBoxInst.destroy();
     }
+    // The formation can be previewed with the right mouse button when any units are selected.
+    #CanPreviewFormation() {
+        return this.#isRightMouseButton && this.GetSelectionManager().IsAnyUnitSelected();
+    }
+    // Called when the right mouse button is held down or dragged with units selected.
+    #StartFormationPreview() {
+        this.#actionType = "formation";
+        this.#UpdateFormationPreview();
+    }
+    #UpdateFormationPreview() {
+        this.GetSelectionManager().ShowFormationPreview(this.#lastClientX, this.#lastClientY, this.#lastShiftKey);
+    }
     #StartPan() {
         this.#actionType = "pan";
         this.GetViewManager().StartPan();
@@ -233,9 +271,19 @@ export class PointerInfo {
     // Called every tick for any pointers that need to change over time, such as scrolling
     // when a drag pointer moves to the edge of the screen.
     Tick(dt) {
-        if (this.#actionType === "drag") {
+        this.#heldTime += dt;
+        // Once the right mouse button has been held down long enough with units selected, start
+        // previewing the formation. Units may move or the selection may change while previewing,
+        // so the formation preview is also updated every tick.
+        if (this.#actionType === "tap" && this.#heldTime >= FORMATION_PREVIEW_DELAY && this.#CanPreviewFormation()) {
+            this.#StartFormationPreview();
+        }
+        else if (this.#actionType === "drag") {
             this.#TickDragPointer(dt);
         }
+        else if (this.#actionType === "formation") {
+            this.#UpdateFormationPreview();
+        }
     }
     // If a pointer moves all the way to the edge of the viewport while it is dragging a selection box,
     // scroll the view in the direction of the viewport side the pointer is against.
@@ -6,18 +6,25 @@ import { PointerManager } from "./pointerManager.js";
 // it will be counted as a tap. Otherwise it will be counted as a drag.
 const MAX_TAP_DIST = 30;
 
+// If the right mouse button is held down for this long in seconds with units selected, it previews
+// the formation the units will move in, rather than counting as a tap to unselect them.
+const FORMATION_PREVIEW_DELAY = 0.25;
+
 // This class holds extra state for tracking individual pointers in PointerManager.
 export class PointerInfo {
 
 	#pointerManager;
 	
-	#actionType = "tap";	// one of "tap", "drag", "pan" or "pinch-zoom"
+	#actionType = "tap";	// one of "tap", "drag", "pan", "pinch-zoom" or "formation"
 	#pointerType = "";		// one of "mouse", "touch", "pen"
+	#isRightMouseButton = false;	// true if this pointer is the right mouse button
+	#heldTime = 0;			// time in seconds the pointer has been held down
 	
 	#startClientX = 0;		// start position in client co-ordinates
 	#startClientY = 0;
 	#lastClientX = 0;		// last position in client co-ordinates
 	#lastClientY = 0;
+	#lastShiftKey = false;	// whether shift was held down at the last pointer event
 	#startLayerX = 0;		// start position on background layer
 	#startLayerY = 0;
 	
@@ -31,7 +38,9 @@ export class PointerInfo {
 		this.#startClientY = e.clientY;
 		this.#lastClientX = e.clientX;
 		this.#lastClientY = e.clientY;
+		this.#lastShiftKey = e.shiftKey;
 		this.#pointerType = e.pointerType;
+		this.#isRightMouseButton = (e.pointerType === "mouse" && e.button === 2);
 		this.#selectionBoxInst = null;
 		
 		// Get the start position of this pointer on the background layer.
@@ -87,24 +96,34 @@ export class PointerInfo {
 	
 	OnMove(e: PointerEvent)
 	{
-		// Save the last client position.
+		// Save the last client position, and whether shift is held down.
 		this.#lastClientX = e.clientX;
 		this.#lastClientY = e.clientY;
+		this.#lastShiftKey = e.shiftKey;
 		
 		// If this pointer has moved more than the maximum tap distance from its start position,
 		// then treat it as a drag instead. This will create a selection box and mark it as a drag
-		// so it's no longer treated as a tap in the pointerup event.
+		// so it's no longer treated as a tap in the pointerup event. However dragging the right
+		// mouse button with units selected previews the formation they will move in instead.
 		if (this.#actionType === "tap" &&
 			MathUtils.DistanceTo(this.#startClientX, this.#startClientY, e.clientX, e.clientY) > MAX_TAP_DIST)
 		{
-			this.#StartDrag();
+			if (this.#CanPreviewFormation())
+				this.#StartFormationPreview();
+			else
+				this.#StartDrag();
 		}
 		
 		// If this pointer is dragging, update it while it moves, so the selection box follows the movement.
+		// Similarly a formation preview follows the pointer.
 		if (this.#actionType === "drag")
 		{
 			this.#UpdateDrag();
 		}
+		else if (this.#actionType === "formation")
+		{
+			this.#UpdateFormationPreview();
+		}
 		else if (this.#actionType === "pan")
 		{
 			this.#UpdatePan(e);
@@ -127,6 +146,10 @@ export class PointerInfo {
 		{
 			this.#UpdateDrag();
 		}
+		else if (this.#actionType === "formation")
+		{
+			this.#UpdateFormationPreview();
+		}
 	}
 	
 	OnUp(e: PointerEvent)
@@ -149,13 +172,17 @@ export class PointerInfo {
 			// A button value of 2 means the right mouse button.
 			else if (e.pointerType === "mouse" && e.button === 2)
 			{
-				this.GetSelectionManager().OnTap_RightMouseButton();
+				this.GetSelectionManager().OnTap_RightMouseButton(e);
 			}
 		}
 		else if (this.#actionType === "pan")
 		{
 			this.#EndPan();
 		}
+		else if (this.#actionType === "formation")
+		{
+			this.GetSelectionManager().OnRelease_FormationPreview(e);
+		}
 	}
 	
 	// Cancel a pointer so it stops doing any action without applying the results of that action.
@@ -167,6 +194,10 @@ export class PointerInfo {
 			this.#selectionBoxInst!.destroy();
 			this.#selectionBoxInst = null;
 		}
+		else if (this.#actionType === "formation")
+		{
+			this.GetSelectionManager().ClearFormationPreview();
+		}
 		
 		// Revert to default "tap" state
 		this.#actionType = "tap";
@@ -272,6 +303,24 @@ export class PointerInfo {
 		this.#selectionBoxInst!.destroy();
 	}
 	
+	// The formation can be previewed with the right mouse button when any units are selected.
+	#CanPreviewFormation()
+	{
+		return this.#isRightMouseButton && this.GetSelectionManager().IsAnyUnitSelected();
+	}
+	
+	// Called when the right mouse button is held down or dragged with units selected.
+	#StartFormationPreview()
+	{
+		this.#actionType = "formation";
+		this.#UpdateFormationPreview();
+	}
+	
+	#UpdateFormationPreview()
+	{
+		this.GetSelectionManager().ShowFormationPreview(this.#lastClientX, this.#lastClientY, this.#lastShiftKey);
+	}
+	
 	#StartPan()
 	{
 		this.#actionType = "pan";
@@ -314,10 +363,23 @@ export class PointerInfo {
 	// when a drag pointer moves to the edge of the screen.
 	Tick(dt: number)
 	{
-		if (this.#actionType === "drag")
+		this.#heldTime += dt;
+		
+		// Once the right mouse button has been held down long enough with units selected, start
+		// previewing the formation. Units may move or the selection may change while previewing,
+		// so the formation preview is also updated every tick.
+		if (this.#actionType === "tap" && this.#heldTime >= FORMATION_PREVIEW_DELAY && this.#CanPreviewFormation())
+		{
+			this.#StartFormationPreview();
+		}
+		else if (this.#actionType === "drag")
 		{
 			this.#TickDragPointer(dt);
 		}
+		else if (this.#actionType === "formation")
+		{
+			this.#UpdateFormationPreview();
+		}
 	}
 	
 	// If a pointer moves all the way to the edge of the viewport while it is dragging a selection box,
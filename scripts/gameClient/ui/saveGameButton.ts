@@ -0,0 +1,76 @@
+
+import { GameClient } from "../gameClient.js";
+
+// The file extension to use for saved game files. These are the JSON save data from GameServer.
+export const SAVE_GAME_FILE_EXTENSION = ".ccsave";
+
+// The position and size of the "Save game" button on the UI layer, which is placed in the
+// top-right corner just below the "Download replay" button.
+const BUTTON_WIDTH = 180;
+const BUTTON_HEIGHT = 36;
+const BUTTON_X = 1915 - BUTTON_WIDTH;
+const BUTTON_Y = 112;
+
+// How long to keep the object URL of a downloaded save file, in milliseconds.
+const DOWNLOAD_URL_LIFETIME = 60000;
+
+// The SaveGameButton class shows a "Save game" button for the host's GameClient (i.e. in single
+// player or as the multiplayer host). When clicked it asks GameServer for its save data, and then
+// downloads it as a file, which can be loaded from the title screen to resume the game later.
+export class SaveGameButton {
+
+	// Private fields
+	#gameClient;					// reference to GameClient
+	#isSavePending = false;			// waiting for GameServer to send the save data
+	#buttonInst;					// the "Save game" button (SaveGameButton)
+	
+	constructor(gameClient: GameClient)
+	{
+		this.#gameClient = gameClient;
+		
+		const runtime = gameClient.GetRuntime();
+		this.#buttonInst = runtime.objects.SaveGameButton.createInstance("UI", BUTTON_X, BUTTON_Y);
+		this.#buttonInst.width = BUTTON_WIDTH;
+		this.#buttonInst.height = BUTTON_HEIGHT;
+		this.#buttonInst.text = "Save game";
+		this.#buttonInst.addEventListener("click", () => this.#OnClickSave());
+	}
+	
+	Release()
+	{
+		this.#buttonInst.destroy();
+	}
+	
+	// When the player clicks the button, ask GameServer for the save data. Saving continues
+	// in OnSaveGameData() when it arrives.
+	#OnClickSave()
+	{
+		if (this.#isSavePending)
+			return;
+		
+		this.#isSavePending = true;
+		this.#gameClient.SendToServer({
+			"type": "save-game"
+		});
+	}
+	
+	// Called when GameServer sends the save data, to download it as a file. As with replays,
+	// this is done by the event sheet function DownloadFile, as scripts run in a worker.
+	OnSaveGameData(data: any)
+	{
+		if (!this.#isSavePending)
+			return;
+		
+		this.#isSavePending = false;
+		
+		// Name the file after the current date and time, e.g. "save-2024-01-31-1530.ccsave".
+		const date = new Date();
+		const pad = (n: number) => n.toString().padStart(2, "0");
+		const filename = `save-${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${SAVE_GAME_FILE_EXTENSION}`;
+		
+		const blob = new Blob([JSON.stringify(data)], { type: "application/json" });
+		const url = URL.createObjectURL(blob);
+		this.#gameClient.GetRuntime().callFunction("DownloadFile", url, filename);
+		self.setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME);
+	}
+}
@@ -1,17 +1,22 @@
 import * as MathUtils from "../../utils/clientMathUtils.js";
 import { GameClient } from "../gameClient.js";
 import { ClientUnit } from "../../clientUnits/clientUnit.js";
+// The opacity of the move markers used to preview where units will move to in formation.
+const FORMATION_PREVIEW_OPACITY = 0.5;
 // The SelectionManager class manages selecting units.
 // It has its own class to avoid cluttering GameClient and organise
 // as much of the relevant code as possible in a single place.
+// It also commands the selected units to move, and can preview the formation they will move in.
 export class SelectionManager {
     // Private fields
     #gameClient; // Reference to GameClient
     #selectedUnits = new Set(); // Set of all currently selected units
+    #formationPreviewInsts = []; // MoveMarker instances previewing a formation
     constructor(gameClient) {
         this.#gameClient = gameClient;
     }
     Release() {
+        this.ClearFormationPreview();
     }
     GetRuntime() {
         return this.#gameClient.GetRuntime();
@@ -22,6 +27,10 @@ export class SelectionManager {
     IsAnyUnitSelected() {
         return this.#selectedUnits.size > 0;
     }
+    // Iterates all currently selected units.
+    allSelectedUnits() {
+        return this.#selectedUnits.values();
+    }
     // Set a given unit selected or unselected.
     SetSelected(unit, isSelected) {
         if (isSelected) // setting selected
@@ -56,9 +65,23 @@ export class SelectionManager {
     // Called by a PointerInfo when the pointer down and up positions are close.
     OnTap_MainButton(e) {
         // Determine the position of the pointer on the UnitPlatforms layer.
-        const runtime = this.GetRuntime();
-        const unitPlatformsLayer = runtime.layout.getLayer("UnitPlatforms");
-        const [layerX, layerY] = unitPlatformsLayer.cssPxToLayer(e.clientX, e.clientY);
+        const [layerX, layerY] = this.#ClientToLayer(e.clientX, e.clientY);
+        // If the player chose a command such as attack-move that needs a position, give the selected
+        // units that command to the pointer position, whether or not it's over a unit. Holding shift
+        // queues the command, and also keeps it chosen, so a series of patrol points can be picked.
+        const commandPanel = this.#gameClient.GetCommandPanel();
+        const targetCommand = commandPanel?.GetTargetCommand();
+        if (commandPanel && targetCommand && this.IsAnyUnitSelected()) {
+            // Attack-moving on to an enemy unit attacks that unit instead.
+            const enemyUnit = (targetCommand === "attack-move" ? this.#FindEnemyUnitAt(layerX, layerY) : null);
+            if (enemyUnit)
+                this.#gameClient.AttackUnit([...this.#selectedUnits], enemyUnit, e.shiftKey);
+            else
+                this.#gameClient.MoveUnits([...this.#selectedUnits], layerX, layerY, e.shiftKey, targetCommand);
+            if (!e.shiftKey)
+                commandPanel.CancelTargetCommand();
+            return;
+        }
         // Clicking a unit directly should select it, but clicking elsewhere
         // on the ground should command any selected units to move there.
         // Track whether the pointer down hit any unit at all.
@@ -89,9 +112,10 @@ export class SelectionManager {
         }
         // If the player has at least one unit selected and they click somewhere
         // on open ground (not over another unit), command the selected units
-        // to move there. This instruction is handled by GameClient.
+        // to move there. This instruction is handled by GameClient. Holding shift
+        // queues the move after the units' other moves.
         if (this.IsAnyUnitSelected() && !didHitUnit) {
-            this.#gameClient.MoveUnits([...this.#selectedUnits], layerX, layerY);
+            this.#gameClient.MoveUnits([...this.#selectedUnits], layerX, layerY, e.shiftKey);
             // If the player is not using mouse input (e.g. touch input), they may be
             // unable to use right-click to unselect units. So automatically unselect
             // all units after issuing a move command so another unit can be selected.
@@ -99,12 +123,90 @@ export class SelectionManager {
                 this.UnselectAll();
         }
     }
-    OnTap_RightMouseButton() {
-        // Unselect all units when pressing the right mouse button.
+    // Return an enemy unit at a position on the UnitPlatforms layer, or null if there isn't one.
+    // Note the client only has enemy units the local player can see.
+    #FindEnemyUnitAt(layerX, layerY) {
+        const gameClient = this.#gameClient;
+        const player = gameClient.GetPlayer();
+        if (player === null)
+            return null;
+        const team = gameClient.GetPlayerTeam(player);
+        for (const unit of gameClient.allUnits()) {
+            if (gameClient.GetPlayerTeam(unit.GetPlayer()) !== team && unit.ContainsPoint(layerX, layerY))
+                return unit;
+        }
+        return null;
+    }
+    // Convert a position in client co-ordinates to the UnitPlatforms layer.
+    #ClientToLayer(clientX, clientY) {
+        const unitPlatformsLayer = this.GetRuntime().layout.getLayer("UnitPlatforms");
+        return unitPlatformsLayer.cssPxToLayer(clientX, clientY);
+    }
+    OnTap_RightMouseButton(e) {
+        // If the player chose a command that needs a position, right-clicking cancels it instead.
+        const commandPanel = this.#gameClient.GetCommandPanel();
+        if (commandPanel?.GetTargetCommand()) {
+            commandPanel.CancelTargetCommand();
+            return;
+        }
+        // Right-clicking an enemy unit commands the selected units to attack it, after their
+        // other orders if shift is held.
+        if (this.IsAnyUnitSelected()) {
+            const [layerX, layerY] = this.#ClientToLayer(e.clientX, e.clientY);
+            const enemyUnit = this.#FindEnemyUnitAt(layerX, layerY);
+            if (enemyUnit) {
+                this.#gameClient.AttackUnit([...this.#selectedUnits], enemyUnit, e.shiftKey);
+                return;
+            }
+        }
+        // Shift + right-click queues a move for the selected units to the pointer position,
+        // after their other moves. This allows giving units a chain of waypoints to move along.
+        if (e.shiftKey && this.IsAnyUnitSelected()) {
+            const [layerX, layerY] = this.#ClientToLayer(e.clientX, e.clientY);
+            this.#gameClient.MoveUnits([...this.#selectedUnits], layerX, layerY, true);
+            return;
+        }
+        // Otherwise unselect all units when pressing the right mouse button.
         // This can't be used via touch input, so instead when commanding units to move
         // via touch input, all selected units are automatically unselected.
         this.UnselectAll();
     }
+    // Called by a PointerInfo while the right mouse button is held down with units selected. This shows
+    // a move marker at every position the selected units would move to in formation if they were
+    // commanded to move to the pointer position, which is updated as the pointer moves. If the move
+    // will be queued, the formation is previewed from where the units will be after their other moves.
+    ShowFormationPreview(clientX, clientY, isQueued) {
+        const [layerX, layerY] = this.#ClientToLayer(clientX, clientY);
+        const moveTargets = this.#gameClient.GetMoveTargets([...this.#selectedUnits], layerX, layerY, isQueued);
+        const previewInsts = this.#formationPreviewInsts;
+        // Create or destroy move markers so there is one for each unit that can move.
+        const runtime = this.GetRuntime();
+        while (previewInsts.length < moveTargets.length) {
+            const inst = runtime.objects.MoveMarker.createInstance("Background", 0, 0);
+            inst.opacity = FORMATION_PREVIEW_OPACITY;
+            previewInsts.push(inst);
+        }
+        while (previewInsts.length > moveTargets.length) {
+            previewInsts.pop().destroy();
+        }
+        for (const [i, { x, y }] of moveTargets.entries()) {
+            previewInsts[i].setPosition(x, y);
+        }
+    }
+    ClearFormationPreview() {
+        for (const inst of this.#formationPreviewInsts) {
+            inst.destroy();
+        }
+        this.#formationPreviewInsts.length = 0;
+    }
+    // Called by a PointerInfo when the right mouse button is released after previewing a formation.
+    // This commands the selected units to move to the pointer position in that formation, queued
+    // after their other moves if shift is held.
+    OnRelease_FormationPreview(e) {
+        this.ClearFormationPreview();
+        const [layerX, layerY] = this.#ClientToLayer(e.clientX, e.clientY);
+        this.#gameClient.MoveUnits([...this.#selectedUnits], layerX, layerY, e.shiftKey);
+    }
     SelectAllInRectangle(left, top, right, bottom) {
         // Called when ending a selection box drag. Select any units whose position is
         // inside the selection box rectangle.
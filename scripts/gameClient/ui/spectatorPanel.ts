@@ -0,0 +1,165 @@
+
+import { GameClient, SPECTATOR_VISION_ALL } from "../gameClient.js";
+import { MultiEventHandler } from "../../utils/multiEventHandler.js";
+
+// The size and position of the vision buttons on the UI layer. They are placed in a row along
+// the top-right corner of the viewport, just below the EconomyText.
+const BUTTON_WIDTH = 110;
+const BUTTON_HEIGHT = 36;
+const BUTTON_SPACING = 8;
+const BUTTONS_RIGHT = 1915;
+const BUTTONS_TOP = 70;
+
+// The position of the SpectatorStatsText on the UI layer, just below the vision buttons.
+const STATS_TEXT_X = 1415;
+const STATS_TEXT_Y = BUTTONS_TOP + BUTTON_HEIGHT + BUTTON_SPACING;
+
+// The stats for a player sent to spectators by the server.
+type PlayerStats = {
+	team: number,			// team the player is on
+	resources: number,		// resources the player has
+	income: number,			// income in resources per second
+	units: number			// number of units the player has
+};
+
+// The SpectatorPanel class manages the UI for a spectator, which is shown instead of EconomyPanel.
+// The EconomyText object shows whose vision the spectator is using, and there is a button to switch
+// to seeing the whole map and a button for each player's vision. The number keys can also be used
+// to switch, with 0 for the whole map and 1-9 for each player. The SpectatorStatsText object shows
+// the stats for every player, colored the same as their units.
+export class SpectatorPanel {
+
+	// Private fields
+	#gameClient;					// reference to GameClient
+	#eventHandlers;					// MultiEventHandler for runtime events
+	#economyTextInst;				// the EconomyText instance
+	#statsTextInst;					// the SpectatorStatsText instance
+	#buttonInsts: IButtonInstance[] = [];	// whole map button followed by a button for each player
+	#stats: PlayerStats[] = [];		// last received stats for each player
+	
+	constructor(gameClient: GameClient)
+	{
+		this.#gameClient = gameClient;
+		
+		const runtime = gameClient.GetRuntime();
+		this.#economyTextInst = runtime.objects.EconomyText.getFirstInstance()!;
+		this.#statsTextInst = runtime.objects.SpectatorStatsText.createInstance("UI", STATS_TEXT_X, STATS_TEXT_Y);
+		this.#statsTextInst.text = "";
+		
+		this.#eventHandlers = new MultiEventHandler([
+			[runtime,		"keydown",		e => this.#OnKeyDown(e)]
+		]);
+		
+		this.#UpdateText();
+	}
+	
+	Release()
+	{
+		this.#eventHandlers.Release();
+		this.#DestroyButtons();
+		this.#statsTextInst.destroy();
+	}
+	
+	// Called when the number of players or their teams are received, which is when the initial
+	// state is created and when a saved game is loaded. This recreates the vision buttons.
+	OnPlayersChanged()
+	{
+		this.#DestroyButtons();
+		
+		const numPlayers = this.#gameClient.GetNumPlayers();
+		const buttonCount = numPlayers + 1;
+		let x = BUTTONS_RIGHT - buttonCount * (BUTTON_WIDTH + BUTTON_SPACING) + BUTTON_SPACING;
+		
+		this.#buttonInsts.push(this.#CreateButton(x, "0: All", SPECTATOR_VISION_ALL));
+		
+		for (let player = 0; player < numPlayers; ++player)
+		{
+			x += BUTTON_WIDTH + BUTTON_SPACING;
+			this.#buttonInsts.push(this.#CreateButton(x, `${player + 1}: Player ${player + 1}`, player));
+		}
+		
+		this.OnVisionChanged();
+	}
+	
+	// Called when switching vision, to update the buttons and text.
+	OnVisionChanged()
+	{
+		// Disable the button for the current vision, to show which one is in use.
+		const vision = this.#gameClient.GetSpectatorVision();
+		for (const [i, inst] of this.#buttonInsts.entries())
+		{
+			inst.isEnabled = (i - 1 !== vision);
+		}
+		
+		this.#UpdateText();
+	}
+	
+	// Called when the server sends the latest stats for every player.
+	OnStats(players: any[])
+	{
+		this.#stats = players.map(entry => ({
+			team: entry["team"],
+			resources: entry["resources"],
+			income: entry["income"],
+			units: entry["units"]
+		}));
+		
+		this.#UpdateText();
+	}
+	
+	#CreateButton(x: number, text: string, vision: number)
+	{
+		const runtime = this.#gameClient.GetRuntime();
+		const inst = runtime.objects.SpectatorButton.createInstance("UI", x, BUTTONS_TOP);
+		inst.width = BUTTON_WIDTH;
+		inst.height = BUTTON_HEIGHT;
+		inst.text = text;
+		inst.addEventListener("click", () => this.#gameClient.SetSpectatorVision(vision));
+		return inst;
+	}
+	
+	#DestroyButtons()
+	{
+		for (const inst of this.#buttonInsts)
+		{
+			inst.destroy();
+		}
+		
+		this.#buttonInsts.length = 0;
+	}
+	
+	#UpdateText()
+	{
+		const gameClient = this.#gameClient;
+		const vision = gameClient.GetSpectatorVision();
+		this.#economyTextInst.text = (vision === SPECTATOR_VISION_ALL ? "Spectating: [b]whole map[/b]" : `Spectating: [b]Player ${vision + 1}[/b] vision`);
+		
+		// Show a line for each player, with their name in the color of their units.
+		this.#statsTextInst.text = this.#stats.map((stats, player) =>
+		{
+			const name = `[color=${this.#ToHexColor(gameClient.GetPlayerColor(player))}][b]Player ${player + 1}[/b][/color]`;
+			return `${name} (team ${stats.team + 1}): ${stats.units} units, ${stats.resources} resources (+${stats.income.toFixed(1)}/s)`;
+		}).join("\n");
+	}
+	
+	// Convert an [r, g, b] color with components in the range [0, 1] to a hex color for BBCode.
+	#ToHexColor(color: number[])
+	{
+		return "#" + color.map(c => Math.round(c * 255).toString(16).padStart(2, "0")).join("");
+	}
+	
+	#OnKeyDown(e: KeyboardEvent)
+	{
+		// The 0 key switches to the whole map, and the number keys 1-9 to the corresponding player.
+		if (e.key === "0")
+		{
+			this.#gameClient.SetSpectatorVision(SPECTATOR_VISION_ALL);
+		}
+		else if (/^[1-9]$/.test(e.key))
+		{
+			const player = Number(e.key) - 1;
+			if (player < this.#gameClient.GetNumPlayers())
+				this.#gameClient.SetSpectatorVision(player);
+		}
+	}
+}
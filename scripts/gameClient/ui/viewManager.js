@@ -1,6 +1,13 @@
 import * as MathUtils from "../../utils/clientMathUtils.js";
 import { GameClient } from "../gameClient.js";
+// The minimum interval in seconds between telling the server the area the player is viewing.
+// The server uses this to send less frequent updates for units far from the player's view.
+// It's only sent when the view changes, but it's also sent at the maximum interval regardless,
+// in case an earlier report was missed, e.g. if it was sent before the game started.
+const VIEWPORT_REPORT_INTERVAL = 0.25;
+const VIEWPORT_REPORT_MAX_INTERVAL = 2;
 // ViewManager handles the game view, including the scroll position and zoom level.
+// It also regularly reports the area the player is viewing to the server.
 export class ViewManager {
     #gameClient; // Reference to GameClient
     // For pan-scrolling, the last client position of the pan position.
@@ -11,6 +18,8 @@ export class ViewManager {
     #targetZoom = 1; // Target zoom scale for smooth zoom
     #zoomToX = 0; // Position to zoom to or from
     #zoomToY = 0;
+    #timeSinceViewportReport = 0; // time in seconds since last reporting the viewport to the server
+    #lastReportedViewport = ""; // the last viewport area reported, as a string for comparison
     constructor(gameClient) {
         this.#gameClient = gameClient;
         // Reset the scroll and zoom to replace any prior state from the last game
@@ -41,6 +50,8 @@ export class ViewManager {
         collisionGridMarkerInst.height = layoutHeight;
         // Update minimap to use this size
         this.#gameClient.GetMinimap().SetLayoutSize(layoutWidth, layoutHeight);
+        // Update the fog of war to cover the layout
+        this.#gameClient.GetFogOfWar().SetLayoutSize(layoutWidth, layoutHeight);
         // Start at 18% zoom and scroll centered on the layout
         this.#SetActualZoom(Math.max(this.#GetMinZoom(), 0.18), true /* force */);
         this.ScrollTo(layoutWidth / 2, layoutHeight / 2);
@@ -157,6 +168,24 @@ export class ViewManager {
             // https://www.construct.net/en/blogs/ashleys-blog-2/using-lerp-delta-time-924
             this.#SetActualZoom(MathUtils.lerp(this.#zoom, this.#targetZoom, 1 - Math.pow(0.0001, dt)));
         }
+        this.#ReportViewport(dt);
+    }
+    // Tell the server the area of the level the player is viewing, if it has changed.
+    #ReportViewport(dt) {
+        this.#timeSinceViewportReport += dt;
+        if (this.#timeSinceViewportReport < VIEWPORT_REPORT_INTERVAL)
+            return;
+        // The area is rounded to whole pixels, as the server doesn't need it to be precise.
+        const area = this.GetScaledViewportArea().map(Math.round);
+        const areaStr = area.join(",");
+        if (areaStr === this.#lastReportedViewport && this.#timeSinceViewportReport < VIEWPORT_REPORT_MAX_INTERVAL)
+            return;
+        this.#gameClient.SendToServer({
+            "type": "viewport",
+            "area": area
+        });
+        this.#timeSinceViewportReport = 0;
+        this.#lastReportedViewport = areaStr;
     }
     #SetActualZoom(z, force = false) {
         // Forcing the zoom is used on startup to assign the zoom level with no animation.
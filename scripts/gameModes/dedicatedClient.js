@@ -0,0 +1,98 @@
+import Globals from "../globals.js";
+import { GameClient } from "../gameClient/gameClient.js";
+import { GameModeBase } from "./gameModeBase.js";
+// This class manages a game connected to a dedicated server. The GameServer runs in a separate
+// headless Node.js process (see the dedicatedServer folder), so like a multiplayer peer this only
+// creates a GameClient, but it communicates with the server over a WebSocket rather than
+// with the Multiplayer object. The client can also join as a spectator, which the server does
+// if asked to, or if all the player slots are taken.
+export class GameModeDedicatedClient extends GameModeBase {
+    // Private fields
+    #runtime; // Construct runtime
+    #gameClient; // The local player's GameClient
+    #webSocket; // WebSocket connected to the dedicated server
+    // for a promise that resolves with the assigned player number when server sends "start" message,
+    // or null if the server made this client a spectator
+    #startResolve;
+    constructor(runtime) {
+        super();
+        this.#runtime = runtime;
+        this.#gameClient = null;
+        this.#webSocket = null;
+        this.#startResolve = null;
+    }
+    async Init() {
+        // Connect to the dedicated server. Game updates are sent as binary messages, which are
+        // received as an ArrayBuffer like they are from the GameServer worker.
+        const webSocket = new WebSocket(Globals.dedicatedServerUrl);
+        webSocket.binaryType = "arraybuffer";
+        webSocket.addEventListener("message", e => this.#HandleServerMessage(e));
+        webSocket.addEventListener("close", e => this.#OnClose(e));
+        this.#webSocket = webSocket;
+        // Once connected, tell the server this client is ready, and wait for it to send back a
+        // "start" message. The server only sends this once all the players it expects have joined,
+        // and it assigns each client its player number.
+        const player = await new Promise(resolve => {
+            this.#startResolve = resolve;
+            webSocket.addEventListener("open", () => this.#SendMessageToServer({
+                "type": "ready",
+                "spectate": Globals.joinAsSpectator
+            }));
+        });
+        // Create the game client which manages the local game state.
+        // Also pass it the SendMessageToServer function for messaging.
+        this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#SendMessageToServer(m, t)), player, "dedicated-client");
+        // Load the unit types so the client knows which objects to create for units. Note if any
+        // full updates arrive before this finishes, they can't create units yet, but that is
+        // harmless as the server regularly sends full updates for every unit anyway.
+        await this.#gameClient.LoadUnitTypes();
+        this.#gameClient.Init();
+        // Spectators can join a game in progress, so ask to start spectating, which also sends
+        // the whole state of the game.
+        if (player === null) {
+            this.#SendMessageToServer({
+                "type": "spectate"
+            });
+        }
+    }
+    Release() {
+        // Closing the WebSocket is how the server knows this player has left.
+        this.#webSocket.close();
+        this.#webSocket = null;
+        this.#gameClient?.Release();
+        this.#gameClient = null;
+    }
+    // Note the transmission mode is ignored, as a WebSocket is always reliable and ordered.
+    #SendMessageToServer(msg, transmissionMode) {
+        this.#webSocket.send(JSON.stringify(msg));
+    }
+    // Called when a message is received from the dedicated server. Binary messages are passed
+    // on as an ArrayBuffer, and text messages are JSON.
+    #HandleServerMessage(e) {
+        const msg = (e.data instanceof ArrayBuffer ? e.data : JSON.parse(e.data));
+        // Handle the "start" message specially, once only. When it's received, resolve the start promise
+        // with the player number the server assigned to this client, or null for a spectator.
+        if (msg["type"] === "start") {
+            if (this.#startResolve) {
+                this.#startResolve(msg["spectator"] ? null : msg["player"]);
+                this.#startResolve = null;
+            }
+        }
+        else {
+            // All other messages are directed to GameClient.
+            this.#gameClient.HandleGameServerMessage(msg);
+        }
+    }
+    #OnClose(e) {
+        // Ignore the close event caused by Release().
+        if (!this.#webSocket)
+            return;
+        // If the connection closes before the game started, there is no GameClient to show a
+        // disconnected message with, so just log it. (The server closes the connection with a
+        // reason if the game is already full or in progress.)
+        if (this.#gameClient)
+            this.#gameClient.OnDisconnected();
+        else
+            console.error(`Failed to join dedicated server at '${Globals.dedicatedServerUrl}': ${e.reason || "connection closed"}`);
+    }
+}
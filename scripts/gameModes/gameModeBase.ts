@@ -14,4 +14,4 @@ export class GameModeBase {
 	}
 }
 
-export type GameModeType = "single-player" | "multiplayer-host" | "multiplayer-peer";
\ No newline at end of file
+export type GameModeType = "single-player" | "multiplayer-host" | "multiplayer-peer" | "dedicated-client" | "replay";
\ No newline at end of file
@@ -0,0 +1,191 @@
+
+import * as Signalling from "./signalling.js";
+
+// Host migration allows a multiplayer game to carry on if the host leaves. The host regularly sends
+// peers a snapshot of the game state, which is GameServer's save data along with some details about
+// who is in the game. If the host leaves, the remaining player with the lowest player number takes
+// over as the new host, starting up its own GameServer from the last snapshot, and the other players
+// then reconnect to it and continue the game with the same player numbers. Since peers are only
+// connected to the host, reconnecting is done by all players joining a new room on the signalling
+// server. The room name is randomly generated by the host and included in the snapshot.
+// Only the player who would take over as host is sent the save data, as it includes the state of
+// the whole game, such as enemy units hidden by the fog of war. The new host only lets players
+// reconnect with the rejoin key the previous host gave them, so nobody can take another player's
+// place. Every peer is sent the migration details, so they only include a hash of each rejoin key.
+
+// The interval in seconds at which the host sends snapshots to peers.
+export const HOST_SNAPSHOT_INTERVAL = 5;
+
+// The binary message type for snapshots sent to peers. Note this is sent alongside GameServer's binary
+// messages (which use small numbers counting up from 0), so uses the highest byte value to keep clear.
+const MESSAGE_TYPE_HOST_SNAPSHOT = 255;
+
+// Characters used in the random migration room name, and how many to use.
+const ROOM_NAME_CHARS = "abcdefghkmnpqrstuvwxyz23456789";
+const ROOM_NAME_CHARCOUNT = 12;
+
+// The new host joins the migration room straight away, but other players wait this long in ms
+// before joining, so the new host is first in the room. If they still end up as the host of the
+// room, they leave and try again after the same delay, up to the maximum number of attempts.
+const PEER_JOIN_DELAY = 2000;
+const PEER_JOIN_ATTEMPTS = 5;
+
+// How long in ms the new host waits for the other players to reconnect before carrying on without them.
+export const MIGRATION_PEERS_TIMEOUT = Signalling.HOST_CONNECT_TIMEOUT;
+
+// The snapshot of the game state sent to peers.
+export type HostSnapshot = {
+	room: string,				// name of the signalling room to reconnect in
+	hostPlayer: number,			// player number of the host that sent the snapshot
+	players: number[],			// player numbers of all players connected to the host, including itself
+	rejoinKeyHashes: Record<number, string>,	// player number -> hash of the player's rejoin key
+	saveData: any				// GameServer save data, or null for players who won't take over as host
+};
+
+// The host migration in progress, saved when restarting the Game layout (see SetPendingMigration()).
+export type PendingMigration = {
+	player: number,				// the local player number, which is kept after migration
+	rejoinKey: string,			// the rejoin key from the host that left, to send to the new host
+	snapshot: HostSnapshot		// the last snapshot received from the host that left
+};
+
+let pendingMigration: PendingMigration | null = null;
+
+// When the host leaves, peers restart the Game layout in the new game mode, i.e. the new host uses
+// GameModeMultiplayerHost and the others use GameModeMultiplayerPeer again. The migration details
+// are saved here for the new game mode to pick up in Init() with TakePendingMigration().
+export function SetPendingMigration(migration: PendingMigration)
+{
+	pendingMigration = migration;
+}
+
+// Return the pending migration if any, and clear it so the next game starts normally.
+export function TakePendingMigration()
+{
+	const ret = pendingMigration;
+	pendingMigration = null;
+	return ret;
+}
+
+// Generate a random name for the room to reconnect in, which is unlikely to be in use by anyone else.
+export function GenerateMigrationRoomName()
+{
+	let ret = "";
+	for (let i = 0; i < ROOM_NAME_CHARCOUNT; ++i)
+		ret += ROOM_NAME_CHARS[Math.floor(Math.random() * ROOM_NAME_CHARS.length)];
+	
+	return ret;
+}
+
+// Hash a rejoin key for the migration details, as a hex string of its SHA-256 digest.
+export async function HashRejoinKey(rejoinKey: string)
+{
+	const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(rejoinKey));
+	return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, "0")).join("");
+}
+
+// Check a rejoin key sent by a player reconnecting to the new host matches the hash of the rejoin
+// key the previous host gave them, so only they can carry on with their player number.
+export async function IsRejoinKeyValid(snapshot: HostSnapshot, player: any, rejoinKey: any)
+{
+	const hash = snapshot.rejoinKeyHashes[player];
+	if (typeof player !== "number" || typeof rejoinKey !== "string" || typeof hash !== "string")
+		return false;
+	
+	return (await HashRejoinKey(rejoinKey)) === hash;
+}
+
+// Encode a snapshot to send to peers. The save data is fairly large JSON, so to reduce bandwidth
+// it is sent gzip compressed as a binary message, after a byte for the message type.
+export async function EncodeHostSnapshot(snapshot: HostSnapshot)
+{
+	const json = new TextEncoder().encode(JSON.stringify(snapshot));
+	const compressedStream = new Blob([json]).stream().pipeThrough(new CompressionStream("gzip"));
+	const compressed = new Uint8Array(await new Response(compressedStream).arrayBuffer());
+	
+	const ret = new Uint8Array(compressed.byteLength + 1);
+	ret[0] = MESSAGE_TYPE_HOST_SNAPSHOT;
+	ret.set(compressed, 1);
+	return ret.buffer;
+}
+
+// Check if a message received from the host is a snapshot.
+export function IsHostSnapshotMessage(msg: any)
+{
+	return msg instanceof ArrayBuffer && msg.byteLength > 0 && new Uint8Array(msg)[0] === MESSAGE_TYPE_HOST_SNAPSHOT;
+}
+
+// Decode a snapshot message from EncodeHostSnapshot(). This is only done if the host leaves,
+// as most snapshots are replaced by the next one without ever being needed.
+export async function DecodeHostSnapshot(arrayBuffer: ArrayBuffer) : Promise<HostSnapshot>
+{
+	const decompressedStream = new Blob([new Uint8Array(arrayBuffer, 1)]).stream().pipeThrough(new DecompressionStream("gzip"));
+	return JSON.parse(await new Response(decompressedStream).text());
+}
+
+// Get the player numbers of the players that can continue the game after the host of a snapshot left.
+export function GetRemainingPlayers(snapshot: HostSnapshot)
+{
+	return snapshot.players.filter(player => player !== snapshot.hostPlayer);
+}
+
+// The remaining player with the lowest player number becomes the new host.
+export function ChooseNewHost(snapshot: HostSnapshot)
+{
+	return Math.min(...GetRemainingPlayers(snapshot));
+}
+
+// Reconnect to the signalling server and join the migration room. The new host joins straight away
+// and should end up as the host of the room. Other players wait for the new host to join first,
+// and then wait until connected to it. Returns true if successful, or false if joining failed.
+export async function JoinMigrationRoom(runtime: IRuntime, room: string, asHost: boolean)
+{
+	const Multiplayer = runtime.objects.Multiplayer;
+	
+	try {
+		// Connect and log in again, as peers disconnect from the signalling server once a game starts.
+		// This also leaves the room of the game with the old host.
+		await Signalling.ConnectSignalling(runtime);
+		
+		if (asHost)
+		{
+			await Signalling.JoinRoom(runtime, room);
+			
+			// If some other player is already the host of the room, it can't be used for the migration.
+			if (!Multiplayer.isHost)
+				throw new Error("another player is already hosting the migration room");
+			
+			return true;
+		}
+		
+		for (let i = 0; i < PEER_JOIN_ATTEMPTS; ++i)
+		{
+			await new Promise(resolve => setTimeout(resolve, PEER_JOIN_DELAY));
+			
+			// Listen for connecting to the host before joining, as it can happen any time after joining.
+			const hostConnected = Signalling.WaitForHostConnect(Multiplayer);
+			await Signalling.JoinRoom(runtime, room);
+			
+			// If this player ended up as the host, the new host hasn't joined yet, so leave and try again.
+			if (Multiplayer.isHost)
+			{
+				hostConnected.cancel();
+				await Multiplayer.leaveRoom();
+				continue;
+			}
+			
+			await hostConnected.promise;
+			
+			// The signalling server is no longer needed once connected, as is done when first joining a game.
+			Multiplayer.disconnectSignalling();
+			return true;
+		}
+		
+		throw new Error("the new host did not join the migration room");
+	}
+	catch (err)
+	{
+		console.error("[HostMigration] Error joining migration room: ", err);
+		return false;
+	}
+}
@@ -1,8 +1,24 @@
+import Globals from "../globals.js";
 import { GameClient } from "../gameClient/gameClient.js";
 import { MultiEventHandler } from "../utils/multiEventHandler.js";
 import { GameModeBase } from "./gameModeBase.js";
-// This class manages a multiplayer host's game. It runs a local copy of GameServer and also
-// communicates with other players over the network.
+import * as HostMigration from "./hostMigration.js";
+// How long in ms to wait for a peer to rejoin in a 2 player game, before showing a disconnected
+// message as there is nobody left to play against.
+const PEER_REJOIN_TIMEOUT = 30000;
+// This class manages a multiplayer host's game, once the players and match settings have been chosen
+// in the lobby (see lobbyHost.ts). It runs a local copy of GameServer and also
+// communicates with other players over the network. It regularly sends peers a snapshot of the
+// game state so one of them can take over as host if this player leaves (see hostMigration.ts).
+// Only the player who would take over is sent the game state, as it includes everything about the
+// game, such as enemy units hidden by the fog of war. The other peers only get the migration details.
+// Likewise this player may be taking over as the host after the previous host left, in which case
+// it restores GameServer from the last snapshot and waits for the remaining players to reconnect.
+// The host also stays in its room on the signalling server during the game, so peers who lose their
+// connection can rejoin with the same player number, and new players can join any free player slots.
+// Once the player slots are full, any more peers that join are spectators, who can watch the game
+// but not play. Spectators are assigned the numbers after the players, up to the limit GameServer
+// sends when the game starts.
 export class GameModeMultiplayerHost extends GameModeBase {
     // Private fields
     #runtime; // Construct runtime
@@ -10,22 +26,59 @@ export class GameModeMultiplayerHost extends GameModeBase {
     // The MessagePort for communicating with the local GameServer
     #gameServerMessagePort;
     #eventHandlers;
-    #otherPeerId = ""; // Peer ID of the other player (TODO: support for more players)
-    // for a promise that resolves when peer sends "ready" message
-    #peerReadyResolve;
+    #numPlayers; // Total number of players in the game, including the host
+    #hostPlayer = 0; // The local player number
+    // Registry of the player number assigned to each peer. Players have the player number of the
+    // slot they chose in the lobby, and the host has the number of its own slot. However after host
+    // migration, the host and peers all keep the player numbers they had before. This also
+    // includes any spectators.
+    #playerForPeerId = new Map(); // peer ID -> player number
+    #peerIdForPlayer = new Map(); // player number -> peer ID
+    // A random secret key given to each peer along with their player number, which they send back
+    // if they rejoin, to make sure only they can have the same player number again.
+    #rejoinKeyForPlayer = new Map(); // player number -> rejoin key
+    #isGameStarted = false; // set once GameServer is initialised
+    #disconnectTimerId = -1; // for showing a disconnected message if a peer doesn't rejoin
+    // for a promise that resolves when all peers have sent a "ready" message
+    #peersReadyResolve;
+    // The host migration being taken over from a previous host, if any. In that case these
+    // are the player numbers of the peers expected to reconnect.
+    #migration = null;
+    #migrationPeerPlayers = [];
+    // The time (from performance.now()) until which the player numbers of players that haven't
+    // reconnected after migration are kept for them, rather than given to new players joining.
+    #migrationSlotsHeldUntil = 0;
+    #migrationRoom = HostMigration.GenerateMigrationRoomName(); // room for peers to migrate to
+    #snapshotTimerId = -1; // for regularly sending snapshots to peers
+    #maxSpectators = 0; // maximum number of spectators, sent by GameServer
     constructor(runtime) {
         super();
         this.#runtime = runtime;
         this.#gameClient = null;
         this.#gameServerMessagePort = null;
-        this.#peerReadyResolve = null;
+        this.#numPlayers = Globals.playerCount;
+        this.#hostPlayer = Math.max(Globals.playerPeerIds.indexOf(runtime.objects.Multiplayer.myId), 0);
+        this.#peersReadyResolve = null;
         this.#eventHandlers = new MultiEventHandler([
             // Listen for incoming messages from peers over the network.
             [this.#runtime.objects.Multiplayer, "message", e => this.#HandlePeerMessage(e)],
-            [this.#runtime.objects.Multiplayer, "peerdisconnect", () => this.#OnPeerDisconnect()]
+            [this.#runtime.objects.Multiplayer, "peerdisconnect", e => this.#OnPeerDisconnect(e.peerId)]
         ]);
     }
     async Init() {
+        // If taking over from a host that left, carry on the game from the last snapshot it sent.
+        // Join a new room to let the other players reconnect. If that fails the game can't continue.
+        this.#migration = HostMigration.TakePendingMigration();
+        if (this.#migration) {
+            const snapshot = this.#migration.snapshot;
+            this.#hostPlayer = this.#migration.player;
+            this.#numPlayers = snapshot.saveData["numPlayers"];
+            this.#migrationPeerPlayers = HostMigration.GetRemainingPlayers(snapshot).filter(player => player !== this.#hostPlayer);
+            if (!await HostMigration.JoinMigrationRoom(this.#runtime, snapshot.room, true)) {
+                this.#runtime.goToLayout("Title screen");
+                return;
+            }
+        }
         // Start up the game server web worker.
         this.#gameServerMessagePort = await this.#runtime.createWorker("gameServer/serverWorker.js", {
             name: "GameServer",
@@ -33,29 +86,72 @@ export class GameModeMultiplayerHost extends GameModeBase {
         });
         // Listen for messages received from the worker.
         this.#gameServerMessagePort.onmessage = (e => this.#HandleGameServerMessage(e));
-        // Wait for the peer to send a "ready" message. The peer sends this regularly to make sure
-        // it arrives no matter how long the host takes to load.
-        await new Promise(resolve => this.#peerReadyResolve = resolve);
+        // Load the level to play. When migrating the level is included in the snapshot.
+        const saveData = this.#migration?.snapshot.saveData;
+        const levelData = saveData ? saveData["level"] : await this.#runtime.assets.fetchJson(`levels/${Globals.level}.json`);
+        // Wait for all the peers to send a "ready" message. Peers send this regularly to make sure
+        // it arrives no matter how long the host takes to load. When migrating, don't wait longer
+        // than MIGRATION_PEERS_TIMEOUT, as some players may have left as well. Any players who
+        // don't reconnect in time can still join the game once it is in progress.
+        await new Promise(resolve => {
+            this.#peersReadyResolve = resolve;
+            if (this.#migration)
+                setTimeout(() => this.#ResolvePeersReady(), HostMigration.MIGRATION_PEERS_TIMEOUT);
+        });
         // Create the game client which manages the local game state.
         // Also pass it the SendMessageToGameServer function for messaging.
-        // Note that the multiplayer host is always player 0.
-        this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#LocalSendMessageToGameServer(m, t)), 0, "multiplayer-host");
+        // Note that the multiplayer host is player 0 unless it took over from a previous host.
+        this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#LocalSendMessageToGameServer(m, t)), this.#hostPlayer, "multiplayer-host");
+        // Load the unit types, which are needed to get the Construct object data, and are also sent to GameServer.
+        await this.#gameClient.LoadUnitTypes();
         // Post an init message to the worker to tell it to initialize, and provide data
-        // about the game units such as their size and collision polygons.
+        // about the game units such as their size and collision polygons, the unit types, the level to play,
+        // the number of players to start the game with, which team each player is on, and the match
+        // settings chosen in the lobby. When migrating it is also sent the snapshot save data to carry on
+        // the game from (which includes the teams and settings), and the local player number.
+        // Note any peers that send "ready" from now on are joining the game in progress.
         this.#SendMessageToGameServer({
             "type": "init",
-            "constructObjectData": this.#gameClient.GetConstructObjectData()
+            "constructObjectData": this.#gameClient.GetConstructObjectData(),
+            "unitTypes": this.#gameClient.GetUnitTypesData(),
+            "level": levelData,
+            "numPlayers": this.#numPlayers,
+            "teams": saveData ? saveData["teams"] : Globals.teams,
+            "settings": saveData ? saveData["settings"] : {
+                "startingUnits": Globals.startingUnits,
+                "fogOfWar": Globals.fogOfWar
+            },
+            "saveData": saveData,
+            "hostPlayer": this.#hostPlayer
+        });
+        this.#isGameStarted = true;
+        // Give any players who haven't reconnected after migration a while longer to do so.
+        if (this.#migration)
+            this.#migrationSlotsHeldUntil = performance.now() + HostMigration.MIGRATION_PEERS_TIMEOUT;
+        // Ask GameServer how many spectators can watch the game. Until it replies, any peers
+        // that join when the player slots are full aren't assigned a spectator number.
+        this.#LocalSendMessageToGameServer({
+            "type": "get-max-spectators"
         });
         // Initialise the GameClient now it's sent the game data.
         this.#gameClient.Init();
+        // Start regularly requesting snapshots from GameServer to send to peers.
+        this.#snapshotTimerId = setInterval(() => this.#RequestSnapshot(), HostMigration.HOST_SNAPSHOT_INTERVAL * 1000);
     }
     Release() {
         this.#eventHandlers.Release();
-        // Terminate the GameServer web worker.
-        this.#LocalSendMessageToGameServer({
-            "type": "release"
-        });
-        this.#gameClient.Release();
+        clearInterval(this.#snapshotTimerId);
+        clearTimeout(this.#disconnectTimerId);
+        // Leave the signalling server, which the host stays connected to during the game.
+        this.#runtime.objects.Multiplayer.disconnectSignalling();
+        // Terminate the GameServer web worker. Note if joining the migration room failed,
+        // the game ended before creating the GameClient.
+        if (this.#gameClient) {
+            this.#LocalSendMessageToGameServer({
+                "type": "release"
+            });
+            this.#gameClient.Release();
+        }
         this.#gameClient = null;
     }
     // Called when receiving a message over the network from a peer.
@@ -63,30 +159,213 @@ export class GameModeMultiplayerHost extends GameModeBase {
         const msg = e.message; // note easiest way to read unknown JSON is as 'any' type
         // Handle the "ready" message specially.
         if (msg["type"] === "ready") {
-            this.#OnPeerReady(e.fromId);
+            this.#OnPeerReady(e.fromId, msg);
+        }
+        else if (msg["type"] === "lobby-join") {
+            // A peer that joins the room once the game has started first looks for the lobby,
+            // so tell it the game has started, and it then joins the game in progress.
+            this.#runtime.objects.Multiplayer.sendPeerMessage(e.fromId, {
+                "type": "lobby-start"
+            });
         }
         else // all other messages
          {
-            // Tag the message as having come from player 1, i.e. the only other peer,
-            // and forward on to GameServer in the worker. (TODO: support for more players)
-            msg["player"] = 1;
+            // Look up the player number for the peer that sent this message. Ignore messages
+            // from any peer that has not been assigned a player number.
+            const player = this.#playerForPeerId.get(e.fromId);
+            if (typeof player === "undefined")
+                return;
+            // Tag the message as having come from that player, and forward on to GameServer in the worker.
+            msg["player"] = player;
             msg["transmissionMode"] = e.transmissionMode;
             this.#SendMessageToGameServer(msg);
         }
     }
-    // When the peer's "ready" message is received, resolve the ready promise.
-    // This makes sure both the host and peer are loaded and ready to proceed.
-    #OnPeerReady(fromId) {
-        this.#otherPeerId = fromId; // save ID of other player (TODO: more players)
-        if (this.#peerReadyResolve) // handle this once only
-         {
-            this.#peerReadyResolve();
-            this.#peerReadyResolve = null;
-            // To acknowledge the peer is ready, send back a "start" message to the peer.
-            this.#runtime.objects.Multiplayer.sendPeerMessage(fromId, {
-                "type": "start"
-            });
+    // When a peer's "ready" message is received, assign it a player number. Once all the peers
+    // are ready, resolve the ready promise. This makes sure the host and all peers are loaded
+    // and ready to proceed. When migrating, peers send the player number they had before, along
+    // with their rejoin key. Peers that send "ready" once the game has started are joining the
+    // game in progress.
+    #OnPeerReady(fromId, msg) {
+        // Peers send "ready" repeatedly until they receive "start", so ignore the message if
+        // this peer already has a player number.
+        if (this.#playerForPeerId.has(fromId))
+            return;
+        if (this.#isGameStarted) {
+            this.#OnPeerJoinInProgress(fromId, msg["player"], msg["rejoinKey"]);
+            return;
+        }
+        // Ignore any peers that arrive while GameServer is starting up, as they will be handled
+        // once the game has started.
+        if (!this.#peersReadyResolve)
+            return;
+        if (this.#migration) {
+            this.#OnMigratingPeerReady(fromId, msg["player"], msg["rejoinKey"]);
+            return;
+        }
+        // Assign the player number of the peer's slot in the lobby. Peers that weren't in a slot in
+        // the lobby are ignored, and as they keep sending "ready", they then join the game as
+        // spectators once it has started.
+        const player = Globals.playerPeerIds.indexOf(fromId);
+        if (player === -1)
+            return;
+        this.#AssignPlayer(fromId, player, false);
+        this.#CheckPeersReady();
+    }
+    // When migrating, assign a peer the player number it had before, as long as it's one of the
+    // players expected to reconnect, it has the rejoin key the previous host gave that player,
+    // and the player number isn't already taken. Checking the rejoin key is asynchronous, and the
+    // peer keeps sending "ready" in the meantime, so afterwards check it still needs assigning and
+    // the game hasn't started yet.
+    async #OnMigratingPeerReady(fromId, previousPlayer, rejoinKey) {
+        if (!this.#migrationPeerPlayers.includes(previousPlayer) ||
+            !await HostMigration.IsRejoinKeyValid(this.#migration.snapshot, previousPlayer, rejoinKey)) {
+            return;
+        }
+        if (!this.#peersReadyResolve || this.#playerForPeerId.has(fromId) || this.#peerIdForPlayer.has(previousPlayer))
+            return;
+        this.#AssignPlayer(fromId, previousPlayer, false);
+        this.#CheckPeersReady();
+    }
+    // Once all the other players are ready, resolve the promise being awaited in Init()
+    // so the game starts.
+    #CheckPeersReady() {
+        if (this.#GetNumPeerPlayers() === this.#GetNumExpectedPeers())
+            this.#ResolvePeersReady();
+    }
+    // Called when a peer sends "ready" once the game has started. If it has the rejoin key for the
+    // player number it had before, it is rejoining after losing its connection, so it gets the same
+    // player number again. Note the host may not have noticed the peer's old connection dropped yet,
+    // so that is removed from the registry. Players who were migrating from the previous host but
+    // didn't reconnect in time also get their player number, as long as they have the rejoin key the
+    // previous host gave them and nobody else has taken it. Otherwise it is a new player joining the
+    // game, who takes the lowest player number that nobody has played as yet, if there are any, or
+    // else joins as a spectator. The player numbers of migrating players are kept for them for a while
+    // after the game starts, so new players can't take them before they reconnect. Spectators can
+    // also rejoin with their rejoin key, in which case they keep their spectator number.
+    async #OnPeerJoinInProgress(fromId, previousPlayer, rejoinKey) {
+        // Checking the rejoin key of a migrating player is asynchronous, and the peer keeps sending
+        // "ready" in the meantime, so afterwards check it still needs a player number.
+        const isMigratingPlayer = this.#migrationPeerPlayers.includes(previousPlayer) &&
+            await HostMigration.IsRejoinKeyValid(this.#migration.snapshot, previousPlayer, rejoinKey);
+        if (this.#playerForPeerId.has(fromId))
+            return;
+        let player = -1;
+        if (typeof previousPlayer === "number" && typeof rejoinKey === "string" &&
+            this.#rejoinKeyForPlayer.get(previousPlayer) === rejoinKey) {
+            player = previousPlayer;
+            const oldPeerId = this.#peerIdForPlayer.get(player);
+            if (typeof oldPeerId !== "undefined")
+                this.#playerForPeerId.delete(oldPeerId);
+        }
+        else if (isMigratingPlayer && !this.#rejoinKeyForPlayer.has(previousPlayer)) {
+            player = previousPlayer;
+        }
+        else {
+            const isHoldingMigrationSlots = performance.now() < this.#migrationSlotsHeldUntil;
+            for (let i = 0; i < this.#numPlayers; ++i) {
+                if (i !== this.#hostPlayer && !this.#rejoinKeyForPlayer.has(i) &&
+                    !(isHoldingMigrationSlots && this.#migrationPeerPlayers.includes(i))) {
+                    player = i;
+                    break;
+                }
+            }
+            if (player === -1) {
+                this.#AssignSpectator(fromId);
+                return;
+            }
+        }
+        this.#AssignPlayer(fromId, player, true);
+    }
+    // Assign a peer the lowest spectator number not currently in use, if there are any left.
+    #AssignSpectator(fromId) {
+        for (let spectator = this.#numPlayers; spectator < this.#numPlayers + this.#maxSpectators; ++spectator) {
+            if (!this.#peerIdForPlayer.has(spectator)) {
+                this.#AssignPlayer(fromId, spectator, true);
+                return;
+            }
+        }
+    }
+    #IsSpectator(player) {
+        return player >= this.#numPlayers;
+    }
+    // Count the peers that are players, not including spectators.
+    #GetNumPeerPlayers() {
+        let count = 0;
+        for (const player of this.#playerForPeerId.values()) {
+            if (!this.#IsSpectator(player))
+                count++;
+        }
+        return count;
+    }
+    // Add a peer to the registry with a player number, and send back a "start" message to the peer.
+    #AssignPlayer(fromId, player, inProgress) {
+        this.#playerForPeerId.set(fromId, player);
+        this.#peerIdForPlayer.set(player, fromId);
+        // Generate a new rejoin key every time, so a key can't be used again by anyone else.
+        const rejoinKey = crypto.randomUUID();
+        this.#rejoinKeyForPlayer.set(player, rejoinKey);
+        // To acknowledge the peer is ready, send back a "start" message to the peer with the player
+        // number it has been assigned and whether that is a spectator, its rejoin key, the room to
+        // rejoin, and whether the game is already in progress, in which case it then asks GameServer
+        // to send it the whole game state.
+        this.#runtime.objects.Multiplayer.sendPeerMessage(fromId, {
+            "type": "start",
+            "player": player,
+            "spectator": this.#IsSpectator(player),
+            "rejoinKey": rejoinKey,
+            "room": this.#runtime.objects.Multiplayer.currentRoom,
+            "inProgress": inProgress
+        });
+    }
+    // The number of peers to wait for before starting the game: all the other players, or when
+    // migrating, the other players that were still connected to the previous host.
+    #GetNumExpectedPeers() {
+        return (this.#migration ? this.#migrationPeerPlayers.length : this.#numPlayers - 1);
+    }
+    #ResolvePeersReady() {
+        if (this.#peersReadyResolve) {
+            this.#peersReadyResolve();
+            this.#peersReadyResolve = null;
+        }
+    }
+    // Ask GameServer for a snapshot of the game state to send to peers. This is skipped if there
+    // are less than two peers, as the game can't carry on with just one player if the host leaves.
+    // Note spectators don't count, as they can't take over as the host.
+    #RequestSnapshot() {
+        if (this.#GetNumPeerPlayers() < 2)
+            return;
+        this.#LocalSendMessageToGameServer({
+            "type": "get-host-snapshot"
+        });
+    }
+    // When GameServer sends the snapshot, send it on to the peer who would take over as host along
+    // with the migration details. The save data includes the whole game state, which would let any
+    // other peer see through the fog of war, so they are only sent the migration details, which is
+    // all they need to reconnect to the new host. The details include a hash of each player's rejoin
+    // key, so the new host can check players reconnect with their own player number.
+    async #OnHostSnapshot(saveData) {
+        const peerPlayers = [...this.#peerIdForPlayer.keys()].filter(player => !this.#IsSpectator(player));
+        const rejoinKeyHashes = {};
+        for (const player of peerPlayers) {
+            rejoinKeyHashes[player] = await HostMigration.HashRejoinKey(this.#rejoinKeyForPlayer.get(player));
         }
+        const snapshot = {
+            room: this.#migrationRoom,
+            hostPlayer: this.#hostPlayer,
+            players: [this.#hostPlayer, ...peerPlayers],
+            rejoinKeyHashes,
+            saveData
+        };
+        const newHostPeerId = this.#peerIdForPlayer.get(HostMigration.ChooseNewHost(snapshot));
+        const arrayBuffer = await HostMigration.EncodeHostSnapshot(snapshot);
+        const detailsArrayBuffer = await HostMigration.EncodeHostSnapshot({ ...snapshot, saveData: null });
+        // Check the game didn't end, and the new host didn't leave, while compressing the snapshot.
+        if (!this.#gameClient || !this.#playerForPeerId.has(newHostPeerId))
+            return;
+        const Multiplayer = this.#runtime.objects.Multiplayer;
+        Multiplayer.sendPeerMessage(newHostPeerId, arrayBuffer, "o");
+        Multiplayer.hostBroadcastMessage(newHostPeerId, detailsArrayBuffer, "o");
     }
     // Called when the local GameClient wants to send a message to GameServer.
     // Tag it with the local player number and transmission mode and post to the worker.
@@ -113,22 +392,53 @@ export class GameModeMultiplayerHost extends GameModeBase {
             // Use the transmission mode specified by GameServer.
             this.#runtime.objects.Multiplayer.hostBroadcastMessage(null, message, transmissionMode);
         }
-        else if (forPlayer === 0) {
-            // Message for host only: handle with own GameClient
-            this.#gameClient.HandleGameServerMessage(message);
-        }
-        else if (forPlayer === 1) {
-            // Message for remote player only: send over network
-            this.#runtime.objects.Multiplayer.sendPeerMessage(this.#otherPeerId, message, transmissionMode);
+        else if (forPlayer === this.#hostPlayer) {
+            // Message for host only. Snapshots are sent on to peers, and the spectator limit is
+            // kept for assigning spectators; anything else is handled with own GameClient.
+            if (message["type"] === "host-snapshot")
+                this.#OnHostSnapshot(message["data"]);
+            else if (message["type"] === "max-spectators")
+                this.#maxSpectators = message["maxSpectators"];
+            else
+                this.#gameClient.HandleGameServerMessage(message);
         }
         else {
-            // TODO: support for more than 2 players.
-            console.error(`Unexpected forPlayer value '${forPlayer}'`);
+            // Message for a remote player only: look up their peer ID and send over network.
+            // Note if the player has disconnected the message is just dropped.
+            const peerId = this.#peerIdForPlayer.get(forPlayer);
+            if (peerId)
+                this.#runtime.objects.Multiplayer.sendPeerMessage(peerId, message, transmissionMode);
+            else if (forPlayer >= this.#numPlayers + this.#maxSpectators)
+                console.error(`Unexpected forPlayer value '${forPlayer}'`);
         }
     }
-    #OnPeerDisconnect() {
-        // Show a disconnected message. TODO: this should probably be handled differently
-        // if supporting more than 2 players
-        this.#gameClient.OnDisconnected();
+    #OnPeerDisconnect(peerId) {
+        const player = this.#playerForPeerId.get(peerId);
+        if (typeof player === "undefined")
+            return;
+        // Remove the peer from the registry, so no more messages are sent to it.
+        this.#playerForPeerId.delete(peerId);
+        this.#peerIdForPlayer.delete(player);
+        // Spectators leaving doesn't affect the game, but GameServer can stop sending them updates.
+        if (this.#IsSpectator(player)) {
+            if (this.#gameClient) {
+                this.#LocalSendMessageToGameServer({
+                    "type": "remove-spectator",
+                    "spectator": player
+                });
+            }
+            return;
+        }
+        // In a 2 player game there is nobody left to play against, so show a disconnected message
+        // unless the peer rejoins in time. With more players the game carries on, and the player's
+        // units are just left where they are. Note the game can't be showing yet if still waiting
+        // for peers to be ready.
+        if (this.#numPlayers === 2 && this.#gameClient) {
+            clearTimeout(this.#disconnectTimerId);
+            this.#disconnectTimerId = setTimeout(() => {
+                if (this.#GetNumPeerPlayers() === 0)
+                    this.#gameClient?.OnDisconnected();
+            }, PEER_REJOIN_TIMEOUT);
+        }
     }
 }
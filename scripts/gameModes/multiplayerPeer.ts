@@ -1,10 +1,37 @@
 
+import Globals from "../globals.js";
 import { GameClient } from "../gameClient/gameClient.js";
 import { MultiEventHandler } from "../utils/multiEventHandler.js";
 import { GameModeBase } from "./gameModeBase.js";
+import * as HostMigration from "./hostMigration.js";
+import * as Signalling from "./signalling.js";
+
+// The details from the host's "start" message.
+type StartDetails = {
+	player: number,				// the player number assigned to this peer
+	spectator: boolean,			// true if the player number is for a spectator
+	rejoinKey: string,			// secret key to send when rejoining to get the same player number
+	room: string,				// the signalling room the host is in, to rejoin
+	inProgress: boolean			// true if joining a game that already started
+};
+
+// The details saved when restarting the Game layout to rejoin the game (see #Rejoin()).
+type PendingRejoin = {
+	room: string,
+	hostId: string,				// the peer ID of the host, to tell if the host is still in the room
+	player: number,
+	rejoinKey: string,
+	lastSnapshot: ArrayBuffer | null	// to migrate the host if it turns out the host left
+};
+
+let pendingRejoin: PendingRejoin | null = null;
 
 // This class manages a multiplayer peers's game. It does not run a GameServer as that is run by the host.
 // Instead it only creates a GameClient and communicates with the host over the network.
+// If the connection to the host is lost, it tries to rejoin the game, which the host allows with the
+// same player number, and then sends the whole state of the game again. It also keeps the last
+// snapshot of the game state the host sent, so if it turns out the host left, the game can
+// carry on with one of the peers taking over as the host (see hostMigration.ts).
 export class GameModeMultiplayerPeer extends GameModeBase {
 
 	// Private fields
@@ -12,10 +39,14 @@ export class GameModeMultiplayerPeer extends GameModeBase {
 	#gameClient: GameClient | null;		// The local player's GameClient
 	#eventHandlers: MultiEventHandler;
 	
-	// for a promise that resolves when host sends "start" message
-	#startResolve: Function | null;
+	// for a promise that resolves with the start details when host sends "start" message
+	#startResolve: ((details: StartDetails) => void) | null;
 	#readyTimerId = -1;					// for regularly sending "ready" messages to host
 	
+	#startDetails: StartDetails | null = null;	// details from the host's "start" message
+	#hostId = "";						// the peer ID of the host
+	#lastSnapshot: ArrayBuffer | null = null;	// last snapshot message received from host
+	
 	constructor(runtime: IRuntime)
 	{
 		super();
@@ -27,36 +58,98 @@ export class GameModeMultiplayerPeer extends GameModeBase {
 		this.#eventHandlers = new MultiEventHandler([
 			// Listen for incoming messages from the host over the network.
 			[this.#runtime.objects.Multiplayer, "message", e => this.#HandleHostMessage(e as MultiplayerMessageEvent)],
-			[this.#runtime.objects.Multiplayer, "peerdisconnect", () => this.#OnPeerDisconnect()]
+			[this.#runtime.objects.Multiplayer, "peerdisconnect", e => this.#OnPeerDisconnect(e.peerId)]
 		]);
 	}
 	
 	async Init()
 	{
-		// Create the game client which manages the local game state.
-		// Also pass it the SendMessageToHost function for messaging.
-		// Note that the multiplayer peer is always player 1. (TODO: support for more players)
-		this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#SendMessageToHost(m, t)), 1, "multiplayer-peer");
-		this.#gameClient.Init();
+		// If rejoining after losing the connection to the host, join the host's room again. If the host
+		// left the game, try to migrate the host instead, and if that isn't possible the game is over.
+		const rejoin = pendingRejoin;
+		pendingRejoin = null;
+		if (rejoin)
+		{
+			const result = await Signalling.RejoinRoom(this.#runtime, rejoin.room, rejoin.hostId);
+			if (result !== "rejoined")
+			{
+				if (result !== "host-left" || !await this.#MigrateHost(rejoin.player, rejoin.rejoinKey, rejoin.lastSnapshot))
+					this.#runtime.goToLayout("Title screen");
+				
+				return;
+			}
+		}
+		
+		// If the previous host left, reconnect to the new host in the migration room. Send the
+		// new host the player number this player had before along with the rejoin key from the
+		// previous host, so it can be assigned again.
+		const migration = HostMigration.TakePendingMigration();
+		if (migration)
+		{
+			if (!await HostMigration.JoinMigrationRoom(this.#runtime, migration.snapshot.room, false))
+			{
+				this.#runtime.goToLayout("Title screen");
+				return;
+			}
+		}
 		
 		// The host could take a lot longer to load for some reason, and not yet be listening for
 		// messages. We don't know when the host will be ready, so send ready messages every 250ms
-		// until we get back a "start" message.
-		await new Promise(resolve =>
+		// until we get back a "start" message. This also tells us which player number the host
+		// assigned to this peer. When rejoining or migrating, the ready message includes the player
+		// number this player had before, so the host can assign it again.
+		const startDetails = await new Promise<StartDetails>(resolve =>
 		{
 			this.#startResolve = resolve;
 			
 			this.#readyTimerId = setInterval(() => this.#SendMessageToHost({
-				"type": "ready"
+				"type": "ready",
+				"player": rejoin?.player ?? migration?.player,
+				"rejoinKey": rejoin?.rejoinKey ?? migration?.rejoinKey
 			}), 250);
 		});
+		
+		this.#startDetails = startDetails;
+		this.#hostId = this.#runtime.objects.Multiplayer.hostId;
+		
+		// Create the game client which manages the local game state.
+		// Also pass it the SendMessageToHost function for messaging.
+		// Note the host does not start sending game messages until all peers are ready,
+		// so the GameClient is always created before any of them arrive.
+		// Spectators have a player number for the host and GameServer to identify them, but
+		// aren't a player, so their GameClient has no player number.
+		this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#SendMessageToHost(m, t)), startDetails.spectator ? null : startDetails.player, "multiplayer-peer");
+		
+		// Load the unit types so the client knows which objects to create for units. Note if any
+		// full updates arrive before this finishes, they can't create units yet, but that is
+		// harmless as the server regularly sends full updates for every unit anyway.
+		await this.#gameClient.LoadUnitTypes();
+		this.#gameClient.Init();
+		
+		// If the game is already in progress, this client missed the initial state and everything
+		// else that has happened so far, so ask for the whole state of the game to be sent.
+		// Spectators always join a game in progress, and ask to start spectating, which also
+		// sends them the whole state of the game.
+		if (startDetails.spectator)
+		{
+			this.#SendMessageToHost({
+				"type": "spectate"
+			});
+		}
+		else if (startDetails.inProgress)
+		{
+			this.#SendMessageToHost({
+				"type": "resync"
+			});
+		}
 	}
 	
 	Release()
 	{
 		this.#eventHandlers!.Release();
+		clearInterval(this.#readyTimerId);
 		
-		this.#gameClient!.Release();
+		this.#gameClient?.Release();
 		this.#gameClient = null;
 	}
 	
@@ -82,7 +175,12 @@ export class GameModeMultiplayerPeer extends GameModeBase {
 		// This makes sure both the host and peer are loaded and ready to proceed.
 		if (msg["type"] === "start")
 		{
-			this.#OnHostStart();
+			this.#OnHostStart(msg);
+		}
+		else if (HostMigration.IsHostSnapshotMessage(msg))
+		{
+			// Keep the latest snapshot in case the host leaves.
+			this.#lastSnapshot = msg;
 		}
 		else
 		{
@@ -91,22 +189,69 @@ export class GameModeMultiplayerPeer extends GameModeBase {
 		}
 	}
 	
-	#OnHostStart()
+	#OnHostStart(msg: any)
 	{
 		// When the host sends a "start" message, resolve the promise that is being awaited
-		// in Init() so the game continues loading, and stop the timer that is sending ready messages.
+		// in Init() with the start details so the game continues loading, and stop
+		// the timer that is sending ready messages.
 		if (this.#startResolve)		// only handle once
 		{
 			clearInterval(this.#readyTimerId);
-			this.#startResolve();
+			this.#startResolve({
+				player: msg["player"],
+				spectator: msg["spectator"] ?? false,
+				rejoinKey: msg["rejoinKey"],
+				room: msg["room"],
+				inProgress: msg["inProgress"]
+			});
 			this.#startResolve = null;
 		}
 	}
 	
-	#OnPeerDisconnect()
+	#OnPeerDisconnect(peerId: string)
 	{
-		// Show a disconnected message. TODO: this should probably be handled differently
-		// if supporting more than 2 players
-		this.#gameClient!.OnDisconnected();
+		// Other peers leaving doesn't stop the game, but losing the connection to the host means
+		// rejoining the game. Note the game can't be showing yet if still waiting for the host to start.
+		if (peerId === this.#hostId && this.#gameClient)
+			this.#Rejoin();
+	}
+	
+	// Try to rejoin the game after losing the connection to the host. It's not possible to tell if
+	// just the connection dropped or if the host left the game, so restart the Game layout to try
+	// to rejoin the host's room, which then finds out which it was in Init().
+	#Rejoin()
+	{
+		const startDetails = this.#startDetails!;
+		pendingRejoin = {
+			room: startDetails.room,
+			hostId: this.#hostId,
+			player: startDetails.player,
+			rejoinKey: startDetails.rejoinKey,
+			lastSnapshot: this.#lastSnapshot
+		};
+		
+		this.#runtime.goToLayout("Game");
+	}
+	
+	// Try to carry on the game from the last snapshot after the host left. If there is no snapshot,
+	// which is also the case if there aren't enough players to carry on the game, or this player
+	// wasn't in the last snapshot, or this player has to take over as host but wasn't sent the save
+	// data (such as if the player due to take over left too), then the game can't continue, so
+	// return false. Otherwise restart the Game layout either as the new host or as a peer again,
+	// which then carries on with the migration in Init(), and return true.
+	async #MigrateHost(player: number, rejoinKey: string, lastSnapshot: ArrayBuffer | null)
+	{
+		const snapshot = (lastSnapshot ? await HostMigration.DecodeHostSnapshot(lastSnapshot) : null);
+		if (!snapshot || !HostMigration.GetRemainingPlayers(snapshot).includes(player))
+			return false;
+		
+		const isNewHost = (HostMigration.ChooseNewHost(snapshot) === player);
+		if (isNewHost && !snapshot.saveData)
+			return false;
+		
+		HostMigration.SetPendingMigration({ player, rejoinKey, snapshot });
+		Globals.gameMode = (isNewHost ? "multiplayer-host" : "multiplayer-peer");
+		this.#runtime.goToLayout("Game");
+		return true;
 	}
 }
@@ -0,0 +1,233 @@
+import Globals from "../globals.js";
+import { GameClient } from "../gameClient/gameClient.js";
+import { MultiEventHandler } from "../utils/multiEventHandler.js";
+import { ReadReplayFile } from "../gameClient/replay/replayFile.js";
+import { GameModeBase } from "./gameModeBase.js";
+import * as MathUtils from "../utils/clientMathUtils.js";
+// The playback speeds that can be chosen, as a multiple of normal speed.
+const PLAYBACK_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+// How far the seek controls jump backwards or forwards in seconds.
+const SEEK_STEP = 10;
+// When seeking, the binary game updates from this long before the seek time are played back
+// so GameClient can create all the units again. This must be longer than the server's full update
+// period (UNIT_FULL_UPDATE_PERIOD), as every unit is sent a full update over that time.
+const SEEK_PRELOAD_TIME = 3;
+// The position and size of the replay controls on the UI layer. The buttons are placed in a row
+// along the top of the viewport, with the ReplayText showing the playback state just below.
+const BUTTON_WIDTH = 110;
+const BUTTON_HEIGHT = 36;
+const BUTTON_SPACING = 8;
+const BUTTONS_LEFT = 660;
+const BUTTONS_TOP = 5;
+let savedPlaybackState = null;
+// This class plays back a replay recorded by ReplayRecorder. There is no GameServer: instead
+// the recorded messages are fed in to GameClient at the time they were originally received, so
+// GameClient shows the match exactly as the recording player saw it. The one exception is pings,
+// which GameClient still uses to synchronize to the server time. These are answered here with the
+// server time estimated from the recorded game updates, so this acts as a stand-in for GameServer.
+// Pausing and changing the speed is done with the runtime time scale, which means GameClient's
+// clock changes speed too. Seeking restarts the Game layout and plays back the messages up to the
+// seek time immediately, as GameClient can't go back to an earlier state.
+export class GameModeReplay extends GameModeBase {
+    // Private fields
+    #runtime; // Construct runtime
+    #gameClient; // GameClient showing the replay
+    #eventHandlers;
+    #replay; // the replay being played back
+    #messageIndex = 0; // index of the next message to play back
+    #playbackTime = 0; // current time in the replay, in the recorded client game time
+    #endTime = 0; // time of the last message in the replay
+    #serverTimeOffset = 0; // difference between the server time and the playback time
+    #speedIndex = PLAYBACK_SPEEDS.indexOf(1); // index in to PLAYBACK_SPEEDS
+    #isPaused = false;
+    #replayTextInst = null; // shows the playback state
+    #pauseButtonInst = null;
+    #speedButtonInst = null;
+    constructor(runtime) {
+        super();
+        this.#runtime = runtime;
+        this.#gameClient = null;
+        this.#eventHandlers = null;
+        this.#replay = null;
+    }
+    async Init() {
+        // If the layout was restarted to seek, carry on with the same replay and playback settings.
+        // Otherwise load the replay file.
+        let seekTime = 0;
+        if (savedPlaybackState && savedPlaybackState.url === Globals.replayUrl) {
+            this.#replay = savedPlaybackState.replay;
+            seekTime = savedPlaybackState.time;
+            this.#speedIndex = savedPlaybackState.speedIndex;
+            this.#isPaused = savedPlaybackState.isPaused;
+        }
+        else {
+            try {
+                const response = await fetch(Globals.replayUrl);
+                this.#replay = ReadReplayFile(await response.arrayBuffer());
+            }
+            catch (err) {
+                console.error("Error loading replay: ", err);
+                this.#runtime.goToLayout("Title screen");
+                return;
+            }
+        }
+        savedPlaybackState = null;
+        const replay = this.#replay;
+        this.#endTime = replay.messages.at(-1)?.time ?? 0;
+        // Start with the server time offset from the first game update, so pings can be answered
+        // before any game updates have been played back.
+        const firstUpdate = replay.messages.find(m => m.message instanceof ArrayBuffer);
+        if (firstUpdate)
+            this.#UpdateServerTimeOffset(firstUpdate.time, firstUpdate.message);
+        // Create the game client for the player the replay was recorded for, and use the same
+        // unit types the match was played with.
+        this.#gameClient = new GameClient(this.#runtime, (m => this.#SendMessageToGameServer(m)), replay.header.player, "replay");
+        await this.#gameClient.LoadUnitTypes(replay.header.unitTypes);
+        this.#gameClient.Init();
+        this.#CreateControls();
+        this.#eventHandlers = new MultiEventHandler([
+            [this.#runtime, "tick", () => this.#OnTick()],
+            [this.#runtime, "keydown", e => this.#OnKeyDown(e)]
+        ]);
+        // Play back all the messages up to the seek time straight away.
+        this.#playbackTime = seekTime;
+        this.#PlayBackMessages(true);
+        this.#UpdatePlaybackSpeed();
+    }
+    Release() {
+        this.#eventHandlers?.Release();
+        this.#gameClient?.Release();
+        this.#gameClient = null;
+        // Restore the normal time scale after pausing or changing speed.
+        this.#runtime.timeScale = 1;
+    }
+    // Calculate the server time offset from a binary game update, which starts with the
+    // message type byte followed by the server time it was sent at.
+    #UpdateServerTimeOffset(time, arrayBuffer) {
+        const serverTime = new DataView(arrayBuffer).getFloat64(1);
+        this.#serverTimeOffset = serverTime - time;
+    }
+    // GameClient sends messages as if there is a GameServer. Only pings are answered, with the
+    // estimated server time at the current playback time; all other messages are ignored, so
+    // any commands the viewer tries to give have no effect.
+    #SendMessageToGameServer(msg) {
+        if (msg["type"] === "ping") {
+            this.#gameClient.HandleGameServerMessage({
+                "type": "pong",
+                "id": msg["id"],
+                "time": this.#playbackTime + this.#serverTimeOffset
+            });
+        }
+    }
+    #OnTick() {
+        // Advance the playback time. Note runtime.dt already takes in to account the time scale,
+        // so this follows the playback speed and stops advancing when paused.
+        this.#playbackTime += this.#runtime.dt;
+        this.#PlayBackMessages(false);
+        // Pause once reaching the end of the replay.
+        if (this.#playbackTime >= this.#endTime && !this.#isPaused) {
+            this.#isPaused = true;
+            this.#UpdatePlaybackSpeed();
+        }
+        this.#UpdateReplayText();
+    }
+    // Pass all the recorded messages up to the current playback time to GameClient. When seeking,
+    // binary game updates from more than SEEK_PRELOAD_TIME before the playback time are skipped,
+    // as they would only create units and then immediately update them again. JSON messages
+    // are always played back though, as for example the initial state is only sent once.
+    #PlayBackMessages(isSeeking) {
+        const messages = this.#replay.messages;
+        const skipUpdatesBefore = this.#playbackTime - SEEK_PRELOAD_TIME;
+        while (this.#messageIndex < messages.length && messages[this.#messageIndex].time <= this.#playbackTime) {
+            const { time, message } = messages[this.#messageIndex++];
+            if (message instanceof ArrayBuffer) {
+                this.#UpdateServerTimeOffset(time, message);
+                if (isSeeking && time < skipUpdatesBefore)
+                    continue;
+            }
+            this.#gameClient.HandleGameServerMessage(message);
+        }
+    }
+    // Seek by saving the playback state and restarting the Game layout. The new GameModeReplay
+    // then starts playback again from the seek time.
+    #SeekTo(time) {
+        savedPlaybackState = {
+            url: Globals.replayUrl,
+            replay: this.#replay,
+            time: MathUtils.Clamp(time, 0, this.#endTime),
+            speedIndex: this.#speedIndex,
+            isPaused: this.#isPaused
+        };
+        this.#runtime.goToLayout("Game");
+    }
+    #TogglePause() {
+        // If paused at the end of the replay, start again from the beginning.
+        if (this.#isPaused && this.#playbackTime >= this.#endTime) {
+            this.#isPaused = false;
+            this.#SeekTo(0);
+            return;
+        }
+        this.#isPaused = !this.#isPaused;
+        this.#UpdatePlaybackSpeed();
+    }
+    #ChangeSpeed(direction) {
+        this.#speedIndex = MathUtils.Clamp(this.#speedIndex + direction, 0, PLAYBACK_SPEEDS.length - 1);
+        this.#UpdatePlaybackSpeed();
+    }
+    // The speed button cycles through the speeds, going back to the slowest after the fastest.
+    #CycleSpeed() {
+        this.#speedIndex = (this.#speedIndex + 1) % PLAYBACK_SPEEDS.length;
+        this.#UpdatePlaybackSpeed();
+    }
+    // Set the runtime time scale to the playback speed, or 0 if paused.
+    #UpdatePlaybackSpeed() {
+        const speed = PLAYBACK_SPEEDS[this.#speedIndex];
+        this.#runtime.timeScale = (this.#isPaused ? 0 : speed);
+        this.#pauseButtonInst.text = (this.#isPaused ? "Play" : "Pause");
+        this.#speedButtonInst.text = `Speed: ${speed}x`;
+        this.#UpdateReplayText();
+    }
+    // Keyboard shortcuts: P to pause, left and right arrows to seek, and up and down arrows
+    // to change the speed. Note space isn't used to pause, as it also clicks a focused button.
+    #OnKeyDown(e) {
+        if (e.key === "p" || e.key === "P")
+            this.#TogglePause();
+        else if (e.key === "ArrowLeft")
+            this.#SeekTo(this.#playbackTime - SEEK_STEP);
+        else if (e.key === "ArrowRight")
+            this.#SeekTo(this.#playbackTime + SEEK_STEP);
+        else if (e.key === "ArrowUp")
+            this.#ChangeSpeed(1);
+        else if (e.key === "ArrowDown")
+            this.#ChangeSpeed(-1);
+    }
+    // Create a row of buttons for the playback controls, and the ReplayText below them.
+    #CreateControls() {
+        let x = BUTTONS_LEFT;
+        const createButton = (text, onClick) => {
+            const inst = this.#runtime.objects.ReplayButton.createInstance("UI", x, BUTTONS_TOP);
+            inst.width = BUTTON_WIDTH;
+            inst.height = BUTTON_HEIGHT;
+            inst.text = text;
+            inst.addEventListener("click", onClick);
+            x += BUTTON_WIDTH + BUTTON_SPACING;
+            return inst;
+        };
+        createButton(`-${SEEK_STEP}s`, () => this.#SeekTo(this.#playbackTime - SEEK_STEP));
+        this.#pauseButtonInst = createButton("Pause", () => this.#TogglePause());
+        createButton(`+${SEEK_STEP}s`, () => this.#SeekTo(this.#playbackTime + SEEK_STEP));
+        this.#speedButtonInst = createButton("Speed", () => this.#CycleSpeed());
+        createButton("Exit", () => this.#runtime.goToLayout("Title screen"));
+        this.#replayTextInst = this.#runtime.objects.ReplayText.createInstance("UI", BUTTONS_LEFT, BUTTONS_TOP + BUTTON_HEIGHT + BUTTON_SPACING);
+    }
+    #UpdateReplayText() {
+        const formatTime = (t) => {
+            t = Math.floor(t);
+            return `${Math.floor(t / 60)}:${(t % 60).toString().padStart(2, "0")}`;
+        };
+        let text = `Replay: ${formatTime(Math.min(this.#playbackTime, this.#endTime))} / ${formatTime(this.#endTime)}`;
+        if (this.#isPaused)
+            text += " (paused)";
+        this.#replayTextInst.text = text;
+    }
+}
@@ -0,0 +1,109 @@
+
+// Helpers for using the signalling server after a multiplayer game has started, to let players
+// reconnect to the host if they drop out, or to a new host if the host leaves (see hostMigration.ts).
+// Note joining a game to start with is done by the event sheets for the multiplayer menus.
+
+// Details for connecting to the signalling server, which are the same as the multiplayer menus use.
+const SIGNALLING_SERVER_URL = "wss://multiplayer.construct.net";
+const SIGNALLING_GAME = "CommandAndConstruct";
+const SIGNALLING_ALIAS = "anon";
+
+// How long in ms to wait to connect to the host after joining a room, before giving up.
+export const HOST_CONNECT_TIMEOUT = 15000;
+
+// The result of RejoinRoom().
+export type RejoinResult = "rejoined" | "host-left" | "failed";
+
+// Connect and log in to the signalling server if not already, and leave any room still joined
+// from before, ready to join another room.
+export async function ConnectSignalling(runtime: IRuntime)
+{
+	const Multiplayer = runtime.objects.Multiplayer;
+	
+	if (!Multiplayer.signallingIsConnected)
+		await Multiplayer.connectSignalling(SIGNALLING_SERVER_URL);
+	
+	if (!Multiplayer.signallingIsLoggedIn)
+		await Multiplayer.loginSignalling(SIGNALLING_ALIAS);
+	
+	if (Multiplayer.isInRoom)
+		await Multiplayer.leaveRoom();
+}
+
+// Join a room for the game. Note rooms are in a game instance for the project version, so only
+// players with the same version of the game can play together.
+export async function JoinRoom(runtime: IRuntime, room: string)
+{
+	await runtime.objects.Multiplayer.joinRoom(SIGNALLING_GAME, "v" + runtime.projectVersion, room, 0);
+}
+
+// Try to reconnect to the host of a game after losing the connection to it. This joins the room
+// the game was in again, which the host stays in during the game so players can rejoin. However if
+// the host left the game, then either this player ends up as the host of the room, or another player
+// who joined the room already is the host. In that case it leaves the room and returns "host-left".
+export async function RejoinRoom(runtime: IRuntime, room: string, hostId: string) : Promise<RejoinResult>
+{
+	const Multiplayer = runtime.objects.Multiplayer;
+	
+	try {
+		await ConnectSignalling(runtime);
+		
+		// Listen for connecting to the host before joining, as it can happen any time after joining.
+		const hostConnected = WaitForHostConnect(Multiplayer);
+		await JoinRoom(runtime, room);
+		
+		if (Multiplayer.isHost || Multiplayer.hostId !== hostId)
+		{
+			hostConnected.cancel();
+			await Multiplayer.leaveRoom();
+			return "host-left";
+		}
+		
+		await hostConnected.promise;
+		
+		// The signalling server is no longer needed once connected, as is done when first joining a game.
+		Multiplayer.disconnectSignalling();
+		return "rejoined";
+	}
+	catch (err)
+	{
+		console.error("[Signalling] Error rejoining room: ", err);
+		return "failed";
+	}
+}
+
+// Return a promise that resolves when connected to the host of the room, or rejects if it takes longer
+// than HOST_CONNECT_TIMEOUT, along with a function to cancel waiting, which removes the event listener.
+export function WaitForHostConnect(Multiplayer: any)
+{
+	let onPeerConnect: ((e: any) => void) | null = null;
+	let timerId = -1;
+	
+	const cancel = () =>
+	{
+		Multiplayer.removeEventListener("peerconnect", onPeerConnect);
+		clearTimeout(timerId);
+	};
+	
+	const promise = new Promise<void>((resolve, reject) =>
+	{
+		onPeerConnect = (e: any) =>
+		{
+			if (e.peerId !== Multiplayer.hostId)
+				return;
+			
+			cancel();
+			resolve();
+		};
+		
+		Multiplayer.addEventListener("peerconnect", onPeerConnect);
+		
+		timerId = setTimeout(() =>
+		{
+			cancel();
+			reject(new Error("timed out connecting to the host"));
+		}, HOST_CONNECT_TIMEOUT);
+	});
+	
+	return { promise, cancel };
+}
@@ -1,3 +1,4 @@
+import Globals from "../globals.js";
 import { GameClient } from "../gameClient/gameClient.js";
 import { GameModeBase } from "./gameModeBase.js";
 // This class manages a single player game. This means hosting a local copy of GameServer,
@@ -22,15 +23,37 @@ export class GameModeSinglePlayer extends GameModeBase {
         });
         // Listen for messages received from the GameServer worker and pass them to GameClient.
         this.#gameServerMessagePort.onmessage = (e => this.#HandleGameServerMessage(e));
+        // If resuming a saved game, load the save data. If it can't be loaded, start a new game instead.
+        let saveData = null;
+        if (Globals.saveGameUrl) {
+            try {
+                const response = await fetch(Globals.saveGameUrl);
+                saveData = await response.json();
+            }
+            catch (err) {
+                console.error("Error loading saved game: ", err);
+            }
+            Globals.saveGameUrl = "";
+        }
+        // Load the level to play. Saved games include the level they were on, so use that instead.
+        const levelData = (saveData ? saveData["level"] : await this.#runtime.assets.fetchJson(`levels/${Globals.level}.json`));
         // Create the game client which manages the local game state.
         // Also pass it the SendMessageToGameServer function for messaging.
         // Note in single player mode, the player is always player 0.
         this.#gameClient = new GameClient(this.#runtime, ((m, t) => this.#SendMessageToGameServer(m, t)), 0, "single-player");
+        // Load the unit types, which are needed to get the Construct object data, and are also sent to GameServer.
+        await this.#gameClient.LoadUnitTypes();
         // Post an init message to the worker to tell it to initialize, and provide data
-        // about the game units such as their size and collision polygons.
+        // about the game units such as their size and collision polygons, the unit types, the level to play,
+        // and any saved game to resume. Note there are still 2 players in single player mode, as player 1
+        // has units to play against, unless resuming a saved game from a multiplayer game with more players.
         this.#SendMessageToGameServer({
             "type": "init",
-            "constructObjectData": this.#gameClient.GetConstructObjectData()
+            "constructObjectData": this.#gameClient.GetConstructObjectData(),
+            "unitTypes": this.#gameClient.GetUnitTypesData(),
+            "level": levelData,
+            "numPlayers": saveData?.["numPlayers"] ?? 2,
+            "saveData": saveData
         });
         // Initialise the GameClient now it's sent the game data.
         this.#gameClient.Init();
@@ -47,6 +70,11 @@ export class GameModeSinglePlayer extends GameModeBase {
     #HandleGameServerMessage(e) {
         const data = e.data;
         const message = data["message"];
+        const forPlayer = data["forPlayer"];
+        // GameServer also sends some messages for other players only, such as the player 1 updates
+        // due to the fog of war. There is no other player to send those to, so just ignore them.
+        if (forPlayer !== null && forPlayer !== this.#gameClient.GetPlayer())
+            return;
         this.#gameClient.HandleGameServerMessage(message);
     }
     // Messages sent to GameServer are directly posted to it in the worker.
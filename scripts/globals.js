@@ -1,7 +1,38 @@
 import {} from "./gameModes/gameModeBase.js";
 // Global variables held in a separate export.
 export default {
-    // The game mode is one of "single-player", "multiplayer-host" or "multiplayer-peer".
+    // The game mode is one of "single-player", "multiplayer-host", "multiplayer-peer", "dedicated-client" or "replay".
     // It defaults to single-player since it's the quickest way to test when previewing in Construct.
-    gameMode: "single-player"
+    gameMode: "single-player",
+    // The number of players in a multiplayer game, including the host. This is chosen by the host
+    // in the lobby. Note this can't be more than the number of player colors.
+    playerCount: 2,
+    // The team number for each player in a multiplayer game, indexed by player number, e.g. [0, 1, 0, 1]
+    // for a 2v2 match with players 0 and 2 against players 1 and 3. Players on the same team are allies.
+    // If null, every player is on their own team. Players choose their teams in the lobby.
+    teams: null,
+    // The name of the level to play, which is loaded from files/levels/<name>.json. Note the level
+    // must support at least as many players as are in the game. The host chooses this in the lobby
+    // from the levels listed in files/levels/levelList.json.
+    level: "default",
+    // The peer ID of the player in each player slot of a multiplayer game, indexed by player number,
+    // as chosen in the lobby. The host uses this to give each peer the player number of its slot.
+    playerPeerIds: [],
+    // The match settings chosen by the host in the lobby, which are passed to GameServer: the proportion
+    // of each player's starting units in the level to create, and whether there is fog of war.
+    startingUnits: 1,
+    fogOfWar: true,
+    // The WebSocket URL of the dedicated server to connect to in "dedicated-client" mode.
+    dedicatedServerUrl: "ws://localhost:8090",
+    // Whether to join the dedicated server as a spectator rather than a player. Note clients also
+    // join as spectators if all the player slots are taken, including in multiplayer games.
+    joinAsSpectator: false,
+    // Whether to record a replay of the match in single player or as the multiplayer host,
+    // which the player can then download as a file.
+    recordReplay: true,
+    // The URL of the replay file to play back in "replay" mode.
+    replayUrl: "",
+    // The URL of a saved game file to resume in single player, or an empty string to start a new game.
+    // This is cleared once the saved game is loaded, so the next game starts afresh.
+    saveGameUrl: ""
 };
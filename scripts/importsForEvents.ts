@@ -1,3 +1,7 @@
 
 // Import globals for use in event sheets.
 import Globals from "./globals.js";
+
+// Import the lobby classes, which the multiplayer menu layouts create once connected.
+import { LobbyHost } from "./lobby/lobbyHost.js";
+import { LobbyPeer } from "./lobby/lobbyPeer.js";
@@ -0,0 +1,128 @@
+import { MultiEventHandler } from "../utils/multiEventHandler.js";
+import { LobbyPanel } from "./lobbyPanel.js";
+// The choices for the proportion of each player's starting units in the level to create,
+// which the host cycles through in the lobby.
+export const STARTING_UNITS_OPTIONS = [1, 0.5, 0.25];
+// Write the lobby state to a "lobby-state" message to send to peers.
+export function WriteLobbyStateMessage(state) {
+    const writePlayer = (player) => ({
+        "peerId": player.peerId,
+        "alias": player.alias,
+        "team": player.team,
+        "ready": player.ready
+    });
+    const settings = state.settings;
+    return {
+        "type": "lobby-state",
+        "slots": state.slots.map(player => player ? writePlayer(player) : null),
+        "waiting": state.waiting.map(writePlayer),
+        "settings": {
+            "level": settings.level,
+            "levelName": settings.levelName,
+            "maxPlayers": settings.maxPlayers,
+            "playerCount": settings.playerCount,
+            "startingUnits": settings.startingUnits,
+            "fogOfWar": settings.fogOfWar
+        }
+    };
+}
+// Read the lobby state from a "lobby-state" message written by WriteLobbyStateMessage().
+export function ReadLobbyStateMessage(msg) {
+    const readPlayer = (entry) => ({
+        peerId: entry["peerId"],
+        alias: entry["alias"],
+        team: entry["team"],
+        ready: entry["ready"]
+    });
+    const settings = msg["settings"];
+    return {
+        slots: msg["slots"].map((entry) => entry ? readPlayer(entry) : null),
+        waiting: msg["waiting"].map(readPlayer),
+        settings: {
+            level: settings["level"],
+            levelName: settings["levelName"],
+            maxPlayers: settings["maxPlayers"],
+            playerCount: settings["playerCount"],
+            startingUnits: settings["startingUnits"],
+            fogOfWar: settings["fogOfWar"]
+        }
+    };
+}
+// The lobby is where players gather after joining a multiplayer game, before going to the Game layout.
+// It shows a LobbyPanel with the player in each slot and the match settings. Each slot is a player
+// number, which decides the player's start position in the level. The host decides everything: peers
+// send it requests, such as to take a free slot, change team or toggle being ready, and it then sends
+// every peer the new state of the lobby. The host also chooses the match settings, which makes
+// everyone not ready again so they can check them, and then starts the game once everyone is ready.
+// The host handles its own requests the same way as those from peers, so both send requests with
+// SendRequest(). This is the base class of LobbyHost and LobbyPeer, which the multiplayer menu
+// layouts create once connected. The lobby is released when the layout ends.
+export class LobbyBase {
+    // Private fields
+    #runtime; // Construct runtime
+    #eventHandlers;
+    #panel; // LobbyPanel showing the lobby
+    #state = null; // current state of the lobby, once known
+    constructor(runtime, panelX, panelY) {
+        this.#runtime = runtime;
+        const Multiplayer = runtime.objects.Multiplayer;
+        this.#eventHandlers = new MultiEventHandler([
+            [Multiplayer, "message", e => this._OnMessage(e)],
+            [Multiplayer, "peerdisconnect", e => this._OnPeerDisconnect(e.peerId)],
+            [runtime.layout, "beforelayoutend", () => this.Release()]
+        ]);
+        this.#panel = new LobbyPanel(this, panelX, panelY);
+    }
+    Release() {
+        this.#eventHandlers.Release();
+        this.#panel.Release();
+    }
+    GetRuntime() {
+        return this.#runtime;
+    }
+    IsHost() {
+        return false;
+    }
+    GetLocalPeerId() {
+        return this.#runtime.objects.Multiplayer.myId;
+    }
+    // Return the state of the lobby, or null if not yet known.
+    GetState() {
+        return this.#state;
+    }
+    // Return the slot the local player is in, or -1 if waiting for a free slot.
+    GetLocalSlot() {
+        const peerId = this.GetLocalPeerId();
+        return this.#state?.slots.findIndex(player => player?.peerId === peerId) ?? -1;
+    }
+    // Return a description of why the game can't start yet, or an empty string if it can start.
+    // Every slot needs a player, there must be at least two teams, and every player must be ready.
+    GetStartProblem() {
+        const state = this.#state;
+        if (!state)
+            return "Waiting for the host...";
+        const players = state.slots.filter(player => player !== null);
+        if (players.length < state.slots.length)
+            return `Waiting for players (${players.length}/${state.slots.length})...`;
+        if (new Set(players.map(player => player.team)).size < 2)
+            return "Players must be on at least two different teams.";
+        if (!players.every(player => player.ready))
+            return "Waiting for everyone to be ready...";
+        return "";
+    }
+    // Send a request to change the lobby, e.g. { "type": "lobby-set-ready", "ready": true },
+    // which the host then handles. Overridden by the derived classes.
+    SendRequest(msg) {
+    }
+    // Called by the derived classes when the state of the lobby changes.
+    _SetState(state) {
+        this.#state = state;
+        this.#panel.Update();
+    }
+    // Called when a message is received from another peer. Overridden by the derived classes.
+    _OnMessage(e) {
+    }
+    // Called when another peer disconnects. Overridden by the derived classes.
+    _OnPeerDisconnect(peerId) {
+    }
+}
@@ -0,0 +1,370 @@
+
+import Globals from "../globals.js";
+import { LobbyBase, type LobbyPlayer, type LobbySettings, type LobbyState, STARTING_UNITS_OPTIONS, WriteLobbyStateMessage } from "./lobbyBase.js";
+
+// The position of the LobbyPanel on the Multiplayer host layout, below the join link.
+const PANEL_X = 45;
+const PANEL_Y = 610;
+
+// A level the host can choose in the lobby, from the list in files/levels/levelList.json.
+type LevelInfo = {
+	level: string,				// name of the level file in files/levels, without the extension
+	name: string,				// display name from the level data
+	maxPlayers: number			// the number of players the level supports
+};
+
+// The LobbyHost class runs the lobby on the host, which is created by the Multiplayer host layout
+// once hosting a room. It keeps the state of the lobby and sends it to every peer when it changes.
+// Peers that join the room send "lobby-join", and take the first free slot, or wait for one to become
+// free, e.g. if a player leaves or the host adds more slots. Each player's team defaults to their slot
+// number, i.e. a free-for-all. When the host starts the game, the lobby state is saved in Globals for
+// GameModeMultiplayerHost to use, and everyone goes to the Game layout.
+export class LobbyHost extends LobbyBase {
+
+	// Private fields
+	#levels: LevelInfo[] = [];			// levels that can be chosen
+	#slots: (LobbyPlayer | null)[] = [];	// the player in each slot
+	#waiting: LobbyPlayer[] = [];		// players waiting for a free slot, in the order they joined
+	
+	// The settings start off the same as the last game, and the level's details are filled in
+	// once the level list has loaded.
+	#settings: LobbySettings = {
+		level: Globals.level,
+		levelName: "",
+		maxPlayers: 0,
+		playerCount: Globals.playerCount,
+		startingUnits: Globals.startingUnits,
+		fogOfWar: Globals.fogOfWar
+	};
+	#isStarting = false;				// set when going to the Game layout to start the game
+	
+	constructor(runtime: IRuntime)
+	{
+		super(runtime, PANEL_X, PANEL_Y);
+		
+		this.#Init();
+	}
+	
+	async #Init()
+	{
+		// Load every level in the level list to find out its name and how many players it supports.
+		const runtime = this.GetRuntime();
+		const levelList: string[] = (await runtime.assets.fetchJson("levels/levelList.json"))["levels"];
+		this.#levels = await Promise.all(levelList.map(async level =>
+		{
+			const levelData = await runtime.assets.fetchJson(`levels/${level}.json`);
+			return {
+				level,
+				name: levelData["name"],
+				maxPlayers: levelData["players"].length
+			};
+		}));
+		
+		// Start with the level in Globals, or the first level if that isn't in the list.
+		const levelInfo = this.#levels.find(info => info.level === this.#settings.level) ?? this.#levels[0];
+		this.#SetLevel(levelInfo);
+		
+		// The host takes the first slot, which also sends the first lobby state.
+		this.#AddPlayer(this.GetLocalPeerId(), runtime.objects.Multiplayer.myAlias);
+	}
+	
+	Release()
+	{
+		// If the host leaves the lobby other than to start the game, the peers can't play either.
+		if (!this.#isStarting)
+		{
+			this.GetRuntime().objects.Multiplayer.hostBroadcastMessage(null, {
+				"type": "lobby-closed"
+			}, "o");
+		}
+		
+		super.Release();
+	}
+	
+	IsHost()
+	{
+		return true;
+	}
+	
+	// The host handles its own requests the same way as those from peers.
+	SendRequest(msg: any)
+	{
+		this.#HandleRequest(this.GetLocalPeerId(), msg);
+	}
+	
+	_OnMessage(e: MultiplayerMessageEvent)
+	{
+		const msg = e.message as any;	// note easiest way to read unknown JSON is as 'any' type
+		
+		// Ignore messages until the level list has loaded and the host is in the lobby. Peers keep
+		// sending "lobby-join" until they get the lobby state, so they join once it's ready.
+		if (!this.GetState())
+			return;
+		
+		if (msg["type"] === "lobby-join")
+		{
+			// Peers send "lobby-join" repeatedly until they receive the lobby state, so only add
+			// the peer if it isn't already in the lobby. Either way, send the current state.
+			if (!this.#GetPlayer(e.fromId))
+				this.#AddPlayer(e.fromId, String(msg["alias"] ?? ""));
+			else
+				this.#SendState();
+		}
+		else if (msg["type"] === "lobby-leave")
+		{
+			this.#RemovePlayer(e.fromId);
+		}
+		else
+		{
+			this.#HandleRequest(e.fromId, msg);
+		}
+	}
+	
+	_OnPeerDisconnect(peerId: string)
+	{
+		this.#RemovePlayer(peerId);
+	}
+	
+	// Handle a request to change the lobby from a player. Only the host can change the settings,
+	// change other players' teams and start the game.
+	#HandleRequest(fromId: string, msg: any)
+	{
+		const isHost = (fromId === this.GetLocalPeerId());
+		const fromSlot = this.#slots.findIndex(player => player?.peerId === fromId);
+		const type = msg["type"];
+		
+		// Ignore requests from players waiting for a slot.
+		if (fromSlot === -1)
+			return;
+		
+		if (type === "lobby-set-ready")
+		{
+			// The host is always ready, so doesn't need to ask itself.
+			if (isHost)
+				return;
+			
+			this.#slots[fromSlot]!.ready = !!msg["ready"];
+		}
+		else if (type === "lobby-take-slot")
+		{
+			const slot = msg["slot"];
+			if (!this.#IsValidSlot(slot) || this.#slots[slot])
+				return;
+			
+			this.#slots[slot] = this.#slots[fromSlot];
+			this.#slots[fromSlot] = null;
+			this.#ResetReady();
+		}
+		else if (type === "lobby-change-team")
+		{
+			const slot = msg["slot"];
+			if (!this.#IsValidSlot(slot) || !this.#slots[slot] || (!isHost && slot !== fromSlot))
+				return;
+			
+			const player = this.#slots[slot]!;
+			player.team = (player.team + 1) % this.#settings.playerCount;
+			this.#ResetReady();
+		}
+		else if (type === "lobby-change-setting" && isHost)
+		{
+			this.#ChangeSetting(msg["setting"]);
+			this.#ResetReady();
+		}
+		else if (type === "lobby-start" && isHost)
+		{
+			this.#Start();
+			return;
+		}
+		else
+		{
+			return;
+		}
+		
+		this.#SendState();
+	}
+	
+	// Change one of the settings to the next choice, cycling back to the first choice after the last.
+	#ChangeSetting(setting: string)
+	{
+		const settings = this.#settings;
+		
+		if (setting === "level")
+		{
+			const index = this.#levels.findIndex(info => info.level === settings.level);
+			this.#SetLevel(this.#levels[(index + 1) % this.#levels.length]);
+		}
+		else if (setting === "playerCount")
+		{
+			this.#SetPlayerCount(settings.playerCount < settings.maxPlayers ? settings.playerCount + 1 : 2);
+		}
+		else if (setting === "startingUnits")
+		{
+			const index = STARTING_UNITS_OPTIONS.indexOf(settings.startingUnits);
+			settings.startingUnits = STARTING_UNITS_OPTIONS[(index + 1) % STARTING_UNITS_OPTIONS.length];
+		}
+		else if (setting === "fogOfWar")
+		{
+			settings.fogOfWar = !settings.fogOfWar;
+		}
+	}
+	
+	// Choose a level to play. If it supports fewer players than there are slots, the extra
+	// slots are removed.
+	#SetLevel(levelInfo: LevelInfo)
+	{
+		const settings = this.#settings;
+		settings.level = levelInfo.level;
+		settings.levelName = levelInfo.name;
+		settings.maxPlayers = levelInfo.maxPlayers;
+		
+		this.#SetPlayerCount(Math.min(settings.playerCount, settings.maxPlayers));
+	}
+	
+	// Change the number of slots. When adding slots, players waiting for a slot take them. When
+	// removing slots, the players in them go back to waiting, ahead of anyone who joined after
+	// them. However the host must always have a slot, so moves to a remaining slot if need be.
+	#SetPlayerCount(playerCount: number)
+	{
+		const hostId = this.GetLocalPeerId();
+		const removedPlayers = this.#slots.splice(playerCount).filter(player => player !== null);
+		while (this.#slots.length < playerCount)
+			this.#slots.push(null);
+		
+		for (const player of removedPlayers.reverse())
+		{
+			if (player.peerId !== hostId)
+			{
+				this.#waiting.unshift(player);
+				continue;
+			}
+			
+			const freeSlot = this.#slots.indexOf(null);
+			if (freeSlot === -1)
+			{
+				this.#waiting.unshift(this.#slots[playerCount - 1]!);
+				this.#slots[playerCount - 1] = player;
+			}
+			else
+			{
+				this.#slots[freeSlot] = player;
+			}
+		}
+		
+		// Make sure every team number is still one of the teams that can be chosen.
+		for (const player of [...this.#slots, ...this.#waiting])
+		{
+			if (player)
+				player.team %= playerCount;
+		}
+		
+		this.#settings.playerCount = playerCount;
+		this.#FillFreeSlots();
+	}
+	
+	// Add a player to the lobby, who waits for a free slot, and then takes one if there are any.
+	#AddPlayer(peerId: string, alias: string)
+	{
+		this.#waiting.push({
+			peerId,
+			alias: alias || "anon",
+			team: 0,
+			ready: false
+		});
+		
+		this.#FillFreeSlots();
+		this.#SendState();
+	}
+	
+	#RemovePlayer(peerId: string)
+	{
+		const slot = this.#slots.findIndex(player => player?.peerId === peerId);
+		if (slot !== -1)
+			this.#slots[slot] = null;
+		
+		this.#waiting = this.#waiting.filter(player => player.peerId !== peerId);
+		
+		this.#FillFreeSlots();
+		this.#SendState();
+	}
+	
+	#GetPlayer(peerId: string)
+	{
+		return [...this.#slots, ...this.#waiting].find(player => player?.peerId === peerId);
+	}
+	
+	// Move players who are waiting in to any free slots, in the order they joined.
+	// They start on the team numbered the same as their slot, and not ready.
+	#FillFreeSlots()
+	{
+		for (let slot = 0; slot < this.#slots.length && this.#waiting.length > 0; ++slot)
+		{
+			if (this.#slots[slot])
+				continue;
+			
+			const player = this.#waiting.shift()!;
+			player.team = slot;
+			player.ready = false;
+			this.#slots[slot] = player;
+		}
+		
+		// The host is always ready.
+		const hostPlayer = this.#GetPlayer(this.GetLocalPeerId());
+		if (hostPlayer)
+			hostPlayer.ready = true;
+	}
+	
+	#IsValidSlot(slot: any)
+	{
+		return Number.isInteger(slot) && slot >= 0 && slot < this.#slots.length;
+	}
+	
+	// When something changes that affects the match, players have to be ready again,
+	// so everyone agrees to the new settings. The host is always ready though.
+	#ResetReady()
+	{
+		const hostId = this.GetLocalPeerId();
+		for (const player of this.#slots)
+		{
+			if (player && player.peerId !== hostId)
+				player.ready = false;
+		}
+	}
+	
+	// Update the state of the lobby, and send it to every peer.
+	#SendState()
+	{
+		const state: LobbyState = {
+			slots: this.#slots.map(player => player ? { ...player } : null),
+			waiting: this.#waiting.map(player => ({ ...player })),
+			settings: { ...this.#settings }
+		};
+		
+		this.GetRuntime().objects.Multiplayer.hostBroadcastMessage(null, WriteLobbyStateMessage(state), "o");
+		this._SetState(state);
+	}
+	
+	// Start the game, as long as everyone is ready. Save the players and settings in Globals for
+	// GameModeMultiplayerHost to pass to GameServer, and tell everyone to go to the Game layout.
+	// Any players still waiting for a slot then join the game as spectators.
+	#Start()
+	{
+		if (this.GetStartProblem())
+			return;
+		
+		const players = this.#slots as LobbyPlayer[];
+		const settings = this.#settings;
+		Globals.level = settings.level;
+		Globals.playerCount = settings.playerCount;
+		Globals.teams = players.map(player => player.team);
+		Globals.playerPeerIds = players.map(player => player.peerId);
+		Globals.startingUnits = settings.startingUnits;
+		Globals.fogOfWar = settings.fogOfWar;
+		
+		this.GetRuntime().objects.Multiplayer.hostBroadcastMessage(null, {
+			"type": "lobby-start"
+		}, "o");
+		
+		this.#isStarting = true;
+		this.GetRuntime().goToLayout("Game");
+	}
+}
@@ -0,0 +1,158 @@
+// The layer the lobby is shown on, which is the only layer in the multiplayer menu layouts.
+const LAYER_NAME = "Layer 0";
+// The size and spacing of the rows of the lobby, and the objects in them.
+const ROW_HEIGHT = 42;
+const BUTTON_HEIGHT = 36;
+const SPACING = 8;
+const SETTING_BUTTON_WIDTH = 330;
+const SLOT_TEXT_WIDTH = 760;
+const SLOT_BUTTON_WIDTH = 170;
+const STATUS_TEXT_WIDTH = SLOT_TEXT_WIDTH + SLOT_BUTTON_WIDTH + SPACING;
+// Colors for whether players are ready, in BBCode.
+const READY_COLOR = "#80ff80";
+const NOT_READY_COLOR = "#ffb080";
+// The LobbyPanel class shows the lobby on the multiplayer menu layouts, as a column of rows starting
+// from the given position. The first row has a button for each of the match settings, which the host
+// clicks to cycle through the choices; for peers they are disabled and just show the settings.
+// Then there is a row for each player slot, with the player in it and whether they are ready, a button
+// to change team (for their own slot, or any slot for the host), and for an empty slot, a button to
+// move to it. After that is a line listing any players waiting for a free slot, and finally a status
+// line with the button to toggle being ready, or for the host, to start the game. All the objects are
+// simply recreated whenever the lobby state changes, as it doesn't change often.
+export class LobbyPanel {
+    // Private fields
+    #lobby; // reference to LobbyHost or LobbyPeer
+    #x; // position of the top-left of the panel
+    #y;
+    #insts = []; // all the objects making up the panel
+    constructor(lobby, x, y) {
+        this.#lobby = lobby;
+        this.#x = x;
+        this.#y = y;
+        this.Update();
+    }
+    Release() {
+        this.#DestroyInstances();
+    }
+    // Called when the lobby state changes, to show the new state.
+    Update() {
+        this.#DestroyInstances();
+        const lobby = this.#lobby;
+        const state = lobby.GetState();
+        let y = this.#y;
+        // Until the host sends the state of the lobby, just show the status line.
+        if (state) {
+            this.#CreateSettingsRow(y, state.settings);
+            y += ROW_HEIGHT + SPACING;
+            for (let slot = 0; slot < state.slots.length; ++slot) {
+                this.#CreateSlotRow(y, slot);
+                y += ROW_HEIGHT;
+            }
+            if (state.waiting.length > 0) {
+                const aliases = state.waiting.map(player => player.alias).join(", ");
+                this.#CreateText(this.#x, y, STATUS_TEXT_WIDTH, `Waiting for a free slot: ${aliases} (will spectate if none are free)`);
+                y += ROW_HEIGHT;
+            }
+            y += SPACING;
+        }
+        this.#CreateStatusRow(y);
+    }
+    #CreateSettingsRow(y, settings) {
+        const buttonTexts = [
+            ["level", `Map: ${settings.levelName}`],
+            ["playerCount", `Players: ${settings.playerCount}`],
+            ["startingUnits", `Starting units: ${Math.round(settings.startingUnits * 100)}%`],
+            ["fogOfWar", `Fog of war: ${settings.fogOfWar ? "on" : "off"}`]
+        ];
+        let x = this.#x;
+        for (const [setting, text] of buttonTexts) {
+            this.#CreateButton(x, y, SETTING_BUTTON_WIDTH, text, this.#lobby.IsHost(), {
+                "type": "lobby-change-setting",
+                "setting": setting
+            });
+            x += SETTING_BUTTON_WIDTH + SPACING;
+        }
+    }
+    #CreateSlotRow(y, slot) {
+        const lobby = this.#lobby;
+        const state = lobby.GetState();
+        const player = state.slots[slot];
+        const localSlot = lobby.GetLocalSlot();
+        let x = this.#x;
+        if (player) {
+            // Show the player's name and whether they are ready. The host is always ready, so
+            // instead show who the host is. Also point out which is the local player.
+            let text = `Player ${slot + 1}: [b]${player.alias}[/b]`;
+            if (slot === localSlot)
+                text += " (you)";
+            if (player.peerId === lobby.GetRuntime().objects.Multiplayer.hostId)
+                text += " - host";
+            else if (player.ready)
+                text += ` - [color=${READY_COLOR}]ready[/color]`;
+            else
+                text += ` - [color=${NOT_READY_COLOR}]not ready[/color]`;
+            this.#CreateText(x, y, SLOT_TEXT_WIDTH, text);
+            x += SLOT_TEXT_WIDTH + SPACING;
+            this.#CreateButton(x, y, SLOT_BUTTON_WIDTH, `Team ${player.team + 1}`, lobby.IsHost() || slot === localSlot, {
+                "type": "lobby-change-team",
+                "slot": slot
+            });
+        }
+        else {
+            // Let a player in another slot move to this empty slot.
+            this.#CreateText(x, y, SLOT_TEXT_WIDTH, `Player ${slot + 1}: [i]empty[/i]`);
+            x += SLOT_TEXT_WIDTH + SPACING;
+            this.#CreateButton(x, y, SLOT_BUTTON_WIDTH, "Take slot", localSlot !== -1, {
+                "type": "lobby-take-slot",
+                "slot": slot
+            });
+        }
+    }
+    #CreateStatusRow(y) {
+        const lobby = this.#lobby;
+        const startProblem = lobby.GetStartProblem();
+        const x = this.#x + STATUS_TEXT_WIDTH + SPACING;
+        // The host has a button to start the game once possible. Peers in a slot have a button to
+        // toggle being ready.
+        if (lobby.IsHost()) {
+            this.#CreateText(this.#x, y, STATUS_TEXT_WIDTH, startProblem || "Everyone is ready!");
+            this.#CreateButton(x, y, SETTING_BUTTON_WIDTH, "Start game", !startProblem, {
+                "type": "lobby-start"
+            });
+        }
+        else {
+            this.#CreateText(this.#x, y, STATUS_TEXT_WIDTH, startProblem || "Waiting for the host to start the game...");
+            const localSlot = lobby.GetLocalSlot();
+            if (localSlot !== -1) {
+                const isReady = lobby.GetState().slots[localSlot].ready;
+                this.#CreateButton(x, y, SETTING_BUTTON_WIDTH, isReady ? "Not ready" : "Ready", true, {
+                    "type": "lobby-set-ready",
+                    "ready": !isReady
+                });
+            }
+        }
+    }
+    #CreateText(x, y, width, text) {
+        const inst = this.#lobby.GetRuntime().objects.LobbyText.createInstance(LAYER_NAME, x, y);
+        inst.width = width;
+        inst.height = ROW_HEIGHT;
+        inst.text = text;
+        this.#insts.push(inst);
+    }
+    // Create a button which sends a request to the host when clicked.
+    #CreateButton(x, y, width, text, isEnabled, request) {
+        const inst = this.#lobby.GetRuntime().objects.LobbyButton.createInstance(LAYER_NAME, x, y);
+        inst.width = width;
+        inst.height = BUTTON_HEIGHT;
+        inst.text = text;
+        inst.isEnabled = isEnabled;
+        inst.addEventListener("click", () => this.#lobby.SendRequest(request));
+        this.#insts.push(inst);
+    }
+    #DestroyInstances() {
+        for (const inst of this.#insts) {
+            inst.destroy();
+        }
+        this.#insts.length = 0;
+    }
+}
@@ -0,0 +1,75 @@
+import { LobbyBase, ReadLobbyStateMessage } from "./lobbyBase.js";
+// The position of the LobbyPanel on the Multiplayer join layout, below the join code.
+const PANEL_X = 285;
+const PANEL_Y = 500;
+// How often in ms to send "lobby-join" to the host until it replies.
+const JOIN_INTERVAL = 250;
+// The LobbyPeer class runs the lobby on a peer, which is created by the Multiplayer join layout once
+// connected to the host. The host may not be ready for it yet, so it sends "lobby-join" regularly until
+// the host replies with the lobby state. It then shows the lobby state the host sends, and sends the
+// host requests when the player clicks the lobby buttons. When the host starts the game, it goes to
+// the Game layout, which carries on with GameModeMultiplayerPeer. The host also tells peers the game
+// has started if they join once it is already in progress, so they join the game straight away.
+export class LobbyPeer extends LobbyBase {
+    // Private fields
+    #joinTimerId = -1; // for regularly sending "lobby-join" messages to the host
+    #isClosed = false; // set when leaving the lobby, so it isn't left twice
+    constructor(runtime) {
+        super(runtime, PANEL_X, PANEL_Y);
+        const alias = runtime.objects.Multiplayer.myAlias;
+        this.#joinTimerId = setInterval(() => this.SendRequest({
+            "type": "lobby-join",
+            "alias": alias
+        }), JOIN_INTERVAL);
+    }
+    Release() {
+        clearInterval(this.#joinTimerId);
+        // If leaving the lobby other than because the game started or the host left, tell the host.
+        if (!this.#isClosed) {
+            this.SendRequest({
+                "type": "lobby-leave"
+            });
+        }
+        super.Release();
+    }
+    SendRequest(msg) {
+        const Multiplayer = this.GetRuntime().objects.Multiplayer;
+        Multiplayer.sendPeerMessage(Multiplayer.hostId, msg, "o");
+    }
+    _OnMessage(e) {
+        const msg = e.message; // note easiest way to read unknown JSON is as 'any' type
+        const type = msg["type"];
+        // Ignore anything else that arrives after leaving the lobby, before the layout ends.
+        if (this.#isClosed)
+            return;
+        if (type === "lobby-state") {
+            clearInterval(this.#joinTimerId);
+            this._SetState(ReadLobbyStateMessage(msg));
+        }
+        else if (type === "lobby-start") {
+            // The game started, so go to the Game layout. Note Globals.gameMode was already set
+            // to "multiplayer-peer" by the Multiplayer join layout.
+            this.#isClosed = true;
+            clearInterval(this.#joinTimerId);
+            this.GetRuntime().goToLayout("Game");
+        }
+        else if (type === "lobby-closed") {
+            this.#OnHostLeft();
+        }
+    }
+    _OnPeerDisconnect(peerId) {
+        if (peerId === this.GetRuntime().objects.Multiplayer.hostId)
+            this.#OnHostLeft();
+    }
+    // If the host leaves the lobby, the game can't go ahead, so show an error on the Multiplayer join
+    // layout and let the player join another game. This uses the same function as other errors joining.
+    #OnHostLeft() {
+        if (this.#isClosed)
+            return;
+        this.#isClosed = true;
+        this.Release();
+        const runtime = this.GetRuntime();
+        runtime.objects.MultiplayerJoinStatus.getFirstInstance().text = "The host left the game.";
+        runtime.callFunction("OnJoinError");
+    }
+}
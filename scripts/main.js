@@ -3,7 +3,9 @@ import { GameModeBase } from "./gameModes/gameModeBase.js";
 import { GameModeSinglePlayer } from "./gameModes/singlePlayer.js";
 import { GameModeMultiplayerHost } from "./gameModes/multiplayerHost.js";
 import { GameModeMultiplayerPeer } from "./gameModes/multiplayerPeer.js";
-// One of the three game mode classes to manage the game.
+import { GameModeDedicatedClient } from "./gameModes/dedicatedClient.js";
+import { GameModeReplay } from "./gameModes/replay.js";
+// One of the game mode classes to manage the game.
 let gameMode = null;
 // Called on startup as game starts to load
 runOnStartup(async (runtime) => {
@@ -24,6 +26,10 @@ async function OnStartGameLayout(runtime) {
         gameMode = new GameModeMultiplayerHost(runtime);
     else if (Globals.gameMode === "multiplayer-peer")
         gameMode = new GameModeMultiplayerPeer(runtime);
+    else if (Globals.gameMode === "dedicated-client")
+        gameMode = new GameModeDedicatedClient(runtime);
+    else if (Globals.gameMode === "replay")
+        gameMode = new GameModeReplay(runtime);
     else
         throw new Error(`invalid game mode '${Globals.gameMode}'`);
     await gameMode.Init();
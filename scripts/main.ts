@@ -5,8 +5,10 @@ import { GameModeBase } from "./gameModes/gameModeBase.js";
 import { GameModeSinglePlayer } from "./gameModes/singlePlayer.js";
 import { GameModeMultiplayerHost } from "./gameModes/multiplayerHost.js";
 import { GameModeMultiplayerPeer } from "./gameModes/multiplayerPeer.js";
+import { GameModeDedicatedClient } from "./gameModes/dedicatedClient.js";
+import { GameModeReplay } from "./gameModes/replay.js";
 
-// One of the three game mode classes to manage the game.
+// One of the game mode classes to manage the game.
 let gameMode: GameModeBase | null = null;
 
 // Called on startup as game starts to load
@@ -33,6 +35,10 @@ async function OnStartGameLayout(runtime: IRuntime)
 		gameMode = new GameModeMultiplayerHost(runtime);
 	else if (Globals.gameMode === "multiplayer-peer")
 		gameMode = new GameModeMultiplayerPeer(runtime);
+	else if (Globals.gameMode === "dedicated-client")
+		gameMode = new GameModeDedicatedClient(runtime);
+	else if (Globals.gameMode === "replay")
+		gameMode = new GameModeReplay(runtime);
 	else
 		throw new Error(`invalid game mode '${Globals.gameMode}'`);
 	
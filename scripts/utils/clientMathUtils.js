@@ -14,6 +14,10 @@ export function Clamp(x, lower, upper) {
 }
 ;
 // Same as equivalent GameServer function
+export function ToRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+// Same as equivalent GameServer function
 export function DistanceTo(x1, y1, x2, y2) {
     return Math.hypot(x2 - x1, y2 - y1);
 }
@@ -60,6 +64,16 @@ export function AngleClockwise(a1, a2) {
     return c1 * s2 - s1 * c2 <= 0;
 }
 ;
+// Rotate angle 'start' towards angle 'end' by amount 'step'.
+export function AngleRotate(start, end, step) {
+    if (AngleDifference(start, end) <= step)
+        return end; // difference to end is less than step: return end angle
+    else if (AngleClockwise(end, start))
+        return start + step; // step clockwise
+    else
+        return start - step; // step anticlockwise
+}
+;
 // Angular interpolation from angle a to b in the shortest direction.
 export function angleLerp(a, b, x) {
     const diff = AngleDifference(a, b);
@@ -16,6 +16,12 @@ export function Clamp(x: number, lower: number, upper: number)
 		return x;
 };
 
+// Same as equivalent GameServer function
+export function ToRadians(degrees: number)
+{
+	return degrees * Math.PI / 180;
+}
+
 // Same as equivalent GameServer function
 export function DistanceTo(x1: number, y1: number, x2: number, y2: number)
 {
@@ -76,6 +82,17 @@ export function AngleClockwise(a1: number, a2: number)
 	return c1 * s2 - s1 * c2 <= 0;
 };
 
+// Rotate angle 'start' towards angle 'end' by amount 'step'.
+export function AngleRotate(start: number, end: number, step: number)
+{
+	if (AngleDifference(start, end) <= step)
+		return end;				// difference to end is less than step: return end angle
+	else if (AngleClockwise(end, start))
+		return start + step;	// step clockwise
+	else
+		return start - step;	// step anticlockwise
+};
+
 // Angular interpolation from angle a to b in the shortest direction.
 export function angleLerp(a: number, b: number, x: number)
 {